@@ -0,0 +1,65 @@
+using System;
+using System.Collections.Generic;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.GetAvatar.Services;
+using MediaBrowser.Model.Tasks;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.GetAvatar
+{
+    /// <summary>
+    /// Scheduled task that gives users who opted into rotation a new random avatar once their period is up.
+    /// </summary>
+    public class AvatarRotationTask : IScheduledTask
+    {
+        private readonly AvatarService _avatarService;
+        private readonly ILogger<AvatarRotationTask> _logger;
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="AvatarRotationTask"/> class.
+        /// </summary>
+        /// <param name="avatarService">The avatar service.</param>
+        /// <param name="logger">The logger instance.</param>
+        public AvatarRotationTask(AvatarService avatarService, ILogger<AvatarRotationTask> logger)
+        {
+            _avatarService = avatarService;
+            _logger = logger;
+        }
+
+        /// <inheritdoc />
+        public string Name => "Rotate user avatars";
+
+        /// <inheritdoc />
+        public string Key => "GetAvatarRotation";
+
+        /// <inheritdoc />
+        public string Description => "Applies a new random avatar to users who turned on daily or weekly rotation.";
+
+        /// <inheritdoc />
+        public string Category => "GetAvatar";
+
+        /// <inheritdoc />
+        public async Task ExecuteAsync(IProgress<double> progress, CancellationToken cancellationToken)
+        {
+            var rotatedCount = await _avatarService.RotateDueAvatarsAsync(cancellationToken).ConfigureAwait(false);
+            if (rotatedCount > 0)
+            {
+                _logger.LogInformation("Rotated avatars for {Count} user(s).", rotatedCount);
+            }
+
+            progress.Report(100);
+        }
+
+        /// <inheritdoc />
+        public IEnumerable<TaskTriggerInfo> GetDefaultTriggers()
+        {
+            // Each user's own daily or weekly period is tracked separately, so checking hourly is enough
+            yield return new TaskTriggerInfo
+            {
+                Type = TaskTriggerInfoType.IntervalTrigger,
+                IntervalTicks = TimeSpan.FromHours(1).Ticks
+            };
+        }
+    }
+}
@@ -0,0 +1,20 @@
+using System;
+
+namespace Jellyfin.Plugin.GetAvatar.Configuration
+{
+    /// <summary>
+    /// One avatar change in a user's history.
+    /// </summary>
+    public class AvatarHistoryEntry
+    {
+        /// <summary>
+        /// Gets or sets the ID of the avatar that was applied.
+        /// </summary>
+        public string AvatarId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets when the avatar was applied (UTC).
+        /// </summary>
+        public DateTime AppliedAt { get; set; }
+    }
+}
@@ -31,5 +31,15 @@ namespace Jellyfin.Plugin.GetAvatar.Configuration
         /// Gets or sets the category of the avatar.
         /// </summary>
         public string Category { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the identifier of the online pack the avatar was imported from, or empty if it was uploaded.
+        /// </summary>
+        public string SourcePackId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the path of the image inside its pack, used to find images a pack update added or dropped.
+        /// </summary>
+        public string SourcePath { get; set; } = string.Empty;
     }
 }
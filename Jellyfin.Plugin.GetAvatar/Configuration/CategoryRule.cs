@@ -0,0 +1,68 @@
+using System.Collections.Generic;
+
+namespace Jellyfin.Plugin.GetAvatar.Configuration
+{
+    /// <summary>
+    /// Restricts which avatar categories a user or group of users can see and pick.
+    /// </summary>
+    public class CategoryRule
+    {
+        /// <summary>
+        /// Rule applies to every user.
+        /// </summary>
+        public const string Everyone = "Everyone";
+
+        /// <summary>
+        /// Rule applies to a single user, identified by <see cref="UserId"/>.
+        /// </summary>
+        public const string SingleUser = "User";
+
+        /// <summary>
+        /// Rule applies to administrators.
+        /// </summary>
+        public const string Administrators = "Administrators";
+
+        /// <summary>
+        /// Rule applies to users who are not administrators.
+        /// </summary>
+        public const string NonAdministrators = "NonAdministrators";
+
+        /// <summary>
+        /// Rule applies to users whose parental rating limit is at or below <see cref="MaxParentalRating"/>.
+        /// </summary>
+        public const string ParentalRating = "ParentalRating";
+
+        /// <summary>
+        /// Gets or sets a label shown in the config page.
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets who the rule applies to: <c>Everyone</c>, <c>User</c>, <c>Administrators</c>,
+        /// <c>NonAdministrators</c> or <c>ParentalRating</c>.
+        /// </summary>
+        public string AppliesTo { get; set; } = SingleUser;
+
+        /// <summary>
+        /// Gets or sets the user ID when <see cref="AppliesTo"/> is <c>User</c>.
+        /// </summary>
+        public string? UserId { get; set; }
+
+        /// <summary>
+        /// Gets or sets the parental rating score when <see cref="AppliesTo"/> is <c>ParentalRating</c>.
+        /// Users with a limit at or below this score match; users without a limit never do.
+        /// </summary>
+        public int? MaxParentalRating { get; set; }
+
+        /// <summary>
+        /// Gets or sets the only categories the matched users may see (empty for no restriction).
+        /// An empty string stands for uncategorized avatars.
+        /// </summary>
+        public List<string> AllowedCategories { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Gets or sets the categories hidden from the matched users. Deny wins over allow.
+        /// </summary>
+        public List<string> DeniedCategories { get; set; } = new List<string>();
+    }
+}
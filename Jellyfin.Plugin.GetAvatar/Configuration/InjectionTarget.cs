@@ -0,0 +1,33 @@
+namespace Jellyfin.Plugin.GetAvatar.Configuration
+{
+    /// <summary>
+    /// A place on the user profile page where the client script puts the "Choose from Gallery" button.
+    /// </summary>
+    public class InjectionTarget
+    {
+        /// <summary>
+        /// The button is inserted right before the matched element.
+        /// </summary>
+        public const string Before = "Before";
+
+        /// <summary>
+        /// The button is inserted right after the matched element.
+        /// </summary>
+        public const string After = "After";
+
+        /// <summary>
+        /// The button is appended as the last child of the matched element.
+        /// </summary>
+        public const string Inside = "Inside";
+
+        /// <summary>
+        /// Gets or sets the CSS selector of the element the button is placed relative to.
+        /// </summary>
+        public string Selector { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets where the button goes: <c>Before</c>, <c>After</c> or <c>Inside</c>.
+        /// </summary>
+        public string Placement { get; set; } = Inside;
+    }
+}
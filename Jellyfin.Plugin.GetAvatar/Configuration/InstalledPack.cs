@@ -0,0 +1,41 @@
+using System;
+using System.Collections.Generic;
+
+namespace Jellyfin.Plugin.GetAvatar.Configuration
+{
+    /// <summary>
+    /// Records which version of an online pack was last imported, so the download dialog can offer updates.
+    /// </summary>
+    public class InstalledPack
+    {
+        /// <summary>
+        /// Gets or sets the pack identifier (source ID and pack ID joined by a colon).
+        /// </summary>
+        public string PackId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the pack display name at the time of the import.
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the imported version: the asset timestamp or release tag, or the index's version string.
+        /// </summary>
+        public string Version { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the size of the imported zip in bytes.
+        /// </summary>
+        public long Size { get; set; }
+
+        /// <summary>
+        /// Gets or sets when the pack was last imported (UTC).
+        /// </summary>
+        public DateTime InstalledAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets the image paths the imported version contained, to tell added and dropped images apart on update.
+        /// </summary>
+        public List<string> Paths { get; set; } = new List<string>();
+    }
+}
@@ -0,0 +1,45 @@
+using System;
+
+namespace Jellyfin.Plugin.GetAvatar.Configuration
+{
+    /// <summary>
+    /// A place the "Download Online Pack" dialog lists avatar packs from.
+    /// </summary>
+    public class PackSource
+    {
+        /// <summary>
+        /// A GitHub-style "latest release" API response; every .zip asset is a pack.
+        /// </summary>
+        public const string GitHubRelease = "GitHubRelease";
+
+        /// <summary>
+        /// A JSON index listing zip URLs, display names and sizes.
+        /// </summary>
+        public const string JsonIndex = "JsonIndex";
+
+        /// <summary>
+        /// The release of the public jellyfin-avatars collection, added as the first source on a new install.
+        /// </summary>
+        public const string DefaultUrl = "https://api.github.com/repos/cedev-1/jellyfin-avatars/releases/latest";
+
+        /// <summary>
+        /// Gets or sets the source identifier, used to tell packs with the same name apart.
+        /// </summary>
+        public string Id { get; set; } = Guid.NewGuid().ToString("N");
+
+        /// <summary>
+        /// Gets or sets the name shown above the source's packs.
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the source format: <see cref="GitHubRelease"/> or <see cref="JsonIndex"/>.
+        /// </summary>
+        public string Type { get; set; } = GitHubRelease;
+
+        /// <summary>
+        /// Gets or sets the URL of the release API or JSON index.
+        /// </summary>
+        public string Url { get; set; } = string.Empty;
+    }
+}
@@ -15,6 +15,11 @@ namespace Jellyfin.Plugin.GetAvatar.Configuration
         {
             AvailableAvatars = new List<AvatarInfo>();
             UserAvatars = new List<UserAvatarMapping>();
+            UserPreferences = new List<UserAvatarPreferences>();
+            CategoryRules = new List<CategoryRule>();
+            PackSources = new List<PackSource>();
+            InstalledPacks = new List<InstalledPack>();
+            InjectionTargets = new List<InjectionTarget>();
         }
 
         /// <summary>
@@ -27,9 +32,46 @@ namespace Jellyfin.Plugin.GetAvatar.Configuration
         /// </summary>
         public List<UserAvatarMapping> UserAvatars { get; set; }
 
+        /// <summary>
+        /// Gets or sets the per-user favorites and recently used avatars.
+        /// </summary>
+        public List<UserAvatarPreferences> UserPreferences { get; set; }
+
+        /// <summary>
+        /// Gets or sets the category visibility rules. A user sees a category only if every rule that applies to them allows it.
+        /// </summary>
+        public List<CategoryRule> CategoryRules { get; set; }
+
+        /// <summary>
+        /// Gets or sets the online pack sources, in the order the download dialog lists them.
+        /// </summary>
+        public List<PackSource> PackSources { get; set; }
+
+        /// <summary>
+        /// Gets or sets a value indicating whether the default pack source has been added,
+        /// so an administrator who removes it does not get it back.
+        /// </summary>
+        public bool PackSourcesInitialized { get; set; }
+
+        /// <summary>
+        /// Gets or sets the online packs that have been imported, with the version of each.
+        /// </summary>
+        public List<InstalledPack> InstalledPacks { get; set; }
+
         /// <summary>
         /// Gets or sets a value indicating whether new users without an avatar automatically receive a random one at startup.
         /// </summary>
         public bool EnableAutoAssign { get; set; }
+
+        /// <summary>
+        /// Gets or sets extra places for the profile page button, tried before the built-in ones.
+        /// </summary>
+        public List<InjectionTarget> InjectionTargets { get; set; }
+
+        /// <summary>
+        /// Gets or sets a value indicating whether only <see cref="InjectionTargets"/> are used, for themes where
+        /// a built-in target matches the wrong element.
+        /// </summary>
+        public bool ReplaceDefaultInjectionTargets { get; set; }
     }
 }
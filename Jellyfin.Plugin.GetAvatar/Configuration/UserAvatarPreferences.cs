@@ -0,0 +1,61 @@
+using System;
+using System.Collections.Generic;
+
+namespace Jellyfin.Plugin.GetAvatar.Configuration
+{
+    /// <summary>
+    /// Represents a user's personal avatar picker state (favorites, recently used avatars, history and rotation).
+    /// </summary>
+    public class UserAvatarPreferences
+    {
+        /// <summary>
+        /// Automatic rotation is turned off.
+        /// </summary>
+        public const string RotationOff = "Off";
+
+        /// <summary>
+        /// A new random avatar is applied once a day.
+        /// </summary>
+        public const string RotationDaily = "Daily";
+
+        /// <summary>
+        /// A new random avatar is applied once a week.
+        /// </summary>
+        public const string RotationWeekly = "Weekly";
+
+        /// <summary>
+        /// Gets or sets the user ID.
+        /// </summary>
+        public string UserId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the IDs of the avatars the user starred, in the order they were starred.
+        /// </summary>
+        public List<string> FavoriteAvatarIds { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Gets or sets the IDs of the avatars the user recently applied, most recent first.
+        /// </summary>
+        public List<string> RecentAvatarIds { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Gets or sets the user's avatar changes, most recent first.
+        /// </summary>
+        public List<AvatarHistoryEntry> History { get; set; } = new List<AvatarHistoryEntry>();
+
+        /// <summary>
+        /// Gets or sets how often the avatar rotates: <see cref="RotationOff"/>, <see cref="RotationDaily"/> or <see cref="RotationWeekly"/>.
+        /// </summary>
+        public string RotationInterval { get; set; } = RotationOff;
+
+        /// <summary>
+        /// Gets or sets the category rotation draws from (null for every avatar the user may see).
+        /// </summary>
+        public string? RotationCategory { get; set; }
+
+        /// <summary>
+        /// Gets or sets when the rotation period last started (UTC).
+        /// </summary>
+        public DateTime? LastRotatedAt { get; set; }
+    }
+}
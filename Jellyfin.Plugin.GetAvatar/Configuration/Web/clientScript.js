@@ -3,12 +3,50 @@
 
     const CONFIG = {
         apiBaseUrl: '/GetAvatar',
-        modalId: 'getAvatarModal'
+        modalId: 'getAvatarModal',
+        editorSize: 320,
+        outputSize: 512,
+        maxZoom: 4,
+        // Sizes of Jellyfin's user card and header button bubbles, for the before/after preview
+        previewCardSize: 96,
+        previewHeaderSize: 36,
+        searchStorageKey: 'GetAvatar.searchQuery',
+        pageSize: 60,
+        historySize: 12,
+        renderMargin: '600px',
+        channelName: 'GetAvatar'
     };
 
-    let avatars = [];
+    let avatarIndex = { total: 0, categories: [], searchTerm: '', currentAvatarId: null, currentIndex: -1 };
+    let userPreferences = { favorites: [], recent: [], history: [], currentAvatarId: null, rotation: null };
+    let favoriteIds = new Set();
+    let chunkCache = new Map();
+    let chunkObserver = null;
+    let loadGeneration = 0;
+    let pendingTileFocus = false;
+    let pendingLocate = false;
+    let pendingCategory = null;
     let selectedAvatarId = null;
     let targetUserId = null;
+    let currentStep = 'picker';
+    let editorState = null;
+    let returnFocusElement = null;
+    // Tells the other tabs of this browser that an avatar changed, so they refresh without a reload
+    let avatarChannel = null;
+    // Resolves to the places the profile button can go, loaded once from the server
+    let injectionTargetsRequest = null;
+    let injectionScheduled = false;
+
+    // Keys TV remotes send for "Back" (webOS, Tizen) in addition to Escape
+    const BACK_KEY_CODES = [461, 10009];
+
+    // Where the profile button goes in the stock web client; admins can add their own in the plugin settings
+    const DEFAULT_INJECTION_TARGETS = [
+        { selector: '.selectImageContainer', placement: 'Inside' },
+        { selector: '.userProfileSettingsPage .detailSection', placement: 'Inside' },
+        { selector: '#btnDeleteImage', placement: 'After' },
+        { selector: '.imageEditorContainer', placement: 'Inside' }
+    ];
 
     function createModal() {
         if (document.getElementById(CONFIG.modalId)) return;
@@ -16,25 +54,237 @@
         const modal = document.createElement('div');
         modal.id = CONFIG.modalId;
         modal.innerHTML = `
+            <style>
+                #${CONFIG.modalId} .avatar-option:focus,
+                #${CONFIG.modalId} .category-link:focus,
+                #${CONFIG.modalId} #avatarEditorCanvas:focus {
+                    outline: 2px solid #00a4dc;
+                    outline-offset: 2px;
+                }
+                #${CONFIG.modalId} .avatar-favorite-btn {
+                    position: absolute;
+                    top: 0.2em;
+                    right: 0.2em;
+                    width: 1.9em;
+                    height: 1.9em;
+                    padding: 0;
+                    border: none;
+                    border-radius: 50%;
+                    background: rgba(0,0,0,0.55);
+                    color: #fff;
+                    cursor: pointer;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    opacity: 0;
+                    transition: opacity 0.2s;
+                }
+                #${CONFIG.modalId} .avatar-favorite-btn .material-icons {
+                    font-size: 1.2em;
+                }
+                #${CONFIG.modalId} .avatar-option:hover .avatar-favorite-btn,
+                #${CONFIG.modalId} .avatar-option:focus .avatar-favorite-btn,
+                #${CONFIG.modalId} .avatar-favorite-btn[aria-pressed="true"] {
+                    opacity: 1;
+                }
+                #${CONFIG.modalId} .avatar-favorite-btn[aria-pressed="true"] {
+                    color: #f5c518;
+                }
+                #${CONFIG.modalId} .avatar-revert-btn {
+                    position: absolute;
+                    top: 0.2em;
+                    left: 0.2em;
+                    width: 1.9em;
+                    height: 1.9em;
+                    padding: 0;
+                    border: none;
+                    border-radius: 50%;
+                    background: rgba(0,0,0,0.55);
+                    color: #fff;
+                    cursor: pointer;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                }
+                #${CONFIG.modalId} .avatar-revert-btn .material-icons {
+                    font-size: 1.2em;
+                }
+                #${CONFIG.modalId} .avatar-rotation-select {
+                    padding: 0.3em 0.5em;
+                    background: rgba(255,255,255,0.08);
+                    border: 1px solid rgba(255,255,255,0.15);
+                    border-radius: 6px;
+                    color: inherit;
+                    font-size: inherit;
+                }
+                #${CONFIG.modalId} .avatar-rotation-select option {
+                    background: #202020;
+                }
+                #${CONFIG.modalId} .avatar-option.avatar-current img {
+                    box-shadow: 0 0 0 3px #00a4dc;
+                }
+                #${CONFIG.modalId} .avatar-current-badge {
+                    position: absolute;
+                    top: 0.8em;
+                    left: 50%;
+                    transform: translateX(-50%);
+                    padding: 0 0.5em;
+                    border-radius: 8px;
+                    background: #00a4dc;
+                    color: #fff;
+                    font-size: 0.7em;
+                    line-height: 1.6;
+                    pointer-events: none;
+                }
+                #${CONFIG.modalId} .avatar-compare {
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    gap: 1.2em;
+                    flex-shrink: 0;
+                }
+                #${CONFIG.modalId} .avatar-compare-side {
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    gap: 0.4em;
+                    font-size: 0.8em;
+                }
+                #${CONFIG.modalId} .avatar-compare-row {
+                    display: flex;
+                    align-items: flex-end;
+                    gap: 0.6em;
+                }
+                #${CONFIG.modalId} .avatar-compare-circle {
+                    position: relative;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    flex-shrink: 0;
+                    overflow: hidden;
+                    border-radius: 50%;
+                    background: rgba(255,255,255,0.08);
+                }
+                #${CONFIG.modalId} .avatar-compare-circle img {
+                    position: absolute;
+                    inset: 0;
+                    width: 100%;
+                    height: 100%;
+                    object-fit: cover;
+                }
+                #${CONFIG.modalId} .avatar-compare-card {
+                    width: ${CONFIG.previewCardSize}px;
+                    height: ${CONFIG.previewCardSize}px;
+                }
+                #${CONFIG.modalId} .avatar-compare-header {
+                    width: ${CONFIG.previewHeaderSize}px;
+                    height: ${CONFIG.previewHeaderSize}px;
+                }
+                #${CONFIG.modalId} .avatar-compare-header .material-icons {
+                    font-size: 1.2em;
+                }
+                #${CONFIG.modalId} .avatar-history-time {
+                    font-size: 0.75em;
+                    opacity: 0.6;
+                    white-space: nowrap;
+                }
+            </style>
             <div class="dialogContainer" style="display:none;">
-                <div class="focuscontainer dialog dialog-fixedSize dialog-medium-tall" style="width:900px;max-width:90vw;max-height:90vh;display:flex;flex-direction:column;">
+                <div class="focuscontainer dialog dialog-fixedSize dialog-medium-tall" role="dialog" aria-modal="true" aria-labelledby="getAvatarModalTitle" style="width:900px;max-width:90vw;max-height:90vh;display:flex;flex-direction:column;">
                     <div class="formDialogHeader">
-                        <button is="paper-icon-button-light" class="btnCancel autoSize" title="Close">
-                            <span class="material-icons close"></span>
+                        <button is="paper-icon-button-light" class="btnCancel autoSize" title="Close" aria-label="Close">
+                            <span class="material-icons close" aria-hidden="true"></span>
                         </button>
-                        <h3 class="formDialogHeaderTitle">Choose Your Avatar</h3>
+                        <h3 class="formDialogHeaderTitle" id="getAvatarModalTitle">Choose Your Avatar</h3>
                     </div>
+                    <div id="avatarLiveRegion" aria-live="polite" aria-atomic="true" style="position:absolute;width:1px;height:1px;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;"></div>
                     <div class="formDialogContent" style="padding:2em;flex:1;display:flex;flex-direction:column;min-height:0;">
-                        <div id="avatarCategoryList" style="display:none;flex-wrap:wrap;gap:0.5em;margin-bottom:1.5em;flex-shrink:0;"></div>
-                        <div id="avatarGridContainer" style="display:grid;grid-template-columns:repeat(auto-fill,minmax(100px,1fr));gap:1em;flex:1;overflow-y:auto;-webkit-overflow-scrolling:touch;min-height:0;padding-right:0.5em;"></div>
+                        <div id="avatarPickerStep" style="flex:1;display:flex;flex-direction:column;min-height:0;">
+                            <div style="position:relative;margin-bottom:1em;flex-shrink:0;">
+                                <span class="material-icons search" aria-hidden="true" style="position:absolute;left:0.6em;top:50%;transform:translateY(-50%);opacity:0.6;pointer-events:none;"></span>
+                                <input type="search" id="avatarSearchInput" aria-label="Search avatars" aria-controls="avatarGridContainer" placeholder="Search by name or category..." autocomplete="off" spellcheck="false" style="width:100%;box-sizing:border-box;padding:0.6em 0.8em 0.6em 2.4em;background:rgba(255,255,255,0.08);border:1px solid rgba(255,255,255,0.15);border-radius:6px;color:inherit;font-size:0.95em;" />
+                            </div>
+                            <div id="avatarCategoryList" role="toolbar" aria-label="Categories" style="display:none;flex-wrap:wrap;gap:0.5em;margin-bottom:1.5em;flex-shrink:0;"></div>
+                            <div id="avatarGridContainer" role="listbox" aria-label="Avatars" style="display:grid;grid-template-columns:repeat(auto-fill,minmax(100px,1fr));gap:1em;flex:1;overflow-y:auto;-webkit-overflow-scrolling:touch;min-height:0;padding-right:0.5em;"></div>
+                            <div id="avatarRotationBar" style="display:flex;flex-wrap:wrap;align-items:center;gap:0.6em;margin-top:1em;flex-shrink:0;font-size:0.9em;">
+                                <span class="material-icons autorenew" aria-hidden="true" style="opacity:0.7;"></span>
+                                <label for="avatarRotationInterval">New random avatar</label>
+                                <select id="avatarRotationInterval" class="avatar-rotation-select">
+                                    <option value="Off">Never</option>
+                                    <option value="Daily">Every day</option>
+                                    <option value="Weekly">Every week</option>
+                                </select>
+                                <label for="avatarRotationCategory">from</label>
+                                <select id="avatarRotationCategory" class="avatar-rotation-select"></select>
+                                <span id="avatarRotationNext" style="opacity:0.6;"></span>
+                            </div>
+                        </div>
+                        <div id="avatarEditorStep" style="flex:1;display:none;flex-direction:column;align-items:center;gap:1em;min-height:0;overflow-y:auto;">
+                            <canvas id="avatarEditorCanvas" tabindex="0" role="img" aria-label="Avatar preview. Use arrow keys to move, plus and minus to zoom, brackets to rotate." width="${CONFIG.editorSize}" height="${CONFIG.editorSize}" style="width:${CONFIG.editorSize}px;max-width:100%;aspect-ratio:1;border-radius:8px;background:#111;cursor:grab;touch-action:none;flex-shrink:0;"></canvas>
+                            <div style="display:flex;flex-direction:column;gap:0.6em;width:${CONFIG.editorSize}px;max-width:100%;">
+                                <label style="display:flex;align-items:center;gap:0.6em;" title="Zoom">
+                                    <span class="material-icons zoom_in" style="margin:0;"></span>
+                                    <input type="range" id="avatarEditorZoom" aria-label="Zoom" min="1" max="${CONFIG.maxZoom}" step="0.01" value="1" style="flex:1;" />
+                                </label>
+                                <label style="display:flex;align-items:center;gap:0.6em;" title="Rotation">
+                                    <span class="material-icons rotate_right" style="margin:0;"></span>
+                                    <input type="range" id="avatarEditorRotation" aria-label="Rotation" min="-180" max="180" step="1" value="0" style="flex:1;" />
+                                </label>
+                                <div style="display:flex;justify-content:center;gap:0.5em;">
+                                    <button is="paper-icon-button-light" id="avatarEditorRotateLeft" class="autoSize" title="Rotate left" aria-label="Rotate left">
+                                        <span class="material-icons rotate_left" aria-hidden="true"></span>
+                                    </button>
+                                    <button is="paper-icon-button-light" id="avatarEditorRotateRight" class="autoSize" title="Rotate right" aria-label="Rotate right">
+                                        <span class="material-icons rotate_right" aria-hidden="true"></span>
+                                    </button>
+                                    <button is="paper-icon-button-light" id="avatarEditorReset" class="autoSize" title="Reset" aria-label="Reset adjustments">
+                                        <span class="material-icons refresh" aria-hidden="true"></span>
+                                    </button>
+                                </div>
+                            </div>
+                            <p style="margin:0;font-size:0.85em;opacity:0.7;text-align:center;">Drag to reposition. Scroll or use the slider to zoom.</p>
+                            <div class="avatar-compare" role="group" aria-label="Current and new avatar as shown in Jellyfin">
+                                <div class="avatar-compare-side">
+                                    <div class="avatar-compare-row">
+                                        <span class="avatar-compare-circle avatar-compare-card">
+                                            <span class="material-icons person" aria-hidden="true"></span>
+                                            <img id="avatarCompareCurrentCard" alt="Current avatar" />
+                                        </span>
+                                        <span class="avatar-compare-circle avatar-compare-header">
+                                            <span class="material-icons person" aria-hidden="true"></span>
+                                            <img id="avatarCompareCurrentHeader" alt="" />
+                                        </span>
+                                    </div>
+                                    <span style="opacity:0.7;">Current</span>
+                                </div>
+                                <span class="material-icons arrow_forward" aria-hidden="true" style="opacity:0.6;"></span>
+                                <div class="avatar-compare-side">
+                                    <div class="avatar-compare-row">
+                                        <canvas id="avatarCompareNewCard" class="avatar-compare-circle avatar-compare-card" role="img" aria-label="New avatar" width="${CONFIG.previewCardSize * 2}" height="${CONFIG.previewCardSize * 2}"></canvas>
+                                        <canvas id="avatarCompareNewHeader" class="avatar-compare-circle avatar-compare-header" aria-hidden="true" width="${CONFIG.previewHeaderSize * 2}" height="${CONFIG.previewHeaderSize * 2}"></canvas>
+                                    </div>
+                                    <span style="opacity:0.7;">New</span>
+                                </div>
+                            </div>
+                        </div>
                         <div style="display:flex;justify-content:space-between;gap:1em;flex-shrink:0;padding-top:1.5em;border-top:1px solid rgba(255,255,255,0.1);margin-top:1em;">
-                            <button is="emby-button" id="randomAvatarBtn" class="raised button-alt" style="display:flex;align-items:center;gap:0.4em;">
-                                <span class="material-icons shuffle" style="margin:0;"></span>
-                                <span>Random</span>
-                            </button>
+                            <div style="display:flex;gap:1em;">
+                                <button is="emby-button" id="randomAvatarBtn" class="raised button-alt" style="display:flex;align-items:center;gap:0.4em;">
+                                    <span class="material-icons shuffle" aria-hidden="true" style="margin:0;"></span>
+                                    <span>Random</span>
+                                </button>
+                                <button is="emby-button" id="undoAvatarBtn" class="raised button-alt" style="display:none;align-items:center;gap:0.4em;">
+                                    <span class="material-icons undo" aria-hidden="true" style="margin:0;"></span>
+                                    <span>Undo</span>
+                                </button>
+                                <button is="emby-button" id="backAvatarBtn" class="raised button-alt" style="display:none;align-items:center;gap:0.4em;">
+                                    <span class="material-icons arrow_back" aria-hidden="true" style="margin:0;"></span>
+                                    <span>Back</span>
+                                </button>
+                            </div>
                             <div style="display:flex;justify-content:flex-end;gap:1em;">
                                 <button is="emby-button" id="cancelAvatarBtn" class="raised button-cancel">Cancel</button>
-                                <button is="emby-button" id="applyAvatarBtn" class="raised button-submit" disabled>Set as My Avatar</button>
+                                <button is="emby-button" id="applyAvatarBtn" class="raised button-submit" disabled>Next</button>
                             </div>
                         </div>
                     </div>
@@ -45,16 +295,510 @@
 
         modal.querySelector('.btnCancel').onclick = closeModal;
         modal.querySelector('#cancelAvatarBtn').onclick = closeModal;
-        modal.querySelector('#applyAvatarBtn').onclick = applyAvatar;
+        modal.querySelector('#applyAvatarBtn').onclick = function() {
+            if (currentStep === 'editor') {
+                applyAvatar();
+            } else {
+                openEditor(selectedAvatarId);
+            }
+        };
+        modal.querySelector('#backAvatarBtn').onclick = function() {
+            showStep('picker');
+        };
         modal.querySelector('#randomAvatarBtn').onclick = applyRandomAvatar;
+        modal.querySelector('#undoAvatarBtn').onclick = function() {
+            const target = getUndoTarget();
+            if (target) revertAvatar(target.avatar.Id || target.avatar.id);
+        };
+        modal.querySelector('#avatarRotationInterval').onchange = saveRotation;
+        modal.querySelector('#avatarRotationCategory').onchange = saveRotation;
+
+        let searchTimer = null;
+        modal.querySelector('#avatarSearchInput').addEventListener('input', function() {
+            const value = this.value;
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(function() {
+                try { sessionStorage.setItem(CONFIG.searchStorageKey, value); } catch (e) { /* storage unavailable */ }
+                loadAvatars(false);
+            }, 200);
+        });
+
         modal.querySelector('.dialogContainer').onclick = function(e) {
             if (e.target === this) closeModal();
         };
+        // Capture phase so Jellyfin's own input handling does not act on Back while the modal is open
+        modal.querySelector('.dialogContainer').addEventListener('keydown', handleModalKeydown, true);
+
+        bindEditorControls(modal);
     }
 
-    function openModal() {
+    // --- Keyboard, remote-control and screen reader support ---
+
+    function announce(message) {
+        const region = document.getElementById('avatarLiveRegion');
+        if (!region) return;
+        region.textContent = '';
+        setTimeout(function() { region.textContent = message; }, 50);
+    }
+
+    function isBackKey(e) {
+        return e.key === 'Escape' || e.key === 'GoBack' || e.key === 'BrowserBack' || BACK_KEY_CODES.includes(e.keyCode);
+    }
+
+    function getFocusableElements() {
+        const dialog = document.querySelector('#' + CONFIG.modalId + ' [role="dialog"]');
+        return Array.from(dialog.querySelectorAll('button, input, canvas[tabindex], [tabindex="0"]')).filter(function(el) {
+            return !el.disabled && el.getAttribute('tabindex') !== '-1' && el.offsetParent !== null;
+        });
+    }
+
+    function trapFocus(e) {
+        const focusable = getFocusableElements();
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        } else if (!focusable.includes(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    function handleModalKeydown(e) {
+        if (isBackKey(e)) {
+            e.preventDefault();
+            e.stopPropagation();
+            closeModal();
+            return;
+        }
+
+        if (e.key === 'Tab') {
+            trapFocus(e);
+            return;
+        }
+
+        const target = e.target;
+        if (target.classList.contains('avatar-option')) {
+            handleGridKeydown(e, target);
+        } else if (target.classList.contains('category-link')) {
+            handleCategoryKeydown(e, target);
+        } else if (target.id === 'avatarSearchInput' && (e.key === 'ArrowDown' || e.key === 'Enter')) {
+            e.preventDefault();
+            focusFirstCategoryOrTile();
+        } else if (target.id === 'avatarEditorCanvas') {
+            handleEditorKeydown(e);
+        }
+    }
+
+    function focusTile(tile) {
+        if (!tile) return false;
+        document.querySelectorAll('#avatarGridContainer .avatar-option').forEach(function(opt) {
+            opt.setAttribute('tabindex', opt === tile ? '0' : '-1');
+        });
+        tile.focus({ preventScroll: true });
+        tile.scrollIntoView({ block: 'nearest' });
+        return true;
+    }
+
+    function focusFirstCategoryOrTile() {
+        const firstCategory = document.querySelector('#avatarCategoryList .category-link[tabindex="0"]');
+        if (firstCategory && firstCategory.offsetParent !== null) {
+            firstCategory.focus();
+            return;
+        }
+        focusTile(getActiveTile());
+    }
+
+    function getActiveTile() {
+        const container = document.getElementById('avatarGridContainer');
+        return container.querySelector('.avatar-option[aria-selected="true"]')
+            || container.querySelector('.avatar-option[tabindex="0"]')
+            || container.querySelector('.avatar-option');
+    }
+
+    function findTileInDirection(current, direction) {
+        const tiles = Array.from(document.querySelectorAll('#avatarGridContainer .avatar-option'));
+        const index = tiles.indexOf(current);
+
+        if (direction === 'left') return tiles[index - 1] || null;
+        if (direction === 'right') return tiles[index + 1] || null;
+
+        // Up/down: nearest tile in the next row, closest horizontally.
+        // Geometry-based so category headers breaking the rows are handled.
+        const rect = current.getBoundingClientRect();
+        const centerX = rect.left + rect.width / 2;
+        let best = null;
+        let bestRowDistance = Infinity;
+        let bestColumnDistance = Infinity;
+
+        tiles.forEach(function(tile) {
+            if (tile === current) return;
+            const r = tile.getBoundingClientRect();
+            const rowDistance = direction === 'down' ? r.top - rect.top : rect.top - r.top;
+            if (rowDistance <= 1) return;
+
+            const columnDistance = Math.abs(r.left + r.width / 2 - centerX);
+            const sameRow = Math.abs(rowDistance - bestRowDistance) <= 1;
+            if ((!sameRow && rowDistance < bestRowDistance) || (sameRow && columnDistance < bestColumnDistance)) {
+                best = tile;
+                bestRowDistance = rowDistance;
+                bestColumnDistance = columnDistance;
+            }
+        });
+
+        return best;
+    }
+
+    function handleGridKeydown(e, tile) {
+        const tiles = document.querySelectorAll('#avatarGridContainer .avatar-option');
+
+        switch (e.key) {
+            case 'ArrowLeft':
+            case 'ArrowRight':
+            case 'ArrowDown':
+                e.preventDefault();
+                focusTile(findTileInDirection(tile, e.key.replace('Arrow', '').toLowerCase()));
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                if (!focusTile(findTileInDirection(tile, 'up'))) {
+                    const activeCategory = document.querySelector('#avatarCategoryList .category-link[tabindex="0"]');
+                    if (activeCategory && activeCategory.offsetParent !== null) {
+                        activeCategory.focus();
+                    } else {
+                        document.getElementById('avatarSearchInput').focus();
+                    }
+                }
+                break;
+            case 'Home':
+                e.preventDefault();
+                focusTile(tiles[0]);
+                break;
+            case 'End':
+                e.preventDefault();
+                focusTile(tiles[tiles.length - 1]);
+                break;
+            case 'f':
+            case 'F':
+                e.preventDefault();
+                toggleFavorite(tile.dataset.id);
+                break;
+            case 'Enter':
+            case ' ':
+                e.preventDefault();
+                // A second Enter on the selected avatar moves on, so a remote never has to leave the grid
+                if (e.key === 'Enter' && tile.getAttribute('aria-selected') === 'true') {
+                    openEditor(selectedAvatarId);
+                } else {
+                    selectTile(tile);
+                }
+                break;
+        }
+    }
+
+    function handleCategoryKeydown(e, button) {
+        const buttons = Array.from(document.querySelectorAll('#avatarCategoryList .category-link'));
+        const index = buttons.indexOf(button);
+        let next = null;
+
+        switch (e.key) {
+            case 'ArrowLeft':
+                next = buttons[index - 1];
+                break;
+            case 'ArrowRight':
+                next = buttons[index + 1];
+                break;
+            case 'Home':
+                next = buttons[0];
+                break;
+            case 'End':
+                next = buttons[buttons.length - 1];
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                document.getElementById('avatarSearchInput').focus();
+                return;
+            case 'ArrowDown':
+                e.preventDefault();
+                focusTile(getActiveTile());
+                return;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        if (next) {
+            buttons.forEach(function(btn) { btn.setAttribute('tabindex', btn === next ? '0' : '-1'); });
+            next.focus();
+        }
+    }
+
+    function handleEditorKeydown(e) {
+        if (!editorState) return;
+
+        const step = 10;
+        switch (e.key) {
+            case 'ArrowLeft': editorState.offsetX -= step; break;
+            case 'ArrowRight': editorState.offsetX += step; break;
+            case 'ArrowUp': editorState.offsetY -= step; break;
+            case 'ArrowDown': editorState.offsetY += step; break;
+            case '+':
+            case '=':
+                editorState.zoom = Math.min(CONFIG.maxZoom, editorState.zoom * 1.1);
+                break;
+            case '-':
+                editorState.zoom = Math.max(1, editorState.zoom / 1.1);
+                break;
+            case '[':
+                rotateEditor(-90);
+                e.preventDefault();
+                return;
+            case ']':
+                rotateEditor(90);
+                e.preventDefault();
+                return;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        syncEditorControls();
+        drawEditor();
+    }
+
+    function showStep(step) {
+        const modal = document.getElementById(CONFIG.modalId);
+        const isEditor = step === 'editor';
+        currentStep = step;
+
+        modal.querySelector('#avatarPickerStep').style.display = isEditor ? 'none' : 'flex';
+        modal.querySelector('#avatarEditorStep').style.display = isEditor ? 'flex' : 'none';
+        modal.querySelector('#randomAvatarBtn').style.display = isEditor ? 'none' : 'flex';
+        modal.querySelector('#backAvatarBtn').style.display = isEditor ? 'flex' : 'none';
+        updateUndoButton();
+
+        const applyBtn = modal.querySelector('#applyAvatarBtn');
+        applyBtn.textContent = isEditor ? 'Set as My Avatar' : 'Next';
+        applyBtn.disabled = !selectedAvatarId;
+
+        if (isEditor) {
+            modal.querySelector('#avatarEditorCanvas').focus();
+        } else {
+            editorState = null;
+        }
+    }
+
+    // --- Avatar editor (pan / zoom / rotate inside a circular mask) ---
+
+    function openEditor(avatarId) {
+        if (!avatarId) return;
+
+        const applyBtn = document.getElementById('applyAvatarBtn');
+        applyBtn.disabled = true;
+
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = function() {
+            editorState = {
+                image: img,
+                avatarId: avatarId,
+                zoom: 1,
+                rotation: 0,
+                offsetX: 0,
+                offsetY: 0
+            };
+            syncEditorControls();
+            loadCurrentPreview();
+            showStep('editor');
+            drawEditor();
+        };
+        img.onerror = function() {
+            console.error('GetAvatar: Failed to load avatar image for editing', avatarId);
+            try { Dashboard.alert({ message: 'Failed to load avatar image.', title: 'Error' }); } catch (e) { alert('Failed to load avatar image.'); }
+            applyBtn.disabled = false;
+        };
+        img.src = ApiClient.getUrl(CONFIG.apiBaseUrl + '/Image/' + avatarId);
+    }
+
+    function bindEditorControls(modal) {
+        const canvas = modal.querySelector('#avatarEditorCanvas');
+        const zoomInput = modal.querySelector('#avatarEditorZoom');
+        const rotationInput = modal.querySelector('#avatarEditorRotation');
+        let drag = null;
+
+        zoomInput.addEventListener('input', function() {
+            if (!editorState) return;
+            editorState.zoom = parseFloat(this.value);
+            drawEditor();
+        });
+
+        rotationInput.addEventListener('input', function() {
+            if (!editorState) return;
+            editorState.rotation = parseInt(this.value, 10);
+            drawEditor();
+        });
+
+        modal.querySelector('#avatarEditorRotateLeft').onclick = function() { rotateEditor(-90); };
+        modal.querySelector('#avatarEditorRotateRight').onclick = function() { rotateEditor(90); };
+        modal.querySelector('#avatarEditorReset').onclick = function() {
+            if (!editorState) return;
+            editorState.zoom = 1;
+            editorState.rotation = 0;
+            editorState.offsetX = 0;
+            editorState.offsetY = 0;
+            syncEditorControls();
+            drawEditor();
+        };
+
+        canvas.addEventListener('pointerdown', function(e) {
+            if (!editorState) return;
+            drag = { x: e.clientX, y: e.clientY };
+            canvas.setPointerCapture(e.pointerId);
+            canvas.style.cursor = 'grabbing';
+        });
+
+        canvas.addEventListener('pointermove', function(e) {
+            if (!drag || !editorState) return;
+            // Offsets are kept in editor canvas pixels, independent of the CSS size
+            const ratio = CONFIG.editorSize / canvas.clientWidth;
+            editorState.offsetX += (e.clientX - drag.x) * ratio;
+            editorState.offsetY += (e.clientY - drag.y) * ratio;
+            drag = { x: e.clientX, y: e.clientY };
+            drawEditor();
+        });
+
+        const endDrag = function() {
+            drag = null;
+            canvas.style.cursor = 'grab';
+        };
+        canvas.addEventListener('pointerup', endDrag);
+        canvas.addEventListener('pointercancel', endDrag);
+
+        canvas.addEventListener('wheel', function(e) {
+            if (!editorState) return;
+            e.preventDefault();
+            const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
+            editorState.zoom = Math.min(CONFIG.maxZoom, Math.max(1, editorState.zoom * factor));
+            syncEditorControls();
+            drawEditor();
+        }, { passive: false });
+    }
+
+    function rotateEditor(degrees) {
+        if (!editorState) return;
+        let rotation = editorState.rotation + degrees;
+        if (rotation > 180) rotation -= 360;
+        if (rotation < -180) rotation += 360;
+        editorState.rotation = rotation;
+        syncEditorControls();
+        drawEditor();
+    }
+
+    function syncEditorControls() {
+        const state = editorState || { zoom: 1, rotation: 0 };
+        document.getElementById('avatarEditorZoom').value = state.zoom;
+        document.getElementById('avatarEditorRotation').value = state.rotation;
+    }
+
+    function renderAdjustedImage(ctx, size) {
+        const img = editorState.image;
+        const width = img.naturalWidth || img.width;
+        const height = img.naturalHeight || img.height;
+        // At zoom 1 the image covers the whole square, like object-fit: cover
+        const scale = Math.max(size / width, size / height) * editorState.zoom;
+        const unit = size / CONFIG.editorSize;
+
+        ctx.clearRect(0, 0, size, size);
+        ctx.save();
+        ctx.translate(size / 2 + editorState.offsetX * unit, size / 2 + editorState.offsetY * unit);
+        ctx.rotate(editorState.rotation * Math.PI / 180);
+        ctx.scale(scale, scale);
+        ctx.drawImage(img, -width / 2, -height / 2);
+        ctx.restore();
+    }
+
+    function drawEditor() {
+        if (!editorState) return;
+
+        const canvas = document.getElementById('avatarEditorCanvas');
+        const ctx = canvas.getContext('2d');
+        const size = CONFIG.editorSize;
+
+        renderAdjustedImage(ctx, size);
+
+        // Dim everything outside the circle Jellyfin uses for profile bubbles
+        ctx.save();
+        ctx.fillStyle = 'rgba(0,0,0,0.6)';
+        ctx.beginPath();
+        ctx.rect(0, 0, size, size);
+        ctx.arc(size / 2, size / 2, size / 2, 0, Math.PI * 2);
+        ctx.fill('evenodd');
+        ctx.strokeStyle = 'rgba(255,255,255,0.8)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(size / 2, size / 2, size / 2 - 1, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+
+        drawComparePreview();
+    }
+
+    // The preview bubbles are square renders clipped by CSS, the same way Jellyfin rounds profile images
+    function drawComparePreview() {
+        ['avatarCompareNewCard', 'avatarCompareNewHeader'].forEach(function(id) {
+            const canvas = document.getElementById(id);
+            renderAdjustedImage(canvas.getContext('2d'), canvas.width);
+        });
+    }
+
+    function loadCurrentPreview() {
+        const userId = targetUserId || ApiClient.getCurrentUserId();
+        // Jellyfin's own image, so an adjusted crop or an avatar from outside the pool shows as it is today
+        const url = ApiClient.getUrl('/Users/' + userId + '/Images/Primary', { quality: 90, t: Date.now() });
+        ['avatarCompareCurrentCard', 'avatarCompareCurrentHeader'].forEach(function(id) {
+            const img = document.getElementById(id);
+            img.style.visibility = '';
+            img.onerror = function() {
+                // No profile image yet: leave the placeholder icon visible
+                this.style.visibility = 'hidden';
+            };
+            img.src = url;
+        });
+    }
+
+    function isEditorPristine() {
+        return !editorState
+            || (editorState.zoom === 1 && editorState.rotation === 0 && editorState.offsetX === 0 && editorState.offsetY === 0);
+    }
+
+    function exportAdjustedImage() {
+        // Untouched avatars are applied from the pool as-is (keeps animated GIFs intact)
+        if (isEditorPristine()) return null;
+
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = CONFIG.outputSize;
+            canvas.height = CONFIG.outputSize;
+            renderAdjustedImage(canvas.getContext('2d'), CONFIG.outputSize);
+            return canvas.toDataURL('image/png').split(',')[1];
+        } catch (e) {
+            console.warn('GetAvatar: Could not export adjusted image, using original', e);
+            return null;
+        }
+    }
+
+    function openModal(category) {
         const container = document.querySelector('#' + CONFIG.modalId + ' .dialogContainer');
         if (container) {
+            pendingCategory = category || null;
+            returnFocusElement = document.activeElement;
+
             container.style.display = 'flex';
             container.style.position = 'fixed';
             container.style.inset = '0';
@@ -67,8 +811,12 @@
             document.body.style.overflow = 'hidden';
             document.body.style.position = 'fixed';
             document.body.style.width = '100%';
-            
-            loadAvatars();
+
+            const searchInput = document.getElementById('avatarSearchInput');
+            try { searchInput.value = sessionStorage.getItem(CONFIG.searchStorageKey) || ''; } catch (e) { searchInput.value = ''; }
+
+            loadAvatars(true);
+            document.dispatchEvent(new CustomEvent('getavatar:opened', { detail: { userId: targetUserId, category: pendingCategory } }));
         }
     }
 
@@ -77,20 +825,97 @@
         if (container) {
             container.style.display = 'none';
             selectedAvatarId = null;
+            showStep('picker');
             
             // FIX phone scroll
             document.body.style.overflow = '';
             document.body.style.position = '';
             document.body.style.width = '';
+
+            const focusTarget = returnFocusElement && document.body.contains(returnFocusElement)
+                ? returnFocusElement
+                : document.getElementById('btnChooseGetAvatar');
+            returnFocusElement = null;
+            if (focusTarget) focusTarget.focus();
+        }
+    }
+
+    function getSearchTerm() {
+        const searchInput = document.getElementById('avatarSearchInput');
+        return searchInput ? searchInput.value.trim() : '';
+    }
+
+    async function fetchAvatars(params) {
+        // The listing is filtered by the category rules of the user the avatar is picked for
+        const query = Object.assign({}, params, targetUserId ? { userId: targetUserId } : {});
+        const response = await fetch(ApiClient.getUrl(CONFIG.apiBaseUrl + '/Avatars', query), {
+            headers: {
+                'X-Emby-Token': ApiClient.accessToken()
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
         }
+
+        return response.json();
     }
 
-    async function loadAvatars() {
+    async function loadAvatars(focusWhenReady) {
         const container = document.getElementById('avatarGridContainer');
-        container.innerHTML = '<p style="grid-column:1/-1;text-align:center;opacity:0.7;">Loading...</p>';
+        const generation = ++loadGeneration;
+        const searchTerm = getSearchTerm();
+
+        if (chunkObserver) chunkObserver.disconnect();
+        chunkCache = new Map();
+
+        container.innerHTML = '<p role="presentation" style="grid-column:1/-1;text-align:center;opacity:0.7;">Loading...</p>';
+        container.setAttribute('aria-busy', 'true');
 
         try {
-            const response = await fetch(ApiClient.getUrl(CONFIG.apiBaseUrl + '/Avatars'), {
+            // limit=0 returns only the total and the category breakdown; tiles are fetched per chunk
+            const [result] = await Promise.all([
+                fetchAvatars({ startIndex: 0, limit: 0, searchTerm: searchTerm }),
+                loadUserPreferences()
+            ]);
+            if (generation !== loadGeneration) return;
+
+            // 0 is a valid index, so the casing fallback cannot use ||
+            const currentIndex = 'CurrentAvatarIndex' in result ? result.CurrentAvatarIndex : result.currentAvatarIndex;
+            avatarIndex = {
+                total: result.TotalRecordCount || result.totalRecordCount || 0,
+                categories: result.Categories || result.categories || [],
+                searchTerm: searchTerm,
+                currentAvatarId: result.CurrentAvatarId || result.currentAvatarId || null,
+                currentIndex: typeof currentIndex === 'number' ? currentIndex : -1
+            };
+            pendingTileFocus = !!focusWhenReady;
+            pendingLocate = !!focusWhenReady;
+            renderAvatars(avatarIndex);
+            renderRotation();
+            container.removeAttribute('aria-busy');
+
+            if (searchTerm) {
+                announce(avatarIndex.total === 0
+                    ? 'No avatars found'
+                    : avatarIndex.total + ' avatar' + (avatarIndex.total > 1 ? 's' : '') + ' found');
+            }
+
+            if (focusWhenReady && avatarIndex.total === 0) {
+                document.querySelector('#' + CONFIG.modalId + ' .btnCancel').focus();
+            }
+        } catch (error) {
+            if (generation !== loadGeneration) return;
+            console.error('GetAvatar: Failed to load avatars', error);
+            container.removeAttribute('aria-busy');
+            container.innerHTML = '<p role="alert" style="grid-column:1/-1;text-align:center;color:#e66;">Failed to load avatars</p>';
+        }
+    }
+
+    async function loadUserPreferences() {
+        try {
+            const params = targetUserId ? { userId: targetUserId } : {};
+            const response = await fetch(ApiClient.getUrl(CONFIG.apiBaseUrl + '/UserPreferences', params), {
                 headers: {
                     'X-Emby-Token': ApiClient.accessToken()
                 }
@@ -100,13 +925,181 @@
                 throw new Error('HTTP ' + response.status);
             }
 
-            avatars = await response.json();
-            console.log('GetAvatar: Loaded avatars', avatars);
-            renderAvatars(avatars);
+            const result = await response.json();
+            userPreferences = {
+                favorites: result.Favorites || result.favorites || [],
+                recent: result.Recent || result.recent || [],
+                history: (result.History || result.history || []).map(function(entry) {
+                    return { avatar: entry.Avatar || entry.avatar, appliedAt: new Date(entry.AppliedAt || entry.appliedAt) };
+                }),
+                currentAvatarId: result.CurrentAvatarId || result.currentAvatarId || null,
+                rotation: normalizeRotation(result.Rotation || result.rotation)
+            };
         } catch (error) {
-            console.error('GetAvatar: Failed to load avatars', error);
-            container.innerHTML = '<p style="grid-column:1/-1;text-align:center;color:#e66;">Failed to load avatars</p>';
+            // The picker still works without the favorites, recently used and history rows
+            console.warn('GetAvatar: Failed to load favorites', error);
+            userPreferences = { favorites: [], recent: [], history: [], currentAvatarId: null, rotation: null };
+        }
+
+        favoriteIds = new Set(userPreferences.favorites.map(function(a) { return a.Id || a.id; }));
+        updateUndoButton();
+    }
+
+    function isCurrentHistoryEntry(entry, index) {
+        return index === 0 && (entry.avatar.Id || entry.avatar.id) === userPreferences.currentAvatarId;
+    }
+
+    // The entry "Undo" goes back to: the one before the current avatar
+    function getUndoTarget() {
+        const history = userPreferences.history;
+        if (history.length === 0) return null;
+        return isCurrentHistoryEntry(history[0], 0) ? history[1] || null : history[0];
+    }
+
+    function updateUndoButton() {
+        const btn = document.getElementById('undoAvatarBtn');
+        if (!btn) return;
+
+        const target = currentStep === 'picker' ? getUndoTarget() : null;
+        btn.style.display = target ? 'flex' : 'none';
+        if (target) {
+            btn.title = 'Go back to ' + (target.avatar.Name || target.avatar.name || 'the previous avatar');
+        }
+    }
+
+    function normalizeRotation(rotation) {
+        if (!rotation) return null;
+        const next = rotation.NextRotationAt || rotation.nextRotationAt;
+        return {
+            interval: rotation.Interval || rotation.interval || 'Off',
+            category: rotation.Category || rotation.category || '',
+            nextRotationAt: next ? new Date(next) : null
+        };
+    }
+
+    function renderRotation() {
+        const bar = document.getElementById('avatarRotationBar');
+        if (!bar) return;
+
+        // Without preferences there is nothing to show or save against
+        const rotation = userPreferences.rotation;
+        bar.style.display = rotation ? 'flex' : 'none';
+        if (!rotation) return;
+
+        const intervalSelect = document.getElementById('avatarRotationInterval');
+        const categorySelect = document.getElementById('avatarRotationCategory');
+        intervalSelect.value = rotation.interval;
+
+        // While searching only the matching categories are known, so keep the saved one listed
+        const names = getCategories().map(function(c) { return c.name; }).filter(Boolean);
+        if (rotation.category && !names.some(function(name) { return name.toLowerCase() === rotation.category.toLowerCase(); })) {
+            names.push(rotation.category);
         }
+        categorySelect.innerHTML = '<option value="">All avatars</option>' + names.map(function(name) {
+            return '<option value="' + escapeHtml(name) + '">' + escapeHtml(name) + '</option>';
+        }).join('');
+        categorySelect.value = names.find(function(name) { return name.toLowerCase() === rotation.category.toLowerCase(); }) || '';
+        categorySelect.disabled = rotation.interval === 'Off';
+
+        document.getElementById('avatarRotationNext').textContent = rotation.interval !== 'Off' && rotation.nextRotationAt
+            ? 'Next change: ' + rotation.nextRotationAt.toLocaleString()
+            : '';
+    }
+
+    async function saveRotation() {
+        const intervalSelect = document.getElementById('avatarRotationInterval');
+        const categorySelect = document.getElementById('avatarRotationCategory');
+        intervalSelect.disabled = true;
+        categorySelect.disabled = true;
+
+        try {
+            const requestBody = { interval: intervalSelect.value, category: categorySelect.value || null };
+            if (targetUserId) {
+                requestBody.userId = targetUserId;
+            }
+
+            const response = await fetch(ApiClient.getUrl(CONFIG.apiBaseUrl + '/Rotation'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Emby-Token': ApiClient.accessToken()
+                },
+                body: JSON.stringify(requestBody)
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || 'HTTP ' + response.status);
+            }
+
+            const result = await response.json();
+            userPreferences.rotation = normalizeRotation(result.rotation || result.Rotation);
+            announce(result.message || 'Avatar rotation saved');
+        } catch (error) {
+            console.error('GetAvatar: Failed to save rotation', error);
+            try { Dashboard.alert({ message: 'Failed to save avatar rotation: ' + error.message, title: 'Error' }); } catch (e) { alert('Failed to save avatar rotation: ' + error.message); }
+        } finally {
+            intervalSelect.disabled = false;
+            renderRotation();
+        }
+    }
+
+    function formatAppliedAt(date) {
+        const minutes = Math.round((Date.now() - date.getTime()) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return minutes + ' min ago';
+        const hours = Math.round(minutes / 60);
+        if (hours < 24) return hours + ' h ago';
+        const days = Math.round(hours / 24);
+        if (days < 7) return days + (days > 1 ? ' days ago' : ' day ago');
+        return date.toLocaleDateString();
+    }
+
+    async function toggleFavorite(avatarId) {
+        if (!avatarId) return;
+
+        const isFavorite = !favoriteIds.has(avatarId);
+        const params = targetUserId ? { userId: targetUserId } : {};
+
+        try {
+            const response = await fetch(ApiClient.getUrl(CONFIG.apiBaseUrl + '/Favorites/' + encodeURIComponent(avatarId), params), {
+                method: isFavorite ? 'POST' : 'DELETE',
+                headers: {
+                    'X-Emby-Token': ApiClient.accessToken()
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+        } catch (error) {
+            console.error('GetAvatar: Failed to update favorites', error);
+            try { Dashboard.alert({ message: 'Failed to update favorites: ' + error.message, title: 'Error' }); } catch (e) { alert('Failed to update favorites: ' + error.message); }
+            return;
+        }
+
+        if (isFavorite) {
+            favoriteIds.add(avatarId);
+        } else {
+            favoriteIds.delete(avatarId);
+        }
+        updateFavoriteButtons(avatarId);
+        announce(isFavorite ? 'Added to favorites' : 'Removed from favorites');
+
+        await loadUserPreferences();
+        if (!avatarIndex.searchTerm) {
+            renderCategoryLinks();
+            renderQuickRows();
+        }
+    }
+
+    function updateFavoriteButtons(avatarId) {
+        const isFavorite = favoriteIds.has(avatarId);
+        document.querySelectorAll('#avatarGridContainer .avatar-favorite-btn').forEach(function(btn) {
+            if (btn.dataset.id !== avatarId) return;
+            btn.setAttribute('aria-pressed', String(isFavorite));
+            btn.title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+            btn.querySelector('.material-icons').className = 'material-icons ' + (isFavorite ? 'star' : 'star_border');
+        });
     }
 
     function escapeHtml(str) {
@@ -118,120 +1111,433 @@
             .replace(/'/g, '&#39;');
     }
 
-    function renderAvatars(list) {
-        const container = document.getElementById('avatarGridContainer');
+    function getQuickRows() {
+        // Favorites and recently used only show on the full list, not inside search results
+        if (avatarIndex.searchTerm) return [];
+
+        // Recently used lists each avatar once; history keeps every change, with when and a revert button
+        const history = userPreferences.history.slice(0, CONFIG.historySize);
+        return [
+            { id: 'avatar-quick-favorites', title: 'Favorites', avatars: userPreferences.favorites },
+            { id: 'avatar-quick-recent', title: 'Recently used', avatars: userPreferences.recent },
+            {
+                id: 'avatar-quick-history',
+                title: 'History',
+                avatars: history.map(function(entry) { return entry.avatar; }),
+                entries: history
+            }
+        ].filter(function(row) { return row.avatars.length > 0; });
+    }
+
+    function getCategories() {
+        // Categories arrive in display order (uncategorized first), matching the server's item order
+        return avatarIndex.categories.map(function(c) {
+            return { name: c.Name || c.name || '', count: c.Count || c.count || 0 };
+        });
+    }
+
+    function renderCategoryLinks() {
         const categoryList = document.getElementById('avatarCategoryList');
+        if (!categoryList) return;
 
-        if (!list || list.length === 0) {
-            container.innerHTML = '<p style="grid-column:1/-1;text-align:center;opacity:0.6;">No avatars available. Contact your administrator.</p>';
-            if (categoryList) {
-                categoryList.style.display = 'none';
-                categoryList.innerHTML = '';
+        const links = getQuickRows().map(function(row) {
+            return { label: row.title, target: row.id };
+        });
+        getCategories().forEach(function(category) {
+            if (category.name) {
+                links.push({ label: category.name, target: 'avatar-category-' + category.name });
             }
+        });
+
+        if (links.length === 0) {
+            categoryList.style.display = 'none';
+            categoryList.innerHTML = '';
             return;
         }
 
-        // Group avatars by category
-        const grouped = {};
-        list.forEach(function(avatar) {
-            const category = avatar.Category || avatar.category || '';
-            if (!grouped[category]) grouped[category] = [];
-            grouped[category].push(avatar);
+        // Keep the roving tab stop on the same link when the list is rebuilt
+        const activeLink = categoryList.querySelector('.category-link[tabindex="0"]');
+        const activeIndex = activeLink
+            ? Math.max(0, links.findIndex(function(link) { return link.target === activeLink.dataset.target; }))
+            : 0;
+
+        let categoryHtml = '';
+        links.forEach(function(link, i) {
+            categoryHtml += '<button type="button" class="category-link raised" tabindex="' + (i === activeIndex ? '0' : '-1') + '" data-target="' + escapeHtml(link.target) + '" style="background:rgba(255,255,255,0.08);border:1px solid rgba(255,255,255,0.15);border-radius:999px;padding:0.4em 0.9em;color:inherit;cursor:pointer;transition:all 0.2s;font-size:0.85em;white-space:nowrap;">' + escapeHtml(link.label) + '</button>';
         });
+        categoryList.innerHTML = categoryHtml;
+        categoryList.style.display = 'flex';
 
-        var categories = Object.keys(grouped).sort(function(a, b) {
-            if (a === '' && b !== '') return -1;
-            if (a !== '' && b === '') return 1;
-            return a.localeCompare(b);
+        categoryList.querySelectorAll('.category-link').forEach(function(btn) {
+            btn.addEventListener('click', function() {
+                const target = document.getElementById(this.getAttribute('data-target'));
+                if (!target) return;
+
+                target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+                // Land keyboard focus on the first avatar of the section once its tiles are rendered
+                const section = target.nextElementSibling;
+                if (!section) return;
+                const firstTile = section.querySelector('.avatar-option');
+                if (firstTile) {
+                    focusTile(firstTile);
+                } else if (section.classList.contains('avatar-chunk')) {
+                    section.dataset.focusOnRender = 'true';
+                }
+            });
         });
+    }
 
-        var html = '';
-        var hasMultipleCategories = categories.length > 1 || categories[0] !== '';
+    function renderQuickRows() {
+        const wrapper = document.getElementById('avatarQuickRows');
+        if (!wrapper) return;
 
-        if (categoryList) {
-            if (hasMultipleCategories) {
-                var categoryHtml = '';
-                categories.forEach(function(category) {
-                    if (!category) return;
-                    var categoryId = 'avatar-category-' + category;
-                    categoryHtml += '<button class="category-link raised" data-target="' + escapeHtml(categoryId) + '" style="background:rgba(255,255,255,0.08);border:1px solid rgba(255,255,255,0.15);border-radius:999px;padding:0.4em 0.9em;color:inherit;cursor:pointer;transition:all 0.2s;font-size:0.85em;white-space:nowrap;">' + escapeHtml(category) + '</button>';
-                });
-                categoryList.innerHTML = categoryHtml;
-                categoryList.style.display = 'flex';
-
-                categoryList.querySelectorAll('.category-link').forEach(function(btn) {
-                    btn.addEventListener('click', function() {
-                        var targetId = this.getAttribute('data-target');
-                        var target = document.getElementById(targetId);
-                        if (target) {
-                            target.scrollIntoView({ behavior: 'smooth', block: 'start' });
-                        }
-                    });
-                });
-            } else {
+        const focusedId = wrapper.contains(document.activeElement) ? document.activeElement.dataset.id : null;
+
+        let html = '';
+        getQuickRows().forEach(function(row) {
+            html += '<div id="' + row.id + '" role="presentation" aria-hidden="true" style="grid-column:1/-1;margin-top:1em;margin-bottom:0.3em;padding-bottom:0.3em;border-bottom:1px solid rgba(255,255,255,0.1);">';
+            html += '<h3 style="margin:0;font-size:1em;font-weight:600;">' + escapeHtml(row.title) + '</h3>';
+            html += '</div>';
+            html += '<div class="avatar-quick-row" role="presentation" style="grid-column:1/-1;display:grid;grid-template-columns:repeat(auto-fill,minmax(100px,1fr));gap:1em;">';
+            row.avatars.forEach(function(avatar, i) {
+                html += buildTileHtml(avatar, row.title, row.entries ? { entry: row.entries[i], isCurrent: isCurrentHistoryEntry(row.entries[i], i) } : null);
+            });
+            html += '</div>';
+        });
+
+        wrapper.innerHTML = html;
+        wrapper.style.display = html ? 'grid' : 'none';
+        bindTiles(wrapper);
+
+        // Unstarring from the Favorites row removes the focused tile; keep focus on that avatar elsewhere
+        if (focusedId && !wrapper.contains(document.activeElement)) {
+            const replacement = document.querySelector('#avatarGridContainer .avatar-option[data-id="' + CSS.escape(focusedId) + '"]');
+            focusTile(replacement || getActiveTile());
+        }
+    }
+
+    function renderAvatars(index) {
+        const container = document.getElementById('avatarGridContainer');
+        const categoryList = document.getElementById('avatarCategoryList');
+
+        if (!index || index.total === 0) {
+            container.innerHTML = index && index.searchTerm
+                ? '<p role="presentation" style="grid-column:1/-1;text-align:center;opacity:0.6;">No avatars match \u201c' + escapeHtml(index.searchTerm) + '\u201d.</p>'
+                : '<p role="presentation" style="grid-column:1/-1;text-align:center;opacity:0.6;">No avatars available. Contact your administrator.</p>';
+            if (categoryList) {
                 categoryList.style.display = 'none';
                 categoryList.innerHTML = '';
             }
+            return;
         }
 
+        const categories = getCategories();
+        const hasQuickRows = getQuickRows().length > 0;
+        const hasMultipleCategories = categories.length > 1 || categories[0].name !== '';
+
+        renderCategoryLinks();
+
+        let html = '<div id="avatarQuickRows" role="presentation" style="grid-column:1/-1;display:none;grid-template-columns:repeat(auto-fill,minmax(100px,1fr));gap:1em;"></div>';
+        let offset = 0;
         categories.forEach(function(category) {
-            var categoryAvatars = grouped[category];
-            var categoryId = 'avatar-category-' + (category || 'uncategorized');
+            const categoryId = 'avatar-category-' + (category.name || 'uncategorized');
 
-            if (hasMultipleCategories && category) {
-                html += '<div id="' + escapeHtml(categoryId) + '" style="grid-column:1/-1;margin-top:1em;margin-bottom:0.3em;padding-bottom:0.3em;border-bottom:1px solid rgba(255,255,255,0.1);">';
-                html += '<h3 style="margin:0;font-size:1em;font-weight:600;">' + escapeHtml(category) + '</h3>';
+            if (category.name && (hasMultipleCategories || hasQuickRows)) {
+                html += '<div id="' + escapeHtml(categoryId) + '" role="presentation" aria-hidden="true" style="grid-column:1/-1;margin-top:1em;margin-bottom:0.3em;padding-bottom:0.3em;border-bottom:1px solid rgba(255,255,255,0.1);">';
+                html += '<h3 style="margin:0;font-size:1em;font-weight:600;">' + escapeHtml(category.name) + '</h3>';
+                html += '</div>';
+            } else if (hasQuickRows) {
+                // Separates the pool from the rows above it when nothing is categorized
+                html += '<div id="' + escapeHtml(categoryId) + '" role="presentation" aria-hidden="true" style="grid-column:1/-1;margin-top:1em;margin-bottom:0.3em;padding-bottom:0.3em;border-bottom:1px solid rgba(255,255,255,0.1);">';
+                html += '<h3 style="margin:0;font-size:1em;font-weight:600;">' + (hasMultipleCategories ? 'Other avatars' : 'All avatars') + '</h3>';
                 html += '</div>';
             } else if (hasMultipleCategories) {
-                html += '<div id="' + escapeHtml(categoryId) + '" style="grid-column:1/-1;"></div>';
+                html += '<div id="' + escapeHtml(categoryId) + '" role="presentation" aria-hidden="true" style="grid-column:1/-1;"></div>';
             }
 
-            categoryAvatars.forEach(function(avatar) {
-                html += `
-            <div class="avatar-option" data-id="${escapeHtml(avatar.Id)}" style="cursor:pointer;text-align:center;padding:0.5em;border:2px solid transparent;border-radius:8px;">
+            // Each chunk is a placeholder sized for its tiles until it scrolls near the viewport
+            for (let start = 0; start < category.count; start += CONFIG.pageSize) {
+                const count = Math.min(CONFIG.pageSize, category.count - start);
+                html += '<div class="avatar-chunk" role="presentation" data-start="' + (offset + start) + '" data-count="' + count + '" data-category="' + escapeHtml(category.name) + '" style="grid-column:1/-1;display:grid;grid-template-columns:repeat(auto-fill,minmax(100px,1fr));gap:1em;min-height:' + estimateChunkHeight(count) + 'px;"></div>';
+            }
+
+            offset += category.count;
+        });
+
+        container.innerHTML = html;
+        renderQuickRows();
+
+        chunkObserver = new IntersectionObserver(function(entries) {
+            entries.forEach(function(entry) {
+                if (entry.isIntersecting) {
+                    renderChunk(entry.target);
+                } else {
+                    unrenderChunk(entry.target);
+                }
+            });
+        }, { root: container, rootMargin: CONFIG.renderMargin + ' 0px' });
+
+        container.querySelectorAll('.avatar-chunk').forEach(function(chunk) {
+            chunkObserver.observe(chunk);
+        });
+
+        // Open on the user's current avatar: in the quick rows when it is listed there, otherwise in its category
+        const currentInQuickRows = index.currentAvatarId
+            ? container.querySelector('#avatarQuickRows .avatar-option[data-id="' + CSS.escape(index.currentAvatarId) + '"]')
+            : null;
+        const categoryLink = pendingCategory ? findCategoryLink(pendingCategory) : null;
+        const locateChunk = pendingLocate && !categoryLink && !currentInQuickRows ? findChunkAt(index.currentIndex) : null;
+        pendingLocate = false;
+        pendingCategory = null;
+
+        if (categoryLink) {
+            // Opened on a category: same as clicking its link, which also moves focus there
+            pendingTileFocus = false;
+            categoryLink.click();
+        } else if (locateChunk) {
+            locateChunk.dataset.locateId = index.currentAvatarId;
+            locateChunk.scrollIntoView({ block: 'start' });
+        } else if (pendingTileFocus && hasQuickRows) {
+            // Quick rows render immediately, so they can take the initial focus
+            pendingTileFocus = false;
+            focusTile(currentInQuickRows || getActiveTile());
+        }
+    }
+
+    function findCategoryLink(categoryName) {
+        const category = getCategories().find(function(c) {
+            return c.name && c.name.toLowerCase() === String(categoryName).toLowerCase();
+        });
+        return category
+            ? document.querySelector('#avatarCategoryList .category-link[data-target="' + CSS.escape('avatar-category-' + category.name) + '"]')
+            : null;
+    }
+
+    function findChunkAt(avatarIndexInList) {
+        if (avatarIndexInList < 0) return null;
+        return Array.prototype.find.call(document.querySelectorAll('#avatarGridContainer .avatar-chunk'), function(chunk) {
+            const start = parseInt(chunk.dataset.start, 10);
+            return avatarIndexInList >= start && avatarIndexInList < start + parseInt(chunk.dataset.count, 10);
+        }) || null;
+    }
+
+    function buildTileHtml(avatar, category, history) {
+        const avatarId = avatar.Id || avatar.id;
+        const name = avatar.Name || avatar.name || '';
+        const isSelected = avatarId === selectedAvatarId;
+        const isFavorite = favoriteIds.has(avatarId);
+        const isCurrent = avatarId === userPreferences.currentAvatarId;
+        const when = history ? (history.isCurrent ? 'Current' : formatAppliedAt(history.entry.appliedAt)) : '';
+        const label = (category ? name + ', ' + category : name) + (when ? ', ' + when : '') + (isCurrent && !when ? ', your current avatar' : '');
+        return `
+            <div class="avatar-option${isCurrent ? ' avatar-current' : ''}" role="option" tabindex="-1" aria-selected="${isSelected}" aria-label="${escapeHtml(label)}" aria-keyshortcuts="F" data-id="${escapeHtml(avatarId)}" style="position:relative;cursor:pointer;text-align:center;padding:0.5em;border:2px solid ${isSelected ? '#52B54B' : 'transparent'};border-radius:8px;${isSelected ? 'background:rgba(82,181,75,0.15);' : ''}">
                 <div class="getavatar-cardbox">
-                    <img src="${escapeHtml(ApiClient.getUrl('/GetAvatar/Image/' + avatar.Id))}" style="width:100%;aspect-ratio:1;object-fit:cover;border-radius:4px;" />
-                    <div style="font-size:0.8em;margin-top:0.5em;opacity:0.8;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${escapeHtml(avatar.Name)}</div>
+                    <img src="${escapeHtml(ApiClient.getUrl('/GetAvatar/Image/' + avatarId))}" alt="" loading="lazy" style="width:100%;aspect-ratio:1;object-fit:cover;border-radius:4px;" />
+                    ${isCurrent ? '<span class="avatar-current-badge" aria-hidden="true">Current</span>' : ''}
+                    <div style="font-size:0.8em;margin-top:0.5em;opacity:0.8;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${escapeHtml(name)}</div>
+                    ${history ? `<div class="avatar-history-time" title="${escapeHtml(history.entry.appliedAt.toLocaleString())}">${escapeHtml(when)}</div>` : ''}
                 </div>
+                ${history && !history.isCurrent ? `<button type="button" class="avatar-revert-btn" tabindex="-1" aria-hidden="true" data-id="${escapeHtml(avatarId)}" title="Revert to this avatar"><span class="material-icons history"></span></button>` : ''}
+                <button type="button" class="avatar-favorite-btn" tabindex="-1" aria-hidden="true" aria-pressed="${isFavorite}" data-id="${escapeHtml(avatarId)}" title="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}">
+                    <span class="material-icons ${isFavorite ? 'star' : 'star_border'}"></span>
+                </button>
             </div>
         `;
-            });
-        });
-
-        container.innerHTML = html;
+    }
 
-        container.querySelectorAll('.avatar-option').forEach(el => {
+    function bindTiles(root) {
+        root.querySelectorAll('.avatar-option').forEach(el => {
             el.onclick = function() {
-                container.querySelectorAll('.avatar-option').forEach(opt => {
-                    opt.style.borderColor = 'transparent';
-                    opt.style.background = '';
-                });
-                this.style.borderColor = '#52B54B';
-                this.style.background = 'rgba(82,181,75,0.15)';
-                selectedAvatarId = this.dataset.id;
-                document.getElementById('applyAvatarBtn').disabled = false;
+                selectTile(this);
+            };
+        });
+        root.querySelectorAll('.avatar-favorite-btn').forEach(btn => {
+            btn.onclick = function(e) {
+                e.stopPropagation();
+                toggleFavorite(this.dataset.id);
+            };
+        });
+        root.querySelectorAll('.avatar-revert-btn').forEach(btn => {
+            btn.onclick = function(e) {
+                e.stopPropagation();
+                revertAvatar(this.dataset.id);
             };
         });
     }
 
-    function refreshProfileImages(successMessage) {
+    function estimateChunkHeight(count) {
+        const container = document.getElementById('avatarGridContainer');
+        const gap = 16;
+        const width = Math.max(100, container.clientWidth - 8);
+        const columns = Math.max(1, Math.floor((width + gap) / (100 + gap)));
+        const tileWidth = (width - gap * (columns - 1)) / columns;
+        // Tile = padding + square image + name line
+        const rowHeight = tileWidth + 36;
+        const rows = Math.ceil(count / columns);
+        return Math.round(rows * rowHeight + (rows - 1) * gap);
+    }
+
+    async function renderChunk(chunk) {
+        if (chunk.dataset.state === 'loading' || chunk.dataset.state === 'rendered') return;
+
+        const generation = loadGeneration;
+        const start = parseInt(chunk.dataset.start, 10);
+        const count = parseInt(chunk.dataset.count, 10);
+        chunk.dataset.state = 'loading';
+
+        let items = chunkCache.get(start);
+        if (!items) {
+            try {
+                const result = await fetchAvatars({ startIndex: start, limit: count, searchTerm: avatarIndex.searchTerm });
+                items = result.Items || result.items || [];
+            } catch (error) {
+                console.error('GetAvatar: Failed to load avatars', error);
+                delete chunk.dataset.state;
+                return;
+            }
+
+            if (generation !== loadGeneration) return;
+            chunkCache.set(start, items);
+        }
+
+        const category = chunk.dataset.category;
+        let html = '';
+        items.forEach(function(avatar) {
+            html += buildTileHtml(avatar, category);
+        });
+
+        chunk.innerHTML = html;
+        chunk.style.minHeight = '';
+        chunk.dataset.state = 'rendered';
+
+        const container = document.getElementById('avatarGridContainer');
+        const options = chunk.querySelectorAll('.avatar-option');
+        bindTiles(chunk);
+
+        // The chunk holding the current avatar was scrolled to before it rendered; settle on the tile itself
+        const locatedTile = chunk.dataset.locateId
+            ? chunk.querySelector('.avatar-option[data-id="' + CSS.escape(chunk.dataset.locateId) + '"]')
+            : null;
+        if (chunk.dataset.locateId) {
+            delete chunk.dataset.locateId;
+            if (locatedTile) locatedTile.scrollIntoView({ block: 'center' });
+        }
+
+        // Keep exactly one tile in the tab order
+        if (!container.querySelector('.avatar-option[tabindex="0"]')) {
+            const activeTile = chunk.querySelector('.avatar-option[aria-selected="true"]') || locatedTile || options[0];
+            if (activeTile) activeTile.setAttribute('tabindex', '0');
+        }
+
+        // While the current avatar's chunk is still loading, neighbouring chunks must not take the initial focus
+        const awaitingLocate = !!container.querySelector('.avatar-chunk[data-locate-id]');
+        if (chunk.dataset.focusOnRender || (pendingTileFocus && !awaitingLocate)) {
+            delete chunk.dataset.focusOnRender;
+            pendingTileFocus = false;
+            focusTile(locatedTile || getActiveTile());
+        }
+    }
+
+    function unrenderChunk(chunk) {
+        if (chunk.dataset.state !== 'rendered') return;
+        // Never pull the focused tile out from under a keyboard user
+        if (chunk.contains(document.activeElement)) return;
+
+        chunk.style.minHeight = chunk.offsetHeight + 'px';
+        chunk.innerHTML = '';
+        chunk.dataset.state = 'cached';
+    }
+
+    function selectTile(tile) {
+        // The same avatar can appear in the favorites, recently used and category sections
+        document.querySelectorAll('#avatarGridContainer .avatar-option').forEach(opt => {
+            const isSelected = opt.dataset.id === tile.dataset.id;
+            opt.style.borderColor = isSelected ? '#52B54B' : 'transparent';
+            opt.style.background = isSelected ? 'rgba(82,181,75,0.15)' : '';
+            opt.setAttribute('aria-selected', String(isSelected));
+            opt.setAttribute('tabindex', opt === tile ? '0' : '-1');
+        });
+        selectedAvatarId = tile.dataset.id;
+        document.getElementById('applyAvatarBtn').disabled = false;
+        announce(tile.getAttribute('aria-label') + ' selected. Press Enter again to continue.');
+    }
+
+    function refreshProfileImages(successMessage, avatarId) {
         try { Dashboard.alert({ message: successMessage, title: 'Success' }); } catch (e) { console.warn('GetAvatar: Dashboard.alert error (success)', e); }
 
+        notifyAvatarChanged(targetUserId || ApiClient.getCurrentUserId(), avatarId);
+    }
+
+    function notifyAvatarChanged(userId, avatarId) {
+        if (!userId) return;
+
+        const timestamp = Date.now();
+        updateUserImages(userId, timestamp);
+        dispatchChanged({ userId: userId, avatarId: avatarId || null, fromOtherTab: false });
+        if (avatarChannel) {
+            avatarChannel.postMessage({ type: 'avatar-changed', userId: userId, avatarId: avatarId || null, timestamp: timestamp });
+        }
+    }
+
+    function dispatchChanged(detail) {
+        document.dispatchEvent(new CustomEvent('getavatar:changed', { detail: detail }));
+    }
+
+    // Points every image of the user at a fresh URL, so playback and the user's place in the app are kept
+    function updateUserImages(userId, timestamp) {
+        const wantedId = String(userId).replace(/-/g, '').toLowerCase();
+        const userImagePattern = /\/Users\/([0-9a-f-]+)\/Images\//i;
+
+        function freshUrl(url) {
+            const match = userImagePattern.exec(url || '');
+            if (!match || match[1].replace(/-/g, '').toLowerCase() !== wantedId) return null;
+            try {
+                const fresh = new URL(url, location.href);
+                fresh.searchParams.set('t', timestamp);
+                return fresh.toString();
+            } catch (e) {
+                return null;
+            }
+        }
+
         try {
-            const timestamp = Date.now();
-            document.querySelectorAll('img').forEach(img => {
-                const src = img.src || '';
-                if (src.includes('/Users/') && src.includes('/Images/')) {
-                    const baseUrl = src.split('?')[0];
-                    img.src = baseUrl + '?t=' + timestamp;
-                }
+            // Profile pages and the user menu
+            document.querySelectorAll('img[src*="/Images/"]').forEach(function(img) {
+                const url = freshUrl(img.getAttribute('src'));
+                if (url) img.src = url;
+            });
+
+            // Lazy-loaded cards keep their URL in data-src until they scroll into view
+            document.querySelectorAll('[data-src*="/Images/"]').forEach(function(el) {
+                const url = freshUrl(el.getAttribute('data-src'));
+                if (url) el.setAttribute('data-src', url);
+            });
+
+            // The header user button and user cards draw the image as a CSS background
+            document.querySelectorAll('[style*="/Images/"]').forEach(function(el) {
+                const match = /url\((['"]?)(.*?)\1\)/.exec(el.style.backgroundImage || '');
+                const url = match ? freshUrl(match[2]) : null;
+                if (url) el.style.backgroundImage = 'url("' + url + '")';
             });
-            setTimeout(() => { location.reload(); }, 800);
         } catch (e) {
             console.warn('GetAvatar: image refresh error', e);
         }
     }
 
+    function openAvatarChannel() {
+        if (typeof BroadcastChannel === 'undefined') return;
+
+        avatarChannel = new BroadcastChannel(CONFIG.channelName);
+        avatarChannel.onmessage = function(e) {
+            const message = e.data || {};
+            if (message.type === 'avatar-changed' && message.userId) {
+                updateUserImages(message.userId, message.timestamp || Date.now());
+                dispatchChanged({ userId: message.userId, avatarId: message.avatarId || null, fromOtherTab: true });
+            }
+        };
+    }
+
     async function applyAvatar() {
         if (!selectedAvatarId) return;
 
@@ -245,6 +1551,11 @@
                 requestBody.userId = targetUserId;
             }
 
+            const imageData = exportAdjustedImage();
+            if (imageData) {
+                requestBody.imageData = imageData;
+            }
+
             const response = await fetch(ApiClient.getUrl(CONFIG.apiBaseUrl + '/SetAvatar'), {
                 method: 'POST',
                 headers: {
@@ -259,7 +1570,7 @@
             }
 
             closeModal();
-            refreshProfileImages('Avatar updated!');
+            refreshProfileImages('Avatar updated!', requestBody.avatarId);
         } catch (error) {
             console.error('GetAvatar: Failed to set avatar', error.name + ': ' + error.message, error.stack);
             try { Dashboard.alert({ message: 'Failed to set avatar: ' + error.message, title: 'Error' }); } catch (e) { alert('Failed to set avatar: ' + error.message); }
@@ -269,7 +1580,7 @@
     }
 
     async function applyRandomAvatar() {
-        if (!avatars || avatars.length === 0) {
+        if (!avatarIndex || avatarIndex.total === 0) {
             try { Dashboard.alert({ message: 'No avatars available.', title: 'Error' }); } catch (e) { alert('No avatars available.'); }
             return;
         }
@@ -278,8 +1589,13 @@
         btn.disabled = true;
 
         try {
-            const randomIndex = Math.floor(Math.random() * avatars.length);
-            const randomAvatar = avatars[randomIndex];
+            // Picks among the avatars currently listed, so an active search narrows the draw
+            const randomIndex = Math.floor(Math.random() * avatarIndex.total);
+            const page = await fetchAvatars({ startIndex: randomIndex, limit: 1, searchTerm: avatarIndex.searchTerm });
+            const randomAvatar = (page.Items || page.items || [])[0];
+            if (!randomAvatar) {
+                throw new Error('No avatar found');
+            }
 
             const requestBody = { avatarId: randomAvatar.Id || randomAvatar.id };
             if (targetUserId) {
@@ -300,7 +1616,7 @@
             }
 
             closeModal();
-            refreshProfileImages('Random avatar applied!');
+            refreshProfileImages('Random avatar applied!', requestBody.avatarId);
         } catch (error) {
             console.error('GetAvatar: Failed to apply random avatar', error);
             try { Dashboard.alert({ message: 'Failed to apply random avatar: ' + error.message, title: 'Error' }); } catch (e) { alert('Failed to apply random avatar: ' + error.message); }
@@ -308,30 +1624,111 @@
         }
     }
 
-    function injectButton() {
+    async function revertAvatar(avatarId) {
+        const btn = document.getElementById('undoAvatarBtn');
+        btn.disabled = true;
+
+        try {
+            const requestBody = { avatarId: avatarId };
+            if (targetUserId) {
+                requestBody.userId = targetUserId;
+            }
+
+            const response = await fetch(ApiClient.getUrl(CONFIG.apiBaseUrl + '/SetAvatar'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Emby-Token': ApiClient.accessToken()
+                },
+                body: JSON.stringify(requestBody)
+            });
+
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+
+            closeModal();
+            refreshProfileImages('Avatar reverted!', avatarId);
+        } catch (error) {
+            console.error('GetAvatar: Failed to revert avatar', error);
+            try { Dashboard.alert({ message: 'Failed to revert avatar: ' + error.message, title: 'Error' }); } catch (e) { alert('Failed to revert avatar: ' + error.message); }
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    function loadInjectionTargets() {
+        if (!injectionTargetsRequest) {
+            injectionTargetsRequest = requestJson('/ClientConfig', {})
+                .then(function(config) {
+                    const custom = (config.InjectionTargets || config.injectionTargets || []).map(function(t) {
+                        return { selector: t.Selector || t.selector || '', placement: t.Placement || t.placement || 'Inside' };
+                    }).filter(isValidSelector);
+                    const replaceDefaults = config.ReplaceDefaultInjectionTargets || config.replaceDefaultInjectionTargets;
+                    return replaceDefaults && custom.length > 0 ? custom : custom.concat(DEFAULT_INJECTION_TARGETS);
+                })
+                .catch(function(error) {
+                    console.warn('GetAvatar: Failed to load the button targets, using the built-in ones', error);
+                    return DEFAULT_INJECTION_TARGETS;
+                });
+        }
+        return injectionTargetsRequest;
+    }
+
+    function isValidSelector(target) {
+        try {
+            document.createDocumentFragment().querySelector(target.selector);
+            return true;
+        } catch (e) {
+            console.warn('GetAvatar: Ignoring invalid button selector', target.selector);
+            return false;
+        }
+    }
+
+    // Called for every DOM change, so it only queues one injection attempt per frame
+    function scheduleInjection() {
+        if (injectionScheduled || !location.hash.includes('userprofile')) return;
+        injectionScheduled = true;
+
+        requestAnimationFrame(function() {
+            loadInjectionTargets().then(function(targets) {
+                injectionScheduled = false;
+                injectButton(targets);
+            });
+        });
+    }
+
+    function injectButton(targets) {
          if (!location.hash.includes('userprofile')) return;
-         if (document.getElementById('btnChooseGetAvatar')) return;
 
          const hashParams = new URLSearchParams(location.hash.split('?')[1]);
-         targetUserId = hashParams.get('userId') || null;
+         const profileUserId = hashParams.get('userId') || null;
+
+         // Jellyfin keeps recently visited pages in the DOM, hidden, so look in the visible one first
+         const root = document.querySelector('.page:not(.hide)') || document;
 
-         const targetSelectors = [
-             '.selectImageContainer',
-             '.userProfileSettingsPage .detailSection',
-             '#btnDeleteImage',
-             '.imageEditorContainer'
-         ];
+         // Themes and re-renders can drop the button or leave it on a hidden page for another user
+         const existing = document.getElementById('btnChooseGetAvatar');
+         if (existing) {
+             if (root.contains(existing) && existing.dataset.userId === (profileUserId || '')) return;
+             existing.remove();
+         }
 
          let target = null;
-         for (const selector of targetSelectors) {
-             target = document.querySelector(selector);
-             if (target) break;
+         let placement = null;
+         for (const candidate of targets) {
+             target = root.querySelector(candidate.selector);
+             if (target) {
+                 placement = candidate.placement;
+                 break;
+             }
          }
 
          if (!target) return;
 
          const btn = document.createElement('button');
          btn.id = 'btnChooseGetAvatar';
+         btn.dataset.userId = profileUserId || '';
          btn.setAttribute('is', 'emby-button');
          btn.className = 'raised button-alt block';
          btn.style.marginTop = '1em';
@@ -339,33 +1736,103 @@
          btn.style.alignItems = 'center';
          btn.style.justifyContent = 'center';
          btn.style.gap = '0.5em';
-         btn.innerHTML = '<span class="material-icons person" style="margin:0;"></span><span>Choose from Gallery</span>';
+         btn.setAttribute('aria-haspopup', 'dialog');
+         btn.innerHTML = '<span class="material-icons person" aria-hidden="true" style="margin:0;"></span><span>Choose from Gallery</span>';
          btn.onclick = function(e) {
              e.preventDefault();
-             openModal();
+             window.GetAvatar.open({ userId: profileUserId });
          };
 
-         if (target.id === 'btnDeleteImage') {
-             target.parentElement.appendChild(btn);
+         if (placement === 'Before') {
+             target.before(btn);
+         } else if (placement === 'After') {
+             target.after(btn);
          } else {
              target.appendChild(btn);
          }
 
-        // console.log('GetAvatar: Button injected', targetUserId ? `for user ${targetUserId}` : 'for current user'); - DEBUG
+        // console.log('GetAvatar: Button injected', profileUserId ? `for user ${profileUserId}` : 'for current user'); - DEBUG
      }
 
+    async function requestJson(path, options) {
+        const response = await fetch(ApiClient.getUrl(CONFIG.apiBaseUrl + path, options.query), {
+            method: options.method || 'GET',
+            headers: options.body
+                ? { 'Content-Type': 'application/json', 'X-Emby-Token': ApiClient.accessToken() }
+                : { 'X-Emby-Token': ApiClient.accessToken() },
+            body: options.body ? JSON.stringify(options.body) : undefined
+        });
+
+        if (!response.ok) {
+            const text = await response.text();
+            throw new Error(text || 'HTTP ' + response.status);
+        }
+
+        return response.json();
+    }
+
+    // Public API for other pages and scripts; see "JavaScript API" in the README.
+    // Events on document:
+    //   'getavatar:opened'  { userId, category }            the picker was opened
+    //   'getavatar:changed' { userId, avatarId, fromOtherTab } an avatar was set here or in another tab
+    const api = {
+        open: function(options) {
+            const opts = options || {};
+            targetUserId = opts.userId || null;
+            openModal(opts.category);
+        },
+
+        close: function() {
+            closeModal();
+        },
+
+        // Resolves to the avatars the user may pick: [{ Id, Name, FileName, DateAdded, Category, Url }]
+        list: async function(options) {
+            const opts = options || {};
+            const query = {};
+            if (opts.userId) query.userId = opts.userId;
+            if (opts.category) query.category = opts.category;
+            if (opts.searchTerm) query.searchTerm = opts.searchTerm;
+
+            const result = await requestJson('/Avatars', { query: query });
+            return result.Items || result.items || [];
+        },
+
+        setAvatar: async function(avatarId, options) {
+            const opts = options || {};
+            if (!avatarId) throw new Error('An avatar id is required');
+
+            const body = { avatarId: avatarId };
+            if (opts.userId) body.userId = opts.userId;
+            await requestJson('/SetAvatar', { method: 'POST', body: body });
+
+            const userId = opts.userId || ApiClient.getCurrentUserId();
+            notifyAvatarChanged(userId, avatarId);
+            return { userId: userId, avatarId: avatarId };
+        },
+
+        // Returns a function that removes the handler
+        onChange: function(handler) {
+            const listener = function(e) { handler(e.detail); };
+            document.addEventListener('getavatar:changed', listener);
+            return function() {
+                document.removeEventListener('getavatar:changed', listener);
+            };
+        }
+    };
+
     function init() {
         console.log('GetAvatar: Initializing...');
         createModal();
+        openAvatarChannel();
+        window.GetAvatar = api;
 
-        const checkPage = () => {
-            setTimeout(injectButton, 300);
-        };
-
-        window.addEventListener('hashchange', checkPage);
-        document.addEventListener('viewshow', checkPage);
+        // Covers slow devices and themes that render the profile page late or render it again
+        new MutationObserver(scheduleInjection).observe(document.body, { childList: true, subtree: true });
+        window.addEventListener('hashchange', scheduleInjection);
+        document.addEventListener('viewshow', scheduleInjection);
 
-        checkPage();
+        scheduleInjection();
     }
 
     function waitForApiClient() {
@@ -98,6 +98,142 @@ const getAvatarCss = `
 .delete-button:hover {
     background: #333;
 }
+.edit-button {
+    position: absolute;
+    top: 5px;
+    left: 5px;
+    background: #000;
+    color: #fff;
+    border: none;
+    border-radius: 50%;
+    width: 24px;
+    height: 24px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    cursor: pointer;
+    z-index: 10;
+    padding: 0;
+}
+.edit-button .material-icons {
+    font-size: 14px;
+}
+.edit-button:hover {
+    background: #333;
+}
+.avatar-card-name {
+    width: 100px;
+    margin: 0.4em auto 0;
+    font-size: 0.8em;
+    opacity: 0.8;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+}
+.edit-avatar-preview {
+    display: flex;
+    justify-content: center;
+    margin-bottom: 1em;
+}
+.edit-avatar-preview img {
+    width: 100px;
+    height: 100px;
+    object-fit: cover;
+    border-radius: 4px;
+}
+.avatar-list-actions {
+    display: flex;
+    align-items: center;
+    gap: 0.75em;
+}
+.batch-action-bar {
+    position: sticky;
+    top: 0;
+    z-index: 20;
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 0.75em;
+    margin-bottom: 1em;
+    padding: 0.7em 1em;
+    background: #202020;
+    border: 1px solid rgba(255,255,255,0.1);
+    border-radius: 8px;
+}
+.batch-selection-count {
+    font-size: 0.9em;
+    opacity: 0.8;
+    margin-right: auto;
+}
+.batch-move-field {
+    display: flex;
+    align-items: center;
+    gap: 0.5em;
+}
+.batch-move-field input {
+    max-width: 200px;
+}
+.category-select-all,
+.avatar-select-check {
+    display: none;
+}
+.avatar-selection-mode .category-select-all {
+    display: inline-block;
+    background: none;
+    border: 1px solid rgba(255,255,255,0.2);
+    color: inherit;
+    cursor: pointer;
+    padding: 0.2em 0.6em;
+    font-size: 0.8em;
+    border-radius: 4px;
+}
+.avatar-selection-mode .category-select-all:hover {
+    background: rgba(255,255,255,0.08);
+}
+.avatar-selection-mode .delete-button,
+.avatar-selection-mode .edit-button,
+.avatar-selection-mode .delete-category-button {
+    display: none;
+}
+.avatar-selection-mode .avatar-card {
+    cursor: pointer;
+    user-select: none;
+}
+.avatar-selection-mode .avatar-select-check {
+    display: flex;
+    position: absolute;
+    top: 5px;
+    left: 5px;
+    z-index: 10;
+    width: 22px;
+    height: 22px;
+    align-items: center;
+    justify-content: center;
+    border-radius: 50%;
+    background: rgba(0,0,0,0.6);
+    border: 2px solid rgba(255,255,255,0.7);
+    font-size: 14px;
+    color: transparent;
+}
+.avatar-card.selected .avatar-image-container {
+    outline: 3px solid #00a4dc;
+    outline-offset: 2px;
+}
+.avatar-card.selected .avatar-select-check {
+    background: #00a4dc;
+    border-color: #00a4dc;
+    color: #fff;
+}
+.avatar-card.batch-failed .avatar-image-container {
+    outline: 3px solid #e53935;
+    outline-offset: 2px;
+}
+.category-header.selection-only {
+    display: none;
+}
+.avatar-selection-mode .category-header.selection-only {
+    display: flex;
+}
 .category-section {
     margin-bottom: 2em;
 }
@@ -299,9 +435,112 @@ const getAvatarCss = `
     gap: 1em;
 }
 #avatarFileInput,
-#avatarFolderInput {
+#avatarFolderInput,
+#avatarZipInput {
     display: none;
 }
+.upload-box {
+    border: 2px dashed transparent;
+    border-radius: 8px;
+    padding: 0.5em;
+    margin: -0.5em;
+    transition: border-color 0.15s, background 0.15s;
+}
+.upload-box.drag-over {
+    border-color: #00a4dc;
+    background: rgba(0,164,220,0.08);
+}
+.upload-size-field {
+    display: inline-flex;
+    align-items: center;
+    gap: 0.4em;
+    font-size: 0.85em;
+}
+.upload-size-field select {
+    background: rgba(255,255,255,0.08);
+    color: inherit;
+    border: 1px solid rgba(255,255,255,0.15);
+    border-radius: 4px;
+    padding: 0.2em 0.4em;
+}
+.upload-size-field option {
+    background: #1a1a1a;
+}
+.upload-drop-hint {
+    font-size: 0.8em;
+    opacity: 0.5;
+}
+.upload-queue-panel {
+    margin-top: 1.5em;
+    background: rgba(255,255,255,0.04);
+    border: 1px solid rgba(255,255,255,0.1);
+    border-radius: 8px;
+    padding: 0.8em 1em;
+}
+.upload-queue-header {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 0.5em;
+    margin-bottom: 0.6em;
+}
+.upload-queue-summary {
+    font-size: 0.9em;
+    margin-right: auto;
+}
+.upload-queue-list {
+    max-height: 300px;
+    overflow-y: auto;
+}
+.upload-queue-item {
+    display: flex;
+    align-items: center;
+    gap: 0.75em;
+    padding: 0.25em 0;
+    font-size: 0.85em;
+}
+.upload-queue-name {
+    flex: 1;
+    min-width: 0;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+}
+.upload-queue-progress {
+    width: 120px;
+    height: 6px;
+    flex-shrink: 0;
+    background: rgba(255,255,255,0.1);
+    border-radius: 3px;
+    overflow: hidden;
+}
+.upload-queue-progress-bar {
+    width: 0;
+    height: 100%;
+    background: #00a4dc;
+    transition: width 0.2s;
+}
+.upload-queue-item.done .upload-queue-progress-bar {
+    background: #52b54b;
+}
+.upload-queue-item.failed .upload-queue-status {
+    color: #e57373;
+    cursor: help;
+}
+.upload-queue-item.cancelled {
+    opacity: 0.5;
+}
+.upload-queue-size {
+    flex-shrink: 0;
+    opacity: 0.6;
+    white-space: nowrap;
+}
+.upload-queue-status {
+    width: 5.5em;
+    flex-shrink: 0;
+    text-align: right;
+    opacity: 0.8;
+}
 .download-online-pack-button {
     background: transparent !important;
     box-shadow: none !important;
@@ -366,623 +605,3512 @@ const getAvatarCss = `
 #onlinePackDialog .dialogContainer {
     animation: none;
 }
-`;
-
-function escapeHtml(str) {
-  return String(str)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#39;");
+.online-pack-preview-button,
+.online-pack-update-button {
+    flex-shrink: 0;
 }
-
-export default function (view) {
-  const styleId = 'GetAvatarPluginStyles';
-  if (!document.getElementById(styleId)) {
-    const style = document.createElement('style');
-    style.id = styleId;
-    style.textContent = getAvatarCss;
-    document.head.appendChild(style);
-  }
-
-  const avatarListContainer = view.querySelector("#avatarList");
-  const avatarCountEl = view.querySelector("#avatarCount");
-  const fileInput = view.querySelector("#avatarFileInput");
-  const folderInput = view.querySelector("#avatarFolderInput");
-  const categoryInput = view.querySelector("#categoryInput");
-  const uploadButton = view.querySelector("#uploadButton");
-  const selectedFileDiv = view.querySelector("#selectedFile");
-  const fileNameSpan = view.querySelector("#fileName");
-  const enableAutoAssignSwitch = view.querySelector("#enableAutoAssign");
-
-  let selectedFiles = [];
-
-  function loadSettings() {
-    ApiClient.fetch({
-      url: ApiClient.getUrl("/GetAvatar/Settings"),
-      type: "GET",
-      dataType: "json",
-    })
-      .then(function (settings) {
-        enableAutoAssignSwitch.checked = settings.enableAutoAssign;
-      })
-      .catch(function (error) {
-        console.error("GetAvatar: Failed to load settings", error);
-      });
-  }
-
-  function saveSettings() {
-    ApiClient.fetch({
-      url: ApiClient.getUrl("/GetAvatar/Settings"),
-      type: "POST",
-      contentType: "application/json",
-      data: JSON.stringify({ enableAutoAssign: enableAutoAssignSwitch.checked }),
-    })
-      .then(function () {
-        Dashboard.alert({ message: "Settings saved.", title: "Success" });
-      })
-      .catch(function (error) {
-        console.error("GetAvatar: Failed to save settings", error);
-        Dashboard.alert({ message: "Failed to save settings.", title: "Error" });
-      });
-  }
-
-  function loadAvatars() {
-    avatarListContainer.innerHTML =
-      '<div class="loading-state"><p>Loading avatars...</p></div>';
-    avatarCountEl.textContent = "";
-
-    ApiClient.fetch({
-      url: ApiClient.getUrl("/GetAvatar/Avatars"),
-      type: "GET",
-      dataType: "json",
-    })
-      .then(function (avatars) {
-        renderAvatars(avatars);
-      })
-      .catch(function (error) {
-        console.error("Failed to load avatars:", error);
-        avatarListContainer.innerHTML =
-          '<div class="empty-state"><p style="color:#e57373;">Failed to load avatars.</p></div>';
-      });
-  }
-
-  function renderAvatars(avatars) {
-    if (!avatars || avatars.length === 0) {
-      avatarCountEl.textContent = "0 avatars";
-      avatarListContainer.innerHTML = `
-                <div class="empty-state">
-                    <p>No avatars yet</p>
-                    <p style="font-size:0.9em;">Upload your first avatar to get started.</p>
-                </div>
-            `;
-      return;
-    }
-
-    avatarCountEl.textContent =
-      avatars.length + " avatar" + (avatars.length > 1 ? "s" : "");
-
-    // Group avatars by category
-    const grouped = {};
-    avatars.forEach(function (avatar) {
-      const category = avatar.Category || avatar.category || "";
-      if (!grouped[category]) {
-        grouped[category] = [];
-      }
-      grouped[category].push(avatar);
-    });
-
-    const categories = Object.keys(grouped).sort(function (a, b) {
-      if (a === "" && b !== "") return -1;
-      if (a !== "" && b === "") return 1;
-      return a.localeCompare(b);
-    });
-
-    let html = "";
-
-    categories.forEach(function (category) {
-      const categoryAvatars = grouped[category];
-      const categoryLabel = category || "Uncategorized";
-      const hasMultipleCategories = categories.length > 1 || category !== "";
-
-      if (hasMultipleCategories) {
-        html += `<div class="category-section">`;
-        html += `<div class="category-header">
-          <h3 class="category-title">${escapeHtml(categoryLabel)}</h3>
-          <span class="category-count">${categoryAvatars.length} avatar${categoryAvatars.length > 1 ? "s" : ""}</span>
-          ${category ? `<button class="delete-category-button" data-category="${escapeHtml(category)}" title="Delete all avatars in this category">Delete category</button>` : ""}
-        </div>`;
-      }
-
-      html += '<div class="avatar-grid">';
-
-      categoryAvatars.forEach(function (avatar) {
-        const id = avatar.Id || avatar.id;
-        const name = avatar.Name || avatar.name;
-        const url = ApiClient.getUrl("/GetAvatar/Image/" + id);
-
-        html += `
-                <div class="avatar-card" data-avatar-id="${escapeHtml(id)}">
-                    <button class="delete-button" data-avatar-id="${escapeHtml(id)}" title="Delete">\u00d7</button>
-                    <div class="avatar-image-container">
-                        <img src="${escapeHtml(url)}" alt="${escapeHtml(name)}" class="avatar-image" loading="lazy" width="100" height="100" />
-                    </div>
-                </div>
-            `;
-      });
-
-      html += "</div>";
-
-      if (hasMultipleCategories) {
-        html += "</div>";
+.online-pack-status {
+    flex-shrink: 0;
+    font-size: 0.75em;
+    padding: 0.15em 0.6em;
+    border-radius: 10px;
+    background: rgba(255,255,255,0.1);
+}
+.online-pack-status.installed {
+    background: rgba(82,181,75,0.2);
+}
+.online-pack-status.update {
+    background: rgba(255,193,7,0.25);
+}
+.pack-preview-toolbar {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 0.75em;
+    margin-bottom: 1em;
+}
+.pack-preview-category {
+    display: flex;
+    align-items: center;
+    gap: 0.5em;
+    flex: 1;
+    min-width: 14em;
+}
+.pack-preview-grid {
+    display: grid;
+    grid-template-columns: repeat(auto-fill, minmax(84px, 1fr));
+    gap: 0.5em;
+}
+.pack-preview-item {
+    position: relative;
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: 0.25em;
+    padding: 0.3em;
+    border: 2px solid transparent;
+    border-radius: 6px;
+    cursor: pointer;
+    font-size: 0.75em;
+}
+.pack-preview-item.selected {
+    border-color: #52B54B;
+    background: rgba(82,181,75,0.12);
+}
+.pack-preview-item.duplicate,
+.pack-preview-item.too-large {
+    opacity: 0.55;
+}
+.pack-preview-item.too-large {
+    cursor: not-allowed;
+}
+.pack-preview-item input[type="checkbox"] {
+    position: absolute;
+    top: 4px;
+    left: 4px;
+    margin: 0;
+}
+.pack-preview-item img {
+    width: 100%;
+    aspect-ratio: 1;
+    object-fit: cover;
+    border-radius: 4px;
+    background: rgba(255,255,255,0.05);
+}
+.pack-preview-name {
+    max-width: 100%;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+}
+.pack-preview-badge {
+    position: absolute;
+    top: 4px;
+    right: 4px;
+    background: rgba(0,0,0,0.75);
+    border-radius: 8px;
+    padding: 0 5px;
+}
+.import-job-pack {
+    padding: 0.7em 0.8em;
+    background: rgba(255,255,255,0.05);
+    border-radius: 6px;
+}
+.import-job-pack-header {
+    display: flex;
+    justify-content: space-between;
+    gap: 0.75em;
+}
+.import-job-pack-status {
+    font-size: 0.8em;
+    opacity: 0.7;
+}
+.import-job-progress {
+    height: 4px;
+    margin: 0.5em 0 0.35em 0;
+    background: rgba(255,255,255,0.1);
+    border-radius: 2px;
+    overflow: hidden;
+}
+.import-job-progress-bar {
+    height: 100%;
+    background: #52B54B;
+    transition: width 0.3s;
+}
+.import-job-pack.failed .import-job-progress-bar {
+    background: #e57373;
+}
+.import-job-pack.cancelled .import-job-progress-bar {
+    background: rgba(255,255,255,0.4);
+}
+.import-job-pack-detail {
+    font-size: 0.8em;
+    opacity: 0.6;
+}
+.import-job-pack.failed .import-job-pack-detail {
+    color: #e57373;
+    opacity: 1;
+}
+.online-pack-source + .online-pack-source {
+    margin-top: 1.25em;
+}
+.online-pack-source-title {
+    margin: 0 0 0.5em 0;
+    font-size: 0.95em;
+    font-weight: 600;
+}
+.online-pack-source .online-pack-error,
+.online-pack-source .online-pack-empty {
+    text-align: left;
+    padding: 0.5em 0;
+}
+.pack-source {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 0.5em;
+    background: rgba(255,255,255,0.03);
+    border-radius: 4px;
+    padding: 0.5em 0.75em;
+    margin-bottom: 0.5em;
+}
+.pack-source input,
+.pack-source select {
+    width: auto;
+}
+.pack-source .pack-source-name { width: 12em; }
+.pack-source .pack-source-url { flex: 1; min-width: 16em; }
+.pack-source .injection-target-selector { flex: 1; min-width: 16em; }
+.backup-section {
+    margin-bottom: 0.5em;
+}
+.backup-title {
+    margin: 0 0 0.3em 0;
+}
+.backup-description {
+    margin: 0 0 0.75em 0;
+    opacity: 0.7;
+    font-size: 0.9em;
+}
+#restoreBackupInput {
+    display: none;
+}
+.restore-summary p {
+    margin: 0 0 0.5em 0;
+}
+.restore-summary ul {
+    margin: 0 0 0.75em 0;
+    padding-left: 1.2em;
+    opacity: 0.8;
+}
+.restore-warning {
+    color: #ff9800;
+}
+.restore-mode {
+    display: flex;
+    flex-direction: column;
+    gap: 0.5em;
+    margin-top: 1em;
+}
+.restore-mode-option {
+    display: flex;
+    align-items: baseline;
+    gap: 0.5em;
+    cursor: pointer;
+}
+.getavatar-tabs {
+    display: flex;
+    gap: 0.25em;
+    border-bottom: 1px solid rgba(255,255,255,0.1);
+    margin-bottom: 1.5em;
+}
+.getavatar-tab {
+    display: inline-flex;
+    align-items: center;
+    gap: 0.4em;
+    background: none;
+    border: none;
+    border-bottom: 2px solid transparent;
+    color: inherit;
+    font: inherit;
+    padding: 0.6em 1em;
+    opacity: 0.7;
+    cursor: pointer;
+}
+.getavatar-tab:hover { opacity: 1; }
+.getavatar-tab.active {
+    opacity: 1;
+    border-bottom-color: #00a4dc;
+}
+.maintenance-report {
+    background: rgba(255,255,255,0.04);
+    border-radius: 4px;
+    padding: 0.75em 1em;
+    margin-bottom: 1em;
+    font-size: 0.9em;
+}
+.maintenance-report p { margin: 0 0 0.4em 0; }
+.maintenance-report ul {
+    margin: 0;
+    padding-left: 1.2em;
+    opacity: 0.8;
+    word-break: break-all;
+}
+.user-status-list {
+    display: flex;
+    flex-direction: column;
+    gap: 0.5em;
+}
+.user-status-row {
+    display: flex;
+    align-items: center;
+    gap: 1em;
+    padding: 0.5em 0.75em;
+    border-radius: 4px;
+    background: rgba(255,255,255,0.03);
+}
+.user-status-thumb {
+    width: 48px;
+    height: 48px;
+    border-radius: 50%;
+    object-fit: cover;
+    flex-shrink: 0;
+    background: rgba(255,255,255,0.08);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+}
+.user-status-info {
+    flex: 1;
+    min-width: 0;
+}
+.user-status-name { font-weight: 500; }
+.user-status-path {
+    font-family: monospace;
+    font-size: 0.8em;
+    opacity: 0.6;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+}
+.user-status-rotation {
+    font-size: 0.8em;
+    color: #64b5f6;
+}
+.user-status-badge {
+    font-size: 0.8em;
+    padding: 0.2em 0.6em;
+    border-radius: 1em;
+    flex-shrink: 0;
+}
+.user-status-badge.status-ok { background: rgba(82,181,75,0.2); color: #81c784; }
+.user-status-badge.status-missing_file { background: rgba(229,115,115,0.2); color: #e57373; }
+.user-status-badge.status-no_avatar { background: rgba(255,255,255,0.08); opacity: 0.8; }
+.assign-random-bar {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 0.75em;
+    margin-bottom: 1em;
+    font-size: 0.9em;
+}
+.assign-random-bar select {
+    width: auto;
+    min-width: 12em;
+}
+.user-status-actions {
+    display: flex;
+    gap: 0.25em;
+    flex-shrink: 0;
+}
+.category-rule {
+    background: rgba(255,255,255,0.03);
+    border-radius: 4px;
+    padding: 0.75em;
+    margin-bottom: 0.75em;
+}
+.category-rule-fields {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 0.5em;
+    margin-bottom: 0.6em;
+}
+.category-rule-fields input,
+.category-rule-fields select {
+    width: auto;
+}
+.category-rule-fields .rule-name { flex: 1; min-width: 10em; }
+.category-rule-fields .rule-rating { width: 6em; }
+.rule-categories {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.4em;
+}
+.rule-chip,
+.rule-chip-legend {
+    border: 1px solid rgba(255,255,255,0.2);
+    border-radius: 1em;
+    padding: 0.2em 0.7em;
+    font-size: 0.85em;
+    background: none;
+    color: inherit;
+}
+.rule-chip { cursor: pointer; }
+.rule-chip.rule-allow,
+.rule-chip-legend.rule-allow { background: rgba(82,181,75,0.2); border-color: #81c784; }
+.rule-chip.rule-deny,
+.rule-chip-legend.rule-deny { background: rgba(229,115,115,0.2); border-color: #e57373; text-decoration: line-through; }
+.avatar-usage-badge {
+    position: absolute;
+    bottom: 28px;
+    right: 4px;
+    display: flex;
+    align-items: center;
+    gap: 2px;
+    background: rgba(0,0,0,0.75);
+    border-radius: 10px;
+    padding: 1px 6px 1px 4px;
+    font-size: 0.75em;
+    z-index: 5;
+}
+.avatar-usage-badge .material-icons {
+    font-size: 14px;
+}
+.category-usage {
+    font-size: 0.8em;
+    opacity: 0.7;
+}
+.delete-users-list {
+    margin: 0 0 1em 0;
+    padding-left: 1.2em;
+    max-height: 10em;
+    overflow-y: auto;
+    opacity: 0.85;
+}
+.replacement-picker {
+    margin-top: 0.75em;
+}
+.replacement-results {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.5em;
+    margin-top: 0.5em;
+    min-height: 64px;
+}
+.replacement-option {
+    background: none;
+    border: 2px solid transparent;
+    border-radius: 6px;
+    padding: 2px;
+    cursor: pointer;
+}
+.replacement-option img {
+    display: block;
+    width: 56px;
+    height: 56px;
+    border-radius: 4px;
+    object-fit: cover;
+}
+.replacement-option.selected {
+    border-color: #00a4dc;
+}
+`;
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+export default function (view) {
+  const styleId = 'GetAvatarPluginStyles';
+  if (!document.getElementById(styleId)) {
+    const style = document.createElement('style');
+    style.id = styleId;
+    style.textContent = getAvatarCss;
+    document.head.appendChild(style);
+  }
+
+  const avatarListContainer = view.querySelector("#avatarList");
+  const avatarCountEl = view.querySelector("#avatarCount");
+  const fileInput = view.querySelector("#avatarFileInput");
+  const folderInput = view.querySelector("#avatarFolderInput");
+  const zipInput = view.querySelector("#avatarZipInput");
+  const categoryInput = view.querySelector("#categoryInput");
+  const uploadButton = view.querySelector("#uploadButton");
+  const selectedFileDiv = view.querySelector("#selectedFile");
+  const fileNameSpan = view.querySelector("#fileName");
+  const enableAutoAssignSwitch = view.querySelector("#enableAutoAssign");
+
+  let selectedFiles = [];
+
+  function loadSettings() {
+    ApiClient.fetch({
+      url: ApiClient.getUrl("/GetAvatar/Settings"),
+      type: "GET",
+      dataType: "json",
+    })
+      .then(function (settings) {
+        enableAutoAssignSwitch.checked = settings.enableAutoAssign;
+      })
+      .catch(function (error) {
+        console.error("GetAvatar: Failed to load settings", error);
+      });
+  }
+
+  function saveSettings() {
+    ApiClient.fetch({
+      url: ApiClient.getUrl("/GetAvatar/Settings"),
+      type: "POST",
+      contentType: "application/json",
+      data: JSON.stringify({ enableAutoAssign: enableAutoAssignSwitch.checked }),
+    })
+      .then(function () {
+        Dashboard.alert({ message: "Settings saved.", title: "Success" });
+      })
+      .catch(function (error) {
+        console.error("GetAvatar: Failed to save settings", error);
+        Dashboard.alert({ message: "Failed to save settings.", title: "Error" });
+      });
+  }
+
+  const AVATAR_PAGE_SIZE = 100;
+  let avatarChunkObserver = null;
+  let avatarChunkCache = new Map();
+  let avatarLoadGeneration = 0;
+  let avatarCategories = [];
+  // Avatar ID -> { category, users: [names] } for avatars that users currently have
+  let avatarUsage = new Map();
+
+  const toggleSelectionButton = view.querySelector("#toggleSelectionButton");
+  const batchActionBar = view.querySelector("#batchActionBar");
+  const batchSelectionCount = view.querySelector("#batchSelectionCount");
+  const batchCategoryInput = view.querySelector("#batchCategoryInput");
+  const batchCategoryOptions = view.querySelector("#batchCategoryOptions");
+  const batchMoveButton = view.querySelector("#batchMoveButton");
+  const batchExportButton = view.querySelector("#batchExportButton");
+  const batchDeleteButton = view.querySelector("#batchDeleteButton");
+  const batchClearButton = view.querySelector("#batchClearButton");
+
+  let selectionMode = false;
+  let selectedAvatarIds = new Set();
+  let lastSelectedIndex = null;
+  // Avatars the last batch operation failed on, outlined until the next batch
+  let batchFailedIds = new Set();
+
+  function fetchAvatars(params) {
+    return ApiClient.fetch({
+      // The library manager lists every avatar, regardless of the category rules
+      url: ApiClient.getUrl("/GetAvatar/Avatars", Object.assign({ includeHidden: true }, params)),
+      type: "GET",
+      dataType: "json",
+    });
+  }
+
+  function loadAvatars() {
+    const generation = ++avatarLoadGeneration;
+
+    if (avatarChunkObserver) avatarChunkObserver.disconnect();
+    avatarChunkCache = new Map();
+
+    avatarListContainer.innerHTML =
+      '<div class="loading-state"><p>Loading avatars...</p></div>';
+    avatarCountEl.textContent = "";
+
+    // limit=0 returns only the total and the category breakdown; cards are fetched per chunk
+    Promise.all([fetchAvatars({ startIndex: 0, limit: 0 }), loadAvatarUsage()])
+      .then(function (responses) {
+        const result = responses[0];
+        if (generation !== avatarLoadGeneration) return;
+        renderAvatars({
+          total: result.TotalRecordCount || result.totalRecordCount || 0,
+          categories: result.Categories || result.categories || [],
+        });
+      })
+      .catch(function (error) {
+        console.error("Failed to load avatars:", error);
+        avatarListContainer.innerHTML =
+          '<div class="empty-state"><p style="color:#e57373;">Failed to load avatars.</p></div>';
+      });
+  }
+
+  function renderAvatars(index) {
+    if (!index || index.total === 0) {
+      avatarCountEl.textContent = "0 avatars";
+      avatarListContainer.innerHTML = `
+                <div class="empty-state">
+                    <p>No avatars yet</p>
+                    <p style="font-size:0.9em;">Upload your first avatar to get started.</p>
+                </div>
+            `;
+      return;
+    }
+
+    avatarCountEl.textContent =
+      index.total + " avatar" + (index.total > 1 ? "s" : "");
+
+    // Categories arrive in display order (uncategorized first), matching the server's item order
+    const categories = index.categories.map(function (c) {
+      return { name: c.Name || c.name || "", count: c.Count || c.count || 0 };
+    });
+    avatarCategories = categories;
+    updateCategoryOptions();
+    updateAssignCategoryOptions();
+
+    let html = "";
+    let offset = 0;
+
+    categories.forEach(function (category) {
+      const categoryLabel = category.name || "Uncategorized";
+      const hasMultipleCategories = categories.length > 1 || category.name !== "";
+
+      // A lone uncategorized pool only gets a header in selection mode, for its "Select all"
+      html += `<div class="category-section">`;
+      html += `<div class="category-header${hasMultipleCategories ? "" : " selection-only"}">
+          <h3 class="category-title">${escapeHtml(categoryLabel)}</h3>
+          <span class="category-count">${category.count} avatar${category.count > 1 ? "s" : ""}</span>
+          ${getCategoryUsageHtml(category.name)}
+          <button class="category-select-all" data-category="${escapeHtml(category.name)}" title="Select every avatar in this category">Select all</button>
+          ${category.name ? `<button class="delete-category-button" data-category="${escapeHtml(category.name)}" data-count="${category.count}" title="Delete all avatars in this category">Delete category</button>` : ""}
+        </div>`;
+
+      // Each chunk is a placeholder sized for its cards until it scrolls near the viewport
+      for (let start = 0; start < category.count; start += AVATAR_PAGE_SIZE) {
+        const count = Math.min(AVATAR_PAGE_SIZE, category.count - start);
+        html += `<div class="avatar-grid avatar-chunk" data-start="${offset + start}" data-count="${count}" style="min-height:${estimateChunkHeight(count)}px;"></div>`;
+      }
+
+      offset += category.count;
+
+      html += "</div>";
+    });
+
+    avatarListContainer.innerHTML = html;
+
+    avatarListContainer
+      .querySelectorAll(".category-select-all")
+      .forEach(function (btn) {
+        btn.addEventListener("click", function (e) {
+          e.preventDefault();
+          e.stopPropagation();
+          selectCategory(this.getAttribute("data-category"));
+        });
+      });
+
+    avatarListContainer
+      .querySelectorAll(".delete-category-button")
+      .forEach(function (btn) {
+        btn.addEventListener("click", function (e) {
+          e.preventDefault();
+          e.stopPropagation();
+          deleteCategory(this.getAttribute("data-category"), parseInt(this.getAttribute("data-count"), 10));
+        });
+      });
+
+    avatarChunkObserver = new IntersectionObserver(
+      function (entries) {
+        entries.forEach(function (entry) {
+          if (entry.isIntersecting) {
+            renderChunk(entry.target);
+          } else {
+            unrenderChunk(entry.target);
+          }
+        });
+      },
+      { rootMargin: "800px 0px" }
+    );
+
+    avatarListContainer.querySelectorAll(".avatar-chunk").forEach(function (chunk) {
+      avatarChunkObserver.observe(chunk);
+    });
+  }
+
+  function estimateChunkHeight(count) {
+    const gap = 16;
+    const cardSize = 100;
+    // Image plus the name line below it
+    const cardHeight = cardSize + 22;
+    const width = Math.max(cardSize, avatarListContainer.clientWidth);
+    const columns = Math.max(1, Math.floor((width + gap) / (cardSize + gap)));
+    const rows = Math.ceil(count / columns);
+    return rows * cardHeight + (rows - 1) * gap;
+  }
+
+  function renderChunk(chunk) {
+    if (chunk.dataset.state === "loading" || chunk.dataset.state === "rendered") return;
+
+    const generation = avatarLoadGeneration;
+    const start = parseInt(chunk.dataset.start, 10);
+    const count = parseInt(chunk.dataset.count, 10);
+    chunk.dataset.state = "loading";
+
+    const cached = avatarChunkCache.get(start);
+    const itemsPromise = cached
+      ? Promise.resolve(cached)
+      : fetchAvatars({ startIndex: start, limit: count }).then(function (result) {
+          const items = result.Items || result.items || [];
+          if (generation === avatarLoadGeneration) {
+            avatarChunkCache.set(start, items);
+          }
+          return items;
+        });
+
+    itemsPromise
+      .then(function (items) {
+        if (generation !== avatarLoadGeneration) return;
+
+        let html = "";
+        items.forEach(function (avatar, i) {
+          const id = avatar.Id || avatar.id;
+          const name = avatar.Name || avatar.name;
+          const url = ApiClient.getUrl("/GetAvatar/Image/" + id);
+          const stateClass = (selectedAvatarIds.has(id) ? " selected" : "") + (batchFailedIds.has(id) ? " batch-failed" : "");
+          const usage = avatarUsage.get(id);
+          const usageBadge = usage
+            ? `<span class="avatar-usage-badge" title="In use by ${escapeHtml(usage.users.join(", "))}"><span class="material-icons person"></span>${usage.users.length}</span>`
+            : "";
+
+          html += `
+                <div class="avatar-card${stateClass}" data-avatar-id="${escapeHtml(id)}" data-index="${start + i}" title="${escapeHtml(name)}">
+                    <span class="avatar-select-check" aria-hidden="true">\u2713</span>
+                    <button class="edit-button" data-avatar-id="${escapeHtml(id)}" title="Edit name and category"><span class="material-icons edit"></span></button>
+                    <button class="delete-button" data-avatar-id="${escapeHtml(id)}" title="Delete">\u00d7</button>
+                    ${usageBadge}
+                    <div class="avatar-image-container">
+                        <img src="${escapeHtml(url)}" alt="${escapeHtml(name)}" class="avatar-image" loading="lazy" width="100" height="100" />
+                    </div>
+                    <div class="avatar-card-name">${escapeHtml(name)}</div>
+                </div>
+            `;
+        });
+
+        chunk.innerHTML = html;
+        chunk.style.minHeight = "";
+        chunk.dataset.state = "rendered";
+
+        chunk.querySelectorAll(".delete-button").forEach(function (btn) {
+          btn.addEventListener("click", function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+            deleteAvatar(this.getAttribute("data-avatar-id"));
+          });
+        });
+
+        chunk.querySelectorAll(".edit-button").forEach(function (btn) {
+          btn.addEventListener("click", function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+            const avatarId = this.getAttribute("data-avatar-id");
+            const avatar = items.find(function (a) { return (a.Id || a.id) === avatarId; });
+            if (avatar) openEditAvatarDialog(avatar);
+          });
+        });
+
+        chunk.querySelectorAll(".avatar-card").forEach(function (card) {
+          card.addEventListener("click", function (e) {
+            if (!selectionMode) return;
+            e.preventDefault();
+            handleCardSelection(this, e.shiftKey);
+          });
+        });
+      })
+      .catch(function (error) {
+        console.error("Failed to load avatars:", error);
+        delete chunk.dataset.state;
+      });
+  }
+
+  function unrenderChunk(chunk) {
+    if (chunk.dataset.state !== "rendered") return;
+
+    chunk.style.minHeight = chunk.offsetHeight + "px";
+    chunk.innerHTML = "";
+    chunk.dataset.state = "cached";
+  }
+
+  function deleteCategory(category, count) {
+    Dashboard.showLoadingMsg();
+
+    fetchAvatars({ category: category })
+      .then(function (result) {
+        Dashboard.hideLoadingMsg();
+        const ids = (result.Items || result.items || []).map(function (avatar) {
+          return avatar.Id || avatar.id;
+        });
+        return confirmDelete(ids, "Delete all " + count + " avatars in \"" + category + "\"?").then(function (choice) {
+          if (!choice) return;
+          return runBatch({ action: "delete", avatarIds: ids, replacementAvatarId: choice.replacementAvatarId }, "deleted");
+        });
+      })
+      .catch(function (error) {
+        console.error("Failed to delete category:", error);
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert({ message: "Failed to delete category.", title: "Error" });
+        loadAvatars();
+      });
+  }
+
+  function loadAvatarUsage() {
+    return ApiClient.fetch({
+      url: ApiClient.getUrl("/GetAvatar/Usage"),
+      type: "GET",
+      dataType: "json",
+    })
+      .then(function (entries) {
+        avatarUsage = new Map();
+        (entries || []).forEach(function (entry) {
+          const users = (entry.Users || entry.users || []).map(function (u) {
+            return u.UserName || u.userName || u.UserId || u.userId;
+          });
+          avatarUsage.set(entry.AvatarId || entry.avatarId, {
+            category: entry.Category || entry.category || "",
+            users: users,
+          });
+        });
+      })
+      .catch(function (error) {
+        // Usage badges are informational; the library still loads without them
+        console.error("GetAvatar: Failed to load avatar usage", error);
+        avatarUsage = new Map();
+      });
+  }
+
+  function getCategoryUsageHtml(categoryName) {
+    let count = 0;
+    avatarUsage.forEach(function (usage) {
+      if (usage.category.toLowerCase() === categoryName.toLowerCase()) count += usage.users.length;
+    });
+    return count > 0 ? `<span class="category-usage">In use by ${count} user${count > 1 ? "s" : ""}</span>` : "";
+  }
+
+  // --- Delete confirmation with reassignment ---
+
+  const deleteAvatarsDialog = view.querySelector("#deleteAvatarsDialog");
+  const deleteAvatarsMessage = view.querySelector("#deleteAvatarsMessage");
+  const deleteAvatarsUsers = view.querySelector("#deleteAvatarsUsers");
+  const replacementPicker = view.querySelector("#replacementPicker");
+  const replacementSearchInput = view.querySelector("#replacementSearchInput");
+  const replacementResults = view.querySelector("#replacementResults");
+  const confirmDeleteAvatarsButton = view.querySelector("#confirmDeleteAvatarsButton");
+  let deleteDialogState = null;
+  let replacementSearchTimer = null;
+
+  // Resolves with { replacementAvatarId } to go ahead, or null when cancelled
+  function confirmDelete(ids, message) {
+    const users = [];
+    ids.forEach(function (id) {
+      const usage = avatarUsage.get(id);
+      if (usage) users.push.apply(users, usage.users);
+    });
+
+    if (users.length === 0) {
+      return Promise.resolve(confirm(message) ? { replacementAvatarId: null } : null);
+    }
+
+    return new Promise(function (resolve) {
+      deleteDialogState = { excludedIds: new Set(ids), replacementAvatarId: null, resolve: resolve };
+      deleteAvatarsMessage.textContent = message;
+      deleteAvatarsUsers.innerHTML = users.sort().map(function (name) {
+        return "<li>" + escapeHtml(name) + "</li>";
+      }).join("");
+      deleteAvatarsDialog.querySelector("input[name='deleteReassignMode'][value='keep']").checked = true;
+      replacementPicker.style.display = "none";
+      replacementSearchInput.value = "";
+      replacementResults.innerHTML = "";
+      updateDeleteConfirmButton();
+      deleteAvatarsDialog.style.display = "block";
+    });
+  }
+
+  function closeDeleteAvatarsDialog(choice) {
+    deleteAvatarsDialog.style.display = "none";
+    clearTimeout(replacementSearchTimer);
+    if (deleteDialogState) {
+      const resolve = deleteDialogState.resolve;
+      deleteDialogState = null;
+      resolve(choice);
+    }
+  }
+
+  function isReassignMode() {
+    return deleteAvatarsDialog.querySelector("input[name='deleteReassignMode']:checked").value === "reassign";
+  }
+
+  function updateDeleteConfirmButton() {
+    confirmDeleteAvatarsButton.disabled = isReassignMode() && !(deleteDialogState && deleteDialogState.replacementAvatarId);
+  }
+
+  function searchReplacements() {
+    const state = deleteDialogState;
+    if (!state) return;
+
+    fetchAvatars({ startIndex: 0, limit: 24, searchTerm: replacementSearchInput.value.trim(), sortBy: "Name" })
+      .then(function (result) {
+        if (state !== deleteDialogState) return;
+        const avatars = (result.Items || result.items || []).filter(function (avatar) {
+          return !state.excludedIds.has(avatar.Id || avatar.id);
+        });
+
+        replacementResults.innerHTML = avatars.length === 0
+          ? '<span class="avatar-count">No matching avatars.</span>'
+          : avatars.map(function (avatar) {
+              const id = avatar.Id || avatar.id;
+              const name = avatar.Name || avatar.name;
+              return '<button type="button" class="replacement-option' + (id === state.replacementAvatarId ? " selected" : "") +
+                '" data-avatar-id="' + escapeHtml(id) + '" title="' + escapeHtml(name) + '">' +
+                '<img src="' + escapeHtml(ApiClient.getUrl("/GetAvatar/Image/" + id)) + '" alt="' + escapeHtml(name) + '" loading="lazy" /></button>';
+            }).join("");
+      })
+      .catch(function (error) {
+        console.error("GetAvatar: Replacement search failed", error);
+      });
+  }
+
+  deleteAvatarsDialog.querySelectorAll("input[name='deleteReassignMode']").forEach(function (radio) {
+    radio.addEventListener("change", function () {
+      const reassign = isReassignMode();
+      replacementPicker.style.display = reassign ? "block" : "none";
+      if (reassign && replacementResults.innerHTML === "") searchReplacements();
+      updateDeleteConfirmButton();
+    });
+  });
+  replacementSearchInput.addEventListener("input", function () {
+    clearTimeout(replacementSearchTimer);
+    replacementSearchTimer = setTimeout(searchReplacements, 250);
+  });
+  replacementResults.addEventListener("click", function (e) {
+    const option = e.target.closest(".replacement-option");
+    if (!option || !deleteDialogState) return;
+    e.preventDefault();
+    deleteDialogState.replacementAvatarId = option.getAttribute("data-avatar-id");
+    replacementResults.querySelectorAll(".replacement-option").forEach(function (el) {
+      el.classList.toggle("selected", el === option);
+    });
+    updateDeleteConfirmButton();
+  });
+  confirmDeleteAvatarsButton.addEventListener("click", function (e) {
+    e.preventDefault();
+    if (!deleteDialogState) return;
+    closeDeleteAvatarsDialog({ replacementAvatarId: isReassignMode() ? deleteDialogState.replacementAvatarId : null });
+  });
+  view.querySelector("#closeDeleteAvatarsDialog").addEventListener("click", function () { closeDeleteAvatarsDialog(null); });
+  view.querySelector("#cancelDeleteAvatarsDialog").addEventListener("click", function () { closeDeleteAvatarsDialog(null); });
+  deleteAvatarsDialog.addEventListener("keydown", function (e) {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeDeleteAvatarsDialog(null);
+    }
+  });
+
+  // --- Selection mode and batch operations ---
+
+  function setSelectionMode(enabled) {
+    selectionMode = enabled;
+    avatarListContainer.classList.toggle("avatar-selection-mode", enabled);
+    batchActionBar.style.display = enabled ? "flex" : "none";
+    toggleSelectionButton.querySelector("span:last-child").textContent = enabled ? "Done" : "Select";
+    if (!enabled) {
+      clearSelection();
+    }
+  }
+
+  function clearSelection() {
+    selectedAvatarIds = new Set();
+    batchFailedIds = new Set();
+    lastSelectedIndex = null;
+    avatarListContainer.querySelectorAll(".avatar-card.selected, .avatar-card.batch-failed").forEach(function (card) {
+      card.classList.remove("selected", "batch-failed");
+    });
+    updateSelectionBar();
+  }
+
+  function setSelected(ids, selected) {
+    ids.forEach(function (id) {
+      if (selected) {
+        selectedAvatarIds.add(id);
+      } else {
+        selectedAvatarIds.delete(id);
+      }
+    });
+    avatarListContainer.querySelectorAll(".avatar-card").forEach(function (card) {
+      card.classList.toggle("selected", selectedAvatarIds.has(card.getAttribute("data-avatar-id")));
+    });
+    updateSelectionBar();
+  }
+
+  function handleCardSelection(card, extendRange) {
+    const id = card.getAttribute("data-avatar-id");
+    const index = parseInt(card.getAttribute("data-index"), 10);
+
+    if (!extendRange || lastSelectedIndex === null || lastSelectedIndex === index) {
+      setSelected([id], !selectedAvatarIds.has(id));
+      lastSelectedIndex = index;
+      return;
+    }
+
+    // The range can span chunks that are not rendered, so ask the server for it in list order
+    const from = Math.min(lastSelectedIndex, index);
+    const to = Math.max(lastSelectedIndex, index);
+    lastSelectedIndex = index;
+
+    fetchAvatars({ startIndex: from, limit: to - from + 1 })
+      .then(function (result) {
+        const ids = (result.Items || result.items || []).map(function (avatar) {
+          return avatar.Id || avatar.id;
+        });
+        setSelected(ids, true);
+      })
+      .catch(function (error) {
+        console.error("Failed to select range:", error);
+      });
+  }
+
+  function selectCategory(category) {
+    fetchAvatars({ category: category })
+      .then(function (result) {
+        // An empty category filter reaches the server as no filter, so narrow uncategorized here
+        const ids = (result.Items || result.items || [])
+          .filter(function (avatar) {
+            return category || !(avatar.Category || avatar.category);
+          })
+          .map(function (avatar) {
+            return avatar.Id || avatar.id;
+          });
+        const allSelected = ids.length > 0 && ids.every(function (id) { return selectedAvatarIds.has(id); });
+        setSelected(ids, !allSelected);
+      })
+      .catch(function (error) {
+        console.error("Failed to select category:", error);
+      });
+  }
+
+  function updateSelectionBar() {
+    const count = selectedAvatarIds.size;
+    batchSelectionCount.textContent = count + " selected";
+    batchMoveButton.disabled = count === 0;
+    batchExportButton.disabled = count === 0;
+    batchDeleteButton.disabled = count === 0;
+    batchClearButton.disabled = count === 0;
+  }
+
+  function updateCategoryOptions() {
+    batchCategoryOptions.innerHTML = avatarCategories
+      .filter(function (category) { return category.name; })
+      .map(function (category) { return `<option value="${escapeHtml(category.name)}"></option>`; })
+      .join("");
+  }
+
+  function findAvatarName(id) {
+    for (const items of avatarChunkCache.values()) {
+      const avatar = items.find(function (a) { return (a.Id || a.id) === id; });
+      if (avatar) return avatar.Name || avatar.name || id;
+    }
+    return id;
+  }
+
+  function reportBatchResults(results, verb) {
+    const failed = results.filter(function (r) { return !(r.Success || r.success); });
+    const succeeded = results.length - failed.length;
+
+    // Failed avatars stay selected and outlined so they can be retried
+    batchFailedIds = new Set(failed.map(function (r) { return r.AvatarId || r.avatarId; }));
+    selectedAvatarIds = new Set(batchFailedIds);
+    lastSelectedIndex = null;
+    updateSelectionBar();
+
+    if (failed.length === 0) {
+      Dashboard.alert({
+        message: succeeded + " avatar(s) " + verb + ".",
+        title: "Success",
+      });
+      return;
+    }
+
+    const errors = failed.map(function (r) {
+      return findAvatarName(r.AvatarId || r.avatarId) + ": " + (r.ErrorMessage || r.errorMessage || "Failed");
+    });
+    Dashboard.alert({
+      message:
+        (succeeded > 0 ? succeeded + " avatar(s) " + verb + ", " : "") +
+        failed.length +
+        " failed.\n\n" +
+        errors.join("\n"),
+      title: succeeded > 0 ? "Partial Success" : "Error",
+    });
+  }
+
+  async function runBatch(request, verb) {
+    Dashboard.showLoadingMsg();
+
+    try {
+      const response = await fetch(ApiClient.getUrl("/GetAvatar/Batch"), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Emby-Token": ApiClient.accessToken(),
+        },
+        body: JSON.stringify(request),
+      });
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(text || "Batch operation failed");
+      }
+
+      const result = await response.json();
+      Dashboard.hideLoadingMsg();
+      const reassigned = result.ReassignedCount || result.reassignedCount || 0;
+      // Report before reloading: failed items are named from the avatars currently loaded
+      reportBatchResults(
+        result.Results || result.results || [],
+        reassigned > 0 ? verb + " (" + reassigned + " user(s) moved to the replacement)" : verb
+      );
+      loadAvatars();
+    } catch (error) {
+      console.error("GetAvatar: Batch " + request.action + " failed", error);
+      Dashboard.hideLoadingMsg();
+      Dashboard.alert({ message: "Batch operation failed: " + error.message, title: "Error" });
+    }
+  }
+
+  function deleteSelected() {
+    const ids = Array.from(selectedAvatarIds);
+    if (ids.length === 0) return;
+
+    confirmDelete(ids, "Delete " + ids.length + " selected avatar(s)?").then(function (choice) {
+      if (!choice) return;
+      runBatch({ action: "delete", avatarIds: ids, replacementAvatarId: choice.replacementAvatarId }, "deleted");
+    });
+  }
+
+  function moveSelected() {
+    const ids = Array.from(selectedAvatarIds);
+    if (ids.length === 0) return;
+
+    const category = batchCategoryInput.value.trim();
+    runBatch({ action: "move", avatarIds: ids, category: category }, category ? "moved to \"" + category + "\"" : "moved to Uncategorized");
+  }
+
+  async function exportSelected() {
+    const ids = Array.from(selectedAvatarIds);
+    if (ids.length === 0) return;
+
+    Dashboard.showLoadingMsg();
+
+    try {
+      const response = await fetch(ApiClient.getUrl("/GetAvatar/Batch"), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Emby-Token": ApiClient.accessToken(),
+        },
+        body: JSON.stringify({ action: "export", avatarIds: ids }),
+      });
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(text || "Export failed");
+      }
+
+      const blob = await response.blob();
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = "avatars.zip";
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(function () { URL.revokeObjectURL(link.href); }, 10000);
+
+      Dashboard.hideLoadingMsg();
+
+      const failedHeader = response.headers.get("X-GetAvatar-Failed");
+      const failedIds = failedHeader ? failedHeader.split(",") : [];
+      reportBatchResults(
+        ids.map(function (id) {
+          const failed = failedIds.includes(id);
+          return { AvatarId: id, Success: !failed, ErrorMessage: failed ? "Could not be exported" : "" };
+        }),
+        "exported"
+      );
+      setSelected([], true);
+    } catch (error) {
+      console.error("GetAvatar: Export failed", error);
+      Dashboard.hideLoadingMsg();
+      Dashboard.alert({ message: "Export failed: " + error.message, title: "Error" });
+    }
+  }
+
+  const editAvatarDialog = view.querySelector("#editAvatarDialog");
+  const editAvatarForm = view.querySelector("#editAvatarForm");
+  const editAvatarImage = view.querySelector("#editAvatarImage");
+  const editAvatarName = view.querySelector("#editAvatarName");
+  const editAvatarCategory = view.querySelector("#editAvatarCategory");
+  let editingAvatarId = null;
+
+  function openEditAvatarDialog(avatar) {
+    editingAvatarId = avatar.Id || avatar.id;
+    editAvatarImage.src = ApiClient.getUrl("/GetAvatar/Image/" + editingAvatarId);
+    editAvatarName.value = avatar.Name || avatar.name || "";
+    editAvatarCategory.value = avatar.Category || avatar.category || "";
+    editAvatarDialog.style.display = "block";
+    editAvatarName.focus();
+    editAvatarName.select();
+  }
+
+  function closeEditAvatarDialog() {
+    editAvatarDialog.style.display = "none";
+    editingAvatarId = null;
+  }
+
+  function saveAvatarEdit(e) {
+    e.preventDefault();
+    if (!editingAvatarId) return;
+
+    const name = editAvatarName.value.trim();
+    if (!name) {
+      Dashboard.alert({ message: "Please enter a name.", title: "Missing Name" });
+      return;
+    }
+
+    Dashboard.showLoadingMsg();
+
+    ApiClient.fetch({
+      url: ApiClient.getUrl("/GetAvatar/Update/" + editingAvatarId),
+      type: "POST",
+      contentType: "application/json",
+      data: JSON.stringify({ name: name, category: editAvatarCategory.value.trim() }),
+    })
+      .then(function () {
+        Dashboard.hideLoadingMsg();
+        closeEditAvatarDialog();
+        loadAvatars();
+      })
+      .catch(function (error) {
+        console.error("Failed to update avatar:", error);
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert({ message: "Failed to update avatar.", title: "Error" });
+      });
+  }
+
+  editAvatarForm.addEventListener("submit", saveAvatarEdit);
+  view.querySelector("#closeEditAvatarDialog").addEventListener("click", closeEditAvatarDialog);
+  view.querySelector("#cancelEditAvatarDialog").addEventListener("click", closeEditAvatarDialog);
+  editAvatarDialog.addEventListener("keydown", function (e) {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeEditAvatarDialog();
+    }
+  });
+
+  function deleteAvatar(avatarId) {
+    confirmDelete([avatarId], "Delete this avatar?").then(function (choice) {
+      if (choice) sendDeleteAvatar(avatarId, choice.replacementAvatarId);
+    });
+  }
+
+  function sendDeleteAvatar(avatarId, replacementAvatarId) {
+    Dashboard.showLoadingMsg();
+
+    ApiClient.fetch({
+      url: ApiClient.getUrl("/GetAvatar/Delete/" + avatarId, replacementAvatarId ? { replacementAvatarId: replacementAvatarId } : {}),
+      type: "DELETE",
+      dataType: "json",
+    })
+      .then(function (result) {
+        Dashboard.hideLoadingMsg();
+        loadAvatars();
+        if (result && result.reassignedCount) {
+          Dashboard.alert({ message: "Avatar deleted. " + result.reassignedCount + " user(s) moved to the replacement.", title: "Success" });
+        }
+      })
+      .catch(function (error) {
+        console.error("Failed to delete avatar:", error);
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert({
+          message: "Failed to delete avatar.",
+          title: "Error",
+        });
+      });
+  }
+
+  // --- Upload queue ---
+
+  const UPLOAD_CONCURRENCY = 3;
+  const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+  const WEBP_QUALITY = 0.9;
+  const MAX_DIMENSION_STORAGE_KEY = "GetAvatar.uploadMaxDimension";
+
+  const uploadBox = view.querySelector(".upload-box");
+  const uploadQueuePanel = view.querySelector("#uploadQueuePanel");
+  const uploadQueueSummary = view.querySelector("#uploadQueueSummary");
+  const uploadQueueList = view.querySelector("#uploadQueueList");
+  const retryFailedUploadsButton = view.querySelector("#retryFailedUploadsButton");
+  const cancelUploadsButton = view.querySelector("#cancelUploadsButton");
+  const clearUploadsButton = view.querySelector("#clearUploadsButton");
+  const uploadMaxDimensionSelect = view.querySelector("#uploadMaxDimension");
+
+  let uploadQueue = [];
+  let nextUploadId = 1;
+  let activeUploads = 0;
+
+  function resetFileSelection() {
+    fileInput.value = "";
+    if (folderInput) folderInput.value = "";
+    selectedFiles = [];
+    selectedFileDiv.classList.remove("visible");
+    uploadButton.classList.remove("visible");
+  }
+
+  function uploadAvatar() {
+    if (!selectedFiles || selectedFiles.length === 0) {
+      Dashboard.alert({
+        message: "Please select at least one file first.",
+        title: "No File",
+      });
+      return;
+    }
+
+    const category = categoryInput ? categoryInput.value.trim() : "";
+    enqueueUploads(selectedFiles.map(function (file) {
+      return { file: file, category: category };
+    }));
+
+    resetFileSelection();
+    if (categoryInput) categoryInput.value = "";
+  }
+
+  function enqueueUploads(entries) {
+    entries.forEach(function (entry) {
+      uploadQueue.push({
+        id: nextUploadId++,
+        file: entry.file,
+        category: entry.category,
+        status: "pending",
+        loaded: 0,
+        error: "",
+        xhr: null,
+        listed: false,
+        attempt: 0,
+        uploadSize: null,
+      });
+    });
+
+    renderUploadQueue();
+    pumpUploadQueue();
+  }
+
+  function pumpUploadQueue() {
+    while (activeUploads < UPLOAD_CONCURRENCY) {
+      const item = uploadQueue.find(function (i) { return i.status === "pending"; });
+      if (!item) break;
+      startUpload(item);
+    }
+
+    updateUploadSummary();
+
+    // Refresh the library once the queue drains rather than after every file
+    const isIdle = activeUploads === 0 && !uploadQueue.some(function (i) { return i.status === "pending"; });
+    if (isIdle && uploadQueue.some(function (i) { return i.status === "done" && !i.listed; })) {
+      uploadQueue.forEach(function (i) {
+        if (i.status === "done") i.listed = true;
+      });
+      loadAvatars();
+    }
+  }
+
+  function getMaxDimension() {
+    return parseInt(uploadMaxDimensionSelect.value, 10) || 0;
+  }
+
+  function canvasToBlob(canvas, type, quality) {
+    return new Promise(function (resolve) {
+      canvas.toBlob(resolve, type, quality);
+    });
+  }
+
+  // Downscales to the chosen size and re-encodes as WebP, which also drops EXIF and other metadata.
+  // GIFs are sent untouched so animations survive.
+  async function prepareImage(file, maxDimension) {
+    if (file.type === "image/gif") {
+      if (file.size > MAX_UPLOAD_BYTES) {
+        throw new Error("GIFs cannot be resized and this one exceeds 5 MB");
+      }
+      return file;
+    }
+
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(file);
+    } catch (error) {
+      throw new Error("This image format cannot be read by the browser");
+    }
+
+    const scale = maxDimension ? Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height)) : 1;
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    const ctx = canvas.getContext("2d");
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const blob = await canvasToBlob(canvas, "image/webp", WEBP_QUALITY);
+    if (!blob) {
+      throw new Error("The image could not be converted");
+    }
+    if (blob.size > MAX_UPLOAD_BYTES) {
+      throw new Error("Still over 5 MB after conversion; pick a smaller size and retry");
+    }
+
+    // Browsers without a WebP encoder fall back to PNG
+    const extension = blob.type === "image/webp" ? ".webp" : ".png";
+    const baseName = file.name.replace(/\.[^.]+$/, "");
+    return new File([blob], baseName + extension, { type: blob.type });
+  }
+
+  function startUpload(item) {
+    const attempt = ++item.attempt;
+    item.status = "processing";
+    item.loaded = 0;
+    item.error = "";
+    item.uploadSize = null;
+    activeUploads++;
+    updateUploadRow(item);
+
+    prepareImage(item.file, getMaxDimension())
+      .then(function (prepared) {
+        // Cancelled (or cancelled and retried) while the image was being converted
+        if (attempt !== item.attempt || item.status !== "processing") {
+          activeUploads--;
+          pumpUploadQueue();
+          return;
+        }
+
+        item.uploadSize = prepared.size;
+        sendUpload(item, prepared);
+      })
+      .catch(function (error) {
+        activeUploads--;
+        if (attempt === item.attempt && item.status === "processing") {
+          item.status = "failed";
+          item.error = error.message;
+          console.error("Failed to prepare avatar:", item.file.name, error);
+          updateUploadRow(item);
+        }
+        pumpUploadQueue();
+      });
+  }
+
+  function sendUpload(item, file) {
+    const formData = new FormData();
+    formData.append("file", file);
+
+    const uploadUrl = item.category
+      ? ApiClient.getUrl("/GetAvatar/Upload") + "?category=" + encodeURIComponent(item.category)
+      : ApiClient.getUrl("/GetAvatar/Upload");
+
+    // XMLHttpRequest rather than fetch: it is the only way to observe upload progress
+    const xhr = new XMLHttpRequest();
+    item.xhr = xhr;
+    item.status = "uploading";
+    updateUploadRow(item);
+
+    xhr.upload.addEventListener("progress", function (e) {
+      if (e.lengthComputable) {
+        item.loaded = e.loaded / e.total;
+        updateUploadRow(item);
+      }
+    });
+
+    xhr.addEventListener("loadend", function () {
+      activeUploads--;
+      item.xhr = null;
+
+      // A cancelled upload keeps the status cancelUpload gave it
+      if (item.status !== "cancelled") {
+        if (xhr.status >= 200 && xhr.status < 300) {
+          item.status = "done";
+          item.loaded = 1;
+        } else {
+          item.status = "failed";
+          item.error = xhr.status === 0 ? "Network error" : xhr.responseText || "Upload failed (HTTP " + xhr.status + ")";
+          console.error("Failed to upload avatar:", item.file.name, item.error);
+        }
+      }
+
+      updateUploadRow(item);
+      pumpUploadQueue();
+    });
+
+    xhr.open("POST", uploadUrl);
+    xhr.setRequestHeader("X-Emby-Token", ApiClient.accessToken());
+    xhr.send(formData);
+  }
+
+  function cancelUpload(item) {
+    if (item.status !== "pending" && item.status !== "processing" && item.status !== "uploading") return;
+
+    item.status = "cancelled";
+    if (item.xhr) {
+      item.xhr.abort();
+    } else {
+      updateUploadRow(item);
+      updateUploadSummary();
+    }
+  }
+
+  function retryUpload(item) {
+    if (item.status !== "failed" && item.status !== "cancelled") return;
+
+    item.status = "pending";
+    item.loaded = 0;
+    item.error = "";
+    updateUploadRow(item);
+    pumpUploadQueue();
+  }
+
+  function renderUploadQueue() {
+    if (uploadQueue.length === 0) {
+      uploadQueuePanel.style.display = "none";
+      uploadQueueList.innerHTML = "";
+      return;
+    }
+
+    uploadQueuePanel.style.display = "block";
+    uploadQueueList.innerHTML = uploadQueue.map(function (item) {
+      return `
+        <div class="upload-queue-item" data-upload-id="${item.id}">
+          <span class="upload-queue-name" title="${escapeHtml(item.file.name)}">${escapeHtml(item.file.name)}</span>
+          <span class="upload-queue-size"></span>
+          <div class="upload-queue-progress"><div class="upload-queue-progress-bar"></div></div>
+          <span class="upload-queue-status"></span>
+          <button is="paper-icon-button-light" type="button" class="upload-queue-action autoSize"><span class="material-icons"></span></button>
+        </div>
+      `;
+    }).join("");
+
+    uploadQueueList.querySelectorAll(".upload-queue-item").forEach(function (row) {
+      const item = findUpload(parseInt(row.getAttribute("data-upload-id"), 10));
+      row.querySelector(".upload-queue-action").addEventListener("click", function () {
+        if (item.status === "failed" || item.status === "cancelled") {
+          retryUpload(item);
+        } else {
+          cancelUpload(item);
+        }
+      });
+      updateUploadRow(item);
+    });
+
+    updateUploadSummary();
+  }
+
+  function findUpload(id) {
+    return uploadQueue.find(function (i) { return i.id === id; });
+  }
+
+  function updateUploadRow(item) {
+    const row = uploadQueueList.querySelector('[data-upload-id="' + item.id + '"]');
+    if (!row) return;
+
+    const labels = {
+      pending: "Waiting",
+      processing: "Resizing",
+      uploading: Math.round(item.loaded * 100) + "%",
+      done: "Uploaded",
+      failed: "Failed",
+      cancelled: "Cancelled",
+    };
+    row.className = "upload-queue-item " + item.status;
+    row.querySelector(".upload-queue-progress-bar").style.width = Math.round(item.loaded * 100) + "%";
+    row.querySelector(".upload-queue-size").textContent = item.uploadSize === null
+      ? formatBytes(item.file.size)
+      : formatBytes(item.file.size) + " \u2192 " + formatBytes(item.uploadSize);
+
+    const status = row.querySelector(".upload-queue-status");
+    status.textContent = labels[item.status];
+    status.title = item.error;
+
+    const action = row.querySelector(".upload-queue-action");
+    const canRetry = item.status === "failed" || item.status === "cancelled";
+    action.style.visibility = item.status === "done" ? "hidden" : "visible";
+    action.title = canRetry ? "Retry" : "Cancel";
+    action.querySelector(".material-icons").className = "material-icons " + (canRetry ? "refresh" : "close");
+  }
+
+  function updateUploadSummary() {
+    const count = function (status) {
+      return uploadQueue.filter(function (i) { return i.status === status; }).length;
+    };
+    const done = count("done");
+    const failed = count("failed");
+    const cancelled = count("cancelled");
+    const remaining = count("pending") + count("processing") + count("uploading");
+
+    let summary = done + " of " + uploadQueue.length + " uploaded";
+    if (failed > 0) summary += ", " + failed + " failed";
+    if (cancelled > 0) summary += ", " + cancelled + " cancelled";
+    uploadQueueSummary.textContent = summary;
+
+    retryFailedUploadsButton.disabled = failed + cancelled === 0;
+    cancelUploadsButton.disabled = remaining === 0;
+    clearUploadsButton.disabled = remaining === uploadQueue.length;
+  }
+
+  function retryFailedUploads() {
+    uploadQueue.forEach(function (item) {
+      if (item.status === "failed" || item.status === "cancelled") {
+        item.status = "pending";
+        item.loaded = 0;
+        item.error = "";
+        updateUploadRow(item);
+      }
+    });
+    pumpUploadQueue();
+  }
+
+  function cancelAllUploads() {
+    uploadQueue.forEach(cancelUpload);
+  }
+
+  function clearFinishedUploads() {
+    uploadQueue = uploadQueue.filter(function (item) {
+      return item.status === "pending" || item.status === "processing" || item.status === "uploading" || item.status === "failed";
+    });
+    renderUploadQueue();
+  }
+
+  function validateFiles(files) {
+    const validFiles = [];
+    const validationErrors = [];
+
+    // Size is not checked here: oversized images are downscaled before they are sent
+    files.forEach(function (file) {
+      if (!file.type.startsWith("image/")) {
+        validationErrors.push(file.name + " is not an image");
+      } else {
+        validFiles.push(file);
+      }
+    });
+
+    if (validationErrors.length > 0) {
+      Dashboard.alert({
+        message:
+          "Some files were rejected:\n\n" +
+          validationErrors.join("\n") +
+          "\n\nValid files: " +
+          validFiles.length,
+        title: "File Validation",
+      });
+    }
+
+    return validFiles;
+  }
+
+  function handleFileSelection(files, fromFolder) {
+    if (!files || files.length === 0) return;
+
+    const fileArray = Array.from(files);
+    const validFiles = validateFiles(fileArray);
+
+    if (validFiles.length === 0) {
+      resetFileSelection();
+      return;
+    }
+
+    // Auto-detect category from folder name
+    if (fromFolder && categoryInput && validFiles.length > 0) {
+      const firstPath = fileArray[0].webkitRelativePath || "";
+      const folderName = firstPath.split("/")[0] || "";
+      if (folderName && !categoryInput.value.trim()) {
+        categoryInput.value = folderName;
+      }
+    }
+
+    selectedFiles = validFiles;
+    const totalSize = validFiles.reduce(function (sum, file) { return sum + file.size; }, 0);
+    fileNameSpan.textContent =
+      (validFiles.length === 1
+        ? validFiles[0].name
+        : validFiles.length + " files selected") + " (" + formatBytes(totalSize) + ")";
+    selectedFileDiv.classList.add("visible");
+    uploadButton.classList.add("visible");
+  }
+
+  // Reads a dropped file or folder; folders are walked recursively and keep their top-level name
+  function readDroppedEntry(entry, topFolder) {
+    if (entry.isFile) {
+      return new Promise(function (resolve) {
+        entry.file(
+          function (file) { resolve([{ file: file, folder: topFolder }]); },
+          function () { resolve([]); }
+        );
+      });
+    }
+
+    if (!entry.isDirectory) {
+      return Promise.resolve([]);
+    }
+
+    const folder = topFolder || entry.name;
+    const reader = entry.createReader();
+    const children = [];
+
+    // readEntries returns results in batches until it yields an empty one
+    return new Promise(function (resolve) {
+      function readBatch() {
+        reader.readEntries(
+          function (batch) {
+            if (batch.length === 0) {
+              Promise.all(children.map(function (child) { return readDroppedEntry(child, folder); }))
+                .then(function (results) { resolve([].concat.apply([], results)); });
+              return;
+            }
+            children.push.apply(children, batch);
+            readBatch();
+          },
+          function () { resolve([]); }
+        );
+      }
+      readBatch();
+    });
+  }
+
+  function handleDrop(e) {
+    e.preventDefault();
+    uploadBox.classList.remove("drag-over");
+
+    const items = Array.from(e.dataTransfer.items || []);
+    const entries = items
+      .map(function (item) { return item.webkitGetAsEntry ? item.webkitGetAsEntry() : null; })
+      .filter(Boolean);
+
+    const dropped = entries.length > 0
+      ? Promise.all(entries.map(function (entry) { return readDroppedEntry(entry, ""); }))
+          .then(function (results) { return [].concat.apply([], results); })
+      : Promise.resolve(Array.from(e.dataTransfer.files || []).map(function (file) {
+          return { file: file, folder: "" };
+        }));
+
+    dropped.then(function (droppedFiles) {
+      const validFiles = validateFiles(droppedFiles.map(function (d) { return d.file; }));
+      if (validFiles.length === 0) return;
+
+      // The category field wins; otherwise each dropped folder becomes its own category
+      const typedCategory = categoryInput ? categoryInput.value.trim() : "";
+      enqueueUploads(droppedFiles
+        .filter(function (d) { return validFiles.includes(d.file); })
+        .map(function (d) {
+          return { file: d.file, category: typedCategory || d.folder };
+        }));
+    });
+  }
+
+  uploadBox.addEventListener("dragover", function (e) {
+    if (!e.dataTransfer || !Array.from(e.dataTransfer.types || []).includes("Files")) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    uploadBox.classList.add("drag-over");
+  });
+  uploadBox.addEventListener("dragleave", function (e) {
+    if (!uploadBox.contains(e.relatedTarget)) {
+      uploadBox.classList.remove("drag-over");
+    }
+  });
+  uploadBox.addEventListener("drop", handleDrop);
+
+  try {
+    uploadMaxDimensionSelect.value = localStorage.getItem(MAX_DIMENSION_STORAGE_KEY) || uploadMaxDimensionSelect.value;
+  } catch (e) { /* storage unavailable */ }
+  uploadMaxDimensionSelect.addEventListener("change", function () {
+    try { localStorage.setItem(MAX_DIMENSION_STORAGE_KEY, this.value); } catch (e) { /* storage unavailable */ }
+  });
+
+  retryFailedUploadsButton.addEventListener("click", retryFailedUploads);
+  cancelUploadsButton.addEventListener("click", cancelAllUploads);
+  clearUploadsButton.addEventListener("click", clearFinishedUploads);
+
+  fileInput.addEventListener("change", function () {
+    if (this.files && this.files.length > 0) {
+      handleFileSelection(this.files, false);
+    } else {
+      selectedFiles = [];
+      selectedFileDiv.classList.remove("visible");
+      uploadButton.classList.remove("visible");
+    }
+  });
+
+  if (folderInput) {
+    folderInput.addEventListener("change", function () {
+      if (this.files && this.files.length > 0) {
+        handleFileSelection(this.files, true);
+      }
+    });
+  }
+
+  async function importZip(file) {
+    Dashboard.showLoadingMsg();
+
+    try {
+      const formData = new FormData();
+      formData.append("file", file);
+
+      const response = await fetch(ApiClient.getUrl("/GetAvatar/ImportZip"), {
+        method: "POST",
+        headers: { "X-Emby-Token": ApiClient.accessToken() },
+        body: formData,
+      });
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(text || "Import failed");
+      }
+
+      const result = await response.json();
+      const failure = (result.packResults || []).find(function (r) { return !(r.Success || r.success); });
+      if (failure) {
+        throw new Error(failure.ErrorMessage || failure.errorMessage || "Import failed");
+      }
+
+      const imported = result.importedCount || 0;
+      const total = result.totalImages || 0;
+      const duplicates = result.duplicateCount || 0;
+
+      Dashboard.hideLoadingMsg();
+      loadAvatars();
+
+      let message;
+      if (total === 0) {
+        message = "No images found in " + file.name + ".";
+      } else if (imported === 0 && duplicates === total) {
+        message = "All " + total + " avatar(s) are already imported.";
+      } else {
+        message = "Imported " + imported + " of " + total + " avatar(s)" + (duplicates > 0 ? ", " + duplicates + " duplicate(s) skipped." : ".");
+      }
+      Dashboard.alert({ message: message, title: imported > 0 ? "Success" : "Import ZIP" });
+    } catch (error) {
+      console.error("GetAvatar: Failed to import zip", error);
+      Dashboard.hideLoadingMsg();
+      Dashboard.alert({ message: "Import failed: " + error.message, title: "Error" });
+    } finally {
+      zipInput.value = "";
+    }
+  }
+
+  zipInput.addEventListener("change", function () {
+    if (this.files && this.files.length > 0) {
+      importZip(this.files[0]);
+    }
+  });
+
+  const restoreBackupInput = view.querySelector("#restoreBackupInput");
+  const restoreBackupDialog = view.querySelector("#restoreBackupDialog");
+  const restoreBackupSummary = view.querySelector("#restoreBackupSummary");
+  let restoreToken = null;
+
+  async function exportBackup() {
+    Dashboard.showLoadingMsg();
+
+    try {
+      const response = await fetch(ApiClient.getUrl("/GetAvatar/Backup"), {
+        headers: { "X-Emby-Token": ApiClient.accessToken() },
+      });
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(text || "Backup failed");
+      }
+
+      const disposition = response.headers.get("Content-Disposition") || "";
+      const match = /filename="?([^";]+)"?/i.exec(disposition);
+
+      const blob = await response.blob();
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = match ? match[1] : "getavatar-backup.zip";
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(function () { URL.revokeObjectURL(link.href); }, 10000);
+
+      Dashboard.hideLoadingMsg();
+    } catch (error) {
+      console.error("GetAvatar: Backup failed", error);
+      Dashboard.hideLoadingMsg();
+      Dashboard.alert({ message: "Backup failed: " + error.message, title: "Error" });
+    }
+  }
+
+  async function previewBackup(file) {
+    Dashboard.showLoadingMsg();
+
+    try {
+      const formData = new FormData();
+      formData.append("file", file);
+
+      const response = await fetch(ApiClient.getUrl("/GetAvatar/Backup/Preview"), {
+        method: "POST",
+        headers: { "X-Emby-Token": ApiClient.accessToken() },
+        body: formData,
+      });
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(text || "Could not read backup");
+      }
+
+      const preview = await response.json();
+      Dashboard.hideLoadingMsg();
+      openRestoreBackupDialog(preview);
+    } catch (error) {
+      console.error("GetAvatar: Failed to read backup", error);
+      Dashboard.hideLoadingMsg();
+      Dashboard.alert({ message: "Could not read backup: " + error.message, title: "Error" });
+    } finally {
+      restoreBackupInput.value = "";
+    }
+  }
+
+  function openRestoreBackupDialog(preview) {
+    restoreToken = preview.Token || preview.token;
+
+    const createdAt = new Date(preview.CreatedAt || preview.createdAt);
+    const categories = preview.Categories || preview.categories || [];
+    const unmatched = preview.UnmatchedUsers || preview.unmatchedUsers || [];
+    const avatarCount = preview.AvatarCount || 0;
+    const newCount = preview.NewAvatarCount || 0;
+    const currentCount = preview.CurrentAvatarCount || 0;
+    const userCount = preview.UserCount || 0;
+    const matchedCount = preview.MatchedUserCount || 0;
+
+    let html = "<p>Backup from <strong>" + escapeHtml(createdAt.toLocaleString()) + "</strong></p>";
+    html += "<p>" + avatarCount + " avatar(s) in " + categories.length + " categor" + (categories.length === 1 ? "y" : "ies") +
+      ", " + newCount + " not in the current library (" + currentCount + " avatar(s)).</p>";
+    if (categories.length > 0) {
+      html += "<ul>" + categories.map(function (c) {
+        return "<li>" + escapeHtml(c.Name || c.name || "Uncategorized") + " (" + (c.Count || c.count || 0) + ")</li>";
+      }).join("") + "</ul>";
+    }
+    html += "<p>" + matchedCount + " of " + userCount + " user avatar(s) can be re-applied.</p>";
+    if (unmatched.length > 0) {
+      html += "<p class=\"restore-warning\">No matching user on this server:</p>";
+      html += "<ul>" + unmatched.map(function (name) { return "<li>" + escapeHtml(name) + "</li>"; }).join("") + "</ul>";
+    }
+
+    restoreBackupSummary.innerHTML = html;
+    restoreBackupDialog.querySelector("input[name='restoreMode'][value='merge']").checked = true;
+    restoreBackupDialog.style.display = "block";
+  }
+
+  function closeRestoreBackupDialog() {
+    restoreBackupDialog.style.display = "none";
+    restoreToken = null;
+  }
+
+  async function restoreBackup() {
+    if (!restoreToken) return;
+
+    const replace = restoreBackupDialog.querySelector("input[name='restoreMode']:checked").value === "replace";
+    if (replace && !confirm("Delete every avatar in the current library and replace it with the backup?")) {
+      return;
+    }
+
+    const token = restoreToken;
+    closeRestoreBackupDialog();
+    Dashboard.showLoadingMsg();
+
+    try {
+      const response = await fetch(ApiClient.getUrl("/GetAvatar/Backup/Restore"), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Emby-Token": ApiClient.accessToken(),
+        },
+        body: JSON.stringify({ token: token, replace: replace }),
+      });
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(text || "Restore failed");
+      }
+
+      const result = await response.json();
+      const failedUsers = result.FailedUsers || result.failedUsers || [];
+
+      Dashboard.hideLoadingMsg();
+      loadAvatars();
+
+      let message = "Imported " + (result.ImportedCount || 0) + " avatar(s)";
+      if (result.SkippedCount) message += ", " + result.SkippedCount + " already present";
+      if (result.RemovedCount) message += ", " + result.RemovedCount + " removed";
+      message += ". Re-applied " + (result.AppliedUserCount || 0) + " user avatar(s).";
+      if (failedUsers.length > 0) {
+        message += "\n\nCould not re-apply:\n" + failedUsers.join("\n");
+      }
+      Dashboard.alert({ message: message, title: failedUsers.length > 0 ? "Restore Finished With Errors" : "Success" });
+    } catch (error) {
+      console.error("GetAvatar: Restore failed", error);
+      Dashboard.hideLoadingMsg();
+      Dashboard.alert({ message: "Restore failed: " + error.message, title: "Error" });
+    }
+  }
+
+  view.querySelector("#exportBackupButton").addEventListener("click", function (e) {
+    e.preventDefault();
+    exportBackup();
+  });
+  restoreBackupInput.addEventListener("change", function () {
+    if (this.files && this.files.length > 0) {
+      previewBackup(this.files[0]);
+    }
+  });
+  view.querySelector("#confirmRestoreBackupButton").addEventListener("click", restoreBackup);
+  view.querySelector("#closeRestoreBackupDialog").addEventListener("click", closeRestoreBackupDialog);
+  view.querySelector("#cancelRestoreBackupDialog").addEventListener("click", closeRestoreBackupDialog);
+  restoreBackupDialog.addEventListener("keydown", function (e) {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeRestoreBackupDialog();
+    }
+  });
+
+  uploadButton.addEventListener("click", uploadAvatar);
+  toggleSelectionButton.addEventListener("click", function (e) {
+    e.preventDefault();
+    setSelectionMode(!selectionMode);
+  });
+  batchMoveButton.addEventListener("click", moveSelected);
+  batchExportButton.addEventListener("click", exportSelected);
+  batchDeleteButton.addEventListener("click", deleteSelected);
+  batchClearButton.addEventListener("click", clearSelection);
+  enableAutoAssignSwitch.addEventListener("change", saveSettings);
+
+  const downloadOnlinePackButton = view.querySelector("#downloadOnlinePackButton");
+  const onlinePackDialog = view.querySelector("#onlinePackDialog");
+  const onlinePackList = view.querySelector("#onlinePackList");
+  const onlinePackResult = view.querySelector("#onlinePackResult");
+  const importOnlinePacksButton = view.querySelector("#importOnlinePacksButton");
+  const importAllOnlinePacksButton = view.querySelector("#importAllOnlinePacksButton");
+  const closeOnlinePackDialogButton = view.querySelector("#closeOnlinePackDialog");
+  const cancelOnlinePackDialog = view.querySelector("#cancelOnlinePackDialog");
+  const onlinePackBrowse = view.querySelector("#onlinePackBrowse");
+  const onlinePackPreview = view.querySelector("#onlinePackPreview");
+  const packPreviewGrid = view.querySelector("#packPreviewGrid");
+  const packPreviewCategory = view.querySelector("#packPreviewCategory");
+  const packPreviewSummary = view.querySelector("#packPreviewSummary");
+  const importPackPreviewButton = view.querySelector("#importPackPreviewButton");
+  const backToOnlinePacksButton = view.querySelector("#backToOnlinePacksButton");
+  const onlinePackJob = view.querySelector("#onlinePackJob");
+  const packImportJobStatus = view.querySelector("#packImportJobStatus");
+  const packImportJobList = view.querySelector("#packImportJobList");
+  const cancelImportJobButton = view.querySelector("#cancelImportJobButton");
+  const removeDroppedPacks = view.querySelector("#removeDroppedPacks");
+
+  const IMPORT_JOB_POLL_INTERVAL = 1000;
+
+  let onlinePacks = [];
+  let packPreview = null;
+  let packPreviewSelection = new Set();
+  let previewJobId = null;
+  let previewJobTimer = null;
+  let importJobId = null;
+  let importJobTimer = null;
+
+  function formatBytes(bytes) {
+    if (bytes === 0) return "0 B";
+    const k = 1024;
+    const sizes = ["B", "KB", "MB", "GB"];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
+  }
+
+  function openOnlinePackDialog() {
+    if (onlinePackDialog) {
+      onlinePackDialog.style.display = "block";
+    }
+    if (onlinePackResult) {
+      onlinePackResult.style.display = "none";
+      onlinePackResult.textContent = "";
+    }
+    // Pick up an import that is still running instead of offering a second one
+    resumeRunningImportJob().then(function (resumed) {
+      if (!resumed) {
+        loadOnlinePacks();
+      }
+    });
+  }
+
+  function closeOnlinePackDialogFn() {
+    if (onlinePackDialog) {
+      onlinePackDialog.style.display = "none";
+    }
+    // The import keeps running on the server; reopening the dialog shows it again
+    stopImportJobPolling();
+    showImportJobStep(false);
+    showPackPreviewStep(false);
+    onlinePacks = [];
+    if (onlinePackList) {
+      onlinePackList.innerHTML = "";
+    }
+    if (importOnlinePacksButton) {
+      importOnlinePacksButton.disabled = true;
+      importOnlinePacksButton.textContent = "Import Selected";
+    }
+  }
+
+  function loadOnlinePacks() {
+    if (!onlinePackList || !importOnlinePacksButton) return;
+
+    onlinePackList.innerHTML = '<div class="loading-state">Loading packs...</div>';
+    importOnlinePacksButton.disabled = true;
+
+    ApiClient.fetch({
+      url: ApiClient.getUrl("/GetAvatar/OnlinePacks"),
+      type: "GET",
+      dataType: "json",
+    })
+      .then(function (sources) {
+        onlinePacks = sources || [];
+        renderOnlinePacks();
+      })
+      .catch(function (error) {
+        console.error("GetAvatar: Failed to load online packs", error);
+        onlinePackList.innerHTML = '<div class="online-pack-error">Failed to load online packs. Please try again later.</div>';
+      });
+  }
+
+  function renderOnlinePacks() {
+    if (!onlinePackList) return;
+
+    if (!onlinePacks || onlinePacks.length === 0) {
+      onlinePackList.innerHTML = '<div class="online-pack-empty">No pack sources configured. Add one under Pack Sources.</div>';
+      return;
+    }
+
+    let html = "";
+    onlinePacks.forEach(function (source) {
+      const sourceName = source.Name || source.name || "";
+      const error = source.Error || source.error;
+      const packs = source.Packs || source.packs || [];
+
+      html += '<div class="online-pack-source">';
+      html += '<h4 class="online-pack-source-title">' + escapeHtml(sourceName) + "</h4>";
+      if (error) {
+        html += '<div class="online-pack-error">Failed to load this source: ' + escapeHtml(error) + "</div>";
+      } else if (packs.length === 0) {
+        html += '<div class="online-pack-empty">No packs in this source.</div>';
+      } else {
+        html += '<div class="online-pack-list">';
+        packs.forEach(function (pack) {
+          const id = pack.Id || pack.id || "";
+          const name = pack.Name || pack.name || "";
+          const size = formatBytes(pack.Size || pack.size || 0);
+          const status = pack.Status || pack.status || "New";
+          const statusHtml = status === "Installed"
+            ? '<span class="online-pack-status installed">Installed</span>'
+            : status === "UpdateAvailable"
+              ? '<span class="online-pack-status update">Update available</span>'
+              : '<span class="online-pack-status">New</span>';
+          const updateHtml = status === "UpdateAvailable"
+            ? `<button type="button" is="emby-button" class="raised button-alt online-pack-update-button" data-pack-id="${escapeHtml(id)}" title="Import only the images added since the installed version">Update</button>`
+            : "";
+          html += `
+            <label class="online-pack-item">
+              <input type="checkbox" value="${escapeHtml(id)}" data-status="${escapeHtml(status)}" />
+              <div class="online-pack-info">
+                <span class="online-pack-name">${escapeHtml(name)}</span>
+                <span class="online-pack-size">${escapeHtml(size)}</span>
+              </div>
+              ${statusHtml}
+              ${updateHtml}
+              <button type="button" is="paper-icon-button-light" class="online-pack-preview-button" data-pack-id="${escapeHtml(id)}" title="Preview and pick images" aria-label="Preview ${escapeHtml(name)}">
+                <span class="material-icons">visibility</span>
+              </button>
+            </label>
+          `;
+        });
+        html += "</div>";
+      }
+      html += "</div>";
+    });
+
+    onlinePackList.innerHTML = html;
+    updateImportButton();
+
+    onlinePackList.querySelectorAll('input[type="checkbox"]').forEach(function (checkbox) {
+      checkbox.addEventListener("change", updateImportButton);
+    });
+  }
+
+  function updateImportButton() {
+    if (!onlinePackList || !importOnlinePacksButton) return;
+    const checked = onlinePackList.querySelectorAll('input[type="checkbox"]:checked');
+    importOnlinePacksButton.disabled = checked.length === 0;
+  }
+
+  async function importOnlinePacks() {
+    if (!onlinePackList || !importOnlinePacksButton || !onlinePackResult) return;
+
+    const checked = onlinePackList.querySelectorAll('input[type="checkbox"]:checked');
+    const packIds = Array.from(checked).map(function (cb) { return cb.value; });
+
+    if (packIds.length === 0) return;
+
+    await startImportJob(packIds);
+  }
+
+  // Installed packs are updated in place: only images added since the installed version are imported
+  async function startImportJob(packIds) {
+    importOnlinePacksButton.disabled = true;
+    importOnlinePacksButton.textContent = "Starting...";
+
+    try {
+      const response = await fetch(ApiClient.getUrl("/GetAvatar/ImportOnlinePacks"), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Emby-Token": ApiClient.accessToken(),
+        },
+        body: JSON.stringify({ packs: packIds, removeDropped: removeDroppedPacks.checked }),
+      });
+
+      if (response.status === 409) {
+        // Another admin (or another tab) started an import first; follow that one
+        await resumeRunningImportJob();
+        return;
+      }
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(text || "Import failed");
+      }
+
+      followImportJob(normalizeImportJob(await response.json()));
+    } catch (error) {
+      console.error("GetAvatar: Failed to import online packs", error);
+      onlinePackResult.style.display = "block";
+      onlinePackResult.style.background = "rgba(229, 57, 53, 0.1)";
+      onlinePackResult.textContent = "Import failed: " + error.message;
+    } finally {
+      importOnlinePacksButton.disabled = false;
+      importOnlinePacksButton.textContent = "Import Selected";
+      updateImportButton();
+    }
+  }
+
+  function normalizeImportJob(job) {
+    return {
+      id: job.Id || job.id,
+      status: job.Status || job.status,
+      importedCount: job.ImportedCount || job.importedCount || 0,
+      duplicateCount: job.DuplicateCount || job.duplicateCount || 0,
+      packs: (job.Packs || job.packs || []).map(function (pack) {
+        return {
+          name: pack.PackName || pack.packName || pack.PackId || pack.packId,
+          status: pack.Status || pack.status,
+          downloadedBytes: pack.DownloadedBytes || pack.downloadedBytes || 0,
+          totalBytes: pack.TotalBytes || pack.totalBytes || 0,
+          processedImages: pack.ProcessedImages || pack.processedImages || 0,
+          totalImages: pack.TotalImages || pack.totalImages || 0,
+          importedCount: pack.ImportedCount || pack.importedCount || 0,
+          duplicateCount: pack.DuplicateCount || pack.duplicateCount || 0,
+          failedCount: pack.FailedCount || pack.failedCount || 0,
+          removedCount: pack.RemovedCount || pack.removedCount || 0,
+          errorMessage: pack.ErrorMessage || pack.errorMessage || "",
+        };
+      }),
+    };
+  }
+
+  function resumeRunningImportJob() {
+    return ApiClient.fetch({
+      url: ApiClient.getUrl("/GetAvatar/ImportJobs"),
+      type: "GET",
+      dataType: "json",
+    })
+      .then(function (jobs) {
+        const running = (jobs || []).map(normalizeImportJob).filter(function (job) {
+          return job.status === "Running";
+        })[0];
+        if (!running) return false;
+
+        onlinePackDialog.style.display = "block";
+        followImportJob(running);
+        return true;
+      })
+      .catch(function (error) {
+        console.error("GetAvatar: Failed to load import jobs", error);
+        return false;
+      });
+  }
+
+  function followImportJob(job) {
+    stopImportJobPolling();
+    importJobId = job.id;
+    showPackPreviewStep(false);
+    showImportJobStep(true);
+    onlinePackResult.style.display = "none";
+    renderImportJob(job);
+    importJobTimer = setTimeout(pollImportJob, IMPORT_JOB_POLL_INTERVAL);
+  }
+
+  function stopImportJobPolling() {
+    clearTimeout(importJobTimer);
+    importJobTimer = null;
+    importJobId = null;
+  }
+
+  function pollImportJob() {
+    const jobId = importJobId;
+    if (!jobId) return;
+
+    ApiClient.fetch({
+      url: ApiClient.getUrl("/GetAvatar/ImportJobs/" + jobId),
+      type: "GET",
+      dataType: "json",
+    })
+      .then(function (result) {
+        // The dialog was closed or switched to another job meanwhile
+        if (importJobId !== jobId) return;
+
+        const job = normalizeImportJob(result);
+        renderImportJob(job);
+        if (job.status === "Running") {
+          importJobTimer = setTimeout(pollImportJob, IMPORT_JOB_POLL_INTERVAL);
+        } else {
+          finishImportJob(job);
+        }
+      })
+      .catch(function (error) {
+        if (importJobId !== jobId) return;
+        console.error("GetAvatar: Failed to load import progress", error);
+        importJobTimer = setTimeout(pollImportJob, IMPORT_JOB_POLL_INTERVAL * 3);
+      });
+  }
+
+  function showImportJobStep(show) {
+    onlinePackJob.style.display = show ? "block" : "none";
+    if (show) {
+      onlinePackBrowse.style.display = "none";
+    } else {
+      onlinePackBrowse.style.display = "block";
+      packImportJobList.innerHTML = "";
+      packImportJobStatus.textContent = "";
+    }
+    importAllOnlinePacksButton.style.display = show ? "none" : "";
+    importOnlinePacksButton.style.display = show ? "none" : "";
+    cancelImportJobButton.style.display = show ? "" : "none";
+    cancelImportJobButton.disabled = false;
+    cancelImportJobButton.textContent = "Cancel Import";
+    cancelOnlinePackDialog.textContent = show ? "Close" : "Cancel";
+  }
+
+  function getImportPackProgress(pack) {
+    switch (pack.status) {
+      case "Downloading":
+        return {
+          percent: pack.totalBytes > 0 ? pack.downloadedBytes / pack.totalBytes * 100 : 0,
+          detail: "Downloading " + formatBytes(pack.downloadedBytes) + (pack.totalBytes > 0 ? " of " + formatBytes(pack.totalBytes) : ""),
+        };
+      case "Importing":
+      case "Done":
+      case "Cancelled": {
+        const counts = pack.processedImages + " of " + pack.totalImages + " images, " + pack.importedCount + " imported, " +
+          pack.duplicateCount + " duplicate(s)" + (pack.failedCount > 0 ? ", " + pack.failedCount + " failed" : "") +
+          (pack.removedCount > 0 ? ", " + pack.removedCount + " removed" : "");
+        return {
+          percent: pack.status === "Done" ? 100 : pack.totalImages > 0 ? pack.processedImages / pack.totalImages * 100 : 0,
+          detail: pack.status === "Cancelled" && pack.totalImages === 0 ? "Cancelled" : counts,
+        };
+      }
+      case "Failed":
+        return { percent: 100, detail: pack.errorMessage || "Import failed" };
+      default:
+        return { percent: 0, detail: "Waiting" };
+    }
+  }
+
+  function renderImportJob(job) {
+    const finishedPacks = job.packs.filter(function (pack) {
+      return pack.status === "Done" || pack.status === "Failed" || pack.status === "Cancelled";
+    }).length;
+
+    if (job.status === "Running") {
+      packImportJobStatus.textContent = "Importing " + job.packs.length + " pack(s): " + finishedPacks + " finished, " +
+        job.importedCount + " avatar(s) imported so far. You can close this dialog; the import continues in the background.";
+    } else {
+      packImportJobStatus.textContent = "";
+    }
+
+    packImportJobList.innerHTML = job.packs.map(function (pack) {
+      const progress = getImportPackProgress(pack);
+      return '<div class="import-job-pack ' + escapeHtml(String(pack.status).toLowerCase()) + '">' +
+        '<div class="import-job-pack-header">' +
+        '<span class="online-pack-name">' + escapeHtml(pack.name) + "</span>" +
+        '<span class="import-job-pack-status">' + escapeHtml(pack.status) + "</span>" +
+        "</div>" +
+        '<div class="import-job-progress"><div class="import-job-progress-bar" style="width:' + Math.min(100, Math.round(progress.percent)) + '%;"></div></div>' +
+        '<div class="import-job-pack-detail">' + escapeHtml(progress.detail) + "</div>" +
+        "</div>";
+    }).join("");
+  }
+
+  function finishImportJob(job) {
+    importJobId = null;
+    importJobTimer = null;
+    cancelImportJobButton.style.display = "none";
+
+    const failedPacks = job.packs.filter(function (pack) { return pack.status === "Failed"; });
+
+    onlinePackResult.style.display = "block";
+    if (job.status === "Cancelled") {
+      onlinePackResult.style.background = "rgba(255, 193, 7, 0.1)";
+      onlinePackResult.textContent = "Import cancelled. " + job.importedCount + " avatar(s) imported before cancelling were kept.";
+    } else if (job.importedCount > 0) {
+      onlinePackResult.style.background = "rgba(82, 181, 75, 0.1)";
+      onlinePackResult.textContent = "Successfully imported " + job.importedCount + " avatar(s)" +
+        (job.duplicateCount > 0 ? ", skipped " + job.duplicateCount + " duplicate(s)." : ".");
+    } else if (job.duplicateCount > 0) {
+      onlinePackResult.style.background = "rgba(255, 255, 255, 0.1)";
+      onlinePackResult.textContent = "All " + job.duplicateCount + " avatar(s) are already imported.";
+    } else {
+      onlinePackResult.style.background = "rgba(255, 193, 7, 0.1)";
+      onlinePackResult.textContent = "No new avatars to import.";
+    }
+
+    if (failedPacks.length > 0) {
+      onlinePackResult.style.background = "rgba(229, 57, 53, 0.1)";
+      onlinePackResult.textContent += " Failed: " + failedPacks.map(function (pack) {
+        return pack.name + " (" + pack.errorMessage + ")";
+      }).join(", ");
+    }
+
+    loadAvatars();
+  }
+
+  async function cancelImportJob() {
+    if (!importJobId) return;
+
+    cancelImportJobButton.disabled = true;
+    cancelImportJobButton.textContent = "Cancelling...";
+
+    try {
+      const response = await fetch(ApiClient.getUrl("/GetAvatar/ImportJobs/" + importJobId + "/Cancel"), {
+        method: "POST",
+        headers: { "X-Emby-Token": ApiClient.accessToken() },
+      });
+
+      // 404 means the job finished first; the next poll shows the result
+      if (!response.ok && response.status !== 404) {
+        const text = await response.text();
+        throw new Error(text || "Cancel failed");
+      }
+    } catch (error) {
+      console.error("GetAvatar: Failed to cancel import", error);
+      cancelImportJobButton.disabled = false;
+      cancelImportJobButton.textContent = "Cancel Import";
+      Dashboard.alert({ message: "Failed to cancel the import: " + error.message, title: "Error" });
+    }
+  }
+
+  function showPackPreviewStep(show) {
+    onlinePackBrowse.style.display = show ? "none" : "block";
+    onlinePackPreview.style.display = show ? "block" : "none";
+    importAllOnlinePacksButton.style.display = show ? "none" : "";
+    importOnlinePacksButton.style.display = show ? "none" : "";
+    backToOnlinePacksButton.style.display = show ? "" : "none";
+    importPackPreviewButton.style.display = show ? "" : "none";
+    if (!show) {
+      cancelPreviewJob();
+      packPreview = null;
+      packPreviewSelection = new Set();
+      packPreviewGrid.innerHTML = "";
+    }
+  }
+
+  async function previewOnlinePack(packId) {
+    showPackPreviewStep(true);
+    onlinePackResult.style.display = "none";
+    packPreviewGrid.innerHTML = '<div class="loading-state">Downloading pack...</div>';
+    packPreviewSummary.textContent = "";
+    importPackPreviewButton.disabled = true;
+
+    try {
+      const response = await fetch(ApiClient.getUrl("/GetAvatar/OnlinePacks/Preview"), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Emby-Token": ApiClient.accessToken(),
+        },
+        body: JSON.stringify({ packId: packId }),
+      });
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(text || "Preview failed");
       }
+
+      const job = await response.json();
+      previewJobId = job.Id || job.id;
+      // The preview step was left while the download was starting
+      if (onlinePackPreview.style.display === "none") {
+        cancelPreviewJob();
+        return;
+      }
+
+      renderPreviewJob(job);
+      previewJobTimer = setTimeout(pollPreviewJob, IMPORT_JOB_POLL_INTERVAL);
+    } catch (error) {
+      failPackPreview(error);
+    }
+  }
+
+  function pollPreviewJob() {
+    const jobId = previewJobId;
+    if (!jobId) return;
+
+    ApiClient.fetch({
+      url: ApiClient.getUrl("/GetAvatar/PreviewJobs/" + jobId),
+      type: "GET",
+      dataType: "json",
+    })
+      .then(function (job) {
+        // The preview step was left meanwhile
+        if (previewJobId !== jobId) return;
+
+        const status = job.Status || job.status;
+        if (status === "Running") {
+          renderPreviewJob(job);
+          previewJobTimer = setTimeout(pollPreviewJob, IMPORT_JOB_POLL_INTERVAL);
+          return;
+        }
+
+        previewJobId = null;
+        previewJobTimer = null;
+        const progress = job.Progress || job.progress || {};
+        if (status === "Completed") {
+          showPackPreviewImages(job.Preview || job.preview);
+        } else {
+          failPackPreview(new Error(progress.ErrorMessage || progress.errorMessage || "Preview " + String(status).toLowerCase()));
+        }
+      })
+      .catch(function (error) {
+        if (previewJobId !== jobId) return;
+        console.error("GetAvatar: Failed to load preview progress", error);
+        previewJobTimer = setTimeout(pollPreviewJob, IMPORT_JOB_POLL_INTERVAL * 3);
+      });
+  }
+
+  function renderPreviewJob(job) {
+    const progress = normalizeImportJob({ packs: [job.Progress || job.progress || {}] }).packs[0];
+    let percent = 0;
+    let detail = "Waiting";
+    if (progress.status === "Downloading") {
+      percent = progress.totalBytes > 0 ? progress.downloadedBytes / progress.totalBytes * 100 : 0;
+      detail = "Downloading " + formatBytes(progress.downloadedBytes) + (progress.totalBytes > 0 ? " of " + formatBytes(progress.totalBytes) : "");
+    } else if (progress.status === "Importing") {
+      percent = progress.totalImages > 0 ? progress.processedImages / progress.totalImages * 100 : 0;
+      detail = "Reading images: " + progress.processedImages + " of " + progress.totalImages;
+    }
+
+    packPreviewGrid.innerHTML = '<div class="import-job-pack">' +
+      '<div class="import-job-pack-header"><span class="online-pack-name">' + escapeHtml(progress.name) + "</span></div>" +
+      '<div class="import-job-progress"><div class="import-job-progress-bar" style="width:' + Math.min(100, Math.round(percent)) + '%;"></div></div>' +
+      '<div class="import-job-pack-detail">' + escapeHtml(detail) + "</div>" +
+      "</div>";
+  }
+
+  function showPackPreviewImages(result) {
+    packPreview = {
+      token: result.Token || result.token,
+      packName: result.PackName || result.packName || "",
+      images: (result.Images || result.images || []).map(function (image) {
+        return {
+          path: image.Path || image.path,
+          name: image.Name || image.name || "",
+          size: image.Size || image.size || 0,
+          isDuplicate: !!(image.IsDuplicate || image.isDuplicate),
+          isTooLarge: !!(image.IsTooLarge || image.isTooLarge),
+        };
+      }),
+    };
+    packPreviewCategory.value = result.Category || result.category || "";
+    selectNewPreviewImages();
+  }
+
+  function failPackPreview(error) {
+    console.error("GetAvatar: Failed to preview online pack", error);
+    showPackPreviewStep(false);
+    Dashboard.alert({ message: "Failed to preview the pack: " + error.message, title: "Error" });
+  }
+
+  // Leaving the preview step stops a download that is still running; it is not needed anymore
+  function cancelPreviewJob() {
+    const jobId = previewJobId;
+    clearTimeout(previewJobTimer);
+    previewJobTimer = null;
+    previewJobId = null;
+    if (!jobId) return;
+
+    fetch(ApiClient.getUrl("/GetAvatar/PreviewJobs/" + jobId + "/Cancel"), {
+      method: "POST",
+      headers: { "X-Emby-Token": ApiClient.accessToken() },
+    }).catch(function (error) {
+      console.error("GetAvatar: Failed to cancel preview", error);
     });
+  }
 
-    avatarListContainer.innerHTML = html;
+  function selectNewPreviewImages() {
+    packPreviewSelection = new Set(packPreview.images
+      .filter(function (image) { return !image.isDuplicate && !image.isTooLarge; })
+      .map(function (image) { return image.path; }));
+    renderPackPreview();
+  }
 
-    avatarListContainer
-      .querySelectorAll(".delete-button")
-      .forEach(function (btn) {
-        btn.addEventListener("click", function (e) {
-          e.preventDefault();
-          e.stopPropagation();
-          deleteAvatar(this.getAttribute("data-avatar-id"));
-        });
-      });
+  function renderPackPreview() {
+    if (packPreview.images.length === 0) {
+      packPreviewGrid.innerHTML = '<div class="online-pack-empty">This pack contains no images.</div>';
+      updatePackPreviewSummary();
+      return;
+    }
 
-    avatarListContainer
-      .querySelectorAll(".delete-category-button")
-      .forEach(function (btn) {
-        btn.addEventListener("click", function (e) {
-          e.preventDefault();
-          e.stopPropagation();
-          const category = this.getAttribute("data-category");
-          deleteCategory(category, avatars);
-        });
+    packPreviewGrid.innerHTML = packPreview.images.map(function (image, index) {
+      const selected = packPreviewSelection.has(image.path);
+      const url = ApiClient.getUrl("/GetAvatar/OnlinePacks/Preview/" + packPreview.token + "/Image", { path: image.path });
+      const badge = image.isTooLarge ? "Too large" : image.isDuplicate ? "In library" : "";
+      return '<label class="pack-preview-item' + (selected ? " selected" : "") + (image.isDuplicate ? " duplicate" : "") +
+        (image.isTooLarge ? " too-large" : "") + '" title="' + escapeHtml(image.path + " (" + formatBytes(image.size) + ")") + '">' +
+        '<input type="checkbox" data-index="' + index + '"' + (selected ? " checked" : "") + (image.isTooLarge ? " disabled" : "") + " />" +
+        '<img loading="lazy" alt="" src="' + escapeHtml(url) + '" />' +
+        (badge ? '<span class="pack-preview-badge">' + badge + "</span>" : "") +
+        '<span class="pack-preview-name">' + escapeHtml(image.name) + "</span>" +
+        "</label>";
+    }).join("");
+    updatePackPreviewSummary();
+  }
+
+  function updatePackPreviewSummary() {
+    const duplicates = packPreview.images.filter(function (image) { return image.isDuplicate; }).length;
+    packPreviewSummary.textContent = packPreviewSelection.size + " of " + packPreview.images.length + " selected" +
+      (duplicates > 0 ? ", " + duplicates + " already in library" : "");
+    importPackPreviewButton.disabled = packPreviewSelection.size === 0;
+  }
+
+  async function importPackPreview() {
+    if (!packPreview || packPreviewSelection.size === 0) return;
+
+    importPackPreviewButton.disabled = true;
+    importPackPreviewButton.textContent = "Importing...";
+
+    try {
+      const response = await fetch(ApiClient.getUrl("/GetAvatar/OnlinePacks/Preview/Import"), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Emby-Token": ApiClient.accessToken(),
+        },
+        body: JSON.stringify({
+          token: packPreview.token,
+          paths: Array.from(packPreviewSelection),
+          category: packPreviewCategory.value.trim(),
+        }),
       });
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(text || "Import failed");
+      }
+
+      const result = await response.json();
+      const imported = result.importedCount || 0;
+      const duplicates = result.duplicateCount || 0;
+
+      onlinePackResult.style.display = "block";
+      onlinePackResult.style.background = imported > 0 ? "rgba(82, 181, 75, 0.1)" : "rgba(255, 193, 7, 0.1)";
+      onlinePackResult.textContent = imported > 0
+        ? "Successfully imported " + imported + " avatar(s)" + (duplicates > 0 ? ", skipped " + duplicates + " duplicate(s)." : ".")
+        : "No new avatars to import.";
+
+      loadAvatars();
+
+      setTimeout(function () {
+        closeOnlinePackDialogFn();
+      }, 1500);
+    } catch (error) {
+      console.error("GetAvatar: Failed to import previewed pack", error);
+      onlinePackResult.style.display = "block";
+      onlinePackResult.style.background = "rgba(229, 57, 53, 0.1)";
+      onlinePackResult.textContent = "Import failed: " + error.message;
+      importPackPreviewButton.disabled = false;
+    } finally {
+      importPackPreviewButton.textContent = "Import Chosen";
+    }
   }
 
-  function deleteCategory(category, avatars) {
-    const categoryAvatars = avatars.filter(function (a) {
-      return (a.Category || a.category || "") === category;
-    });
-    if (!confirm("Delete all " + categoryAvatars.length + " avatars in \"" + category + "\"?")) {
+  onlinePackList.addEventListener("click", function (e) {
+    const updateButton = e.target.closest(".online-pack-update-button");
+    if (updateButton) {
+      e.preventDefault();
+      e.stopPropagation();
+      startImportJob([updateButton.dataset.packId]);
       return;
     }
 
-    Dashboard.showLoadingMsg();
+    const button = e.target.closest(".online-pack-preview-button");
+    if (!button) return;
 
-    const deletePromises = categoryAvatars.map(function (avatar) {
-      const id = avatar.Id || avatar.id;
-      return ApiClient.fetch({
-        url: ApiClient.getUrl("/GetAvatar/Delete/" + id),
-        type: "DELETE",
-        dataType: "json",
-      });
+    e.preventDefault();
+    e.stopPropagation();
+    previewOnlinePack(button.dataset.packId);
+  });
+  packPreviewGrid.addEventListener("change", function (e) {
+    if (!packPreview || e.target.type !== "checkbox") return;
+
+    const image = packPreview.images[Number(e.target.dataset.index)];
+    if (e.target.checked) {
+      packPreviewSelection.add(image.path);
+    } else {
+      packPreviewSelection.delete(image.path);
+    }
+    e.target.closest(".pack-preview-item").classList.toggle("selected", e.target.checked);
+    updatePackPreviewSummary();
+  });
+  view.querySelector("#packPreviewSelectNew").addEventListener("click", function (e) {
+    e.preventDefault();
+    if (packPreview) selectNewPreviewImages();
+  });
+  view.querySelector("#packPreviewSelectNone").addEventListener("click", function (e) {
+    e.preventDefault();
+    if (!packPreview) return;
+    packPreviewSelection = new Set();
+    renderPackPreview();
+  });
+  backToOnlinePacksButton.addEventListener("click", function (e) {
+    e.preventDefault();
+    showPackPreviewStep(false);
+    onlinePackResult.style.display = "none";
+  });
+  importPackPreviewButton.addEventListener("click", function (e) {
+    e.preventDefault();
+    importPackPreview();
+  });
+
+  async function importAllOnlinePacks() {
+    if (!onlinePackList || !importOnlinePacksButton) return;
+
+    // Packs that are already up to date have nothing to import
+    const checkboxes = onlinePackList.querySelectorAll('input[type="checkbox"]');
+    checkboxes.forEach(function (cb) {
+      cb.checked = cb.dataset.status !== "Installed";
     });
+    updateImportButton();
 
-    Promise.all(deletePromises)
-      .then(function () {
-        Dashboard.hideLoadingMsg();
-        loadAvatars();
-      })
-      .catch(function (error) {
-        console.error("Failed to delete category:", error);
-        Dashboard.hideLoadingMsg();
-        loadAvatars();
-      });
+    await importOnlinePacks();
   }
 
-  function deleteAvatar(avatarId) {
-    if (!confirm("Delete this avatar?")) {
-      return;
+  if (downloadOnlinePackButton) {
+    downloadOnlinePackButton.addEventListener("click", function(e) {
+      e.preventDefault();
+      e.stopPropagation();
+      openOnlinePackDialog();
+    });
+  }
+
+  // Fallback: delegate click in case Jellyfin replaces the button element
+  view.addEventListener("click", function(e) {
+    var btn = e.target.closest("#downloadOnlinePackButton");
+    if (btn) {
+      e.preventDefault();
+      e.stopPropagation();
+      openOnlinePackDialog();
     }
+  });
+  if (closeOnlinePackDialogButton) {
+    closeOnlinePackDialogButton.addEventListener("click", closeOnlinePackDialogFn);
+  }
+  if (cancelOnlinePackDialog) {
+    cancelOnlinePackDialog.addEventListener("click", closeOnlinePackDialogFn);
+  }
+  if (importOnlinePacksButton) {
+    importOnlinePacksButton.addEventListener("click", importOnlinePacks);
+  }
+  cancelImportJobButton.addEventListener("click", function (e) {
+    e.preventDefault();
+    cancelImportJob();
+  });
+  if (importAllOnlinePacksButton) {
+    importAllOnlinePacksButton.addEventListener("click", function(e) {
+      e.preventDefault();
+      e.stopPropagation();
+      importAllOnlinePacks();
+    });
+  }
 
-    Dashboard.showLoadingMsg();
+  const packSourceList = view.querySelector("#packSourceList");
+  let packSources = [];
+
+  const PACK_SOURCE_TYPES = [
+    { value: "GitHubRelease", label: "GitHub release" },
+    { value: "JsonIndex", label: "JSON index" },
+  ];
 
+  function loadPackSources() {
     ApiClient.fetch({
-      url: ApiClient.getUrl("/GetAvatar/Delete/" + avatarId),
-      type: "DELETE",
+      url: ApiClient.getUrl("/GetAvatar/PackSources"),
+      type: "GET",
       dataType: "json",
     })
-      .then(function () {
-        Dashboard.hideLoadingMsg();
-        loadAvatars();
+      .then(function (sources) {
+        packSources = (sources || []).map(function (source) {
+          return {
+            id: source.Id || source.id || "",
+            name: source.Name || source.name || "",
+            type: source.Type || source.type || "GitHubRelease",
+            url: source.Url || source.url || "",
+          };
+        });
+        renderPackSources();
       })
       .catch(function (error) {
-        console.error("Failed to delete avatar:", error);
-        Dashboard.hideLoadingMsg();
-        Dashboard.alert({
-          message: "Failed to delete avatar.",
-          title: "Error",
-        });
+        console.error("GetAvatar: Failed to load pack sources", error);
+        packSourceList.innerHTML =
+          '<div class="empty-state"><p style="color:#e57373;">Failed to load pack sources.</p></div>';
       });
   }
 
-  async function uploadAvatar() {
-    if (!selectedFiles || selectedFiles.length === 0) {
-      Dashboard.alert({
-        message: "Please select at least one file first.",
-        title: "No File",
-      });
+  function renderPackSources() {
+    if (packSources.length === 0) {
+      packSourceList.innerHTML = '<div class="empty-state"><p>No sources: the online pack dialog will be empty.</p></div>';
       return;
     }
 
-    Dashboard.showLoadingMsg();
-
-    let successCount = 0;
-    let failCount = 0;
-    const errors = [];
-
-    const category = categoryInput ? categoryInput.value.trim() : "";
+    packSourceList.innerHTML = packSources.map(function (source, index) {
+      const typeOptions = PACK_SOURCE_TYPES.map(function (t) {
+        return '<option value="' + t.value + '"' + (t.value === source.type ? " selected" : "") + ">" + t.label + "</option>";
+      }).join("");
 
-    for (let i = 0; i < selectedFiles.length; i++) {
-      const file = selectedFiles[i];
-      const formData = new FormData();
-      formData.append("file", file);
+      return '<div class="pack-source" data-index="' + index + '">' +
+        '<input type="text" is="emby-input" class="pack-source-name" placeholder="Name" maxlength="100" value="' + escapeHtml(source.name) + '" />' +
+        '<select is="emby-select" class="pack-source-type">' + typeOptions + "</select>" +
+        '<input type="url" is="emby-input" class="pack-source-url" placeholder="https://..." value="' + escapeHtml(source.url) + '" />' +
+        '<button type="button" is="paper-icon-button-light" class="pack-source-up" title="Move up"' + (index === 0 ? " disabled" : "") + '><span class="material-icons">arrow_upward</span></button>' +
+        '<button type="button" is="paper-icon-button-light" class="pack-source-down" title="Move down"' + (index === packSources.length - 1 ? " disabled" : "") + '><span class="material-icons">arrow_downward</span></button>' +
+        '<button type="button" is="paper-icon-button-light" class="pack-source-delete" title="Remove source"><span class="material-icons">delete</span></button>' +
+        "</div>";
+    }).join("");
+  }
 
-      const uploadUrl = category
-        ? ApiClient.getUrl("/GetAvatar/Upload") + "?category=" + encodeURIComponent(category)
-        : ApiClient.getUrl("/GetAvatar/Upload");
+  function savePackSources() {
+    if (packSources.some(function (source) { return !source.url.trim(); })) {
+      Dashboard.alert({ message: "Each source needs a URL.", title: "Incomplete Source" });
+      return;
+    }
 
-      try {
-        const response = await fetch(uploadUrl, {
-          method: "POST",
-          headers: { "X-Emby-Token": ApiClient.accessToken() },
-          body: formData,
-        });
+    Dashboard.showLoadingMsg();
 
+    fetch(ApiClient.getUrl("/GetAvatar/PackSources"), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Emby-Token": ApiClient.accessToken(),
+      },
+      body: JSON.stringify(packSources),
+    })
+      .then(async function (response) {
         if (!response.ok) {
-          const text = await response.text();
-          throw new Error(text || "Upload failed");
+          throw new Error(await response.text() || "Save failed");
         }
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert({ message: "Pack sources saved.", title: "Success" });
+        loadPackSources();
+      })
+      .catch(function (error) {
+        console.error("GetAvatar: Failed to save pack sources", error);
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert({ message: "Failed to save pack sources: " + error.message, title: "Error" });
+      });
+  }
 
-        await response.json();
-        successCount++;
-      } catch (error) {
-        console.error("Failed to upload avatar:", file.name, error);
-        failCount++;
-        errors.push(file.name + ": " + error.message);
-      }
+  packSourceList.addEventListener("click", function (e) {
+    const sourceEl = e.target.closest(".pack-source");
+    const button = e.target.closest("button");
+    if (!sourceEl || !button) return;
+
+    e.preventDefault();
+    const index = Number(sourceEl.dataset.index);
+    if (button.classList.contains("pack-source-delete")) {
+      packSources.splice(index, 1);
+    } else if (button.classList.contains("pack-source-up") && index > 0) {
+      packSources.splice(index - 1, 0, packSources.splice(index, 1)[0]);
+    } else if (button.classList.contains("pack-source-down") && index < packSources.length - 1) {
+      packSources.splice(index + 1, 0, packSources.splice(index, 1)[0]);
     }
+    renderPackSources();
+  });
+  packSourceList.addEventListener("change", function (e) {
+    const sourceEl = e.target.closest(".pack-source");
+    if (!sourceEl) return;
+    const source = packSources[Number(sourceEl.dataset.index)];
 
-    Dashboard.hideLoadingMsg();
+    if (e.target.classList.contains("pack-source-name")) {
+      source.name = e.target.value;
+    } else if (e.target.classList.contains("pack-source-type")) {
+      source.type = e.target.value;
+    } else if (e.target.classList.contains("pack-source-url")) {
+      source.url = e.target.value;
+    }
+  });
+  view.querySelector("#addPackSourceButton").addEventListener("click", function (e) {
+    e.preventDefault();
+    packSources.push({ id: "", name: "", type: "JsonIndex", url: "" });
+    renderPackSources();
+  });
+  view.querySelector("#savePackSourcesButton").addEventListener("click", function (e) {
+    e.preventDefault();
+    savePackSources();
+  });
 
-    fileInput.value = "";
-    if (folderInput) folderInput.value = "";
-    if (categoryInput) categoryInput.value = "";
-    selectedFiles = [];
-    selectedFileDiv.classList.remove("visible");
-    uploadButton.classList.remove("visible");
+  const injectionTargetList = view.querySelector("#injectionTargetList");
+  const replaceDefaultInjectionTargets = view.querySelector("#replaceDefaultInjectionTargets");
+  let injectionTargets = [];
 
-    loadAvatars();
+  const INJECTION_PLACEMENTS = [
+    { value: "Before", label: "Before" },
+    { value: "After", label: "After" },
+    { value: "Inside", label: "Inside" },
+  ];
 
-    if (failCount === 0) {
-      Dashboard.alert({
-        message: successCount + " avatar(s) uploaded successfully!",
-        title: "Success",
-      });
-    } else if (successCount > 0) {
-      Dashboard.alert({
-        message:
-          successCount +
-          " avatar(s) uploaded, " +
-          failCount +
-          " failed.\n\n" +
-          errors.join("\n"),
-        title: "Partial Success",
-      });
-    } else {
-      Dashboard.alert({
-        message: "All uploads failed.\n\n" + errors.join("\n"),
-        title: "Error",
+  function loadInjectionTargets() {
+    ApiClient.fetch({
+      url: ApiClient.getUrl("/GetAvatar/ClientConfig"),
+      type: "GET",
+      dataType: "json",
+    })
+      .then(function (config) {
+        injectionTargets = (config.InjectionTargets || config.injectionTargets || []).map(function (target) {
+          return {
+            selector: target.Selector || target.selector || "",
+            placement: target.Placement || target.placement || "Inside",
+          };
+        });
+        replaceDefaultInjectionTargets.checked = !!(config.ReplaceDefaultInjectionTargets || config.replaceDefaultInjectionTargets);
+        renderInjectionTargets();
+      })
+      .catch(function (error) {
+        console.error("GetAvatar: Failed to load button targets", error);
+        injectionTargetList.innerHTML =
+          '<div class="empty-state"><p style="color:#e57373;">Failed to load button targets.</p></div>';
       });
-    }
   }
 
-  function handleFileSelection(files, fromFolder) {
-    if (!files || files.length === 0) return;
-
-    const fileArray = Array.from(files);
-
-    const allowedTypes = [
-      "image/jpeg",
-      "image/png",
-      "image/webp",
-      "image/gif"
-    ];
-    const validFiles = [];
-    const validationErrors = [];
+  function renderInjectionTargets() {
+    if (injectionTargets.length === 0) {
+      injectionTargetList.innerHTML = '<div class="empty-state"><p>No targets: the built-in ones are used.</p></div>';
+      return;
+    }
 
-    for (let i = 0; i < fileArray.length; i++) {
-      const file = fileArray[i];
+    injectionTargetList.innerHTML = injectionTargets.map(function (target, index) {
+      const placementOptions = INJECTION_PLACEMENTS.map(function (p) {
+        return '<option value="' + p.value + '"' + (p.value === target.placement ? " selected" : "") + ">" + p.label + "</option>";
+      }).join("");
 
-      if (file.size > 5 * 1024 * 1024) {
-        validationErrors.push(file.name + " exceeds 5 MB limit");
-        continue;
-      }
+      return '<div class="pack-source" data-index="' + index + '">' +
+        '<select is="emby-select" class="injection-target-placement">' + placementOptions + "</select>" +
+        '<input type="text" is="emby-input" class="injection-target-selector" placeholder=".myTheme .profileImage" value="' + escapeHtml(target.selector) + '" />' +
+        '<button type="button" is="paper-icon-button-light" class="pack-source-up" title="Move up"' + (index === 0 ? " disabled" : "") + '><span class="material-icons">arrow_upward</span></button>' +
+        '<button type="button" is="paper-icon-button-light" class="pack-source-down" title="Move down"' + (index === injectionTargets.length - 1 ? " disabled" : "") + '><span class="material-icons">arrow_downward</span></button>' +
+        '<button type="button" is="paper-icon-button-light" class="pack-source-delete" title="Remove target"><span class="material-icons">delete</span></button>' +
+        "</div>";
+    }).join("");
+  }
 
-      if (!allowedTypes.includes(file.type)) {
-        validationErrors.push(file.name + " has invalid file type");
-        continue;
+  function saveInjectionTargets() {
+    const invalid = injectionTargets.find(function (target) {
+      if (!target.selector.trim()) return true;
+      try {
+        document.createDocumentFragment().querySelector(target.selector);
+        return false;
+      } catch (e) {
+        return true;
       }
-
-      validFiles.push(file);
-    }
-
-    if (validationErrors.length > 0) {
+    });
+    if (invalid) {
       Dashboard.alert({
-        message:
-          "Some files were rejected:\n\n" +
-          validationErrors.join("\n") +
-          "\n\nValid files: " +
-          validFiles.length,
-        title: "File Validation",
+        message: invalid.selector.trim() ? "Not a valid CSS selector: " + invalid.selector : "Each target needs a selector.",
+        title: "Invalid Target",
       });
+      return;
     }
 
-    if (validFiles.length === 0) {
-      fileInput.value = "";
-      if (folderInput) folderInput.value = "";
-      selectedFiles = [];
-      selectedFileDiv.classList.remove("visible");
-      uploadButton.classList.remove("visible");
+    if (replaceDefaultInjectionTargets.checked && injectionTargets.length === 0) {
+      Dashboard.alert({ message: "Add a target before skipping the built-in ones.", title: "Invalid Target" });
       return;
     }
 
-    // Auto-detect category from folder name
-    if (fromFolder && categoryInput && validFiles.length > 0) {
-      const firstPath = fileArray[0].webkitRelativePath || "";
-      const folderName = firstPath.split("/")[0] || "";
-      if (folderName && !categoryInput.value.trim()) {
-        categoryInput.value = folderName;
-      }
-    }
+    Dashboard.showLoadingMsg();
 
-    selectedFiles = validFiles;
-    fileNameSpan.textContent =
-      validFiles.length === 1
-        ? validFiles[0].name
-        : validFiles.length + " files selected";
-    selectedFileDiv.classList.add("visible");
-    uploadButton.classList.add("visible");
+    fetch(ApiClient.getUrl("/GetAvatar/ClientConfig"), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Emby-Token": ApiClient.accessToken(),
+      },
+      body: JSON.stringify({
+        injectionTargets: injectionTargets,
+        replaceDefaultInjectionTargets: replaceDefaultInjectionTargets.checked,
+      }),
+    })
+      .then(async function (response) {
+        if (!response.ok) {
+          throw new Error(await response.text() || "Save failed");
+        }
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert({ message: "Button targets saved.", title: "Success" });
+        loadInjectionTargets();
+      })
+      .catch(function (error) {
+        console.error("GetAvatar: Failed to save button targets", error);
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert({ message: "Failed to save button targets: " + error.message, title: "Error" });
+      });
   }
 
-  fileInput.addEventListener("change", function () {
-    if (this.files && this.files.length > 0) {
-      handleFileSelection(this.files, false);
-    } else {
-      selectedFiles = [];
-      selectedFileDiv.classList.remove("visible");
-      uploadButton.classList.remove("visible");
+  injectionTargetList.addEventListener("click", function (e) {
+    const targetEl = e.target.closest(".pack-source");
+    const button = e.target.closest("button");
+    if (!targetEl || !button) return;
+
+    e.preventDefault();
+    const index = Number(targetEl.dataset.index);
+    if (button.classList.contains("pack-source-delete")) {
+      injectionTargets.splice(index, 1);
+    } else if (button.classList.contains("pack-source-up") && index > 0) {
+      injectionTargets.splice(index - 1, 0, injectionTargets.splice(index, 1)[0]);
+    } else if (button.classList.contains("pack-source-down") && index < injectionTargets.length - 1) {
+      injectionTargets.splice(index + 1, 0, injectionTargets.splice(index, 1)[0]);
     }
+    renderInjectionTargets();
   });
+  injectionTargetList.addEventListener("change", function (e) {
+    const targetEl = e.target.closest(".pack-source");
+    if (!targetEl) return;
+    const target = injectionTargets[Number(targetEl.dataset.index)];
 
-  if (folderInput) {
-    folderInput.addEventListener("change", function () {
-      if (this.files && this.files.length > 0) {
-        handleFileSelection(this.files, true);
-      }
-    });
-  }
-
-  uploadButton.addEventListener("click", uploadAvatar);
-  enableAutoAssignSwitch.addEventListener("change", saveSettings);
+    if (e.target.classList.contains("injection-target-selector")) {
+      target.selector = e.target.value;
+    } else if (e.target.classList.contains("injection-target-placement")) {
+      target.placement = e.target.value;
+    }
+  });
+  view.querySelector("#addInjectionTargetButton").addEventListener("click", function (e) {
+    e.preventDefault();
+    injectionTargets.push({ selector: "", placement: "Inside" });
+    renderInjectionTargets();
+  });
+  view.querySelector("#saveInjectionTargetsButton").addEventListener("click", function (e) {
+    e.preventDefault();
+    saveInjectionTargets();
+  });
 
-  const downloadOnlinePackButton = view.querySelector("#downloadOnlinePackButton");
-  const onlinePackDialog = view.querySelector("#onlinePackDialog");
-  const onlinePackList = view.querySelector("#onlinePackList");
-  const onlinePackResult = view.querySelector("#onlinePackResult");
-  const importOnlinePacksButton = view.querySelector("#importOnlinePacksButton");
-  const importAllOnlinePacksButton = view.querySelector("#importAllOnlinePacksButton");
-  const closeOnlinePackDialogButton = view.querySelector("#closeOnlinePackDialog");
-  const cancelOnlinePackDialog = view.querySelector("#cancelOnlinePackDialog");
+  const tabButtons = view.querySelectorAll(".getavatar-tab");
+  const tabPanels = view.querySelectorAll(".getavatar-tab-panel");
+  const userStatusList = view.querySelector("#userStatusList");
+  const userStatusSummary = view.querySelector("#userStatusSummary");
+  const maintenanceReport = view.querySelector("#maintenanceReport");
+  const assignRandomCategory = view.querySelector("#assignRandomCategory");
+  const categoryRuleList = view.querySelector("#categoryRuleList");
+  let activeTab = "avatars";
+  let rosterUsers = [];
+  let categoryRules = [];
+  let categoryRulesLoaded = false;
 
-  let onlinePacks = [];
+  const RULE_TARGETS = [
+    { value: "User", label: "One user" },
+    { value: "NonAdministrators", label: "Non-administrators" },
+    { value: "Administrators", label: "Administrators" },
+    { value: "ParentalRating", label: "Parental rating limit at or below" },
+    { value: "Everyone", label: "Everyone" },
+  ];
 
-  function formatBytes(bytes) {
-    if (bytes === 0) return "0 B";
-    const k = 1024;
-    const sizes = ["B", "KB", "MB", "GB"];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
-  }
+  const USER_STATUS_LABELS = {
+    ok: "OK",
+    missing_file: "Missing file",
+    no_avatar: "No avatar",
+  };
 
-  function openOnlinePackDialog() {
-    if (onlinePackDialog) {
-      onlinePackDialog.style.display = "block";
-    }
-    if (onlinePackResult) {
-      onlinePackResult.style.display = "none";
-      onlinePackResult.textContent = "";
+  function showTab(name) {
+    activeTab = name;
+    tabButtons.forEach(function (button) {
+      const active = button.dataset.tab === name;
+      button.classList.toggle("active", active);
+      button.setAttribute("aria-selected", active ? "true" : "false");
+    });
+    tabPanels.forEach(function (panel) {
+      panel.hidden = panel.dataset.tab !== name;
+    });
+
+    if (name === "users") {
+      loadUserStatus();
+      loadCategoryRules();
     }
-    loadOnlinePacks();
   }
 
-  function closeOnlinePackDialogFn() {
-    if (onlinePackDialog) {
-      onlinePackDialog.style.display = "none";
-    }
-    onlinePacks = [];
-    if (onlinePackList) {
-      onlinePackList.innerHTML = "";
+  function getUserThumbnailHtml(user) {
+    if (user.avatarId) {
+      return '<img class="user-status-thumb" loading="lazy" alt="" src="' +
+        escapeHtml(ApiClient.getUrl("/GetAvatar/Image/" + user.avatarId)) + '" />';
     }
-    if (importOnlinePacksButton) {
-      importOnlinePacksButton.disabled = true;
-      importOnlinePacksButton.textContent = "Import Selected";
+    if (user.profileImageExists) {
+      return '<img class="user-status-thumb" loading="lazy" alt="" src="' +
+        escapeHtml(ApiClient.getUrl("/Users/" + user.userId + "/Images/Primary", { maxHeight: 96 })) + '" />';
     }
+    return '<span class="user-status-thumb"><span class="material-icons">person</span></span>';
   }
 
-  function loadOnlinePacks() {
-    if (!onlinePackList || !importOnlinePacksButton) return;
-
-    onlinePackList.innerHTML = '<div class="loading-state">Loading packs...</div>';
-    importOnlinePacksButton.disabled = true;
+  function loadUserStatus() {
+    userStatusList.innerHTML = '<div class="loading-state"><p>Loading users...</p></div>';
 
     ApiClient.fetch({
-      url: ApiClient.getUrl("/GetAvatar/OnlinePacks"),
+      url: ApiClient.getUrl("/GetAvatar/AvatarStatus"),
       type: "GET",
       dataType: "json",
     })
-      .then(function (packs) {
-        onlinePacks = packs || [];
-        renderOnlinePacks();
+      .then(function (result) {
+        const users = (result.users || []).slice().sort(function (a, b) {
+          return a.username.localeCompare(b.username);
+        });
+        rosterUsers = users;
+        if (categoryRulesLoaded) renderCategoryRules();
+
+        userStatusSummary.textContent =
+          result.usersWithAvatars + " of " + result.totalUsers + " with avatar" +
+          (result.usersWithMissingFiles > 0 ? ", " + result.usersWithMissingFiles + " missing file(s)" : "");
+
+        if (users.length === 0) {
+          userStatusList.innerHTML = '<div class="empty-state"><p>No users found.</p></div>';
+          return;
+        }
+
+        userStatusList.innerHTML = '<div class="user-status-list">' + users.map(function (user) {
+          const path = user.profileImagePath || "No profile image";
+          return '<div class="user-status-row" data-user-id="' + escapeHtml(user.userId) + '">' +
+            getUserThumbnailHtml(user) +
+            '<div class="user-status-info">' +
+            '<div class="user-status-name">' + escapeHtml(user.username) + '</div>' +
+            '<div class="user-status-path" title="' + escapeHtml(path) + '">' + escapeHtml(path) + '</div>' +
+            getUserRotationHtml(user) +
+            '</div>' +
+            '<span class="user-status-badge status-' + escapeHtml(user.status) + '">' +
+            escapeHtml(USER_STATUS_LABELS[user.status] || user.status) + '</span>' +
+            '<div class="user-status-actions">' +
+            '<button type="button" is="paper-icon-button-light" class="user-choose-button" title="Choose from gallery" aria-label="Choose avatar for ' + escapeHtml(user.username) + '">' +
+            '<span class="material-icons">photo_library</span></button>' +
+            '<button type="button" is="paper-icon-button-light" class="user-clear-button" title="Clear avatar" aria-label="Clear avatar of ' + escapeHtml(user.username) + '"' +
+            (user.avatarId || user.hasProfileImage ? "" : " disabled") + '>' +
+            '<span class="material-icons">person_remove</span></button>' +
+            (isRotationOn(user)
+              ? '<button type="button" is="paper-icon-button-light" class="user-rotation-button" title="Turn off rotation" aria-label="Turn off avatar rotation of ' + escapeHtml(user.username) + '">' +
+                '<span class="material-icons">sync_disabled</span></button>'
+              : "") +
+            '</div>' +
+            '</div>';
+        }).join("") + '</div>';
       })
       .catch(function (error) {
-        console.error("GetAvatar: Failed to load online packs", error);
-        onlinePackList.innerHTML = '<div class="online-pack-error">Failed to load online packs. Please try again later.</div>';
+        console.error("GetAvatar: Failed to load user status", error);
+        userStatusSummary.textContent = "";
+        userStatusList.innerHTML =
+          '<div class="empty-state"><p style="color:#e57373;">Failed to load users.</p></div>';
       });
   }
 
-  function renderOnlinePacks() {
-    if (!onlinePackList) return;
+  function isRotationOn(user) {
+    return !!user.rotationInterval && user.rotationInterval !== "Off";
+  }
 
-    if (!onlinePacks || onlinePacks.length === 0) {
-      onlinePackList.innerHTML = '<div class="online-pack-empty">No online packs available.</div>';
+  function getUserRotationHtml(user) {
+    if (!isRotationOn(user)) return "";
+
+    const parts = ["Rotates " + (user.rotationInterval === "Weekly" ? "weekly" : "daily")];
+    if (user.rotationCategory) parts.push("from " + user.rotationCategory);
+    if (user.nextRotationAt) parts.push("next " + new Date(user.nextRotationAt).toLocaleString());
+    return '<div class="user-status-rotation">' + escapeHtml(parts.join(", ")) + "</div>";
+  }
+
+  function disableUserRotation(userId, username) {
+    if (!confirm("Turn off avatar rotation for " + username + "?")) {
       return;
     }
 
-    let html = '<div class="online-pack-list">';
-    onlinePacks.forEach(function (pack) {
-      const id = pack.Id || pack.id || "";
-      const name = pack.Name || pack.name || "";
-      const size = formatBytes(pack.Size || pack.size || 0);
-      html += `
-        <label class="online-pack-item">
-          <input type="checkbox" value="${escapeHtml(id)}" />
-          <div class="online-pack-info">
-            <span class="online-pack-name">${escapeHtml(name)}</span>
-            <span class="online-pack-size">${escapeHtml(size)}</span>
-          </div>
-        </label>
-      `;
-    });
-    html += '</div>';
+    Dashboard.showLoadingMsg();
 
-    onlinePackList.innerHTML = html;
-    updateImportButton();
+    ApiClient.fetch({
+      url: ApiClient.getUrl("/GetAvatar/Rotation"),
+      type: "POST",
+      contentType: "application/json",
+      data: JSON.stringify({ userId: userId, interval: "Off" }),
+    })
+      .then(function () {
+        Dashboard.hideLoadingMsg();
+        loadUserStatus();
+      })
+      .catch(function (error) {
+        console.error("GetAvatar: Failed to turn off avatar rotation", error);
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert({ message: "Failed to turn off avatar rotation.", title: "Error" });
+      });
+  }
 
-    onlinePackList.querySelectorAll('input[type="checkbox"]').forEach(function (checkbox) {
-      checkbox.addEventListener("change", updateImportButton);
-    });
+  function updateAssignCategoryOptions() {
+    const selected = assignRandomCategory.value;
+    assignRandomCategory.innerHTML = '<option value="">All categories</option>' + avatarCategories
+      .filter(function (c) { return c.name; })
+      .map(function (c) {
+        return '<option value="' + escapeHtml(c.name) + '">' + escapeHtml(c.name) + " (" + c.count + ")</option>";
+      })
+      .join("");
+    assignRandomCategory.value = selected;
+    if (assignRandomCategory.value !== selected) assignRandomCategory.value = "";
   }
 
-  function updateImportButton() {
-    if (!onlinePackList || !importOnlinePacksButton) return;
-    const checked = onlinePackList.querySelectorAll('input[type="checkbox"]:checked');
-    importOnlinePacksButton.disabled = checked.length === 0;
+  function chooseAvatarForUser(userId) {
+    // Without the client script (e.g. injection disabled), fall back to the user's profile page
+    if (window.GetAvatar) {
+      window.GetAvatar.open({ userId: userId });
+    } else {
+      Dashboard.navigate("userprofile?userId=" + encodeURIComponent(userId));
+    }
   }
 
-  async function importOnlinePacks() {
-    if (!onlinePackList || !importOnlinePacksButton || !onlinePackResult) return;
+  function clearUserAvatar(userId, username) {
+    if (!confirm("Clear the avatar of " + username + "?")) {
+      return;
+    }
 
-    const checked = onlinePackList.querySelectorAll('input[type="checkbox"]:checked');
-    const packIds = Array.from(checked).map(function (cb) { return cb.value; });
+    Dashboard.showLoadingMsg();
 
-    if (packIds.length === 0) return;
+    ApiClient.fetch({
+      url: ApiClient.getUrl("/GetAvatar/RemoveUserAvatar"),
+      type: "POST",
+      contentType: "application/json",
+      data: JSON.stringify({ userId: userId }),
+    })
+      .then(function () {
+        Dashboard.hideLoadingMsg();
+        loadUserStatus();
+      })
+      .catch(function (error) {
+        console.error("GetAvatar: Failed to clear user avatar", error);
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert({ message: "Failed to clear the avatar.", title: "Error" });
+      });
+  }
 
-    importOnlinePacksButton.disabled = true;
-    importOnlinePacksButton.textContent = "Importing...";
+  function assignRandomAvatars() {
+    const category = assignRandomCategory.value;
+    const scope = category ? "the \"" + category + "\" category" : "the whole library";
+    if (!confirm("Give every user without an avatar a random one from " + scope + "?")) {
+      return;
+    }
 
-    try {
-      const response = await fetch(ApiClient.getUrl("/GetAvatar/ImportOnlinePacks"), {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-Emby-Token": ApiClient.accessToken(),
-        },
-        body: JSON.stringify({ packs: packIds }),
+    Dashboard.showLoadingMsg();
+
+    ApiClient.fetch({
+      url: ApiClient.getUrl("/GetAvatar/AssignRandom"),
+      type: "POST",
+      contentType: "application/json",
+      dataType: "json",
+      data: JSON.stringify({ category: category || null }),
+    })
+      .then(function (result) {
+        Dashboard.hideLoadingMsg();
+        const count = result.assignedCount || 0;
+        showMaintenanceReport(
+          count === 0 ? "Every user already has an avatar." : "Assigned a random avatar to " + count + " user(s).",
+          []
+        );
+        loadUserStatus();
+      })
+      .catch(function (error) {
+        console.error("GetAvatar: Failed to assign random avatars", error);
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert({ message: "Failed to assign random avatars.", title: "Error" });
       });
+  }
 
-      if (!response.ok) {
-        const text = await response.text();
-        throw new Error(text || "Import failed");
-      }
+  function loadCategoryRules() {
+    ApiClient.fetch({
+      url: ApiClient.getUrl("/GetAvatar/CategoryRules"),
+      type: "GET",
+      dataType: "json",
+    })
+      .then(function (rules) {
+        categoryRules = (rules || []).map(function (r) {
+          const maxRating = r.MaxParentalRating !== undefined ? r.MaxParentalRating : r.maxParentalRating;
+          return {
+            name: r.Name || r.name || "",
+            appliesTo: r.AppliesTo || r.appliesTo || "User",
+            userId: r.UserId || r.userId || null,
+            maxParentalRating: maxRating === undefined ? null : maxRating,
+            allowedCategories: r.AllowedCategories || r.allowedCategories || [],
+            deniedCategories: r.DeniedCategories || r.deniedCategories || [],
+          };
+        });
+        categoryRulesLoaded = true;
+        renderCategoryRules();
+      })
+      .catch(function (error) {
+        console.error("GetAvatar: Failed to load category rules", error);
+        categoryRuleList.innerHTML =
+          '<div class="empty-state"><p style="color:#e57373;">Failed to load category rules.</p></div>';
+      });
+  }
 
-      const result = await response.json();
-      const imported = result.importedCount || 0;
-      const total = result.totalImages || 0;
-      const duplicates = result.duplicateCount || 0;
+  function getRuleCategoryNames(rule) {
+    const names = avatarCategories.map(function (c) { return c.name; });
+    rule.allowedCategories.concat(rule.deniedCategories).forEach(function (name) {
+      if (!names.some(function (n) { return n.toLowerCase() === name.toLowerCase(); })) names.push(name);
+    });
+    return names;
+  }
 
-      onlinePackResult.style.display = "block";
+  function getRuleChipState(rule, name) {
+    const matches = function (n) { return n.toLowerCase() === name.toLowerCase(); };
+    if (rule.deniedCategories.some(matches)) return "deny";
+    if (rule.allowedCategories.some(matches)) return "allow";
+    return "";
+  }
 
-      if (imported > 0) {
-        onlinePackResult.style.background = "rgba(82, 181, 75, 0.1)";
-        onlinePackResult.textContent = "Successfully imported " + imported + " avatar(s).";
-      } else if (total > 0 && duplicates === total) {
-        onlinePackResult.style.background = "rgba(255, 255, 255, 0.1)";
-        onlinePackResult.textContent = "All " + total + " avatar(s) are already imported.";
-      } else {
-        onlinePackResult.style.background = "rgba(255, 193, 7, 0.1)";
-        onlinePackResult.textContent = "No new avatars to import.";
+  function renderCategoryRules() {
+    if (categoryRules.length === 0) {
+      categoryRuleList.innerHTML = '<div class="empty-state"><p>No rules: every user sees every category.</p></div>';
+      return;
+    }
+
+    categoryRuleList.innerHTML = categoryRules.map(function (rule, index) {
+      const targetOptions = RULE_TARGETS.map(function (t) {
+        return '<option value="' + t.value + '"' + (t.value === rule.appliesTo ? " selected" : "") + ">" + t.label + "</option>";
+      }).join("");
+
+      let userOptions = rosterUsers.map(function (u) {
+        return '<option value="' + escapeHtml(u.userId) + '"' + (u.userId === rule.userId ? " selected" : "") + ">" + escapeHtml(u.username) + "</option>";
+      }).join("");
+      if (rule.userId && !rosterUsers.some(function (u) { return u.userId === rule.userId; })) {
+        userOptions = '<option value="' + escapeHtml(rule.userId) + '" selected>Unknown user</option>' + userOptions;
       }
 
-      loadAvatars();
+      const chips = getRuleCategoryNames(rule).map(function (name) {
+        const state = getRuleChipState(rule, name);
+        return '<button type="button" class="rule-chip' + (state ? " rule-" + state : "") + '" data-category="' + escapeHtml(name) + '">' +
+          escapeHtml(name || "Uncategorized") + "</button>";
+      }).join("");
 
-      setTimeout(function () {
-        closeOnlinePackDialogFn();
-      }, 1500);
-    } catch (error) {
-      console.error("GetAvatar: Failed to import online packs", error);
-      onlinePackResult.style.display = "block";
-      onlinePackResult.style.background = "rgba(229, 57, 53, 0.1)";
-      onlinePackResult.textContent = "Import failed: " + error.message;
-    } finally {
-      importOnlinePacksButton.disabled = false;
-      importOnlinePacksButton.textContent = "Import Selected";
-      updateImportButton();
-    }
+      return '<div class="category-rule" data-index="' + index + '">' +
+        '<div class="category-rule-fields">' +
+        '<input type="text" is="emby-input" class="rule-name" placeholder="Label (e.g. Kids)" maxlength="100" value="' + escapeHtml(rule.name) + '" />' +
+        '<select is="emby-select" class="rule-target">' + targetOptions + "</select>" +
+        (rule.appliesTo === "User" ? '<select is="emby-select" class="rule-user">' + userOptions + "</select>" : "") +
+        (rule.appliesTo === "ParentalRating"
+          ? '<input type="number" is="emby-input" class="rule-rating" min="0" step="1" placeholder="Score" value="' +
+            (rule.maxParentalRating === null ? "" : rule.maxParentalRating) + '" />'
+          : "") +
+        '<button type="button" is="paper-icon-button-light" class="rule-delete" title="Delete rule"><span class="material-icons">delete</span></button>' +
+        "</div>" +
+        '<div class="rule-categories">' + (chips || '<span class="avatar-count">No categories yet.</span>') + "</div>" +
+        "</div>";
+    }).join("");
   }
 
-  async function importAllOnlinePacks() {
-    if (!onlinePackList || !importOnlinePacksButton) return;
-
-    const checkboxes = onlinePackList.querySelectorAll('input[type="checkbox"]');
-    checkboxes.forEach(function (cb) {
-      cb.checked = true;
-    });
-    updateImportButton();
+  function cycleRuleCategory(rule, name) {
+    const others = function (n) { return n.toLowerCase() !== name.toLowerCase(); };
+    const state = getRuleChipState(rule, name);
+    rule.allowedCategories = rule.allowedCategories.filter(others);
+    rule.deniedCategories = rule.deniedCategories.filter(others);
 
-    await importOnlinePacks();
+    // No restriction -> only these -> hidden -> no restriction
+    if (state === "") rule.allowedCategories.push(name);
+    else if (state === "allow") rule.deniedCategories.push(name);
   }
 
-  if (downloadOnlinePackButton) {
-    downloadOnlinePackButton.addEventListener("click", function(e) {
-      e.preventDefault();
-      e.stopPropagation();
-      openOnlinePackDialog();
+  function addCategoryRule() {
+    categoryRules.push({
+      name: "",
+      appliesTo: "User",
+      userId: rosterUsers.length > 0 ? rosterUsers[0].userId : null,
+      maxParentalRating: null,
+      allowedCategories: [],
+      deniedCategories: [],
     });
+    renderCategoryRules();
   }
 
-  // Fallback: delegate click in case Jellyfin replaces the button element
-  view.addEventListener("click", function(e) {
-    var btn = e.target.closest("#downloadOnlinePackButton");
-    if (btn) {
-      e.preventDefault();
-      e.stopPropagation();
-      openOnlinePackDialog();
+  function saveCategoryRules() {
+    const invalid = categoryRules.find(function (rule) {
+      return (rule.appliesTo === "User" && !rule.userId) ||
+        (rule.appliesTo === "ParentalRating" && rule.maxParentalRating === null);
+    });
+    if (invalid) {
+      Dashboard.alert({ message: "Each rule needs a user or a parental rating score.", title: "Incomplete Rule" });
+      return;
     }
-  });
-  if (closeOnlinePackDialogButton) {
-    closeOnlinePackDialogButton.addEventListener("click", closeOnlinePackDialogFn);
+
+    Dashboard.showLoadingMsg();
+
+    ApiClient.fetch({
+      url: ApiClient.getUrl("/GetAvatar/CategoryRules"),
+      type: "POST",
+      contentType: "application/json",
+      data: JSON.stringify(categoryRules),
+    })
+      .then(function () {
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert({ message: "Category rules saved.", title: "Success" });
+      })
+      .catch(function (error) {
+        console.error("GetAvatar: Failed to save category rules", error);
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert({ message: "Failed to save category rules.", title: "Error" });
+      });
   }
-  if (cancelOnlinePackDialog) {
-    cancelOnlinePackDialog.addEventListener("click", closeOnlinePackDialogFn);
+
+  function showMaintenanceReport(summary, items) {
+    let html = "<p>" + escapeHtml(summary) + "</p>";
+    if (items.length > 0) {
+      html += "<ul>" + items.map(function (item) { return "<li>" + escapeHtml(item) + "</li>"; }).join("") + "</ul>";
+    }
+    maintenanceReport.innerHTML = html;
+    maintenanceReport.style.display = "block";
   }
-  if (importOnlinePacksButton) {
-    importOnlinePacksButton.addEventListener("click", importOnlinePacks);
+
+  function runMaintenance(endpoint, describe) {
+    Dashboard.showLoadingMsg();
+
+    ApiClient.fetch({
+      url: ApiClient.getUrl(endpoint),
+      type: "POST",
+      dataType: "json",
+    })
+      .then(function (result) {
+        Dashboard.hideLoadingMsg();
+        const report = describe(result);
+        showMaintenanceReport(report.summary, report.items);
+        loadUserStatus();
+      })
+      .catch(function (error) {
+        console.error("GetAvatar: Maintenance run failed", error);
+        Dashboard.hideLoadingMsg();
+        Dashboard.alert({ message: "The operation failed. Check the server log for details.", title: "Error" });
+      });
   }
-  if (importAllOnlinePacksButton) {
-    importAllOnlinePacksButton.addEventListener("click", function(e) {
+
+  tabButtons.forEach(function (button) {
+    button.addEventListener("click", function (e) {
       e.preventDefault();
-      e.stopPropagation();
-      importAllOnlinePacks();
+      showTab(button.dataset.tab);
+    });
+  });
+  userStatusList.addEventListener("click", function (e) {
+    const button = e.target.closest("button");
+    const row = e.target.closest(".user-status-row");
+    if (!button || !row) return;
+
+    e.preventDefault();
+    const userId = row.dataset.userId;
+    if (button.classList.contains("user-choose-button")) {
+      chooseAvatarForUser(userId);
+    } else if (button.classList.contains("user-clear-button")) {
+      clearUserAvatar(userId, row.querySelector(".user-status-name").textContent);
+    } else if (button.classList.contains("user-rotation-button")) {
+      disableUserRotation(userId, row.querySelector(".user-status-name").textContent);
+    }
+  });
+  // Refresh the Users tab when an avatar is set from the picker, another page or another tab
+  let stopWatchingAvatarChanges = null;
+  function watchAvatarChanges() {
+    // The client script can finish loading after this view, so this is retried on every viewshow
+    if (stopWatchingAvatarChanges || !window.GetAvatar) return;
+    stopWatchingAvatarChanges = window.GetAvatar.onChange(function () {
+      if (activeTab === "users") {
+        loadUserStatus();
+      }
     });
   }
+  watchAvatarChanges();
+  // The handler is registered on document, so it would otherwise keep every visited config view alive
+  view.addEventListener("viewdestroy", function () {
+    if (stopWatchingAvatarChanges) {
+      stopWatchingAvatarChanges();
+      stopWatchingAvatarChanges = null;
+    }
+  });
+  categoryRuleList.addEventListener("click", function (e) {
+    const ruleEl = e.target.closest(".category-rule");
+    if (!ruleEl) return;
+    const rule = categoryRules[Number(ruleEl.dataset.index)];
+
+    const chip = e.target.closest(".rule-chip");
+    if (chip) {
+      e.preventDefault();
+      cycleRuleCategory(rule, chip.dataset.category);
+      const state = getRuleChipState(rule, chip.dataset.category);
+      chip.classList.toggle("rule-allow", state === "allow");
+      chip.classList.toggle("rule-deny", state === "deny");
+    } else if (e.target.closest(".rule-delete")) {
+      e.preventDefault();
+      categoryRules.splice(Number(ruleEl.dataset.index), 1);
+      renderCategoryRules();
+    }
+  });
+  categoryRuleList.addEventListener("change", function (e) {
+    const ruleEl = e.target.closest(".category-rule");
+    if (!ruleEl) return;
+    const rule = categoryRules[Number(ruleEl.dataset.index)];
+
+    if (e.target.classList.contains("rule-name")) {
+      rule.name = e.target.value;
+    } else if (e.target.classList.contains("rule-user")) {
+      rule.userId = e.target.value;
+    } else if (e.target.classList.contains("rule-rating")) {
+      rule.maxParentalRating = e.target.value === "" ? null : parseInt(e.target.value, 10);
+    } else if (e.target.classList.contains("rule-target")) {
+      rule.appliesTo = e.target.value;
+      if (rule.appliesTo === "User" && !rule.userId && rosterUsers.length > 0) rule.userId = rosterUsers[0].userId;
+      renderCategoryRules();
+    }
+  });
+  view.querySelector("#addCategoryRuleButton").addEventListener("click", function (e) {
+    e.preventDefault();
+    addCategoryRule();
+  });
+  view.querySelector("#saveCategoryRulesButton").addEventListener("click", function (e) {
+    e.preventDefault();
+    saveCategoryRules();
+  });
+  view.querySelector("#assignRandomButton").addEventListener("click", function (e) {
+    e.preventDefault();
+    assignRandomAvatars();
+  });
+  view.querySelector("#refreshUserStatusButton").addEventListener("click", function (e) {
+    e.preventDefault();
+    loadUserStatus();
+  });
+  view.querySelector("#validateAvatarsButton").addEventListener("click", function (e) {
+    e.preventDefault();
+    runMaintenance("/GetAvatar/ValidateAvatars", function (result) {
+      const changes = result.changes || [];
+      return {
+        summary: changes.length === 0
+          ? "Validation finished: all avatars are valid."
+          : "Validation finished: repaired " + (result.repairedCount || 0) + " avatar(s), " + changes.length + " change(s) in total.",
+        items: changes,
+      };
+    });
+  });
+  view.querySelector("#cleanupOrphansButton").addEventListener("click", function (e) {
+    e.preventDefault();
+    runMaintenance("/GetAvatar/CleanupOrphans", function (result) {
+      const deletedFiles = result.deletedFiles || [];
+      return {
+        summary: deletedFiles.length === 0
+          ? "Cleanup finished: no orphaned files found."
+          : "Cleanup finished: deleted " + deletedFiles.length + " orphaned file(s).",
+        items: deletedFiles,
+      };
+    });
+  });
 
   view.addEventListener("viewshow", function () {
     loadSettings();
     loadAvatars();
+    loadPackSources();
+    loadInjectionTargets();
+    resumeRunningImportJob();
+    watchAvatarChanges();
+    if (activeTab === "users") {
+      loadUserStatus();
+    }
   });
 }
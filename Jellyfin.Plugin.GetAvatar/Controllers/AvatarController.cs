@@ -1,10 +1,12 @@
 using System;
 using System.Collections.Generic;
+using System.Globalization;
 using System.IO;
 using System.Linq;
 using System.Net.Mime;
 using System.Reflection;
 using System.Threading.Tasks;
+using Jellyfin.Plugin.GetAvatar.Configuration;
 using Jellyfin.Plugin.GetAvatar.Services;
 using MediaBrowser.Controller.Library;
 using MediaBrowser.Model.Users;
@@ -25,6 +27,8 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
     {
         private readonly AvatarService _avatarService;
         private readonly OnlinePackService _onlinePackService;
+        private readonly BackupService _backupService;
+        private readonly PackImportJobService _packImportJobService;
         private readonly IUserManager _userManager;
         private readonly ILogger<AvatarController> _logger;
 
@@ -33,16 +37,22 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
         /// </summary>
         /// <param name="avatarService">The avatar service.</param>
         /// <param name="onlinePackService">The online pack service.</param>
+        /// <param name="backupService">The backup service.</param>
+        /// <param name="packImportJobService">The pack import job service.</param>
         /// <param name="userManager">The user manager.</param>
         /// <param name="logger">The logger instance.</param>
         public AvatarController(
             AvatarService avatarService,
             OnlinePackService onlinePackService,
+            BackupService backupService,
+            PackImportJobService packImportJobService,
             IUserManager userManager,
             ILogger<AvatarController> logger)
         {
             _avatarService = avatarService;
             _onlinePackService = onlinePackService;
+            _backupService = backupService;
+            _packImportJobService = packImportJobService;
             _userManager = userManager;
             _logger = logger;
         }
@@ -69,28 +79,68 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
         }
 
         /// <summary>
-        /// Gets all available avatars.
+        /// Gets a page of available avatars.
         /// </summary>
-        /// <returns>List of available avatars.</returns>
+        /// <param name="startIndex">Optional. The index of the first avatar to return.</param>
+        /// <param name="limit">Optional. The maximum number of avatars to return. Omit for all, 0 for the category breakdown only.</param>
+        /// <param name="category">Optional. Only return avatars in this category.</param>
+        /// <param name="searchTerm">Optional. Search avatar names and categories (accent-insensitive, typo-tolerant).</param>
+        /// <param name="sortBy">Optional. <c>Category</c> (default), <c>Name</c> or <c>DateAdded</c>.</param>
+        /// <param name="sortOrder">Optional. <c>Ascending</c> (default) or <c>Descending</c>.</param>
+        /// <param name="userId">Optional. List the avatars visible to this user (administrators only); defaults to the current user.</param>
+        /// <param name="includeHidden">Optional. Skip the category visibility rules (administrators only).</param>
+        /// <returns>The requested page, the total count, the categories of all matching avatars and the position of the user's current avatar.</returns>
         [HttpGet("Avatars")]
-        public ActionResult<IEnumerable<object>> GetAvatars()
+        public IActionResult GetAvatars(
+            [FromQuery] int? startIndex,
+            [FromQuery] int? limit,
+            [FromQuery] string? category,
+            [FromQuery] string? searchTerm,
+            [FromQuery] string? sortBy,
+            [FromQuery] string? sortOrder,
+            [FromQuery] string? userId,
+            [FromQuery] bool includeHidden = false)
         {
             try
             {
-                _logger.LogInformation("GetAvatars endpoint called");
-                var avatars = _avatarService.GetAvailableAvatars();
-                _logger.LogInformation("Retrieved {Count} avatars", avatars.Count);
-                return Ok(avatars
-                    .Where(a => a != null)
-                    .Select(a => new
+                Guid? visibleToUserId = null;
+                if (includeHidden)
+                {
+                    if (!User.IsInRole("Administrator"))
+                    {
+                        return Forbid();
+                    }
+                }
+                else
+                {
+                    var userError = TryResolveTargetUser(userId, out var targetUserId);
+                    if (userError != null)
                     {
-                        a.Id,
-                        a.Name,
-                        a.FileName,
-                        a.DateAdded,
-                        Category = a.Category ?? string.Empty,
-                        Url = $"/GetAvatar/Image/{a.Id}"
-                    }));
+                        return userError;
+                    }
+
+                    visibleToUserId = targetUserId;
+                }
+
+                var descending = string.Equals(sortOrder, "Descending", StringComparison.OrdinalIgnoreCase);
+                var currentAvatarId = visibleToUserId.HasValue ? _avatarService.GetUserAvatarId(visibleToUserId.Value) : null;
+                var result = _avatarService.QueryAvatars(startIndex ?? 0, limit, category, searchTerm, sortBy, descending, visibleToUserId, currentAvatarId);
+                _logger.LogDebug("Returning {Count} of {Total} avatars from index {StartIndex}", result.Items.Count, result.TotalRecordCount, result.StartIndex);
+
+                // Names and categories can be edited, so pickers must never reuse a stale listing
+                Response.Headers["Cache-Control"] = "no-cache";
+
+                return Ok(new
+                {
+                    Items = result.Items.Select(ToAvatarResponse),
+                    result.TotalRecordCount,
+                    result.StartIndex,
+                    Categories = result.Categories.Select(c => new { c.Name, c.Count }),
+
+                    // Lets pickers scroll to the user's current avatar before its page is loaded
+                    CurrentAvatarId = currentAvatarId,
+                    CurrentAvatarIndex = result.LocatedIndex
+                });
             }
             catch (Exception ex)
             {
@@ -173,15 +223,7 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
 
                 var avatarInfo = await _avatarService.SaveAvatarAsync(file.FileName, imageData, category);
 
-                return Ok(new
-                {
-                    avatarInfo.Id,
-                    avatarInfo.Name,
-                    avatarInfo.FileName,
-                    avatarInfo.DateAdded,
-                    Category = avatarInfo.Category ?? string.Empty,
-                    Url = $"/GetAvatar/Image/{avatarInfo.Id}"
-                });
+                return Ok(ToAvatarResponse(avatarInfo));
             }
             catch (Exception ex)
             {
@@ -194,20 +236,34 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
         /// Deletes an avatar (admin only).
         /// </summary>
         /// <param name="avatarId">The avatar ID.</param>
+        /// <param name="replacementAvatarId">Optional. The avatar that users of the deleted avatar are moved to.</param>
         /// <returns>Status of deletion.</returns>
         [HttpDelete("Delete/{avatarId}")]
         [Authorize(Policy = "RequiresElevation")]
-        public IActionResult DeleteAvatar(string avatarId)
+        public async Task<IActionResult> DeleteAvatar(string avatarId, [FromQuery] string? replacementAvatarId)
         {
             try
             {
+                if (_avatarService.GetAvatarPath(avatarId) == null)
+                {
+                    return NotFound();
+                }
+
+                var reassignedCount = string.IsNullOrEmpty(replacementAvatarId)
+                    ? 0
+                    : await _avatarService.ReassignUsersAsync(new[] { avatarId }, replacementAvatarId);
+
                 var success = _avatarService.DeleteAvatar(avatarId);
                 if (!success)
                 {
                     return NotFound();
                 }
 
-                return Ok(new { message = "Avatar deleted successfully" });
+                return Ok(new { message = "Avatar deleted successfully", reassignedCount });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(ex.Message);
             }
             catch (Exception ex)
             {
@@ -216,6 +272,131 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
             }
         }
 
+        /// <summary>
+        /// Renames an avatar and changes its category (admin only).
+        /// </summary>
+        /// <param name="avatarId">The avatar ID.</param>
+        /// <param name="request">The new name and category.</param>
+        /// <returns>The updated avatar info.</returns>
+        [HttpPost("Update/{avatarId}")]
+        [Authorize(Policy = "RequiresElevation")]
+        public IActionResult UpdateAvatar(string avatarId, [FromBody] UpdateAvatarRequest request)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(request.Name))
+                {
+                    return BadRequest("Avatar name is required");
+                }
+
+                var avatar = _avatarService.UpdateAvatar(avatarId, request.Name, request.Category);
+                if (avatar == null)
+                {
+                    return NotFound();
+                }
+
+                return Ok(ToAvatarResponse(avatar));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to update avatar: {AvatarId}", avatarId);
+                return StatusCode(500, "Failed to update avatar");
+            }
+        }
+
+        /// <summary>
+        /// Gets which users currently have each avatar (admin only).
+        /// </summary>
+        /// <returns>One entry per avatar in use, with its category and users.</returns>
+        [HttpGet("Usage")]
+        [Authorize(Policy = "RequiresElevation")]
+        public IActionResult GetAvatarUsage()
+        {
+            try
+            {
+                Response.Headers["Cache-Control"] = "no-cache";
+                return Ok(_avatarService.GetAvatarUsage());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get avatar usage");
+                return StatusCode(500, "Failed to get avatar usage");
+            }
+        }
+
+        /// <summary>
+        /// Applies one operation to several avatars (admin only).
+        /// "delete" and "move" save the configuration once and return the outcome per avatar;
+        /// "export" returns a zip archive and lists avatars that could not be exported in the
+        /// <c>X-GetAvatar-Failed</c> header.
+        /// </summary>
+        /// <param name="request">The batch request.</param>
+        /// <returns>The per-avatar results, or the exported archive.</returns>
+        [HttpPost("Batch")]
+        [Authorize(Policy = "RequiresElevation")]
+        public async Task<IActionResult> BatchAvatars([FromBody] AvatarBatchRequest request)
+        {
+            try
+            {
+                if (request.AvatarIds == null || request.AvatarIds.Count == 0)
+                {
+                    return BadRequest("No avatars selected");
+                }
+
+                List<AvatarBatchItemResult> results;
+                var reassignedCount = 0;
+                switch (request.Action?.ToLowerInvariant())
+                {
+                    case "delete":
+                        if (!string.IsNullOrEmpty(request.ReplacementAvatarId))
+                        {
+                            reassignedCount = await _avatarService.ReassignUsersAsync(request.AvatarIds, request.ReplacementAvatarId);
+                        }
+
+                        results = _avatarService.DeleteAvatars(request.AvatarIds);
+                        break;
+                    case "move":
+                        results = _avatarService.MoveAvatars(request.AvatarIds, request.Category ?? string.Empty);
+                        break;
+                    case "export":
+                        var archive = new MemoryStream();
+                        results = _avatarService.ExportAvatars(request.AvatarIds, archive);
+                        if (!results.Any(r => r.Success))
+                        {
+                            return BadRequest("None of the selected avatars could be exported");
+                        }
+
+                        var failed = results.Where(r => !r.Success).Select(r => r.AvatarId).ToList();
+                        if (failed.Count > 0)
+                        {
+                            Response.Headers["X-GetAvatar-Failed"] = string.Join(",", failed);
+                        }
+
+                        archive.Position = 0;
+                        return File(archive, "application/zip", "avatars.zip");
+                    default:
+                        return BadRequest("Unknown batch action: " + request.Action);
+                }
+
+                return Ok(new
+                {
+                    Results = results,
+                    SucceededCount = results.Count(r => r.Success),
+                    FailedCount = results.Count(r => !r.Success),
+                    ReassignedCount = reassignedCount
+                });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(ex.Message);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to run batch {Action} on avatars", request.Action);
+                return StatusCode(500, "Failed to run batch operation");
+            }
+        }
+
         /// <summary>
         /// Gets the custom avatar for a specific user.
         /// </summary>
@@ -279,69 +460,198 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
                     return BadRequest("Avatar ID is required");
                 }
 
-                // Get user ID
-                Guid currentUserId = Guid.Empty;
-                var userIdClaim = User.Claims.FirstOrDefault(c => c.Type == "userId" || c.Type == "sub" || c.Type == "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/nameidentifier");
-                if (userIdClaim != null && Guid.TryParse(userIdClaim.Value, out var claimUserId))
+                var userError = TryResolveTargetUser(request.UserId, out var targetUserId);
+                if (userError != null)
                 {
-                    currentUserId = claimUserId;
+                    return userError;
                 }
-                else
+
+                if (!_avatarService.IsAvatarVisible(targetUserId, request.AvatarId))
+                {
+                    return StatusCode(403, "This avatar is not available to the user");
+                }
+
+                byte[]? adjustedImage = null;
+                if (!string.IsNullOrEmpty(request.ImageData))
                 {
-                    var usernameClaim = User.Claims.FirstOrDefault(c => c.Type == "name" || c.Type == "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name");
-                    if (usernameClaim != null)
+                    adjustedImage = DecodeAdjustedImage(request.ImageData);
+                    if (adjustedImage == null)
                     {
-                        var user = _userManager.GetUserByName(usernameClaim.Value);
-                        if (user != null)
-                        {
-                            currentUserId = user.Id;
-                        }
+                        return BadRequest("Invalid adjusted image. Only PNG images up to 5MB are allowed.");
                     }
                 }
 
-                if (currentUserId == Guid.Empty)
+                await _avatarService.SetUserAvatarAsync(targetUserId, request.AvatarId, adjustedImage);
+                _avatarService.RecordAvatarChange(targetUserId, request.AvatarId);
+
+                return Ok(new { message = "Avatar set successfully" });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(ex.Message);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to set user avatar");
+                return StatusCode(500, "Failed to set avatar");
+            }
+        }
+
+        /// <summary>
+        /// Gets a user's favorite and recently used avatars, their avatar history and rotation settings.
+        /// </summary>
+        /// <param name="userId">Optional. The user ID (administrators only); defaults to the current user.</param>
+        /// <returns>The favorite and recently used avatars and the change history, limited to avatars still in the pool, plus the rotation settings.</returns>
+        [HttpGet("UserPreferences")]
+        public IActionResult GetUserPreferences([FromQuery] string? userId)
+        {
+            try
+            {
+                var userError = TryResolveTargetUser(userId, out var targetUserId);
+                if (userError != null)
                 {
-                    return Unauthorized("User not authenticated");
+                    return userError;
                 }
 
-                Guid targetUserId = Guid.Empty;
+                var preferences = _avatarService.GetUserPreferences(targetUserId);
+                var pool = _avatarService.GetVisibleAvatars(targetUserId).ToDictionary(a => a.Id, StringComparer.Ordinal);
 
-                if (!string.IsNullOrEmpty(request.UserId))
-                {
-                    if (Guid.TryParse(request.UserId, out var parsedUserId))
-                    {
-                        targetUserId = parsedUserId;
-                    }
-                    else
+                // Newest favorites first, like the recently used row
+                var favorites = (preferences.FavoriteAvatarIds ?? new List<string>())
+                    .AsEnumerable()
+                    .Reverse()
+                    .Where(pool.ContainsKey)
+                    .Select(id => ToAvatarResponse(pool[id]));
+                var recent = (preferences.RecentAvatarIds ?? new List<string>())
+                    .Where(pool.ContainsKey)
+                    .Select(id => ToAvatarResponse(pool[id]));
+                var history = (preferences.History ?? new List<AvatarHistoryEntry>())
+                    .Where(h => pool.ContainsKey(h.AvatarId))
+                    .Select(h => new
                     {
-                        return BadRequest("Invalid user ID format");
-                    }
+                        Avatar = ToAvatarResponse(pool[h.AvatarId]),
+                        h.AppliedAt
+                    });
+
+                return Ok(new
+                {
+                    Favorites = favorites,
+                    Recent = recent,
+                    History = history,
+                    CurrentAvatarId = _avatarService.GetUserAvatarId(targetUserId),
+                    Rotation = ToRotationResponse(preferences)
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get user avatar preferences");
+                return StatusCode(500, "Failed to get avatar preferences");
+            }
+        }
+
+        /// <summary>
+        /// Turns a user's automatic avatar rotation on or off.
+        /// </summary>
+        /// <param name="request">The rotation interval, optional category and optional target user.</param>
+        /// <returns>The saved rotation settings.</returns>
+        [HttpPost("Rotation")]
+        public IActionResult SetRotation([FromBody] RotationSettingsRequest request)
+        {
+            try
+            {
+                if (request == null)
+                {
+                    return BadRequest("Interval is required");
                 }
-                else
+
+                var userError = TryResolveTargetUser(request.UserId, out var targetUserId);
+                if (userError != null)
                 {
-                    targetUserId = currentUserId;
+                    return userError;
                 }
 
-                if (targetUserId != currentUserId)
+                var interval = new[]
                 {
-                    if (!User.IsInRole("Administrator"))
-                    {
-                        return Forbid("Only administrators can modify other users' avatars");
-                    }
+                    UserAvatarPreferences.RotationOff,
+                    UserAvatarPreferences.RotationDaily,
+                    UserAvatarPreferences.RotationWeekly
+                }.FirstOrDefault(i => string.Equals(i, request.Interval, StringComparison.OrdinalIgnoreCase));
+                if (interval == null)
+                {
+                    return BadRequest("Interval must be Off, Daily or Weekly");
                 }
 
-                await _avatarService.SetUserAvatarAsync(targetUserId, request.AvatarId);
+                var category = request.Category?.Trim();
+                if (!string.IsNullOrEmpty(category)
+                    && !_avatarService.GetVisibleAvatars(targetUserId).Any(a => string.Equals(a.Category, category, StringComparison.OrdinalIgnoreCase)))
+                {
+                    return BadRequest("There are no avatars in that category");
+                }
 
-                return Ok(new { message = "Avatar set successfully" });
+                var preferences = _avatarService.SetRotation(targetUserId, interval, category);
+                if (preferences == null)
+                {
+                    return StatusCode(500, "Failed to save rotation");
+                }
+
+                return Ok(new
+                {
+                    message = interval == UserAvatarPreferences.RotationOff ? "Avatar rotation turned off" : "Avatar rotation saved",
+                    rotation = ToRotationResponse(preferences)
+                });
             }
-            catch (ArgumentException ex)
+            catch (Exception ex)
             {
-                return BadRequest(ex.Message);
+                _logger.LogError(ex, "Failed to save avatar rotation");
+                return StatusCode(500, "Failed to save rotation");
+            }
+        }
+
+        /// <summary>
+        /// Stars an avatar for a user.
+        /// </summary>
+        /// <param name="avatarId">The avatar ID.</param>
+        /// <param name="userId">Optional. The user ID (administrators only); defaults to the current user.</param>
+        /// <returns>Status of operation.</returns>
+        [HttpPost("Favorites/{avatarId}")]
+        public IActionResult AddFavorite(string avatarId, [FromQuery] string? userId)
+        {
+            return SetFavorite(avatarId, userId, true);
+        }
+
+        /// <summary>
+        /// Removes an avatar from a user's favorites.
+        /// </summary>
+        /// <param name="avatarId">The avatar ID.</param>
+        /// <param name="userId">Optional. The user ID (administrators only); defaults to the current user.</param>
+        /// <returns>Status of operation.</returns>
+        [HttpDelete("Favorites/{avatarId}")]
+        public IActionResult RemoveFavorite(string avatarId, [FromQuery] string? userId)
+        {
+            return SetFavorite(avatarId, userId, false);
+        }
+
+        private IActionResult SetFavorite(string avatarId, string? userId, bool isFavorite)
+        {
+            try
+            {
+                var userError = TryResolveTargetUser(userId, out var targetUserId);
+                if (userError != null)
+                {
+                    return userError;
+                }
+
+                if (!_avatarService.SetFavorite(targetUserId, avatarId, isFavorite))
+                {
+                    return NotFound();
+                }
+
+                return Ok(new { message = isFavorite ? "Avatar added to favorites" : "Avatar removed from favorites" });
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Failed to set user avatar");
-                return StatusCode(500, "Failed to set avatar");
+                _logger.LogError(ex, "Failed to update favorite avatar: {AvatarId}", avatarId);
+                return StatusCode(500, "Failed to update favorites");
             }
         }
 
@@ -377,6 +687,38 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
             }
         }
 
+        /// <summary>
+        /// Gives every user without a profile image a random avatar (admin only).
+        /// </summary>
+        /// <param name="request">The request, optionally limiting the draw to one category.</param>
+        /// <returns>The number of users who received an avatar.</returns>
+        [HttpPost("AssignRandom")]
+        [Authorize(Policy = "RequiresElevation")]
+        public async Task<IActionResult> AssignRandomAvatars([FromBody] AssignRandomAvatarsRequest? request)
+        {
+            try
+            {
+                var category = request?.Category?.Trim();
+                if (!string.IsNullOrEmpty(category)
+                    && !_avatarService.GetAvailableAvatars().Any(a => string.Equals(a.Category, category, StringComparison.OrdinalIgnoreCase)))
+                {
+                    return BadRequest("Category has no avatars");
+                }
+
+                var assignedCount = await _avatarService.AssignRandomAvatarsAsync(category);
+                return Ok(new
+                {
+                    message = "Random avatars assigned",
+                    assignedCount
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to assign random avatars");
+                return StatusCode(500, "Failed to assign random avatars");
+            }
+        }
+
         /// <summary>
         /// Validates and repairs all user avatars (admin only).
         /// This checks if profile image files exist and re-applies avatars if missing.
@@ -389,12 +731,14 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
             try
             {
                 _logger.LogInformation("Starting avatar validation (manual trigger)");
-                var repairedCount = await _avatarService.ValidateUserAvatarsAsync();
+                var changes = new List<string>();
+                var repairedCount = await _avatarService.ValidateUserAvatarsAsync(changes);
 
                 return Ok(new
                 {
                     message = "Avatar validation completed",
-                    repairedCount = repairedCount
+                    repairedCount = repairedCount,
+                    changes
                 });
             }
             catch (Exception ex)
@@ -416,12 +760,14 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
             try
             {
                 _logger.LogInformation("Starting orphaned file cleanup (manual trigger)");
-                var deletedCount = _avatarService.CleanOrphanedProfileImages();
+                var deletedFiles = new List<string>();
+                var deletedCount = _avatarService.CleanOrphanedProfileImages(deletedFiles);
 
                 return Ok(new
                 {
                     message = "Orphaned file cleanup completed",
-                    deletedCount = deletedCount
+                    deletedCount = deletedCount,
+                    deletedFiles
                 });
             }
             catch (Exception ex)
@@ -444,6 +790,7 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
                 var userStatuses = GetAllUsers().Select(user =>
                 {
                     var avatarId = _avatarService.GetUserAvatarId(user.Id);
+                    var preferences = _avatarService.GetUserPreferences(user.Id);
                     var profileImageExists = user.ProfileImage != null
                         && !string.IsNullOrEmpty(user.ProfileImage.Path)
                         && System.IO.File.Exists(user.ProfileImage.Path);
@@ -458,7 +805,10 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
                         hasProfileImage = user.ProfileImage != null,
                         profileImagePath = user.ProfileImage?.Path,
                         profileImageExists,
-                        status
+                        status,
+                        rotationInterval = preferences.RotationInterval ?? UserAvatarPreferences.RotationOff,
+                        rotationCategory = preferences.RotationCategory,
+                        nextRotationAt = AvatarService.GetNextRotation(preferences)
                     };
                 }).ToList();
 
@@ -477,6 +827,71 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
             }
         }
 
+        /// <summary>
+        /// Gets the category visibility rules (admin only).
+        /// </summary>
+        /// <returns>The configured rules.</returns>
+        [HttpGet("CategoryRules")]
+        [Authorize(Policy = "RequiresElevation")]
+        public IActionResult GetCategoryRules()
+        {
+            return Ok(Plugin.Config.CategoryRules ?? new List<CategoryRule>());
+        }
+
+        /// <summary>
+        /// Replaces the category visibility rules (admin only).
+        /// </summary>
+        /// <param name="rules">The new rules.</param>
+        /// <returns>Status of operation.</returns>
+        [HttpPost("CategoryRules")]
+        [Authorize(Policy = "RequiresElevation")]
+        public IActionResult UpdateCategoryRules([FromBody] List<CategoryRule> rules)
+        {
+            if (Plugin.Instance == null)
+            {
+                return StatusCode(500, "Plugin not initialized");
+            }
+
+            var validTargets = new[]
+            {
+                CategoryRule.Everyone,
+                CategoryRule.SingleUser,
+                CategoryRule.Administrators,
+                CategoryRule.NonAdministrators,
+                CategoryRule.ParentalRating
+            };
+
+            foreach (var rule in rules ?? new List<CategoryRule>())
+            {
+                if (!validTargets.Contains(rule.AppliesTo))
+                {
+                    return BadRequest("Unknown rule target: " + rule.AppliesTo);
+                }
+
+                if (rule.AppliesTo == CategoryRule.SingleUser && !Guid.TryParse(rule.UserId, out _))
+                {
+                    return BadRequest("A user rule needs a valid user ID");
+                }
+
+                if (rule.AppliesTo == CategoryRule.ParentalRating && !rule.MaxParentalRating.HasValue)
+                {
+                    return BadRequest("A parental rating rule needs a rating score");
+                }
+
+                rule.Name = rule.Name?.Trim() ?? string.Empty;
+                rule.AllowedCategories = NormalizeCategoryList(rule.AllowedCategories);
+                rule.DeniedCategories = NormalizeCategoryList(rule.DeniedCategories);
+            }
+
+            lock (Plugin.ConfigLock)
+            {
+                Plugin.Config.CategoryRules = rules ?? new List<CategoryRule>();
+                Plugin.Instance.SaveConfiguration();
+            }
+
+            return Ok(new { message = "Category rules saved" });
+        }
+
         /// <summary>
         /// Gets plugin feature settings.
         /// </summary>
@@ -502,45 +917,175 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
                 return StatusCode(500, "Plugin not initialized");
             }
 
-            var config = Plugin.Config;
-            config.EnableAutoAssign = request.EnableAutoAssign;
-            Plugin.Instance.SaveConfiguration();
+            lock (Plugin.ConfigLock)
+            {
+                Plugin.Config.EnableAutoAssign = request.EnableAutoAssign;
+                Plugin.Instance.SaveConfiguration();
+            }
 
             return Ok(new { message = "Settings saved" });
         }
 
         /// <summary>
-        /// Gets the available online avatar packs from the latest GitHub release.
+        /// Gets the settings the client script needs, such as where to put the profile page button.
         /// </summary>
-        /// <returns>List of available packs.</returns>
-        [HttpGet("OnlinePacks")]
-        [Authorize(Policy = "RequiresElevation")]
-        public async Task<IActionResult> GetOnlinePacks()
+        /// <returns>The client settings.</returns>
+        [HttpGet("ClientConfig")]
+        public IActionResult GetClientConfig()
         {
-            try
-            {
-                var packs = await _onlinePackService.GetAvailablePacksAsync().ConfigureAwait(false);
-                return Ok(packs.Select(p => new
-                {
-                    id = p.Id,
-                    name = p.Name,
-                    fileName = p.FileName,
-                    downloadUrl = p.DownloadUrl,
-                    size = p.Size
-                }));
-            }
-            catch (Exception ex)
+            return Ok(new
             {
-                _logger.LogError(ex, "Failed to get online avatar packs");
-                return StatusCode(500, "Failed to retrieve online avatar packs");
-            }
+                InjectionTargets = Plugin.Config.InjectionTargets ?? new List<InjectionTarget>(),
+                Plugin.Config.ReplaceDefaultInjectionTargets
+            });
         }
 
         /// <summary>
-        /// Imports the selected online avatar packs.
+        /// Updates the settings served to the client script (admin only).
         /// </summary>
-        /// <param name="request">The request containing the pack identifiers.</param>
-        /// <returns>Import result.</returns>
+        /// <param name="request">The new client settings.</param>
+        /// <returns>Status of operation.</returns>
+        [HttpPost("ClientConfig")]
+        [Authorize(Policy = "RequiresElevation")]
+        public IActionResult UpdateClientConfig([FromBody] ClientConfigRequest request)
+        {
+            if (Plugin.Instance == null)
+            {
+                return StatusCode(500, "Plugin not initialized");
+            }
+
+            var targets = request.InjectionTargets ?? new List<InjectionTarget>();
+            foreach (var target in targets)
+            {
+                target.Selector = target.Selector?.Trim() ?? string.Empty;
+                if (target.Selector.Length == 0)
+                {
+                    return BadRequest("Each button target needs a selector");
+                }
+
+                if (target.Placement != InjectionTarget.Before
+                    && target.Placement != InjectionTarget.After
+                    && target.Placement != InjectionTarget.Inside)
+                {
+                    return BadRequest("Unknown button placement: " + target.Placement);
+                }
+            }
+
+            if (request.ReplaceDefaultInjectionTargets && targets.Count == 0)
+            {
+                return BadRequest("Add a button target before replacing the built-in ones");
+            }
+
+            lock (Plugin.ConfigLock)
+            {
+                Plugin.Config.InjectionTargets = targets;
+                Plugin.Config.ReplaceDefaultInjectionTargets = request.ReplaceDefaultInjectionTargets;
+                Plugin.Instance.SaveConfiguration();
+            }
+
+            return Ok(new { message = "Client settings saved" });
+        }
+
+        /// <summary>
+        /// Gets the available online avatar packs, grouped by pack source.
+        /// </summary>
+        /// <returns>The packs of each source, with an error for sources that failed to load.</returns>
+        [HttpGet("OnlinePacks")]
+        [Authorize(Policy = "RequiresElevation")]
+        public async Task<IActionResult> GetOnlinePacks()
+        {
+            try
+            {
+                var sources = await _onlinePackService.GetAvailablePacksAsync().ConfigureAwait(false);
+                return Ok(sources.Select(s => new
+                {
+                    id = s.SourceId,
+                    name = s.SourceName,
+                    error = s.Error,
+                    packs = s.Packs.Select(p => new
+                    {
+                        id = p.Id,
+                        name = p.Name,
+                        fileName = p.FileName,
+                        downloadUrl = p.DownloadUrl,
+                        size = p.Size,
+                        version = p.Version,
+                        status = p.Status
+                    })
+                }));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get online avatar packs");
+                return StatusCode(500, "Failed to retrieve online avatar packs");
+            }
+        }
+
+        /// <summary>
+        /// Gets the online pack sources (admin only).
+        /// </summary>
+        /// <returns>The pack sources, in display order.</returns>
+        [HttpGet("PackSources")]
+        [Authorize(Policy = "RequiresElevation")]
+        public IActionResult GetPackSources()
+        {
+            return Ok(_onlinePackService.GetPackSources());
+        }
+
+        /// <summary>
+        /// Replaces the online pack sources (admin only).
+        /// </summary>
+        /// <param name="sources">The new sources, in display order.</param>
+        /// <returns>Status of operation.</returns>
+        [HttpPost("PackSources")]
+        [Authorize(Policy = "RequiresElevation")]
+        public IActionResult UpdatePackSources([FromBody] List<PackSource> sources)
+        {
+            if (Plugin.Instance == null)
+            {
+                return StatusCode(500, "Plugin not initialized");
+            }
+
+            sources ??= new List<PackSource>();
+            var ids = new HashSet<string>(StringComparer.Ordinal);
+            foreach (var source in sources)
+            {
+                if (source.Type != PackSource.GitHubRelease && source.Type != PackSource.JsonIndex)
+                {
+                    return BadRequest("Unknown source type: " + source.Type);
+                }
+
+                source.Url = source.Url?.Trim() ?? string.Empty;
+                if (!Uri.TryCreate(source.Url, UriKind.Absolute, out var uri)
+                    || (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps))
+                {
+                    return BadRequest("Not a valid http(s) URL: " + source.Url);
+                }
+
+                source.Name = string.IsNullOrWhiteSpace(source.Name) ? uri.Host : source.Name.Trim();
+                if (string.IsNullOrWhiteSpace(source.Id) || !ids.Add(source.Id))
+                {
+                    source.Id = Guid.NewGuid().ToString("N");
+                    ids.Add(source.Id);
+                }
+            }
+
+            // Mark the list as initialized so the default source is not added back when it was removed
+            lock (Plugin.ConfigLock)
+            {
+                Plugin.Config.PackSources = sources;
+                Plugin.Config.PackSourcesInitialized = true;
+                Plugin.Instance.SaveConfiguration();
+            }
+
+            return Ok(new { message = "Pack sources saved" });
+        }
+
+        /// <summary>
+        /// Starts importing the selected online avatar packs as a background job (admin only).
+        /// </summary>
+        /// <param name="request">The request containing the pack identifiers.</param>
+        /// <returns>The started job, whose progress can be followed through <see cref="GetImportJob"/>.</returns>
         [HttpPost("ImportOnlinePacks")]
         [Authorize(Policy = "RequiresElevation")]
         public async Task<IActionResult> ImportOnlinePacks([FromBody] ImportOnlinePacksRequest request)
@@ -552,7 +1097,200 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
                     return BadRequest("No packs selected");
                 }
 
-                var result = await _onlinePackService.ImportPacksAsync(request.PackIds).ConfigureAwait(false);
+                var job = await _packImportJobService.StartAsync(request.PackIds, request.RemoveDropped).ConfigureAwait(false);
+                if (job == null)
+                {
+                    return Conflict("Another pack import is still running");
+                }
+
+                return Accepted(job);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to start online avatar pack import");
+                return StatusCode(500, "Failed to start online avatar pack import");
+            }
+        }
+
+        /// <summary>
+        /// Gets the running pack import job and those that finished within the last hour (admin only).
+        /// </summary>
+        /// <returns>The jobs, newest first.</returns>
+        [HttpGet("ImportJobs")]
+        [Authorize(Policy = "RequiresElevation")]
+        public IActionResult GetImportJobs()
+        {
+            return Ok(_packImportJobService.GetJobs());
+        }
+
+        /// <summary>
+        /// Gets the progress of a pack import job (admin only).
+        /// </summary>
+        /// <param name="jobId">The job identifier.</param>
+        /// <returns>The job.</returns>
+        [HttpGet("ImportJobs/{jobId}")]
+        [Authorize(Policy = "RequiresElevation")]
+        public IActionResult GetImportJob([FromRoute] string jobId)
+        {
+            var job = _packImportJobService.GetJob(jobId);
+            if (job == null)
+            {
+                return NotFound("Import job not found or expired");
+            }
+
+            return Ok(job);
+        }
+
+        /// <summary>
+        /// Cancels a running pack import job (admin only). Avatars imported before the cancel are kept.
+        /// </summary>
+        /// <param name="jobId">The job identifier.</param>
+        /// <returns>Success status.</returns>
+        [HttpPost("ImportJobs/{jobId}/Cancel")]
+        [Authorize(Policy = "RequiresElevation")]
+        public IActionResult CancelImportJob([FromRoute] string jobId)
+        {
+            if (!_packImportJobService.Cancel(jobId))
+            {
+                return NotFound("Import job not found or already finished");
+            }
+
+            return Ok(new { message = "Cancelling import" });
+        }
+
+        /// <summary>
+        /// Starts downloading an online pack in the background so the administrator can pick which images to import (admin only).
+        /// </summary>
+        /// <param name="request">The pack to preview.</param>
+        /// <returns>The started job; once it completes, <see cref="GetPreviewJob"/> returns the preview with the token for the thumbnail and import calls.</returns>
+        [HttpPost("OnlinePacks/Preview")]
+        [Authorize(Policy = "RequiresElevation")]
+        public async Task<IActionResult> PreviewOnlinePack([FromBody] PreviewOnlinePackRequest request)
+        {
+            try
+            {
+                if (request == null || string.IsNullOrEmpty(request.PackId))
+                {
+                    return BadRequest("Pack ID is required");
+                }
+
+                var job = await _packImportJobService.StartPreviewAsync(request.PackId).ConfigureAwait(false);
+                if (job == null)
+                {
+                    return NotFound("Pack not found in its source");
+                }
+
+                return Accepted(job);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to start online avatar pack preview: {PackId}", request?.PackId);
+                return StatusCode(500, "Failed to preview online avatar pack");
+            }
+        }
+
+        /// <summary>
+        /// Gets the progress of a pack preview download, and the preview once it has completed (admin only).
+        /// </summary>
+        /// <param name="jobId">The job identifier.</param>
+        /// <returns>The job.</returns>
+        [HttpGet("PreviewJobs/{jobId}")]
+        [Authorize(Policy = "RequiresElevation")]
+        public IActionResult GetPreviewJob([FromRoute] string jobId)
+        {
+            var job = _packImportJobService.GetPreviewJob(jobId);
+            if (job == null)
+            {
+                return NotFound("Preview job not found or expired");
+            }
+
+            return Ok(job);
+        }
+
+        /// <summary>
+        /// Cancels a running pack preview download (admin only).
+        /// </summary>
+        /// <param name="jobId">The job identifier.</param>
+        /// <returns>Success status.</returns>
+        [HttpPost("PreviewJobs/{jobId}/Cancel")]
+        [Authorize(Policy = "RequiresElevation")]
+        public IActionResult CancelPreviewJob([FromRoute] string jobId)
+        {
+            if (_packImportJobService.GetPreviewJob(jobId) == null || !_packImportJobService.Cancel(jobId))
+            {
+                return NotFound("Preview job not found or already finished");
+            }
+
+            return Ok(new { message = "Cancelling preview" });
+        }
+
+        /// <summary>
+        /// Gets the thumbnail of an image in a previewed online pack.
+        /// Anonymous like <see cref="GetAvatarImage"/> so it works in img tags; the preview token is random and expires after an hour.
+        /// </summary>
+        /// <param name="token">The preview token.</param>
+        /// <param name="path">The path of the image inside the archive.</param>
+        /// <returns>The image file.</returns>
+        [HttpGet("OnlinePacks/Preview/{token}/Image")]
+        [AllowAnonymous]
+        public async Task<IActionResult> GetOnlinePackPreviewImage(string token, [FromQuery] string path)
+        {
+            try
+            {
+                var image = string.IsNullOrEmpty(path)
+                    ? null
+                    : await _onlinePackService.GetPreviewImageAsync(token, path).ConfigureAwait(false);
+                if (image == null)
+                {
+                    return NotFound();
+                }
+
+                var contentType = Path.GetExtension(path).ToLowerInvariant() switch
+                {
+                    ".jpg" or ".jpeg" => "image/jpeg",
+                    ".png" => "image/png",
+                    ".webp" => "image/webp",
+                    ".gif" => "image/gif",
+                    _ => "application/octet-stream"
+                };
+
+                return File(image, contentType);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to get online pack preview image: {Path}", path);
+                return StatusCode(500, "Failed to retrieve preview image");
+            }
+        }
+
+        /// <summary>
+        /// Imports the chosen images of a previewed online pack (admin only).
+        /// </summary>
+        /// <param name="request">The preview token, the chosen images and the target category.</param>
+        /// <returns>Import result.</returns>
+        [HttpPost("OnlinePacks/Preview/Import")]
+        [Authorize(Policy = "RequiresElevation")]
+        public async Task<IActionResult> ImportOnlinePackPreview([FromBody] ImportOnlinePackPreviewRequest request)
+        {
+            try
+            {
+                if (request == null || string.IsNullOrEmpty(request.Token))
+                {
+                    return BadRequest("Token is required");
+                }
+
+                if (request.Paths == null || request.Paths.Count == 0)
+                {
+                    return BadRequest("No images selected");
+                }
+
+                var category = request.Category?.Trim() ?? string.Empty;
+                var result = await _onlinePackService.ImportPreviewAsync(request.Token, request.Paths, category).ConfigureAwait(false);
+                if (result == null)
+                {
+                    return NotFound("Pack download not found or expired. Please preview the pack again.");
+                }
+
                 return Ok(new
                 {
                     importedCount = result.ImportedCount,
@@ -570,11 +1308,280 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Failed to import online avatar packs");
-                return StatusCode(500, "Failed to import online avatar packs");
+                _logger.LogError(ex, "Failed to import previewed avatar pack");
+                return StatusCode(500, "Failed to import avatar pack");
             }
         }
 
+        /// <summary>
+        /// Imports avatars from an uploaded zip file (admin only).
+        /// Each top-level folder in the archive becomes a category.
+        /// </summary>
+        /// <param name="file">The zip file.</param>
+        /// <returns>Import result.</returns>
+        [HttpPost("ImportZip")]
+        [Authorize(Policy = "RequiresElevation")]
+        [RequestSizeLimit(1024L * 1024L * 1024L)]
+        [RequestFormLimits(MultipartBodyLengthLimit = 1024L * 1024L * 1024L)]
+        public async Task<IActionResult> ImportZip(IFormFile file)
+        {
+            try
+            {
+                if (file == null || file.Length == 0)
+                {
+                    return BadRequest("No file uploaded");
+                }
+
+                if (!string.Equals(Path.GetExtension(file.FileName), ".zip", StringComparison.OrdinalIgnoreCase))
+                {
+                    return BadRequest("Invalid file type. Only .zip files are allowed.");
+                }
+
+                using var stream = file.OpenReadStream();
+                var result = await _onlinePackService.ImportLocalZipAsync(stream, file.FileName).ConfigureAwait(false);
+                return Ok(new
+                {
+                    importedCount = result.ImportedCount,
+                    totalImages = result.TotalImages,
+                    duplicateCount = result.DuplicateCount,
+                    packResults = result.PackResults.Select(r => new
+                    {
+                        r.PackId,
+                        r.PackName,
+                        r.ImportedCount,
+                        r.Success,
+                        r.ErrorMessage
+                    })
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to import avatar zip");
+                return StatusCode(500, "Failed to import avatar zip");
+            }
+        }
+
+        /// <summary>
+        /// Downloads a backup of the avatar library and user assignments (admin only).
+        /// </summary>
+        /// <returns>The backup zip file.</returns>
+        [HttpGet("Backup")]
+        [Authorize(Policy = "RequiresElevation")]
+        public IActionResult DownloadBackup()
+        {
+            FileStream? stream = null;
+            try
+            {
+                // Spool to disk so large libraries are not held in memory
+                stream = new FileStream(
+                    Path.Combine(Path.GetTempPath(), "getavatar-backup-" + Guid.NewGuid().ToString("N") + ".zip"),
+                    FileMode.CreateNew,
+                    FileAccess.ReadWrite,
+                    FileShare.None,
+                    81920,
+                    FileOptions.DeleteOnClose);
+
+                _backupService.WriteBackup(stream);
+                stream.Position = 0;
+
+                var fileName = "getavatar-backup-" + DateTime.UtcNow.ToString("yyyyMMdd", CultureInfo.InvariantCulture) + ".zip";
+                return File(stream, "application/zip", fileName);
+            }
+            catch (Exception ex)
+            {
+                stream?.Dispose();
+                _logger.LogError(ex, "Failed to create backup");
+                return StatusCode(500, "Failed to create backup");
+            }
+        }
+
+        /// <summary>
+        /// Uploads a backup and returns a summary of what restoring it would do (admin only).
+        /// </summary>
+        /// <param name="file">The backup zip file.</param>
+        /// <returns>The backup preview.</returns>
+        [HttpPost("Backup/Preview")]
+        [Authorize(Policy = "RequiresElevation")]
+        [RequestSizeLimit(4L * 1024L * 1024L * 1024L)]
+        [RequestFormLimits(MultipartBodyLengthLimit = 4L * 1024L * 1024L * 1024L)]
+        public async Task<IActionResult> PreviewBackup(IFormFile file)
+        {
+            try
+            {
+                if (file == null || file.Length == 0)
+                {
+                    return BadRequest("No file uploaded");
+                }
+
+                if (!string.Equals(Path.GetExtension(file.FileName), ".zip", StringComparison.OrdinalIgnoreCase))
+                {
+                    return BadRequest("Invalid file type. Only .zip files are allowed.");
+                }
+
+                using var stream = file.OpenReadStream();
+                var preview = await _backupService.CreatePreviewAsync(stream).ConfigureAwait(false);
+                return Ok(preview);
+            }
+            catch (InvalidDataException ex)
+            {
+                return BadRequest(ex.Message);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to read backup");
+                return StatusCode(500, "Failed to read backup");
+            }
+        }
+
+        /// <summary>
+        /// Restores a previously previewed backup (admin only).
+        /// </summary>
+        /// <param name="request">The restore request.</param>
+        /// <returns>The restore result.</returns>
+        [HttpPost("Backup/Restore")]
+        [Authorize(Policy = "RequiresElevation")]
+        public async Task<IActionResult> RestoreBackup([FromBody] RestoreBackupRequest request)
+        {
+            try
+            {
+                if (request == null || string.IsNullOrEmpty(request.Token))
+                {
+                    return BadRequest("Token is required");
+                }
+
+                var result = await _backupService.RestoreAsync(request.Token, request.Replace).ConfigureAwait(false);
+                if (result == null)
+                {
+                    return NotFound("Backup upload not found or expired. Please upload it again.");
+                }
+
+                return Ok(result);
+            }
+            catch (InvalidDataException ex)
+            {
+                return BadRequest(ex.Message);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to restore backup");
+                return StatusCode(500, "Failed to restore backup");
+            }
+        }
+
+        /// <summary>
+        /// Gets the ID of the authenticated user from the request claims.
+        /// </summary>
+        private Guid GetCurrentUserId()
+        {
+            var userIdClaim = User.Claims.FirstOrDefault(c => c.Type == "userId" || c.Type == "sub" || c.Type == "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/nameidentifier");
+            if (userIdClaim != null && Guid.TryParse(userIdClaim.Value, out var claimUserId))
+            {
+                return claimUserId;
+            }
+
+            var usernameClaim = User.Claims.FirstOrDefault(c => c.Type == "name" || c.Type == "http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name");
+            if (usernameClaim != null)
+            {
+                var user = _userManager.GetUserByName(usernameClaim.Value);
+                if (user != null)
+                {
+                    return user.Id;
+                }
+            }
+
+            return Guid.Empty;
+        }
+
+        /// <summary>
+        /// Resolves the user an endpoint acts on: the requested user, or the caller when none is given.
+        /// Only administrators may act on other users.
+        /// </summary>
+        /// <returns>An error result, or null when <paramref name="targetUserId"/> is valid.</returns>
+        private IActionResult? TryResolveTargetUser(string? requestedUserId, out Guid targetUserId)
+        {
+            targetUserId = Guid.Empty;
+
+            var currentUserId = GetCurrentUserId();
+            if (currentUserId == Guid.Empty)
+            {
+                return Unauthorized("User not authenticated");
+            }
+
+            if (string.IsNullOrEmpty(requestedUserId))
+            {
+                targetUserId = currentUserId;
+                return null;
+            }
+
+            if (!Guid.TryParse(requestedUserId, out targetUserId))
+            {
+                return BadRequest("Invalid user ID format");
+            }
+
+            if (targetUserId != currentUserId && !User.IsInRole("Administrator"))
+            {
+                return StatusCode(StatusCodes.Status403Forbidden, "Only administrators can modify other users' avatars");
+            }
+
+            return null;
+        }
+
+        private static List<string> NormalizeCategoryList(List<string>? categories)
+        {
+            return (categories ?? new List<string>())
+                .Select(c => c?.Trim() ?? string.Empty)
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .ToList();
+        }
+
+        private static object ToAvatarResponse(AvatarInfo avatar)
+        {
+            return new
+            {
+                avatar.Id,
+                avatar.Name,
+                avatar.FileName,
+                avatar.DateAdded,
+                Category = avatar.Category ?? string.Empty,
+                Url = $"/GetAvatar/Image/{avatar.Id}"
+            };
+        }
+
+        private static object ToRotationResponse(UserAvatarPreferences preferences)
+        {
+            return new
+            {
+                Interval = preferences.RotationInterval ?? UserAvatarPreferences.RotationOff,
+                Category = preferences.RotationCategory,
+                NextRotationAt = AvatarService.GetNextRotation(preferences)
+            };
+        }
+
+        /// <summary>
+        /// Decodes the base64 PNG produced by the client-side avatar editor.
+        /// Accepts both raw base64 and a data URL.
+        /// </summary>
+        private static byte[]? DecodeAdjustedImage(string imageData)
+        {
+            var commaIndex = imageData.IndexOf(',', StringComparison.Ordinal);
+            if (imageData.StartsWith("data:", StringComparison.OrdinalIgnoreCase) && commaIndex != -1)
+            {
+                imageData = imageData.Substring(commaIndex + 1);
+            }
+
+            byte[] data;
+            try
+            {
+                data = Convert.FromBase64String(imageData);
+            }
+            catch (FormatException)
+            {
+                return null;
+            }
+
+            return AvatarService.IsValidAdjustedImage(data) ? data : null;
+        }
+
         /// <summary>
         /// Gets all users, compatible with both Jellyfin ≤10.11.8 (Users property)
         /// and Jellyfin ≥10.11.9 (GetUsers() method).
@@ -14,5 +14,11 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
         /// Gets or sets the target user ID (optional, defaults to current user if not provided).
         /// </summary>
         public string? UserId { get; set; }
+
+        /// <summary>
+        /// Gets or sets the adjusted (cropped, zoomed, rotated) image as a base64-encoded PNG (optional).
+        /// When provided, it is saved as the profile image instead of the raw pool image.
+        /// </summary>
+        public string? ImageData { get; set; }
     }
 }
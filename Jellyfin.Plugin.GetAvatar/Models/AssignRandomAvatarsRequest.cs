@@ -0,0 +1,13 @@
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// Request model for giving every user without an avatar a random one.
+    /// </summary>
+    public class AssignRandomAvatarsRequest
+    {
+        /// <summary>
+        /// Gets or sets the category to draw from (null or empty for the whole pool).
+        /// </summary>
+        public string? Category { get; set; }
+    }
+}
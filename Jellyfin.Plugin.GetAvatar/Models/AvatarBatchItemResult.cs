@@ -0,0 +1,23 @@
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// Outcome of a batch operation for a single avatar.
+    /// </summary>
+    public class AvatarBatchItemResult
+    {
+        /// <summary>
+        /// Gets or sets the avatar ID.
+        /// </summary>
+        public string AvatarId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets a value indicating whether the operation succeeded for this avatar.
+        /// </summary>
+        public bool Success { get; set; }
+
+        /// <summary>
+        /// Gets or sets the reason the operation failed, if it did.
+        /// </summary>
+        public string ErrorMessage { get; set; } = string.Empty;
+    }
+}
@@ -0,0 +1,30 @@
+using System.Collections.Generic;
+
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// Request model for applying one operation to several avatars at once.
+    /// </summary>
+    public class AvatarBatchRequest
+    {
+        /// <summary>
+        /// Gets or sets the operation: "delete", "move" or "export".
+        /// </summary>
+        public string Action { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the IDs of the avatars to operate on.
+        /// </summary>
+        public List<string> AvatarIds { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Gets or sets the target category for "move" (empty to uncategorize).
+        /// </summary>
+        public string? Category { get; set; }
+
+        /// <summary>
+        /// Gets or sets the avatar that users of deleted avatars are moved to for "delete" (null to leave them without one).
+        /// </summary>
+        public string? ReplacementAvatarId { get; set; }
+    }
+}
@@ -0,0 +1,18 @@
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// Summary of an avatar category.
+    /// </summary>
+    public class AvatarCategoryInfo
+    {
+        /// <summary>
+        /// Gets or sets the category name (empty for uncategorized avatars).
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the number of avatars in the category.
+        /// </summary>
+        public int Count { get; set; }
+    }
+}
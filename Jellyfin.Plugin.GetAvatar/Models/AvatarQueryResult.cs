@@ -0,0 +1,36 @@
+using System.Collections.Generic;
+using Jellyfin.Plugin.GetAvatar.Configuration;
+
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// A page of avatars from the pool, together with the category breakdown of the whole result.
+    /// </summary>
+    public class AvatarQueryResult
+    {
+        /// <summary>
+        /// Gets or sets the avatars in the requested page.
+        /// </summary>
+        public List<AvatarInfo> Items { get; set; } = new List<AvatarInfo>();
+
+        /// <summary>
+        /// Gets or sets the total number of avatars matching the query, before paging.
+        /// </summary>
+        public int TotalRecordCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the index of the first item in the page.
+        /// </summary>
+        public int StartIndex { get; set; }
+
+        /// <summary>
+        /// Gets or sets the categories matching the search term, in display order, with their avatar counts.
+        /// </summary>
+        public List<AvatarCategoryInfo> Categories { get; set; } = new List<AvatarCategoryInfo>();
+
+        /// <summary>
+        /// Gets or sets the index of the requested avatar in the whole sorted result, or -1 if it is not in it.
+        /// </summary>
+        public int LocatedIndex { get; set; } = -1;
+    }
+}
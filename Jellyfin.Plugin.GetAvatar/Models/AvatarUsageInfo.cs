@@ -0,0 +1,25 @@
+using System.Collections.Generic;
+
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// The users currently using one avatar from the pool.
+    /// </summary>
+    public class AvatarUsageInfo
+    {
+        /// <summary>
+        /// Gets or sets the avatar ID.
+        /// </summary>
+        public string AvatarId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the avatar's category (empty for uncategorized avatars).
+        /// </summary>
+        public string Category { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the users who have this avatar.
+        /// </summary>
+        public List<AvatarUserInfo> Users { get; set; } = new List<AvatarUserInfo>();
+    }
+}
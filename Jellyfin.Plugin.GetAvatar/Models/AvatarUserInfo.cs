@@ -0,0 +1,18 @@
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// A user who has an avatar from the pool.
+    /// </summary>
+    public class AvatarUserInfo
+    {
+        /// <summary>
+        /// Gets or sets the user ID.
+        /// </summary>
+        public string UserId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the user name (empty if the user no longer exists).
+        /// </summary>
+        public string UserName { get; set; } = string.Empty;
+    }
+}
@@ -0,0 +1,37 @@
+using System;
+using System.Collections.Generic;
+using Jellyfin.Plugin.GetAvatar.Configuration;
+
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// Contents of <c>manifest.json</c> in a library backup archive.
+    /// </summary>
+    public class BackupManifest
+    {
+        /// <summary>
+        /// Gets or sets the backup format version.
+        /// </summary>
+        public int Version { get; set; } = 1;
+
+        /// <summary>
+        /// Gets or sets when the backup was created (UTC).
+        /// </summary>
+        public DateTime CreatedAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets the avatars in the backup. Images are stored under <c>avatars/</c> by file name.
+        /// </summary>
+        public List<AvatarInfo> Avatars { get; set; } = new List<AvatarInfo>();
+
+        /// <summary>
+        /// Gets or sets the user-to-avatar assignments.
+        /// </summary>
+        public List<BackupUserAvatar> UserAvatars { get; set; } = new List<BackupUserAvatar>();
+
+        /// <summary>
+        /// Gets or sets the online packs that were installed, so pack updates keep working after a restore.
+        /// </summary>
+        public List<InstalledPack> InstalledPacks { get; set; } = new List<InstalledPack>();
+    }
+}
@@ -0,0 +1,56 @@
+using System;
+using System.Collections.Generic;
+
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// Summary of an uploaded backup, shown before it is restored.
+    /// </summary>
+    public class BackupPreview
+    {
+        /// <summary>
+        /// Gets or sets the token identifying the uploaded backup for the restore call.
+        /// </summary>
+        public string Token { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets when the backup was created (UTC).
+        /// </summary>
+        public DateTime CreatedAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets the number of avatars in the backup.
+        /// </summary>
+        public int AvatarCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the number of backup avatars that are not in the current library.
+        /// </summary>
+        public int NewAvatarCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the number of avatars currently in the library.
+        /// </summary>
+        public int CurrentAvatarCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the categories in the backup.
+        /// </summary>
+        public List<AvatarCategoryInfo> Categories { get; set; } = new List<AvatarCategoryInfo>();
+
+        /// <summary>
+        /// Gets or sets the number of user assignments in the backup.
+        /// </summary>
+        public int UserCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the number of those users that exist on this server.
+        /// </summary>
+        public int MatchedUserCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the names of users in the backup that do not exist on this server.
+        /// </summary>
+        public List<string> UnmatchedUsers { get; set; } = new List<string>();
+    }
+}
@@ -0,0 +1,35 @@
+using System.Collections.Generic;
+
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// Outcome of restoring a library backup.
+    /// </summary>
+    public class BackupRestoreResult
+    {
+        /// <summary>
+        /// Gets or sets the number of avatars added to the library.
+        /// </summary>
+        public int ImportedCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the number of backup avatars skipped because they were already in the library.
+        /// </summary>
+        public int SkippedCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the number of avatars removed from the library before restoring (replace mode).
+        /// </summary>
+        public int RemovedCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the number of users whose avatar was re-applied.
+        /// </summary>
+        public int AppliedUserCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the users whose avatar could not be re-applied, with the reason.
+        /// </summary>
+        public List<string> FailedUsers { get; set; } = new List<string>();
+    }
+}
@@ -0,0 +1,28 @@
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// A user's avatar assignment as stored in a library backup.
+    /// </summary>
+    public class BackupUserAvatar
+    {
+        /// <summary>
+        /// Gets or sets the user ID on the server the backup was taken from.
+        /// </summary>
+        public string UserId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the user name, used to match users when IDs differ on the target server.
+        /// </summary>
+        public string UserName { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the avatar ID.
+        /// </summary>
+        public string AvatarId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets a value indicating whether the user's cropped/rotated image is stored under <c>adjusted/</c>.
+        /// </summary>
+        public bool HasAdjustedImage { get; set; }
+    }
+}
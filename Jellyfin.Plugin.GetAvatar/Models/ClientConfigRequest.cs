@@ -0,0 +1,21 @@
+using System.Collections.Generic;
+using Jellyfin.Plugin.GetAvatar.Configuration;
+
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// Request model for updating the settings served to the client script.
+    /// </summary>
+    public class ClientConfigRequest
+    {
+        /// <summary>
+        /// Gets or sets the admin's button targets, tried in order.
+        /// </summary>
+        public List<InjectionTarget> InjectionTargets { get; set; } = new List<InjectionTarget>();
+
+        /// <summary>
+        /// Gets or sets a value indicating whether the built-in targets are skipped.
+        /// </summary>
+        public bool ReplaceDefaultInjectionTargets { get; set; }
+    }
+}
@@ -0,0 +1,25 @@
+using System.Collections.Generic;
+
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// Request model for importing chosen images from a previewed online pack.
+    /// </summary>
+    public class ImportOnlinePackPreviewRequest
+    {
+        /// <summary>
+        /// Gets or sets the token returned by the preview.
+        /// </summary>
+        public string Token { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the archive paths of the images to import.
+        /// </summary>
+        public List<string> Paths { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Gets or sets the category for the imported images (empty for none).
+        /// </summary>
+        public string? Category { get; set; }
+    }
+}
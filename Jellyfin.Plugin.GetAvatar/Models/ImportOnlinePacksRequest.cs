@@ -13,5 +13,10 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
         /// </summary>
         [JsonPropertyName("packs")]
         public List<string> PackIds { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Gets or sets a value indicating whether avatars the pack author removed from an installed pack are deleted.
+        /// </summary>
+        public bool RemoveDropped { get; set; }
     }
 }
@@ -6,10 +6,30 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
     public class OnlinePackInfo
     {
         /// <summary>
-        /// Gets or sets the pack identifier (usually the zip file name without extension).
+        /// The pack has not been imported yet.
+        /// </summary>
+        public const string New = "New";
+
+        /// <summary>
+        /// The imported version is the latest one.
+        /// </summary>
+        public const string Installed = "Installed";
+
+        /// <summary>
+        /// The source lists a different version than the one imported.
+        /// </summary>
+        public const string UpdateAvailable = "UpdateAvailable";
+
+        /// <summary>
+        /// Gets or sets the pack identifier: the source ID and the zip file name without extension, joined by a colon.
         /// </summary>
         public string Id { get; set; } = string.Empty;
 
+        /// <summary>
+        /// Gets or sets the identifier of the source that lists the pack.
+        /// </summary>
+        public string SourceId { get; set; } = string.Empty;
+
         /// <summary>
         /// Gets or sets the display name of the pack.
         /// </summary>
@@ -29,5 +49,15 @@ namespace Jellyfin.Plugin.GetAvatar.Controllers
         /// Gets or sets the size of the zip asset in bytes.
         /// </summary>
         public long Size { get; set; }
+
+        /// <summary>
+        /// Gets or sets the pack version: the asset timestamp or release tag, or the index's version string. Empty if unknown.
+        /// </summary>
+        public string Version { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the install status: <see cref="New"/>, <see cref="Installed"/> or <see cref="UpdateAvailable"/>.
+        /// </summary>
+        public string Status { get; set; } = New;
     }
 }
@@ -0,0 +1,35 @@
+using System.Collections.Generic;
+
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// The images in a downloaded online pack, shown before choosing which ones to import.
+    /// </summary>
+    public class OnlinePackPreview
+    {
+        /// <summary>
+        /// Gets or sets the token identifying the downloaded pack for the thumbnail and import calls.
+        /// </summary>
+        public string Token { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the pack identifier.
+        /// </summary>
+        public string PackId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the pack display name.
+        /// </summary>
+        public string PackName { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the suggested category for the imported images.
+        /// </summary>
+        public string Category { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the images in the pack, in archive order.
+        /// </summary>
+        public List<OnlinePackPreviewImage> Images { get; set; } = new List<OnlinePackPreviewImage>();
+    }
+}
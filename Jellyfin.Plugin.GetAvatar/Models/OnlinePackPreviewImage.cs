@@ -0,0 +1,33 @@
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// One image in a previewed online pack.
+    /// </summary>
+    public class OnlinePackPreviewImage
+    {
+        /// <summary>
+        /// Gets or sets the path of the image inside the archive.
+        /// </summary>
+        public string Path { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the image name (file name without extension).
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the image size in bytes.
+        /// </summary>
+        public long Size { get; set; }
+
+        /// <summary>
+        /// Gets or sets a value indicating whether the same image (by SHA-256) is already in the library.
+        /// </summary>
+        public bool IsDuplicate { get; set; }
+
+        /// <summary>
+        /// Gets or sets a value indicating whether the image exceeds the import size limit and will be skipped.
+        /// </summary>
+        public bool IsTooLarge { get; set; }
+    }
+}
@@ -0,0 +1,30 @@
+using System.Collections.Generic;
+
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// The packs listed by one pack source, or why they could not be loaded.
+    /// </summary>
+    public class OnlinePackSourceResult
+    {
+        /// <summary>
+        /// Gets or sets the source identifier.
+        /// </summary>
+        public string SourceId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the source display name.
+        /// </summary>
+        public string SourceName { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the packs the source lists.
+        /// </summary>
+        public List<OnlinePackInfo> Packs { get; set; } = new List<OnlinePackInfo>();
+
+        /// <summary>
+        /// Gets or sets the error message if the source could not be loaded.
+        /// </summary>
+        public string? Error { get; set; }
+    }
+}
@@ -0,0 +1,67 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// A background import of one or more online avatar packs.
+    /// </summary>
+    public class PackImportJob
+    {
+        /// <summary>
+        /// The job is still importing.
+        /// </summary>
+        public const string Running = "Running";
+
+        /// <summary>
+        /// The job finished and at least one pack was imported.
+        /// </summary>
+        public const string Completed = "Completed";
+
+        /// <summary>
+        /// The job was cancelled by an administrator.
+        /// </summary>
+        public const string Cancelled = "Cancelled";
+
+        /// <summary>
+        /// The job finished and every pack failed.
+        /// </summary>
+        public const string Failed = "Failed";
+
+        /// <summary>
+        /// Gets or sets the job identifier.
+        /// </summary>
+        public string Id { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the job status: <see cref="Running"/>, <see cref="Completed"/>, <see cref="Cancelled"/> or <see cref="Failed"/>.
+        /// </summary>
+        public string Status { get; set; } = Running;
+
+        /// <summary>
+        /// Gets or sets when the job started (UTC).
+        /// </summary>
+        public DateTime StartedAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets when the job finished (UTC), or null while it is running.
+        /// </summary>
+        public DateTime? FinishedAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets the progress of each pack, in import order.
+        /// </summary>
+        public List<PackImportProgress> Packs { get; set; } = new List<PackImportProgress>();
+
+        /// <summary>
+        /// Gets the total number of avatars imported so far.
+        /// </summary>
+        public int ImportedCount => Packs.Sum(p => p.ImportedCount);
+
+        /// <summary>
+        /// Gets the total number of duplicate images skipped so far.
+        /// </summary>
+        public int DuplicateCount => Packs.Sum(p => p.DuplicateCount);
+    }
+}
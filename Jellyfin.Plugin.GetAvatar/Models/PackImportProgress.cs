@@ -0,0 +1,98 @@
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// The progress of one pack in a <see cref="PackImportJob"/>.
+    /// </summary>
+    public class PackImportProgress
+    {
+        /// <summary>
+        /// The pack waits for the packs before it.
+        /// </summary>
+        public const string Pending = "Pending";
+
+        /// <summary>
+        /// The pack archive is being downloaded.
+        /// </summary>
+        public const string Downloading = "Downloading";
+
+        /// <summary>
+        /// The pack images are being saved.
+        /// </summary>
+        public const string Importing = "Importing";
+
+        /// <summary>
+        /// The pack was imported.
+        /// </summary>
+        public const string Done = "Done";
+
+        /// <summary>
+        /// The pack could not be imported; see <see cref="ErrorMessage"/>.
+        /// </summary>
+        public const string Failed = "Failed";
+
+        /// <summary>
+        /// The job was cancelled before the pack finished.
+        /// </summary>
+        public const string Cancelled = "Cancelled";
+
+        /// <summary>
+        /// Gets or sets the pack identifier.
+        /// </summary>
+        public string PackId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the pack display name.
+        /// </summary>
+        public string PackName { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the pack status.
+        /// </summary>
+        public string Status { get; set; } = Pending;
+
+        /// <summary>
+        /// Gets or sets the number of bytes downloaded.
+        /// </summary>
+        public long DownloadedBytes { get; set; }
+
+        /// <summary>
+        /// Gets or sets the download size in bytes (0 if unknown).
+        /// </summary>
+        public long TotalBytes { get; set; }
+
+        /// <summary>
+        /// Gets or sets the number of images handled so far.
+        /// </summary>
+        public int ProcessedImages { get; set; }
+
+        /// <summary>
+        /// Gets or sets the number of images in the pack.
+        /// </summary>
+        public int TotalImages { get; set; }
+
+        /// <summary>
+        /// Gets or sets the number of avatars imported.
+        /// </summary>
+        public int ImportedCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the number of duplicate images skipped.
+        /// </summary>
+        public int DuplicateCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the number of images that were too large or could not be saved.
+        /// </summary>
+        public int FailedCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the number of avatars deleted because the pack no longer contains them.
+        /// </summary>
+        public int RemovedCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the error message if the pack failed.
+        /// </summary>
+        public string ErrorMessage { get; set; } = string.Empty;
+    }
+}
@@ -0,0 +1,41 @@
+using System;
+
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// A background download of an online pack for previewing its images.
+    /// </summary>
+    public class PackPreviewJob
+    {
+        /// <summary>
+        /// Gets or sets the job identifier.
+        /// </summary>
+        public string Id { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the job status: <see cref="PackImportJob.Running"/>, <see cref="PackImportJob.Completed"/>,
+        /// <see cref="PackImportJob.Cancelled"/> or <see cref="PackImportJob.Failed"/>.
+        /// </summary>
+        public string Status { get; set; } = PackImportJob.Running;
+
+        /// <summary>
+        /// Gets or sets when the job started (UTC).
+        /// </summary>
+        public DateTime StartedAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets when the job finished (UTC), or null while it is running.
+        /// </summary>
+        public DateTime? FinishedAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets the download and image reading progress, including the error message if the job failed.
+        /// </summary>
+        public PackImportProgress Progress { get; set; } = new PackImportProgress();
+
+        /// <summary>
+        /// Gets or sets the preview once the job has completed.
+        /// </summary>
+        public OnlinePackPreview? Preview { get; set; }
+    }
+}
@@ -0,0 +1,13 @@
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// Request model for downloading an online pack to preview its images.
+    /// </summary>
+    public class PreviewOnlinePackRequest
+    {
+        /// <summary>
+        /// Gets or sets the pack identifier.
+        /// </summary>
+        public string PackId { get; set; } = string.Empty;
+    }
+}
@@ -0,0 +1,19 @@
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// Request model for restoring a previewed library backup.
+    /// </summary>
+    public class RestoreBackupRequest
+    {
+        /// <summary>
+        /// Gets or sets the token returned by the preview.
+        /// </summary>
+        public string Token { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets a value indicating whether the current library is deleted first.
+        /// When false, backup avatars are merged and avatars already in the library are kept.
+        /// </summary>
+        public bool Replace { get; set; }
+    }
+}
@@ -0,0 +1,23 @@
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// Request model for changing a user's automatic avatar rotation.
+    /// </summary>
+    public class RotationSettingsRequest
+    {
+        /// <summary>
+        /// Gets or sets the target user ID (optional, defaults to current user if not provided).
+        /// </summary>
+        public string? UserId { get; set; }
+
+        /// <summary>
+        /// Gets or sets how often to rotate: <c>Off</c>, <c>Daily</c> or <c>Weekly</c>.
+        /// </summary>
+        public string Interval { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the category to draw from (null or empty for every visible avatar).
+        /// </summary>
+        public string? Category { get; set; }
+    }
+}
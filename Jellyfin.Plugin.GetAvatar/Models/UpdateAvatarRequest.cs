@@ -0,0 +1,18 @@
+namespace Jellyfin.Plugin.GetAvatar.Controllers
+{
+    /// <summary>
+    /// Request model for renaming an avatar or changing its category.
+    /// </summary>
+    public class UpdateAvatarRequest
+    {
+        /// <summary>
+        /// Gets or sets the new display name.
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the new category (empty to uncategorize).
+        /// </summary>
+        public string? Category { get; set; }
+    }
+}
@@ -39,6 +39,14 @@ namespace Jellyfin.Plugin.GetAvatar
         /// </summary>
         public static PluginConfiguration Config => Instance!.Configuration;
 
+        /// <summary>
+        /// Gets the lock to hold around every read-modify-save of <see cref="Config"/>.
+        /// Pack imports change the configuration from a background thread while requests read it, so writers also
+        /// replace a list with a changed copy instead of modifying it: readers, and the configuration serializer,
+        /// can then enumerate the lists they got without taking the lock.
+        /// </summary>
+        public static object ConfigLock { get; } = new object();
+
         /// <inheritdoc />
         public override string Name => "GetAvatar";
 
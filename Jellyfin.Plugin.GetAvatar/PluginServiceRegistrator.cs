@@ -18,6 +18,8 @@ namespace Jellyfin.Plugin.GetAvatar
             serviceCollection.AddHttpClient();
             serviceCollection.AddSingleton<AvatarService>();
             serviceCollection.AddSingleton<OnlinePackService>();
+            serviceCollection.AddSingleton<BackupService>();
+            serviceCollection.AddSingleton<PackImportJobService>();
             serviceCollection.AddSingleton<IStartupFilter, ScriptInjectorStartup>();
             serviceCollection.AddHostedService<AvatarValidationService>();
         }
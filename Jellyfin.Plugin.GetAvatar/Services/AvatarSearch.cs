@@ -0,0 +1,117 @@
+using System;
+using System.Globalization;
+using System.Linq;
+using System.Text;
+using Jellyfin.Plugin.GetAvatar.Configuration;
+
+namespace Jellyfin.Plugin.GetAvatar.Services
+{
+    /// <summary>
+    /// Accent-insensitive, typo-tolerant matching of avatars against a search term.
+    /// </summary>
+    public static class AvatarSearch
+    {
+        private static readonly char[] WordSeparators = { ' ', '\t', '_', '-', '.' };
+
+        /// <summary>
+        /// Splits a search term into normalized tokens.
+        /// </summary>
+        /// <param name="searchTerm">The raw search term.</param>
+        /// <returns>The tokens, empty when there is nothing to search for.</returns>
+        public static string[] Tokenize(string? searchTerm)
+        {
+            return Normalize(searchTerm).Split((char[]?)null, StringSplitOptions.RemoveEmptyEntries);
+        }
+
+        /// <summary>
+        /// Checks whether an avatar's name or category matches every token.
+        /// </summary>
+        /// <param name="avatar">The avatar.</param>
+        /// <param name="tokens">Tokens returned by <see cref="Tokenize"/>.</param>
+        /// <returns>True if the avatar matches.</returns>
+        public static bool Matches(AvatarInfo avatar, string[] tokens)
+        {
+            var text = Normalize(avatar.Name + " " + avatar.Category);
+            var words = text.Split(WordSeparators, StringSplitOptions.RemoveEmptyEntries);
+
+            return tokens.All(token => text.Contains(token, StringComparison.Ordinal)
+                || words.Any(word => TokenMatchesWord(token, word)));
+        }
+
+        private static string Normalize(string? text)
+        {
+            if (string.IsNullOrEmpty(text))
+            {
+                return string.Empty;
+            }
+
+            var decomposed = text.Normalize(NormalizationForm.FormD);
+            var builder = new StringBuilder(decomposed.Length);
+            foreach (var c in decomposed)
+            {
+                if (CharUnicodeInfo.GetUnicodeCategory(c) != UnicodeCategory.NonSpacingMark)
+                {
+                    builder.Append(c);
+                }
+            }
+
+            return builder.ToString().ToLowerInvariant().Trim();
+        }
+
+        private static bool TokenMatchesWord(string token, string word)
+        {
+            if (word.Contains(token, StringComparison.Ordinal))
+            {
+                return true;
+            }
+
+            if (token.Length < 3)
+            {
+                return false;
+            }
+
+            var allowed = token.Length >= 7 ? 2 : 1;
+
+            // Compare against the word prefix too, so typos are tolerated while still typing
+            return EditDistance(token, word, allowed) <= allowed
+                || EditDistance(token, word.Substring(0, Math.Min(token.Length, word.Length)), allowed) <= allowed;
+        }
+
+        private static int EditDistance(string a, string b, int max)
+        {
+            if (Math.Abs(a.Length - b.Length) > max)
+            {
+                return max + 1;
+            }
+
+            var previous = new int[b.Length + 1];
+            for (var j = 0; j <= b.Length; j++)
+            {
+                previous[j] = j;
+            }
+
+            for (var i = 1; i <= a.Length; i++)
+            {
+                var current = new int[b.Length + 1];
+                current[0] = i;
+                var rowMin = i;
+
+                for (var j = 1; j <= b.Length; j++)
+                {
+                    var cost = a[i - 1] == b[j - 1] ? 0 : 1;
+                    current[j] = Math.Min(Math.Min(previous[j] + 1, current[j - 1] + 1), previous[j - 1] + cost);
+                    rowMin = Math.Min(rowMin, current[j]);
+                }
+
+                if (rowMin > max)
+                {
+                    return max + 1;
+                }
+
+                previous = current;
+            }
+
+            return previous[b.Length];
+        }
+    }
+}
@@ -1,10 +1,15 @@
 using System;
 using System.Collections.Generic;
 using System.IO;
+using System.IO.Compression;
 using System.Linq;
+using System.Threading;
 using System.Threading.Tasks;
+using Jellyfin.Data;
 using Jellyfin.Database.Implementations.Entities;
+using Jellyfin.Database.Implementations.Enums;
 using Jellyfin.Plugin.GetAvatar.Configuration;
+using Jellyfin.Plugin.GetAvatar.Controllers;
 using MediaBrowser.Common.Configuration;
 using MediaBrowser.Controller.Configuration;
 using MediaBrowser.Controller.Library;
@@ -18,12 +23,23 @@ namespace Jellyfin.Plugin.GetAvatar.Services
     /// </summary>
     public class AvatarService
     {
+        /// <summary>
+        /// The largest adjusted profile image accepted, in bytes.
+        /// </summary>
+        public const int MaxAdjustedImageBytes = 5 * 1024 * 1024;
+
+        private const int MaxRecentAvatars = 12;
+        private const int MaxHistoryEntries = 20;
+
+        private static readonly byte[] PngSignature = { 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A };
+
         private readonly IUserManager _userManager;
         private readonly IProviderManager _providerManager;
         private readonly IApplicationPaths _appPaths;
         private readonly ILogger<AvatarService> _logger;
         private readonly IServerConfigurationManager _serverConfigurationManager;
         private readonly string _avatarDirectory;
+        private readonly string _adjustedDirectory;
 
         /// <summary>
         /// Initializes a new instance of the <see cref="AvatarService"/> class.
@@ -59,6 +75,13 @@ namespace Jellyfin.Plugin.GetAvatar.Services
 
             _avatarDirectory = pluginDataPath;
 
+            // Adjusted (cropped/zoomed/rotated) copies are kept per user so that
+            // validation can restore exactly what the user saved, not the raw pool image.
+            _adjustedDirectory = Path.Combine(
+                _appPaths.PluginConfigurationsPath,
+                "GetAvatar",
+                "adjusted");
+
             _logger.LogInformation("Avatar directory path: {Path}", _avatarDirectory);
 
             // Create directory if it doesn't exist
@@ -113,25 +136,110 @@ namespace Jellyfin.Plugin.GetAvatar.Services
             var avatars = config.AvailableAvatars ?? new List<AvatarInfo>();
 
             // Clean up null entries from corrupted config
-            var removed = avatars.RemoveAll(a => a == null);
-            if (removed > 0)
+            if (avatars.Any(a => a == null))
             {
-                _logger.LogWarning("Removed {Count} null avatar entries from configuration", removed);
-                Plugin.Instance.SaveConfiguration();
+                lock (Plugin.ConfigLock)
+                {
+                    var current = config.AvailableAvatars ?? new List<AvatarInfo>();
+                    avatars = current.Where(a => a != null).ToList();
+                    config.AvailableAvatars = avatars;
+                    Plugin.Instance.SaveConfiguration();
+                    _logger.LogWarning("Removed {Count} null avatar entries from configuration", current.Count - avatars.Count);
+                }
             }
 
             _logger.LogInformation("Returning {Count} avatars from configuration", avatars.Count);
             return avatars;
         }
 
+        /// <summary>
+        /// Queries the avatar pool with optional search, category filter, sorting and paging.
+        /// </summary>
+        /// <param name="startIndex">The index of the first avatar to return.</param>
+        /// <param name="limit">The maximum number of avatars to return, or null for all.</param>
+        /// <param name="category">Only return avatars in this category (case-insensitive), or null for all.</param>
+        /// <param name="searchTerm">Optional accent-insensitive, typo-tolerant search on name and category.</param>
+        /// <param name="sortBy">Sort field: <c>Category</c> (default, keeps upload order within a category), <c>Name</c> or <c>DateAdded</c>.</param>
+        /// <param name="descending">Whether to sort in descending order.</param>
+        /// <param name="visibleToUserId">Optional. Only return avatars this user may see under the category rules; null for the whole pool.</param>
+        /// <param name="locateAvatarId">Optional. An avatar whose index in the sorted result is reported, so a picker can scroll to it.</param>
+        /// <returns>The requested page and the category breakdown of all matching avatars.</returns>
+        public AvatarQueryResult QueryAvatars(
+            int startIndex,
+            int? limit,
+            string? category,
+            string? searchTerm,
+            string? sortBy,
+            bool descending,
+            Guid? visibleToUserId = null,
+            string? locateAvatarId = null)
+        {
+            IEnumerable<AvatarInfo> avatars = visibleToUserId.HasValue
+                ? GetVisibleAvatars(visibleToUserId.Value)
+                : GetAvailableAvatars();
+
+            var tokens = AvatarSearch.Tokenize(searchTerm);
+            if (tokens.Length > 0)
+            {
+                avatars = avatars.Where(a => AvatarSearch.Matches(a, tokens));
+            }
+
+            var matching = avatars.ToList();
+            var sortKey = sortBy?.ToLowerInvariant();
+            var isCategorySort = sortKey != "name" && sortKey != "dateadded";
+
+            var categories = matching
+                .GroupBy(a => a.Category ?? string.Empty, StringComparer.OrdinalIgnoreCase)
+                .Select(g => new AvatarCategoryInfo { Name = g.First().Category ?? string.Empty, Count = g.Count() });
+            categories = descending && isCategorySort
+                ? categories.OrderByDescending(c => c.Name, StringComparer.OrdinalIgnoreCase)
+                : categories.OrderBy(c => c.Name, StringComparer.OrdinalIgnoreCase);
+
+            if (category != null)
+            {
+                matching = matching.Where(a => string.Equals(a.Category ?? string.Empty, category, StringComparison.OrdinalIgnoreCase)).ToList();
+            }
+
+            List<AvatarInfo> sorted = (sortKey switch
+            {
+                "name" => descending
+                    ? matching.OrderByDescending(a => a.Name, StringComparer.OrdinalIgnoreCase)
+                    : matching.OrderBy(a => a.Name, StringComparer.OrdinalIgnoreCase),
+                "dateadded" => descending
+                    ? matching.OrderByDescending(a => a.DateAdded)
+                    : matching.OrderBy(a => a.DateAdded),
+                _ => descending
+                    ? matching.OrderByDescending(a => a.Category ?? string.Empty, StringComparer.OrdinalIgnoreCase)
+                    : matching.OrderBy(a => a.Category ?? string.Empty, StringComparer.OrdinalIgnoreCase)
+            }).ToList();
+
+            startIndex = Math.Max(0, startIndex);
+            var page = sorted.Skip(startIndex);
+            if (limit.HasValue)
+            {
+                page = page.Take(Math.Max(0, limit.Value));
+            }
+
+            return new AvatarQueryResult
+            {
+                Items = page.ToList(),
+                TotalRecordCount = matching.Count,
+                StartIndex = startIndex,
+                Categories = categories.ToList(),
+                LocatedIndex = string.IsNullOrEmpty(locateAvatarId) ? -1 : sorted.FindIndex(a => a.Id == locateAvatarId)
+            };
+        }
+
         /// <summary>
         /// Saves an avatar image to the avatar directory.
         /// </summary>
         /// <param name="fileName">The file name.</param>
         /// <param name="imageData">The image data.</param>
         /// <param name="category">The optional category for the avatar.</param>
+        /// <param name="sourcePackId">The online pack the image comes from, if any.</param>
+        /// <param name="sourcePath">The path of the image inside that pack.</param>
         /// <returns>The saved avatar info.</returns>
-        public async Task<AvatarInfo> SaveAvatarAsync(string fileName, byte[] imageData, string category = "")
+        public async Task<AvatarInfo> SaveAvatarAsync(string fileName, byte[] imageData, string category = "", string? sourcePackId = null, string? sourcePath = null)
         {
             try
             {
@@ -148,7 +256,9 @@ namespace Jellyfin.Plugin.GetAvatar.Services
                     Name = Path.GetFileNameWithoutExtension(fileName),
                     FileName = savedFileName,
                     DateAdded = DateTime.UtcNow,
-                    Category = category
+                    Category = category,
+                    SourcePackId = sourcePackId ?? string.Empty,
+                    SourcePath = sourcePath ?? string.Empty
                 };
 
                 // Add to configuration
@@ -158,10 +268,12 @@ namespace Jellyfin.Plugin.GetAvatar.Services
                     throw new InvalidOperationException("Plugin not initialized");
                 }
 
-                var config = Plugin.Config;
-                config.AvailableAvatars ??= new List<AvatarInfo>();
-                config.AvailableAvatars.Add(avatarInfo);
-                Plugin.Instance.SaveConfiguration();
+                lock (Plugin.ConfigLock)
+                {
+                    var config = Plugin.Config;
+                    config.AvailableAvatars = new List<AvatarInfo>(config.AvailableAvatars ?? new List<AvatarInfo>()) { avatarInfo };
+                    Plugin.Instance.SaveConfiguration();
+                }
 
                 _logger.LogInformation("Saved avatar: {Name} ({Id})", avatarInfo.Name, avatarInfo.Id);
 
@@ -174,6 +286,176 @@ namespace Jellyfin.Plugin.GetAvatar.Services
             }
         }
 
+        /// <summary>
+        /// Records an online pack as the origin of an avatar that has none, such as one imported before origins were kept.
+        /// Does not save the configuration; the caller saves once after a batch.
+        /// </summary>
+        /// <param name="fileName">The stored file name of the avatar.</param>
+        /// <param name="sourcePackId">The pack that contains the image.</param>
+        /// <param name="sourcePath">The path of the image inside the pack.</param>
+        /// <returns>True if an avatar without an origin was found and tagged.</returns>
+        public bool ClaimAvatarOrigin(string fileName, string sourcePackId, string sourcePath)
+        {
+            if (Plugin.Instance == null)
+            {
+                return false;
+            }
+
+            lock (Plugin.ConfigLock)
+            {
+                var avatar = Plugin.Config.AvailableAvatars?.FirstOrDefault(a => a != null && a.FileName == fileName && string.IsNullOrEmpty(a.SourcePackId));
+                if (avatar == null)
+                {
+                    return false;
+                }
+
+                avatar.SourcePackId = sourcePackId;
+                avatar.SourcePath = sourcePath;
+                return true;
+            }
+        }
+
+        /// <summary>
+        /// Adds avatars that keep their original ID, name, category, date and pack origin (used by backup restore).
+        /// Avatars whose ID is already in the pool are skipped, or have their details overwritten when
+        /// <paramref name="updateExisting"/> is set. The configuration is saved once.
+        /// </summary>
+        /// <param name="avatars">The avatars to add.</param>
+        /// <param name="openImage">Opens the image data of an avatar, or returns null if it is missing.</param>
+        /// <param name="updateExisting">True to give avatars already in the pool the name, category, date and origin being imported.</param>
+        /// <returns>The number of avatars added or updated.</returns>
+        public async Task<int> ImportAvatarsAsync(IEnumerable<AvatarInfo> avatars, Func<AvatarInfo, Stream?> openImage, bool updateExisting = false)
+        {
+            if (Plugin.Instance == null)
+            {
+                _logger.LogError("Plugin instance is null, cannot import avatars");
+                throw new InvalidOperationException("Plugin not initialized");
+            }
+
+            var allowedExtensions = new[] { ".jpg", ".jpeg", ".png", ".webp", ".gif" };
+            var config = Plugin.Config;
+            var pool = config.AvailableAvatars ?? new List<AvatarInfo>();
+            var existingIds = new HashSet<string>(pool.Where(a => a != null).Select(a => a.Id), StringComparer.Ordinal);
+            var updatableIds = updateExisting ? new HashSet<string>(existingIds, StringComparer.Ordinal) : new HashSet<string>();
+            var updates = new List<AvatarInfo>();
+            var added = new List<AvatarInfo>();
+            var imported = 0;
+
+            foreach (var avatar in avatars)
+            {
+                // IDs become file names, so only accept the GUIDs this plugin generates
+                var extension = Path.GetExtension(avatar.FileName).ToLowerInvariant();
+                if (!Guid.TryParse(avatar.Id, out _) || !allowedExtensions.Contains(extension))
+                {
+                    _logger.LogWarning("Skipping avatar with invalid ID or file type: {Id} ({FileName})", avatar.Id, avatar.FileName);
+                    continue;
+                }
+
+                if (!existingIds.Add(avatar.Id))
+                {
+                    // Each pool avatar is updated once, even if the list names it twice
+                    if (updatableIds.Remove(avatar.Id))
+                    {
+                        updates.Add(avatar);
+                        imported++;
+                    }
+
+                    continue;
+                }
+
+                try
+                {
+                    using var image = openImage(avatar);
+                    if (image == null)
+                    {
+                        _logger.LogWarning("Skipping avatar {Id}: image missing", avatar.Id);
+                        existingIds.Remove(avatar.Id);
+                        continue;
+                    }
+
+                    var savedFileName = avatar.Id + extension;
+                    using (var fileStream = new FileStream(Path.Combine(_avatarDirectory, savedFileName), FileMode.Create, FileAccess.Write, FileShare.None, 81920, true))
+                    {
+                        await image.CopyToAsync(fileStream).ConfigureAwait(false);
+                    }
+
+                    added.Add(new AvatarInfo
+                    {
+                        Id = avatar.Id,
+                        Name = avatar.Name,
+                        FileName = savedFileName,
+                        DateAdded = avatar.DateAdded,
+                        Category = avatar.Category ?? string.Empty,
+                        SourcePackId = avatar.SourcePackId ?? string.Empty,
+                        SourcePath = avatar.SourcePath ?? string.Empty
+                    });
+                    imported++;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Failed to import avatar {Id}", avatar.Id);
+                    existingIds.Remove(avatar.Id);
+                }
+            }
+
+            lock (Plugin.ConfigLock)
+            {
+                var current = config.AvailableAvatars ?? new List<AvatarInfo>();
+                foreach (var update in updates)
+                {
+                    var existing = current.FirstOrDefault(a => a != null && a.Id == update.Id);
+                    if (existing != null)
+                    {
+                        existing.Name = update.Name;
+                        existing.Category = update.Category ?? string.Empty;
+                        existing.DateAdded = update.DateAdded;
+                        existing.SourcePackId = update.SourcePackId ?? string.Empty;
+                        existing.SourcePath = update.SourcePath ?? string.Empty;
+                    }
+                }
+
+                config.AvailableAvatars = current.Concat(added).ToList();
+                Plugin.Instance.SaveConfiguration();
+            }
+
+            _logger.LogInformation("Imported {Count} avatars with their original metadata", imported);
+            return imported;
+        }
+
+        /// <summary>
+        /// Renames an avatar and changes its category.
+        /// </summary>
+        /// <param name="avatarId">The avatar ID.</param>
+        /// <param name="name">The new display name.</param>
+        /// <param name="category">The new category; empty to uncategorize.</param>
+        /// <returns>The updated avatar info, or null if not found.</returns>
+        public AvatarInfo? UpdateAvatar(string avatarId, string name, string? category)
+        {
+            if (Plugin.Instance == null)
+            {
+                _logger.LogError("Plugin instance is null");
+                return null;
+            }
+
+            AvatarInfo? avatar;
+            lock (Plugin.ConfigLock)
+            {
+                avatar = Plugin.Config.AvailableAvatars?.FirstOrDefault(a => a != null && a.Id == avatarId);
+                if (avatar == null)
+                {
+                    _logger.LogWarning("Avatar not found: {Id}", avatarId);
+                    return null;
+                }
+
+                avatar.Name = name.Trim();
+                avatar.Category = category?.Trim() ?? string.Empty;
+                Plugin.Instance.SaveConfiguration();
+            }
+
+            _logger.LogInformation("Updated avatar {Id}: name={Name}, category={Category}", avatarId, avatar.Name, avatar.Category);
+            return avatar;
+        }
+
         /// <summary>
         /// Deletes an avatar from the pool.
         /// Note: This does NOT remove the avatar from users who are currently using it.
@@ -191,50 +473,310 @@ namespace Jellyfin.Plugin.GetAvatar.Services
                     return false;
                 }
 
-                var config = Plugin.Config;
-                var avatar = config.AvailableAvatars?.FirstOrDefault(a => a != null && a.Id == avatarId);
+                AvatarInfo? avatar;
+                lock (Plugin.ConfigLock)
+                {
+                    var config = Plugin.Config;
+                    avatar = config.AvailableAvatars?.FirstOrDefault(a => a != null && a.Id == avatarId);
 
-                if (avatar == null)
+                    if (avatar == null)
+                    {
+                        _logger.LogWarning("Avatar not found: {Id}", avatarId);
+                        return false;
+                    }
+
+                    RemoveFromPool(config, avatar);
+                    Plugin.Instance.SaveConfiguration();
+                }
+
+                _logger.LogInformation("Deleted avatar from pool: {Name} ({Id})", avatar.Name, avatarId);
+                return true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to delete avatar: {Id}", avatarId);
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// Deletes several avatars from the pool, saving the configuration once.
+        /// Like <see cref="DeleteAvatar"/>, users keep their current profile image.
+        /// </summary>
+        /// <param name="avatarIds">The avatar IDs.</param>
+        /// <returns>The outcome for each avatar.</returns>
+        public List<AvatarBatchItemResult> DeleteAvatars(IEnumerable<string> avatarIds)
+        {
+            return ApplyToAvatars(avatarIds, "delete", (config, avatar) =>
+            {
+                RemoveFromPool(config, avatar);
+                _logger.LogInformation("Deleted avatar from pool: {Name} ({Id})", avatar.Name, avatar.Id);
+            });
+        }
+
+        /// <summary>
+        /// Gets the users of every avatar in the pool that is currently in use.
+        /// </summary>
+        /// <returns>One entry per avatar in use.</returns>
+        public List<AvatarUsageInfo> GetAvatarUsage()
+        {
+            if (Plugin.Instance == null)
+            {
+                return new List<AvatarUsageInfo>();
+            }
+
+            var config = Plugin.Config;
+            var pool = (config.AvailableAvatars ?? new List<AvatarInfo>())
+                .Where(a => a != null)
+                .ToDictionary(a => a.Id, StringComparer.Ordinal);
+
+            return (config.UserAvatars ?? new List<UserAvatarMapping>())
+                .Where(m => pool.ContainsKey(m.AvatarId))
+                .GroupBy(m => m.AvatarId, StringComparer.Ordinal)
+                .Select(g => new AvatarUsageInfo
                 {
-                    _logger.LogWarning("Avatar not found: {Id}", avatarId);
-                    return false;
+                    AvatarId = g.Key,
+                    Category = pool[g.Key].Category ?? string.Empty,
+                    Users = g.Select(m => new AvatarUserInfo
+                    {
+                        UserId = m.UserId,
+                        UserName = Guid.TryParse(m.UserId, out var userId)
+                            ? _userManager.GetUserById(userId)?.Username ?? string.Empty
+                            : string.Empty
+                    }).ToList()
+                })
+                .ToList();
+        }
+
+        /// <summary>
+        /// Gives every user of the given avatars a replacement avatar.
+        /// Call before deleting those avatars, so the users keep a repairable assignment.
+        /// </summary>
+        /// <param name="avatarIds">The avatars whose users are moved.</param>
+        /// <param name="replacementAvatarId">The avatar the users receive.</param>
+        /// <returns>The number of users reassigned.</returns>
+        public async Task<int> ReassignUsersAsync(IEnumerable<string> avatarIds, string replacementAvatarId)
+        {
+            var ids = new HashSet<string>(avatarIds, StringComparer.Ordinal);
+            if (ids.Contains(replacementAvatarId))
+            {
+                throw new ArgumentException("The replacement avatar cannot be one of the avatars being deleted");
+            }
+
+            if (GetAvatarPath(replacementAvatarId) == null)
+            {
+                throw new ArgumentException($"Avatar not found: {replacementAvatarId}");
+            }
+
+            var mappings = Plugin.Instance == null
+                ? new List<UserAvatarMapping>()
+                : (Plugin.Config.UserAvatars ?? new List<UserAvatarMapping>()).Where(m => ids.Contains(m.AvatarId)).ToList();
+
+            var reassignedCount = 0;
+            foreach (var mapping in mappings)
+            {
+                if (!Guid.TryParse(mapping.UserId, out var userId))
+                {
+                    continue;
                 }
 
-                // Check if any user is currently using this avatar
-                var usersWithAvatar = config.UserAvatars?.Where(u => u.AvatarId == avatarId).ToList() ?? new List<UserAvatarMapping>();
-                if (usersWithAvatar.Any())
+                try
                 {
-                    _logger.LogWarning(
-                        "Avatar {AvatarId} is currently used by {UserCount} user(s). " +
-                        "Removing from pool but keeping user profile images intact.",
-                        avatarId,
-                        usersWithAvatar.Count);
+                    await SetUserAvatarAsync(userId, replacementAvatarId).ConfigureAwait(false);
+                    RecordAvatarChange(userId, replacementAvatarId);
+                    reassignedCount++;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Failed to reassign user {UserId} to avatar {AvatarId}", mapping.UserId, replacementAvatarId);
+                }
+            }
+
+            _logger.LogInformation("Reassigned {Count} user(s) to avatar {AvatarId}", reassignedCount, replacementAvatarId);
+            return reassignedCount;
+        }
 
-                    // Remove the mapping from config (users will keep their current profile image)
-                    // This decouples the pool avatar from the user assignment
-                    config.UserAvatars?.RemoveAll(u => u.AvatarId == avatarId);
+        /// <summary>
+        /// Moves several avatars to another category, saving the configuration once.
+        /// </summary>
+        /// <param name="avatarIds">The avatar IDs.</param>
+        /// <param name="category">The target category; empty to uncategorize.</param>
+        /// <returns>The outcome for each avatar.</returns>
+        public List<AvatarBatchItemResult> MoveAvatars(IEnumerable<string> avatarIds, string category)
+        {
+            var targetCategory = category?.Trim() ?? string.Empty;
+            return ApplyToAvatars(avatarIds, "move", (config, avatar) => avatar.Category = targetCategory);
+        }
+
+        /// <summary>
+        /// Writes the image files of several avatars into a zip archive, one folder per category.
+        /// </summary>
+        /// <param name="avatarIds">The avatar IDs.</param>
+        /// <param name="output">The stream to write the archive to.</param>
+        /// <returns>The outcome for each avatar.</returns>
+        public List<AvatarBatchItemResult> ExportAvatars(IEnumerable<string> avatarIds, Stream output)
+        {
+            var results = new List<AvatarBatchItemResult>();
+            var pool = Plugin.Instance == null
+                ? new List<AvatarInfo>()
+                : Plugin.Config.AvailableAvatars ?? new List<AvatarInfo>();
+            var usedEntryNames = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+
+            using var archive = new ZipArchive(output, ZipArchiveMode.Create, leaveOpen: true);
+            foreach (var avatarId in avatarIds.Distinct(StringComparer.Ordinal))
+            {
+                var result = new AvatarBatchItemResult { AvatarId = avatarId };
+                results.Add(result);
+
+                try
+                {
+                    var avatar = pool.FirstOrDefault(a => a != null && a.Id == avatarId);
+                    if (avatar == null)
+                    {
+                        result.ErrorMessage = "Avatar not found";
+                        continue;
+                    }
+
+                    var filePath = Path.Combine(_avatarDirectory, avatar.FileName);
+                    if (!File.Exists(filePath))
+                    {
+                        result.ErrorMessage = "Image file is missing";
+                        continue;
+                    }
+
+                    // Folder per category so the archive mirrors the gallery and can be re-imported as is
+                    var baseName = ToSafeFileName(avatar.Name, avatar.Id);
+                    var folder = string.IsNullOrWhiteSpace(avatar.Category) ? string.Empty : ToSafeFileName(avatar.Category, "Uncategorized") + "/";
+                    var extension = Path.GetExtension(avatar.FileName);
+                    var entryName = folder + baseName + extension;
+                    for (var suffix = 2; !usedEntryNames.Add(entryName); suffix++)
+                    {
+                        entryName = $"{folder}{baseName} ({suffix}){extension}";
+                    }
+
+                    archive.CreateEntryFromFile(filePath, entryName);
+                    result.Success = true;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Failed to export avatar: {Id}", avatarId);
+                    result.ErrorMessage = ex.Message;
                 }
+            }
+
+            return results;
+        }
 
-                // Delete the avatar file from the pool
-                var filePath = Path.Combine(_avatarDirectory, avatar.FileName);
-                if (File.Exists(filePath))
+        private List<AvatarBatchItemResult> ApplyToAvatars(IEnumerable<string> avatarIds, string operation, Action<PluginConfiguration, AvatarInfo> apply)
+        {
+            var results = new List<AvatarBatchItemResult>();
+            if (Plugin.Instance == null)
+            {
+                _logger.LogError("Plugin instance is null");
+                return avatarIds
+                    .Select(id => new AvatarBatchItemResult { AvatarId = id, ErrorMessage = "Plugin not initialized" })
+                    .ToList();
+            }
+
+            lock (Plugin.ConfigLock)
+            {
+                var config = Plugin.Config;
+                foreach (var avatarId in avatarIds.Distinct(StringComparer.Ordinal))
                 {
-                    File.Delete(filePath);
-                    _logger.LogInformation("Deleted avatar file: {FilePath}", filePath);
+                    var result = new AvatarBatchItemResult { AvatarId = avatarId };
+                    results.Add(result);
+
+                    try
+                    {
+                        var avatar = config.AvailableAvatars?.FirstOrDefault(a => a != null && a.Id == avatarId);
+                        if (avatar == null)
+                        {
+                            result.ErrorMessage = "Avatar not found";
+                            continue;
+                        }
+
+                        apply(config, avatar);
+                        result.Success = true;
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError(ex, "Failed to {Operation} avatar: {Id}", operation, avatarId);
+                        result.ErrorMessage = ex.Message;
+                    }
                 }
 
-                // Remove from available avatars list
-                config.AvailableAvatars?.Remove(avatar);
-                Plugin.Instance.SaveConfiguration();
+                if (results.Any(r => r.Success))
+                {
+                    Plugin.Instance.SaveConfiguration();
+                }
+            }
 
-                _logger.LogInformation("Deleted avatar from pool: {Name} ({Id})", avatar.Name, avatarId);
-                return true;
+            _logger.LogInformation(
+                "Batch {Operation}: {Succeeded} succeeded, {Failed} failed",
+                operation,
+                results.Count(r => r.Success),
+                results.Count(r => !r.Success));
+
+            return results;
+        }
+
+        /// <summary>
+        /// Removes an avatar from the pool without saving the configuration:
+        /// unmaps users still on it, deletes the file and drops it from favorites and recently used lists.
+        /// Call with <see cref="Plugin.ConfigLock"/> held.
+        /// </summary>
+        private void RemoveFromPool(PluginConfiguration config, AvatarInfo avatar)
+        {
+            var avatarId = avatar.Id;
+
+            // Check if any user is currently using this avatar
+            var usersWithAvatar = config.UserAvatars?.Where(u => u.AvatarId == avatarId).ToList() ?? new List<UserAvatarMapping>();
+            if (usersWithAvatar.Any())
+            {
+                _logger.LogWarning(
+                    "Avatar {AvatarId} is currently used by {UserCount} user(s). " +
+                    "Removing from pool but keeping user profile images intact.",
+                    avatarId,
+                    usersWithAvatar.Count);
+
+                // Remove the mapping from config (users will keep their current profile image)
+                // This decouples the pool avatar from the user assignment
+                config.UserAvatars = config.UserAvatars?.Where(u => u.AvatarId != avatarId).ToList();
+
+                foreach (var mapping in usersWithAvatar)
+                {
+                    if (Guid.TryParse(mapping.UserId, out var mappedUserId))
+                    {
+                        DeleteAdjustedImage(mappedUserId);
+                    }
+                }
             }
-            catch (Exception ex)
+
+            // Delete the avatar file from the pool
+            var filePath = Path.Combine(_avatarDirectory, avatar.FileName);
+            if (File.Exists(filePath))
             {
-                _logger.LogError(ex, "Failed to delete avatar: {Id}", avatarId);
-                return false;
+                File.Delete(filePath);
+                _logger.LogInformation("Deleted avatar file: {FilePath}", filePath);
+            }
+
+            // Drop it from everyone's favorites, recently used lists and history
+            foreach (var preferences in config.UserPreferences ?? new List<UserAvatarPreferences>())
+            {
+                preferences.FavoriteAvatarIds = (preferences.FavoriteAvatarIds ?? new List<string>()).Where(id => id != avatarId).ToList();
+                preferences.RecentAvatarIds = (preferences.RecentAvatarIds ?? new List<string>()).Where(id => id != avatarId).ToList();
+                preferences.History = (preferences.History ?? new List<AvatarHistoryEntry>()).Where(h => h.AvatarId != avatarId).ToList();
             }
+
+            // Remove from available avatars list
+            config.AvailableAvatars = config.AvailableAvatars?.Where(a => a != avatar).ToList();
+        }
+
+        private static string ToSafeFileName(string? name, string fallback)
+        {
+            var invalid = Path.GetInvalidFileNameChars();
+            var safe = new string((name ?? string.Empty).Select(c => invalid.Contains(c) || c == '/' || c == '\\' ? '_' : c).ToArray()).Trim();
+            return string.IsNullOrEmpty(safe) ? fallback : safe;
         }
 
         /// <summary>
@@ -265,10 +807,15 @@ namespace Jellyfin.Plugin.GetAvatar.Services
         /// </summary>
         /// <param name="userId">The user ID.</param>
         /// <param name="avatarId">The avatar ID.</param>
+        /// <param name="adjustedImage">Optional PNG data of the avatar as adjusted by the user. When null, the raw pool image is used.</param>
         /// <returns>Task representing the operation.</returns>
-        public async Task SetUserAvatarAsync(Guid userId, string avatarId)
+        public async Task SetUserAvatarAsync(Guid userId, string avatarId, byte[]? adjustedImage = null)
         {
-            _logger.LogInformation("SetUserAvatarAsync called: userId={UserId}, avatarId={AvatarId}", userId, avatarId);
+            _logger.LogInformation(
+                "SetUserAvatarAsync called: userId={UserId}, avatarId={AvatarId}, adjusted={Adjusted}",
+                userId,
+                avatarId,
+                adjustedImage != null);
 
             var user = _userManager.GetUserById(userId);
             if (user == null)
@@ -289,7 +836,7 @@ namespace Jellyfin.Plugin.GetAvatar.Services
             _logger.LogInformation("Avatar path: {Path}", avatarPath);
 
             // Determine file extension and MIME type
-            var extension = Path.GetExtension(avatarPath).ToLowerInvariant();
+            var extension = adjustedImage != null ? ".png" : Path.GetExtension(avatarPath).ToLowerInvariant();
             var mimeType = extension switch
             {
                 ".jpg" or ".jpeg" => "image/jpeg",
@@ -324,7 +871,9 @@ namespace Jellyfin.Plugin.GetAvatar.Services
 
                 user.ProfileImage = new ImageInfo(profileImagePath);
 
-                await using var stream = File.OpenRead(avatarPath);
+                await using Stream stream = adjustedImage != null
+                    ? new MemoryStream(adjustedImage, false)
+                    : File.OpenRead(avatarPath);
                 await _providerManager
                     .SaveImage(stream, mimeType, profileImagePath)
                     .ConfigureAwait(false);
@@ -347,28 +896,114 @@ namespace Jellyfin.Plugin.GetAvatar.Services
                 throw new InvalidOperationException("Plugin not initialized");
             }
 
-            var config = Plugin.Config;
-            config.UserAvatars ??= new List<UserAvatarMapping>();
+            lock (Plugin.ConfigLock)
+            {
+                var config = Plugin.Config;
+                var mappings = config.UserAvatars ?? new List<UserAvatarMapping>();
+
+                var existingMapping = mappings.FirstOrDefault(x => x.UserId == userId.ToString());
+                if (existingMapping != null)
+                {
+                    existingMapping.AvatarId = avatarId;
+                }
+                else
+                {
+                    config.UserAvatars = new List<UserAvatarMapping>(mappings)
+                    {
+                        new UserAvatarMapping
+                        {
+                            UserId = userId.ToString(),
+                            AvatarId = avatarId
+                        }
+                    };
+                }
+
+                Plugin.Instance.SaveConfiguration();
+            }
 
-            var existingMapping = config.UserAvatars.FirstOrDefault(x => x.UserId == userId.ToString());
-            if (existingMapping != null)
+            if (adjustedImage != null)
             {
-                existingMapping.AvatarId = avatarId;
+                await SaveAdjustedImageAsync(userId, adjustedImage).ConfigureAwait(false);
             }
             else
             {
-                config.UserAvatars.Add(new UserAvatarMapping
-                {
-                    UserId = userId.ToString(),
-                    AvatarId = avatarId
-                });
+                DeleteAdjustedImage(userId);
             }
 
-            Plugin.Instance.SaveConfiguration();
-
             _logger.LogInformation("Successfully set avatar {AvatarId} for user {UserName} ({UserId})", avatarId, user.Username, userId);
         }
 
+        /// <summary>
+        /// Checks that adjusted image data, from the avatar editor or a backup, is a PNG within <see cref="MaxAdjustedImageBytes"/>.
+        /// </summary>
+        /// <param name="data">The image data.</param>
+        /// <returns>True if the data can be stored as an adjusted image.</returns>
+        public static bool IsValidAdjustedImage(byte[] data)
+        {
+            return data.Length > 0 && data.Length <= MaxAdjustedImageBytes && data.AsSpan().StartsWith(PngSignature);
+        }
+
+        /// <summary>
+        /// Gets the adjusted image a user saved for their current avatar.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <returns>The PNG data, or null if the user uses the raw pool image.</returns>
+        public byte[]? GetAdjustedImage(Guid userId)
+        {
+            var path = GetAdjustedImagePath(userId);
+            if (!File.Exists(path))
+            {
+                return null;
+            }
+
+            try
+            {
+                return File.ReadAllBytes(path);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Could not read adjusted image for user {UserId}", userId);
+                return null;
+            }
+        }
+
+        private string GetAdjustedImagePath(Guid userId)
+        {
+            return Path.Combine(_adjustedDirectory, userId + ".png");
+        }
+
+        private async Task SaveAdjustedImageAsync(Guid userId, byte[] adjustedImage)
+        {
+            try
+            {
+                Directory.CreateDirectory(_adjustedDirectory);
+                await File.WriteAllBytesAsync(GetAdjustedImagePath(userId), adjustedImage).ConfigureAwait(false);
+            }
+            catch (Exception ex)
+            {
+                // The profile image is already saved; only a later repair would fall back to the raw pool image.
+                _logger.LogWarning(ex, "Could not store adjusted image for user {UserId}", userId);
+            }
+        }
+
+        private void DeleteAdjustedImage(Guid userId)
+        {
+            var path = GetAdjustedImagePath(userId);
+            if (!File.Exists(path))
+            {
+                return;
+            }
+
+            try
+            {
+                File.Delete(path);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Could not delete adjusted image for user {UserId}", userId);
+            }
+        }
+
         /// <summary>
         /// Gets all users, compatible with both Jellyfin ≤10.11.8 (Users property)
         /// and Jellyfin ≥10.11.9 (GetUsers() method).
@@ -393,6 +1028,82 @@ namespace Jellyfin.Plugin.GetAvatar.Services
             return Enumerable.Empty<Jellyfin.Database.Implementations.Entities.User>();
         }
 
+        /// <summary>
+        /// Gets the avatars a user may see and pick under the category visibility rules.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <returns>The visible avatars, in pool order.</returns>
+        public List<AvatarInfo> GetVisibleAvatars(Guid userId)
+        {
+            var avatars = GetAvailableAvatars();
+            var rules = GetRulesForUser(userId);
+            return rules.Count == 0
+                ? avatars
+                : avatars.Where(a => IsCategoryVisible(a.Category, rules)).ToList();
+        }
+
+        /// <summary>
+        /// Checks whether a user may see and pick an avatar under the category visibility rules.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <param name="avatarId">The avatar ID.</param>
+        /// <returns>True if the avatar exists and is visible to the user.</returns>
+        public bool IsAvatarVisible(Guid userId, string avatarId)
+        {
+            var avatar = GetAvailableAvatars().FirstOrDefault(a => a.Id == avatarId);
+            return avatar != null && IsCategoryVisible(avatar.Category, GetRulesForUser(userId));
+        }
+
+        private static bool IsCategoryVisible(string? category, List<CategoryRule> rules)
+        {
+            var name = category ?? string.Empty;
+            foreach (var rule in rules)
+            {
+                if (rule.DeniedCategories != null && rule.DeniedCategories.Contains(name, StringComparer.OrdinalIgnoreCase))
+                {
+                    return false;
+                }
+
+                if (rule.AllowedCategories != null
+                    && rule.AllowedCategories.Count > 0
+                    && !rule.AllowedCategories.Contains(name, StringComparer.OrdinalIgnoreCase))
+                {
+                    return false;
+                }
+            }
+
+            return true;
+        }
+
+        private static bool RuleApplies(CategoryRule rule, User? user)
+        {
+            return rule.AppliesTo switch
+            {
+                CategoryRule.Everyone => true,
+                CategoryRule.SingleUser => user != null
+                    && Guid.TryParse(rule.UserId, out var ruleUserId)
+                    && ruleUserId == user.Id,
+                CategoryRule.Administrators => user != null && user.HasPermission(PermissionKind.IsAdministrator),
+                CategoryRule.NonAdministrators => user == null || !user.HasPermission(PermissionKind.IsAdministrator),
+                CategoryRule.ParentalRating => user?.MaxParentalRatingScore != null
+                    && rule.MaxParentalRating.HasValue
+                    && user.MaxParentalRatingScore.Value <= rule.MaxParentalRating.Value,
+                _ => false
+            };
+        }
+
+        private List<CategoryRule> GetRulesForUser(Guid userId)
+        {
+            var rules = Plugin.Instance == null ? null : Plugin.Config.CategoryRules;
+            if (rules == null || rules.Count == 0)
+            {
+                return new List<CategoryRule>();
+            }
+
+            var user = _userManager.GetUserById(userId);
+            return rules.Where(r => RuleApplies(r, user)).ToList();
+        }
+
         /// <summary>
         /// Gets the avatar ID that a user has selected.
         /// </summary>
@@ -416,12 +1127,232 @@ namespace Jellyfin.Plugin.GetAvatar.Services
             return mapping?.AvatarId;
         }
 
+        /// <summary>
+        /// Gets a user's favorites and recently used avatars.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <returns>The user's preferences; empty if the user has none yet.</returns>
+        public UserAvatarPreferences GetUserPreferences(Guid userId)
+        {
+            var preferences = Plugin.Instance == null
+                ? null
+                : Plugin.Config.UserPreferences?.FirstOrDefault(p => p.UserId == userId.ToString());
+
+            return preferences ?? new UserAvatarPreferences { UserId = userId.ToString() };
+        }
+
+        /// <summary>
+        /// Stars or unstars an avatar for a user.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <param name="avatarId">The avatar ID.</param>
+        /// <param name="isFavorite">Whether the avatar should be a favorite.</param>
+        /// <returns>True if saved, false if the avatar does not exist.</returns>
+        public bool SetFavorite(Guid userId, string avatarId, bool isFavorite)
+        {
+            if (Plugin.Instance == null)
+            {
+                _logger.LogError("Plugin instance is null, cannot save favorite");
+                return false;
+            }
+
+            if (isFavorite && !(Plugin.Config.AvailableAvatars?.Any(a => a != null && a.Id == avatarId) ?? false))
+            {
+                _logger.LogWarning("Cannot favorite unknown avatar {AvatarId}", avatarId);
+                return false;
+            }
+
+            lock (Plugin.ConfigLock)
+            {
+                var preferences = GetOrCreateUserPreferences(userId);
+                var favorites = preferences.FavoriteAvatarIds.Where(id => id != avatarId).ToList();
+                if (isFavorite)
+                {
+                    favorites.Add(avatarId);
+                }
+
+                preferences.FavoriteAvatarIds = favorites;
+                Plugin.Instance.SaveConfiguration();
+            }
+
+            return true;
+        }
+
+        /// <summary>
+        /// Records that a user applied an avatar, for their "recently used" list and history.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <param name="avatarId">The avatar ID.</param>
+        public void RecordAvatarChange(Guid userId, string avatarId)
+        {
+            if (Plugin.Instance == null)
+            {
+                return;
+            }
+
+            lock (Plugin.ConfigLock)
+            {
+                var preferences = GetOrCreateUserPreferences(userId);
+                preferences.RecentAvatarIds = new[] { avatarId }
+                    .Concat(preferences.RecentAvatarIds.Where(id => id != avatarId))
+                    .Take(MaxRecentAvatars)
+                    .ToList();
+
+                // Unlike the recently used list, history keeps repeats so every change can be undone
+                preferences.History = new[] { new AvatarHistoryEntry { AvatarId = avatarId, AppliedAt = DateTime.UtcNow } }
+                    .Concat(preferences.History)
+                    .Take(MaxHistoryEntries)
+                    .ToList();
+
+                Plugin.Instance.SaveConfiguration();
+            }
+        }
+
+        /// <summary>
+        /// Sets how often a user's avatar is rotated automatically.
+        /// </summary>
+        /// <param name="userId">The user ID.</param>
+        /// <param name="interval">One of the <c>Rotation*</c> constants on <see cref="UserAvatarPreferences"/>.</param>
+        /// <param name="category">Optional. The category to draw from; null or empty draws from every visible avatar.</param>
+        /// <returns>The updated preferences, or null if the plugin instance is not available.</returns>
+        public UserAvatarPreferences? SetRotation(Guid userId, string interval, string? category)
+        {
+            if (Plugin.Instance == null)
+            {
+                _logger.LogError("Plugin instance is null, cannot save rotation");
+                return null;
+            }
+
+            lock (Plugin.ConfigLock)
+            {
+                var preferences = GetOrCreateUserPreferences(userId);
+
+                // A new or changed schedule starts its first period now rather than rotating straight away
+                if (!string.Equals(preferences.RotationInterval, interval, StringComparison.Ordinal))
+                {
+                    preferences.LastRotatedAt = interval == UserAvatarPreferences.RotationOff ? null : DateTime.UtcNow;
+                }
+
+                preferences.RotationInterval = interval;
+                preferences.RotationCategory = string.IsNullOrWhiteSpace(category) ? null : category.Trim();
+
+                Plugin.Instance.SaveConfiguration();
+                return preferences;
+            }
+        }
+
+        /// <summary>
+        /// Gets when a user's avatar rotates next.
+        /// </summary>
+        /// <param name="preferences">The user's preferences.</param>
+        /// <returns>The next rotation time (UTC), <see cref="DateTime.MinValue"/> if the avatar never rotated yet (due now), or null if rotation is off.</returns>
+        public static DateTime? GetNextRotation(UserAvatarPreferences preferences)
+        {
+            TimeSpan period;
+            switch (preferences.RotationInterval)
+            {
+                case UserAvatarPreferences.RotationDaily:
+                    period = TimeSpan.FromDays(1);
+                    break;
+                case UserAvatarPreferences.RotationWeekly:
+                    period = TimeSpan.FromDays(7);
+                    break;
+                default:
+                    return null;
+            }
+
+            // A missing timestamp (hand-edited or restored preferences) must not push the rotation back on every run
+            return preferences.LastRotatedAt.HasValue ? preferences.LastRotatedAt.Value + period : DateTime.MinValue;
+        }
+
+        /// <summary>
+        /// Applies a new random avatar to every user whose rotation is due.
+        /// The new avatar is never the one the user currently has.
+        /// </summary>
+        /// <param name="cancellationToken">The cancellation token.</param>
+        /// <returns>The number of users whose avatar was rotated.</returns>
+        public async Task<int> RotateDueAvatarsAsync(CancellationToken cancellationToken)
+        {
+            if (Plugin.Instance == null)
+            {
+                return 0;
+            }
+
+            var now = DateTime.UtcNow;
+            var due = (Plugin.Config.UserPreferences ?? new List<UserAvatarPreferences>())
+                .Where(p => GetNextRotation(p) <= now)
+                .ToList();
+            var rotatedCount = 0;
+
+            foreach (var preferences in due)
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+
+                if (!Guid.TryParse(preferences.UserId, out var userId) || _userManager.GetUserById(userId) == null)
+                {
+                    continue;
+                }
+
+                // Start the next period even when nothing could be drawn, so the task does not retry every run
+                preferences.LastRotatedAt = now;
+
+                var target = GetRandomAvatar(userId, preferences.RotationCategory, GetUserAvatarId(userId));
+                if (target == null)
+                {
+                    _logger.LogWarning("No other avatar to rotate to for user {UserId} (category: {Category})", userId, preferences.RotationCategory);
+                    continue;
+                }
+
+                try
+                {
+                    await SetUserAvatarAsync(userId, target.Id).ConfigureAwait(false);
+                    RecordAvatarChange(userId, target.Id);
+                    rotatedCount++;
+                    _logger.LogInformation("Rotated avatar of user {UserId} to {AvatarId}", userId, target.Id);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Failed to rotate avatar for user {UserId}", userId);
+                }
+            }
+
+            if (due.Count > 0)
+            {
+                lock (Plugin.ConfigLock)
+                {
+                    Plugin.Instance.SaveConfiguration();
+                }
+            }
+
+            return rotatedCount;
+        }
+
+        // Call with Plugin.ConfigLock held
+        private UserAvatarPreferences GetOrCreateUserPreferences(Guid userId)
+        {
+            var config = Plugin.Config;
+            var allPreferences = config.UserPreferences ?? new List<UserAvatarPreferences>();
+
+            var preferences = allPreferences.FirstOrDefault(p => p.UserId == userId.ToString());
+            if (preferences == null)
+            {
+                preferences = new UserAvatarPreferences { UserId = userId.ToString() };
+                config.UserPreferences = new List<UserAvatarPreferences>(allPreferences) { preferences };
+            }
+
+            preferences.FavoriteAvatarIds ??= new List<string>();
+            preferences.RecentAvatarIds ??= new List<string>();
+            preferences.History ??= new List<AvatarHistoryEntry>();
+            return preferences;
+        }
+
         /// <summary>
         /// Validates all user avatars and repairs any missing profile images.
         /// This should be called at plugin startup to ensure avatars are not lost.
         /// </summary>
+        /// <param name="changes">Optional. Receives a description of each repair or removed mapping.</param>
         /// <returns>The number of avatars that were repaired.</returns>
-        public async Task<int> ValidateUserAvatarsAsync()
+        public async Task<int> ValidateUserAvatarsAsync(ICollection<string>? changes = null)
         {
             if (Plugin.Instance == null)
             {
@@ -439,7 +1370,7 @@ namespace Jellyfin.Plugin.GetAvatar.Services
             var repairedCount = 0;
             var mappingsToRemove = new List<UserAvatarMapping>();
 
-            foreach (var mapping in config.UserAvatars.ToList())
+            foreach (var mapping in config.UserAvatars)
             {
                 try
                 {
@@ -447,6 +1378,7 @@ namespace Jellyfin.Plugin.GetAvatar.Services
                     {
                         _logger.LogWarning("Invalid user ID in mapping: {UserId}", mapping.UserId);
                         mappingsToRemove.Add(mapping);
+                        changes?.Add("Removed mapping with invalid user ID " + mapping.UserId);
                         continue;
                     }
 
@@ -455,6 +1387,7 @@ namespace Jellyfin.Plugin.GetAvatar.Services
                     {
                         _logger.LogWarning("User not found for avatar mapping: {UserId}", mapping.UserId);
                         mappingsToRemove.Add(mapping);
+                        changes?.Add("Removed mapping for deleted user " + mapping.UserId);
                         continue;
                     }
 
@@ -482,6 +1415,7 @@ namespace Jellyfin.Plugin.GetAvatar.Services
                             mapping.AvatarId);
 
                         mappingsToRemove.Add(mapping);
+                        changes?.Add("Removed mapping for " + user.Username + ": avatar no longer exists in the pool");
 
                         if (user.ProfileImage != null)
                         {
@@ -493,8 +1427,9 @@ namespace Jellyfin.Plugin.GetAvatar.Services
                         continue;
                     }
 
-                    await SetUserAvatarAsync(userId, mapping.AvatarId);
+                    await SetUserAvatarAsync(userId, mapping.AvatarId, GetAdjustedImage(userId));
                     repairedCount++;
+                    changes?.Add("Restored missing profile image for " + user.Username);
                     _logger.LogInformation("Successfully repaired avatar for user {UserName}", user.Username);
                 }
                 catch (Exception ex)
@@ -503,14 +1438,14 @@ namespace Jellyfin.Plugin.GetAvatar.Services
                 }
             }
 
-            foreach (var mapping in mappingsToRemove)
-            {
-                config.UserAvatars?.Remove(mapping);
-            }
-
             if (mappingsToRemove.Any())
             {
-                Plugin.Instance.SaveConfiguration();
+                lock (Plugin.ConfigLock)
+                {
+                    config.UserAvatars = config.UserAvatars?.Where(m => !mappingsToRemove.Contains(m)).ToList();
+                    Plugin.Instance.SaveConfiguration();
+                }
+
                 _logger.LogInformation("Removed {Count} invalid avatar mappings", mappingsToRemove.Count);
             }
 
@@ -526,8 +1461,9 @@ namespace Jellyfin.Plugin.GetAvatar.Services
         /// Cleans up orphaned profile image files in user directories.
         /// This removes old profile images that are no longer referenced by the user.
         /// </summary>
+        /// <param name="deletedFiles">Optional. Receives the path of each deleted file.</param>
         /// <returns>The number of orphaned files deleted.</returns>
-        public int CleanOrphanedProfileImages()
+        public int CleanOrphanedProfileImages(ICollection<string>? deletedFiles = null)
         {
             var deletedCount = 0;
 
@@ -562,6 +1498,7 @@ namespace Jellyfin.Plugin.GetAvatar.Services
                             {
                                 File.Delete(file);
                                 deletedCount++;
+                                deletedFiles?.Add(file);
                                 _logger.LogDebug("Deleted orphaned profile image: {File}", file);
                             }
                             catch (Exception ex)
@@ -587,45 +1524,74 @@ namespace Jellyfin.Plugin.GetAvatar.Services
         }
 
         /// <summary>
-        /// Gets a random avatar from the available pool.
+        /// Gets a random avatar from the avatars a user may see.
         /// </summary>
+        /// <param name="userId">The user the avatar is drawn for.</param>
+        /// <param name="category">Optional. Limits the draw to one category; null or empty draws from the whole pool.</param>
+        /// <param name="excludeAvatarId">Optional. An avatar that must not be drawn, such as the current one.</param>
         /// <returns>A random avatar info, or null if no avatars exist.</returns>
-        public AvatarInfo? GetRandomAvatar()
+        public AvatarInfo? GetRandomAvatar(Guid userId, string? category = null, string? excludeAvatarId = null)
         {
-            var avatars = Plugin.Config.AvailableAvatars;
-            if (avatars == null || avatars.Count == 0)
+            var avatars = GetVisibleAvatars(userId);
+            if (excludeAvatarId != null)
+            {
+                avatars = avatars.Where(a => a.Id != excludeAvatarId).ToList();
+            }
+
+            if (avatars.Count == 0)
             {
                 return null;
             }
 
+            if (!string.IsNullOrEmpty(category))
+            {
+                avatars = avatars
+                    .Where(a => string.Equals(a.Category, category, StringComparison.OrdinalIgnoreCase))
+                    .ToList();
+                if (avatars.Count == 0)
+                {
+                    return null;
+                }
+            }
+
             var index = new Random().Next(avatars.Count);
             return avatars[index];
         }
 
         /// <summary>
         /// Assigns a default or random avatar to all users who have no avatar set.
+        /// Does nothing unless auto-assign is enabled in the plugin settings.
         /// </summary>
         /// <returns>The number of users who received an avatar.</returns>
         public async Task<int> AssignMissingAvatarsAsync()
         {
-            if (Plugin.Instance == null)
+            if (Plugin.Instance == null || !Plugin.Config.EnableAutoAssign)
             {
                 return 0;
             }
 
-            var avatars = Plugin.Config.AvailableAvatars;
-            if (avatars == null || avatars.Count == 0)
+            return await AssignRandomAvatarsAsync(null).ConfigureAwait(false);
+        }
+
+        /// <summary>
+        /// Assigns a random avatar to every user who has no profile image.
+        /// </summary>
+        /// <param name="category">Optional. Limits the draw to one category.</param>
+        /// <returns>The number of users who received an avatar.</returns>
+        public async Task<int> AssignRandomAvatarsAsync(string? category)
+        {
+            if (Plugin.Instance == null)
             {
                 return 0;
             }
 
-            var config = Plugin.Config;
-
-            if (!config.EnableAutoAssign)
+            var avatars = Plugin.Config.AvailableAvatars;
+            if (avatars == null || avatars.Count == 0)
             {
                 return 0;
             }
 
+            var config = Plugin.Config;
             var assignedCount = 0;
             var users = GetAllUsers();
 
@@ -642,15 +1608,19 @@ namespace Jellyfin.Plugin.GetAvatar.Services
                         continue;
                     }
 
-                    var target = GetRandomAvatar();
+                    var target = GetRandomAvatar(user.Id, category);
                     if (target == null)
                     {
                         continue;
                     }
 
-                    config.UserAvatars?.RemoveAll(x => x.UserId == user.Id.ToString());
+                    lock (Plugin.ConfigLock)
+                    {
+                        config.UserAvatars = config.UserAvatars?.Where(x => x.UserId != user.Id.ToString()).ToList();
+                    }
 
                     await SetUserAvatarAsync(user.Id, target.Id).ConfigureAwait(false);
+                    RecordAvatarChange(user.Id, target.Id);
                     assignedCount++;
                     _logger.LogInformation("Auto-assigned random avatar {AvatarId} to user {UserName}", target.Id, user.Username);
                 }
@@ -704,14 +1674,19 @@ namespace Jellyfin.Plugin.GetAvatar.Services
                     }
                 }
 
-                var config = Plugin.Config;
-                var mapping = config.UserAvatars?.FirstOrDefault(x => x.UserId == userId.ToString());
-                if (mapping != null)
+                lock (Plugin.ConfigLock)
                 {
-                    config.UserAvatars?.Remove(mapping);
-                    Plugin.Instance.SaveConfiguration();
+                    var config = Plugin.Config;
+                    var mapping = config.UserAvatars?.FirstOrDefault(x => x.UserId == userId.ToString());
+                    if (mapping != null)
+                    {
+                        config.UserAvatars = config.UserAvatars!.Where(x => x != mapping).ToList();
+                        Plugin.Instance.SaveConfiguration();
+                    }
                 }
 
+                DeleteAdjustedImage(userId);
+
                 _logger.LogInformation("Removed avatar assignment for user {UserName}", user.Username);
                 return true;
             }
@@ -0,0 +1,410 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.IO;
+using System.IO.Compression;
+using System.Linq;
+using System.Text.Json;
+using System.Threading.Tasks;
+using Jellyfin.Database.Implementations.Entities;
+using Jellyfin.Plugin.GetAvatar.Configuration;
+using Jellyfin.Plugin.GetAvatar.Controllers;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.GetAvatar.Services
+{
+    /// <summary>
+    /// Service for backing up and restoring the avatar library together with user assignments.
+    /// A backup is a zip with <c>manifest.json</c>, the pool images under <c>avatars/</c>
+    /// and users' adjusted images under <c>adjusted/</c>.
+    /// </summary>
+    public class BackupService
+    {
+        private const string ManifestEntryName = "manifest.json";
+        private const string AvatarFolder = "avatars/";
+        private const string AdjustedFolder = "adjusted/";
+        private const int CurrentVersion = 1;
+
+        private static readonly TimeSpan PendingRestoreLifetime = TimeSpan.FromHours(1);
+
+        private readonly AvatarService _avatarService;
+        private readonly IUserManager _userManager;
+        private readonly ILogger<BackupService> _logger;
+        private readonly string _pendingDirectory;
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="BackupService"/> class.
+        /// </summary>
+        /// <param name="avatarService">The avatar service.</param>
+        /// <param name="userManager">The user manager.</param>
+        /// <param name="logger">The logger instance.</param>
+        public BackupService(
+            AvatarService avatarService,
+            IUserManager userManager,
+            ILogger<BackupService> logger)
+        {
+            _avatarService = avatarService;
+            _userManager = userManager;
+            _logger = logger;
+
+            // Uploaded backups wait here between preview and restore
+            _pendingDirectory = Path.Combine(Path.GetTempPath(), "GetAvatar", "restore");
+        }
+
+        /// <summary>
+        /// Writes a backup of the whole library to a stream.
+        /// </summary>
+        /// <param name="output">The stream to write the zip archive to.</param>
+        public void WriteBackup(Stream output)
+        {
+            var manifest = new BackupManifest
+            {
+                Version = CurrentVersion,
+                CreatedAt = DateTime.UtcNow
+            };
+
+            using var archive = new ZipArchive(output, ZipArchiveMode.Create, leaveOpen: true);
+
+            foreach (var avatar in _avatarService.GetAvailableAvatars())
+            {
+                var path = _avatarService.GetAvatarPath(avatar.Id);
+                if (path == null)
+                {
+                    _logger.LogWarning("Leaving avatar {Id} out of the backup: image file is missing", avatar.Id);
+                    continue;
+                }
+
+                archive.CreateEntryFromFile(path, AvatarFolder + avatar.FileName, CompressionLevel.NoCompression);
+                manifest.Avatars.Add(avatar);
+            }
+
+            var mappings = Plugin.Instance == null
+                ? new List<UserAvatarMapping>()
+                : Plugin.Config.UserAvatars ?? new List<UserAvatarMapping>();
+
+            foreach (var mapping in mappings)
+            {
+                if (!Guid.TryParse(mapping.UserId, out var userId))
+                {
+                    continue;
+                }
+
+                var adjustedImage = _avatarService.GetAdjustedImage(userId);
+                if (adjustedImage != null)
+                {
+                    var entry = archive.CreateEntry(AdjustedFolder + mapping.UserId + ".png", CompressionLevel.NoCompression);
+                    using var entryStream = entry.Open();
+                    entryStream.Write(adjustedImage, 0, adjustedImage.Length);
+                }
+
+                manifest.UserAvatars.Add(new BackupUserAvatar
+                {
+                    UserId = mapping.UserId,
+                    UserName = _userManager.GetUserById(userId)?.Username ?? string.Empty,
+                    AvatarId = mapping.AvatarId,
+                    HasAdjustedImage = adjustedImage != null
+                });
+            }
+
+            if (Plugin.Instance != null)
+            {
+                manifest.InstalledPacks = Plugin.Config.InstalledPacks ?? new List<InstalledPack>();
+            }
+
+            var manifestEntry = archive.CreateEntry(ManifestEntryName);
+            using (var manifestStream = manifestEntry.Open())
+            {
+                JsonSerializer.Serialize(manifestStream, manifest, new JsonSerializerOptions { WriteIndented = true });
+            }
+
+            _logger.LogInformation(
+                "Created backup with {AvatarCount} avatars and {UserCount} user assignments",
+                manifest.Avatars.Count,
+                manifest.UserAvatars.Count);
+        }
+
+        /// <summary>
+        /// Stores an uploaded backup and summarizes what restoring it would do.
+        /// </summary>
+        /// <param name="upload">The uploaded backup archive.</param>
+        /// <returns>The preview, including the token to pass to <see cref="RestoreAsync"/>.</returns>
+        public async Task<BackupPreview> CreatePreviewAsync(Stream upload)
+        {
+            DeleteExpiredPendingRestores();
+            Directory.CreateDirectory(_pendingDirectory);
+
+            var token = Guid.NewGuid().ToString("N");
+            var path = GetPendingPath(token);
+
+            using (var fileStream = new FileStream(path, FileMode.Create, FileAccess.Write, FileShare.None, 81920, true))
+            {
+                await upload.CopyToAsync(fileStream).ConfigureAwait(false);
+            }
+
+            BackupManifest manifest;
+            try
+            {
+                using var archive = ZipFile.OpenRead(path);
+                manifest = ReadManifest(archive);
+            }
+            catch
+            {
+                File.Delete(path);
+                throw;
+            }
+
+            var currentIds = new HashSet<string>(_avatarService.GetAvailableAvatars().Select(a => a.Id), StringComparer.Ordinal);
+            var preview = new BackupPreview
+            {
+                Token = token,
+                CreatedAt = manifest.CreatedAt,
+                AvatarCount = manifest.Avatars.Count,
+                NewAvatarCount = manifest.Avatars.Count(a => !currentIds.Contains(a.Id)),
+                CurrentAvatarCount = currentIds.Count,
+                Categories = manifest.Avatars
+                    .GroupBy(a => a.Category ?? string.Empty, StringComparer.OrdinalIgnoreCase)
+                    .Select(g => new AvatarCategoryInfo { Name = g.First().Category ?? string.Empty, Count = g.Count() })
+                    .OrderBy(c => c.Name, StringComparer.OrdinalIgnoreCase)
+                    .ToList(),
+                UserCount = manifest.UserAvatars.Count
+            };
+
+            foreach (var mapping in manifest.UserAvatars)
+            {
+                if (ResolveUser(mapping) != null)
+                {
+                    preview.MatchedUserCount++;
+                }
+                else
+                {
+                    preview.UnmatchedUsers.Add(string.IsNullOrEmpty(mapping.UserName) ? mapping.UserId : mapping.UserName);
+                }
+            }
+
+            return preview;
+        }
+
+        /// <summary>
+        /// Restores a previewed backup and re-applies each user's avatar.
+        /// </summary>
+        /// <param name="token">The token returned by <see cref="CreatePreviewAsync"/>.</param>
+        /// <param name="replace">True to replace the current library with the backup's; false to merge into it.</param>
+        /// <returns>The restore result, or null if the token is unknown or expired.</returns>
+        public async Task<BackupRestoreResult?> RestoreAsync(string token, bool replace)
+        {
+            // The token becomes part of a file path
+            if (!Guid.TryParseExact(token, "N", out _))
+            {
+                return null;
+            }
+
+            var path = GetPendingPath(token);
+            if (!File.Exists(path))
+            {
+                return null;
+            }
+
+            var result = new BackupRestoreResult();
+
+            try
+            {
+                using var archive = ZipFile.OpenRead(path);
+                var manifest = ReadManifest(archive);
+
+                // Replacing removes the current avatars and their users' assignments, so the backup must be complete first
+                var missingImageCount = manifest.Avatars.Count(a => archive.GetEntry(AvatarFolder + a.FileName) == null);
+                if (replace && missingImageCount > 0)
+                {
+                    throw new InvalidDataException(
+                        missingImageCount.ToString(CultureInfo.InvariantCulture)
+                        + " avatar image(s) are missing from the backup. Nothing was changed; merge it instead to import the others.");
+                }
+
+                result.ImportedCount = await _avatarService.ImportAvatarsAsync(
+                    manifest.Avatars,
+                    avatar => archive.GetEntry(AvatarFolder + avatar.FileName)?.Open(),
+                    replace).ConfigureAwait(false);
+                result.SkippedCount = manifest.Avatars.Count - result.ImportedCount;
+
+                if (replace)
+                {
+                    // Only now that the backup's avatars are in, so a failed import never leaves an empty pool
+                    var backupIds = new HashSet<string>(manifest.Avatars.Select(a => a.Id), StringComparer.Ordinal);
+                    var oldIds = _avatarService.GetAvailableAvatars().Select(a => a.Id).Where(id => !backupIds.Contains(id)).ToList();
+                    result.RemovedCount = _avatarService.DeleteAvatars(oldIds).Count(r => r.Success);
+                }
+
+                RestoreInstalledPacks(manifest.InstalledPacks, replace);
+
+                var poolIds = new HashSet<string>(_avatarService.GetAvailableAvatars().Select(a => a.Id), StringComparer.Ordinal);
+                foreach (var mapping in manifest.UserAvatars)
+                {
+                    var displayName = string.IsNullOrEmpty(mapping.UserName) ? mapping.UserId : mapping.UserName;
+                    var user = ResolveUser(mapping);
+                    if (user == null)
+                    {
+                        result.FailedUsers.Add(displayName + ": user not found on this server");
+                        continue;
+                    }
+
+                    if (!poolIds.Contains(mapping.AvatarId))
+                    {
+                        result.FailedUsers.Add(displayName + ": avatar is missing from the backup");
+                        continue;
+                    }
+
+                    byte[]? adjustedImage = null;
+                    if (mapping.HasAdjustedImage)
+                    {
+                        // Uploaded backups are untrusted: hold adjusted images to the avatar editor's limits
+                        adjustedImage = ReadAdjustedImage(archive, AdjustedFolder + mapping.UserId + ".png");
+                        if (adjustedImage == null)
+                        {
+                            result.FailedUsers.Add(displayName + ": adjusted image in the backup is missing or not a PNG of at most 5 MB");
+                            continue;
+                        }
+                    }
+
+                    try
+                    {
+                        await _avatarService.SetUserAvatarAsync(user.Id, mapping.AvatarId, adjustedImage).ConfigureAwait(false);
+                        result.AppliedUserCount++;
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError(ex, "Failed to re-apply avatar {AvatarId} for user {UserName}", mapping.AvatarId, displayName);
+                        result.FailedUsers.Add(displayName + ": " + ex.Message);
+                    }
+                }
+
+                _logger.LogInformation(
+                    "Restored backup ({Mode}): {Imported} imported, {Skipped} skipped, {Removed} removed, {Applied} users re-applied, {Failed} failed",
+                    replace ? "replace" : "merge",
+                    result.ImportedCount,
+                    result.SkippedCount,
+                    result.RemovedCount,
+                    result.AppliedUserCount,
+                    result.FailedUsers.Count);
+
+                return result;
+            }
+            finally
+            {
+                TryDelete(path);
+            }
+        }
+
+        // Merging keeps the versions this server has; replacing takes the backup's
+        private static void RestoreInstalledPacks(List<InstalledPack> installedPacks, bool replace)
+        {
+            if (Plugin.Instance == null)
+            {
+                return;
+            }
+
+            lock (Plugin.ConfigLock)
+            {
+                var config = Plugin.Config;
+                var current = replace ? new List<InstalledPack>() : config.InstalledPacks ?? new List<InstalledPack>();
+                var currentIds = new HashSet<string>(current.Select(p => p.PackId), StringComparer.OrdinalIgnoreCase);
+                config.InstalledPacks = current
+                    .Concat(installedPacks.Where(p => currentIds.Add(p.PackId)))
+                    .ToList();
+                Plugin.Instance.SaveConfiguration();
+            }
+        }
+
+        private static BackupManifest ReadManifest(ZipArchive archive)
+        {
+            var entry = archive.GetEntry(ManifestEntryName)
+                ?? throw new InvalidDataException("Not a GetAvatar backup: " + ManifestEntryName + " is missing.");
+
+            using var stream = entry.Open();
+            var manifest = JsonSerializer.Deserialize<BackupManifest>(stream)
+                ?? throw new InvalidDataException("The backup manifest is empty.");
+
+            if (manifest.Version > CurrentVersion)
+            {
+                throw new InvalidDataException("This backup was made by a newer version of the plugin.");
+            }
+
+            manifest.Avatars ??= new List<AvatarInfo>();
+            manifest.UserAvatars ??= new List<BackupUserAvatar>();
+            manifest.InstalledPacks ??= new List<InstalledPack>();
+            return manifest;
+        }
+
+        private static byte[]? ReadAdjustedImage(ZipArchive archive, string entryName)
+        {
+            var entry = archive.GetEntry(entryName);
+            if (entry == null || entry.Length > AvatarService.MaxAdjustedImageBytes)
+            {
+                return null;
+            }
+
+            // Reads at most one byte past the limit, whatever size the entry claims
+            using var stream = entry.Open();
+            var buffer = new byte[AvatarService.MaxAdjustedImageBytes + 1];
+            var length = 0;
+            int read;
+            while (length < buffer.Length && (read = stream.Read(buffer, length, buffer.Length - length)) > 0)
+            {
+                length += read;
+            }
+
+            var data = buffer.AsSpan(0, length).ToArray();
+            return AvatarService.IsValidAdjustedImage(data) ? data : null;
+        }
+
+        /// <summary>
+        /// Finds the user on this server, by ID first and then by name for backups from another server.
+        /// </summary>
+        private User? ResolveUser(BackupUserAvatar mapping)
+        {
+            if (Guid.TryParse(mapping.UserId, out var userId))
+            {
+                var user = _userManager.GetUserById(userId);
+                if (user != null)
+                {
+                    return user;
+                }
+            }
+
+            return string.IsNullOrEmpty(mapping.UserName) ? null : _userManager.GetUserByName(mapping.UserName);
+        }
+
+        private string GetPendingPath(string token)
+        {
+            return Path.Combine(_pendingDirectory, token + ".zip");
+        }
+
+        private void DeleteExpiredPendingRestores()
+        {
+            if (!Directory.Exists(_pendingDirectory))
+            {
+                return;
+            }
+
+            foreach (var file in Directory.GetFiles(_pendingDirectory, "*.zip"))
+            {
+                if (DateTime.UtcNow - File.GetLastWriteTimeUtc(file) > PendingRestoreLifetime)
+                {
+                    TryDelete(file);
+                }
+            }
+        }
+
+        private void TryDelete(string path)
+        {
+            try
+            {
+                File.Delete(path);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to delete pending backup: {Path}", path);
+            }
+        }
+    }
+}
@@ -6,21 +6,25 @@ using System.Linq;
 using System.Net.Http;
 using System.Security.Cryptography;
 using System.Text.Json;
+using System.Threading;
 using System.Threading.Tasks;
+using Jellyfin.Plugin.GetAvatar.Configuration;
 using Jellyfin.Plugin.GetAvatar.Controllers;
 using Microsoft.Extensions.Logging;
 
 namespace Jellyfin.Plugin.GetAvatar.Services
 {
     /// <summary>
-    /// Service for discovering and importing online avatar packs from GitHub releases.
+    /// Service for discovering and importing avatar packs, either online from the configured pack sources
+    /// or from a zip file uploaded by an administrator.
     /// </summary>
     public class OnlinePackService
     {
-        private const string GitHubReleaseApiUrl = "https://api.github.com/repos/cedev-1/jellyfin-avatars/releases/latest";
         private const long MaxZipSizeBytes = 1024L * 1024L * 1024L; // 1 GB
+        private const long MaxExtractedSizeBytes = 2L * 1024L * 1024L * 1024L; // 2 GB
 
-        private static readonly Dictionary<string, string> PackDisplayNames = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase)
+        // Short asset names used by the default jellyfin-avatars release
+        private static readonly Dictionary<string, string> DefaultSourceDisplayNames = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase)
         {
             { "dp", "Disney Plus" },
             { "nf", "Netflix" },
@@ -35,9 +39,12 @@ namespace Jellyfin.Plugin.GetAvatar.Services
         private static readonly string[] AllowedExtensions = { ".jpg", ".jpeg", ".png", ".webp", ".gif" };
         private const long MaxImageSizeBytes = 5L * 1024L * 1024L;
 
+        private static readonly TimeSpan PendingPackLifetime = TimeSpan.FromHours(1);
+
         private readonly IHttpClientFactory _httpClientFactory;
         private readonly AvatarService _avatarService;
         private readonly ILogger<OnlinePackService> _logger;
+        private readonly string _pendingDirectory;
 
         /// <summary>
         /// Initializes a new instance of the <see cref="OnlinePackService"/> class.
@@ -53,38 +60,146 @@ namespace Jellyfin.Plugin.GetAvatar.Services
             _httpClientFactory = httpClientFactory;
             _avatarService = avatarService;
             _logger = logger;
+
+            // Downloaded packs wait here between preview and import
+            _pendingDirectory = Path.Combine(Path.GetTempPath(), "GetAvatar", "packs");
         }
 
         /// <summary>
-        /// Gets the available avatar packs from the latest GitHub release.
+        /// Gets the configured pack sources, adding the default source the first time.
         /// </summary>
-        /// <returns>List of available packs.</returns>
-        public async Task<List<OnlinePackInfo>> GetAvailablePacksAsync()
+        /// <returns>The pack sources, in display order.</returns>
+        public List<PackSource> GetPackSources()
+        {
+            if (Plugin.Instance == null)
+            {
+                return new List<PackSource>();
+            }
+
+            var config = Plugin.Config;
+            lock (Plugin.ConfigLock)
+            {
+                if (!config.PackSourcesInitialized)
+                {
+                    if (config.PackSources == null || config.PackSources.Count == 0)
+                    {
+                        config.PackSources = new List<PackSource>
+                        {
+                            new PackSource
+                            {
+                                Name = "Jellyfin Avatars",
+                                Type = PackSource.GitHubRelease,
+                                Url = PackSource.DefaultUrl
+                            }
+                        };
+                    }
+
+                    config.PackSourcesInitialized = true;
+                    Plugin.Instance.SaveConfiguration();
+                }
+            }
+
+            return config.PackSources ?? new List<PackSource>();
+        }
+
+        /// <summary>
+        /// Gets the available avatar packs from every configured source.
+        /// A source that fails to load is reported with its error instead of failing the whole list.
+        /// </summary>
+        /// <returns>The packs of each source, in source order.</returns>
+        public async Task<List<OnlinePackSourceResult>> GetAvailablePacksAsync()
+        {
+            var results = new List<OnlinePackSourceResult>();
+
+            foreach (var source in GetPackSources())
+            {
+                var result = new OnlinePackSourceResult
+                {
+                    SourceId = source.Id,
+                    SourceName = source.Name
+                };
+
+                try
+                {
+                    result.Packs = await GetSourcePacksAsync(source).ConfigureAwait(false);
+                    ApplyInstallStatus(result.Packs);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning(ex, "Failed to load avatar packs from source {SourceName} ({Url})", source.Name, source.Url);
+                    result.Error = ex.Message;
+                }
+
+                results.Add(result);
+            }
+
+            return results;
+        }
+
+        private static void ApplyInstallStatus(List<OnlinePackInfo> packs)
+        {
+            var installedPacks = Plugin.Instance == null ? null : Plugin.Config.InstalledPacks;
+            foreach (var pack in packs)
+            {
+                var installed = GetInstalledPack(installedPacks, pack.Id);
+                if (installed == null)
+                {
+                    pack.Status = OnlinePackInfo.New;
+                }
+                else
+                {
+                    // Sources that report neither a version nor a size cannot be checked for updates
+                    var sameVersion = string.Equals(installed.Version, pack.Version, StringComparison.Ordinal)
+                        && (pack.Size == 0 || installed.Size == 0 || installed.Size == pack.Size);
+                    pack.Status = sameVersion ? OnlinePackInfo.Installed : OnlinePackInfo.UpdateAvailable;
+                }
+            }
+        }
+
+        private static InstalledPack? GetInstalledPack(List<InstalledPack>? installedPacks, string packId)
+        {
+            return installedPacks?.FirstOrDefault(i => string.Equals(i.PackId, packId, StringComparison.OrdinalIgnoreCase));
+        }
+
+        private async Task<List<OnlinePackInfo>> GetSourcePacksAsync(PackSource source)
         {
             using var client = _httpClientFactory.CreateClient();
             client.DefaultRequestHeaders.Add("User-Agent", "Jellyfin-Plugin-GetAvatar");
             client.Timeout = TimeSpan.FromSeconds(30);
 
-            _logger.LogInformation("Fetching online avatar packs from {Url}", GitHubReleaseApiUrl);
+            _logger.LogInformation("Fetching online avatar packs from {Url}", source.Url);
 
-            var response = await client.GetAsync(GitHubReleaseApiUrl).ConfigureAwait(false);
+            var response = await client.GetAsync(source.Url).ConfigureAwait(false);
             response.EnsureSuccessStatusCode();
 
             var json = await response.Content.ReadAsStringAsync().ConfigureAwait(false);
             using var document = JsonDocument.Parse(json);
-            var root = document.RootElement;
 
+            var packs = source.Type == PackSource.JsonIndex
+                ? ParseJsonIndex(document.RootElement, source)
+                : ParseGitHubRelease(document.RootElement, source);
+
+            _logger.LogInformation("Found {Count} online avatar packs in source {SourceName}", packs.Count, source.Name);
+            return packs;
+        }
+
+        private List<OnlinePackInfo> ParseGitHubRelease(JsonElement root, PackSource source)
+        {
             var packs = new List<OnlinePackInfo>();
 
             if (!root.TryGetProperty("assets", out var assets))
             {
-                _logger.LogWarning("No assets found in GitHub release response");
+                _logger.LogWarning("No assets found in GitHub release response from {Url}", source.Url);
                 return packs;
             }
 
+            // Re-uploaded assets keep the release tag but get a new timestamp
+            var tag = GetJsonString(root, "tag_name");
+
             foreach (var asset in assets.EnumerateArray())
             {
-                var name = asset.GetProperty("name").GetString();
+                // Custom sources are remote input: keep only the file name part of the asset name
+                var name = Path.GetFileName(asset.GetProperty("name").GetString());
                 if (string.IsNullOrEmpty(name) || !name.EndsWith(".zip", StringComparison.OrdinalIgnoreCase))
                 {
                     continue;
@@ -93,6 +208,9 @@ namespace Jellyfin.Plugin.GetAvatar.Services
                 var id = Path.GetFileNameWithoutExtension(name);
                 var downloadUrl = asset.GetProperty("browser_download_url").GetString();
                 var size = asset.TryGetProperty("size", out var sizeProperty) ? sizeProperty.GetInt64() : 0;
+                var label = asset.TryGetProperty("label", out var labelProperty) && labelProperty.ValueKind == JsonValueKind.String
+                    ? labelProperty.GetString()
+                    : null;
 
                 if (string.IsNullOrEmpty(downloadUrl))
                 {
@@ -101,153 +219,649 @@ namespace Jellyfin.Plugin.GetAvatar.Services
 
                 packs.Add(new OnlinePackInfo
                 {
-                    Id = id,
-                    Name = GetDisplayName(id),
+                    Id = source.Id + ":" + id,
+                    SourceId = source.Id,
+                    Name = string.IsNullOrWhiteSpace(label) ? GetDisplayName(source, id) : label,
                     FileName = name,
                     DownloadUrl = downloadUrl,
-                    Size = size
+                    Size = size,
+                    Version = GetJsonString(asset, "updated_at") ?? tag ?? string.Empty
                 });
             }
 
-            _logger.LogInformation("Found {Count} online avatar packs", packs.Count);
             return packs;
         }
 
         /// <summary>
-        /// Imports the specified online avatar packs.
+        /// Reads a JSON index: either an array of packs or an object with a <c>packs</c> array.
+        /// Each pack needs a <c>url</c> (absolute or relative to the index) and may have <c>id</c>, <c>name</c>, <c>size</c>
+        /// and <c>version</c>; an index object may also give a <c>version</c> for all its packs.
         /// </summary>
-        /// <param name="packIds">The pack identifiers to import.</param>
-        /// <returns>The import result.</returns>
-        public async Task<ImportOnlinePacksResult> ImportPacksAsync(List<string> packIds)
+        private static List<OnlinePackInfo> ParseJsonIndex(JsonElement root, PackSource source)
+        {
+            var packs = new List<OnlinePackInfo>();
+            var entries = root.ValueKind == JsonValueKind.Object && root.TryGetProperty("packs", out var packsProperty)
+                ? packsProperty
+                : root;
+
+            if (entries.ValueKind != JsonValueKind.Array)
+            {
+                throw new InvalidDataException("The index must be an array of packs or an object with a \"packs\" array.");
+            }
+
+            var indexVersion = GetJsonString(root, "version");
+            var baseUri = new Uri(source.Url);
+            foreach (var entry in entries.EnumerateArray())
+            {
+                var url = GetJsonString(entry, "url");
+                if (string.IsNullOrEmpty(url)
+                    || !Uri.TryCreate(baseUri, url, out var downloadUri)
+                    || (downloadUri.Scheme != Uri.UriSchemeHttp && downloadUri.Scheme != Uri.UriSchemeHttps))
+                {
+                    continue;
+                }
+
+                var fileName = Path.GetFileName(downloadUri.AbsolutePath);
+                var id = GetJsonString(entry, "id");
+                if (string.IsNullOrEmpty(id))
+                {
+                    id = Path.GetFileNameWithoutExtension(fileName);
+                }
+
+                if (string.IsNullOrEmpty(id))
+                {
+                    continue;
+                }
+
+                var name = GetJsonString(entry, "name");
+                packs.Add(new OnlinePackInfo
+                {
+                    Id = source.Id + ":" + id,
+                    SourceId = source.Id,
+                    Name = string.IsNullOrWhiteSpace(name) ? GetDisplayName(source, id) : name,
+                    FileName = string.IsNullOrEmpty(fileName) ? id + ".zip" : fileName,
+                    DownloadUrl = downloadUri.ToString(),
+                    Size = entry.TryGetProperty("size", out var sizeProperty) && sizeProperty.TryGetInt64(out var size) ? size : 0,
+                    Version = GetJsonString(entry, "version") ?? indexVersion ?? string.Empty
+                });
+            }
+
+            return packs;
+        }
+
+        private static string? GetJsonString(JsonElement element, string propertyName)
+        {
+            return element.ValueKind == JsonValueKind.Object
+                && element.TryGetProperty(propertyName, out var property)
+                && property.ValueKind == JsonValueKind.String
+                ? property.GetString()
+                : null;
+        }
+
+        /// <summary>
+        /// Downloads an online pack and imports its images into a category named after the pack, then records the
+        /// imported version. When the pack was imported before, only images added since that version are imported.
+        /// </summary>
+        /// <param name="pack">The pack to import.</param>
+        /// <param name="removeDropped">Whether to delete avatars whose images the new version no longer contains.</param>
+        /// <param name="progress">Optional progress to update while downloading and importing.</param>
+        /// <param name="cancellationToken">The cancellation token.</param>
+        /// <returns>A task representing the asynchronous operation.</returns>
+        public async Task ImportPackAsync(OnlinePackInfo pack, bool removeDropped, PackImportProgress? progress, CancellationToken cancellationToken)
+        {
+            _logger.LogInformation("Importing online avatar pack: {PackName} ({FileName})", pack.Name, pack.FileName);
+
+            var tempDirectory = CreateTempDirectory();
+
+            try
+            {
+                if (progress != null)
+                {
+                    progress.Status = PackImportProgress.Downloading;
+                }
+
+                // A fixed name, so a pack's file name can never point outside the temp directory
+                var zipPath = Path.Combine(tempDirectory, "pack.zip");
+                await DownloadFileAsync(pack.DownloadUrl, zipPath, MaxZipSizeBytes, progress, cancellationToken).ConfigureAwait(false);
+
+                if (progress != null)
+                {
+                    progress.Status = PackImportProgress.Importing;
+                }
+
+                var details = await ImportZipAsync(zipPath, tempDirectory, pack.Name, pack.Name, pack, progress, cancellationToken).ConfigureAwait(false);
+
+                var previousPaths = GetInstalledPack(Plugin.Config.InstalledPacks, pack.Id)?.Paths;
+                if (removeDropped && previousPaths != null)
+                {
+                    var removedCount = RemoveDroppedAvatars(pack, previousPaths.Where(path => !details.PackPaths.Contains(path)));
+                    if (progress != null)
+                    {
+                        progress.RemovedCount = removedCount;
+                    }
+                }
+
+                RecordInstalledPack(pack, details.PackPaths);
+            }
+            finally
+            {
+                DeleteTempDirectory(tempDirectory);
+            }
+        }
+
+        private int RemoveDroppedAvatars(OnlinePackInfo pack, IEnumerable<string> droppedPaths)
         {
-            if (packIds == null || packIds.Count == 0)
+            var dropped = new HashSet<string>(droppedPaths, StringComparer.Ordinal);
+            var avatarIds = (Plugin.Config.AvailableAvatars ?? new List<AvatarInfo>())
+                .Where(a => string.Equals(a.SourcePackId, pack.Id, StringComparison.OrdinalIgnoreCase) && dropped.Contains(a.SourcePath))
+                .Select(a => a.Id)
+                .ToList();
+
+            if (avatarIds.Count == 0)
             {
-                return new ImportOnlinePacksResult();
+                return 0;
             }
 
-            var availablePacks = await GetAvailablePacksAsync().ConfigureAwait(false);
-            var selectedPacks = availablePacks.Where(p => packIds.Contains(p.Id, StringComparer.OrdinalIgnoreCase)).ToList();
+            var removedCount = _avatarService.DeleteAvatars(avatarIds).Count(r => r.Success);
+            _logger.LogInformation("Removed {Count} avatars no longer in pack {PackName}", removedCount, pack.Name);
+            return removedCount;
+        }
+
+        private static void RecordInstalledPack(OnlinePackInfo pack, IEnumerable<string> paths)
+        {
+            var installed = new InstalledPack
+            {
+                PackId = pack.Id,
+                Name = pack.Name,
+                Version = pack.Version,
+                Size = pack.Size,
+                InstalledAt = DateTime.UtcNow,
+                Paths = paths.OrderBy(path => path, StringComparer.Ordinal).ToList()
+            };
+
+            lock (Plugin.ConfigLock)
+            {
+                var config = Plugin.Config;
+                config.InstalledPacks = (config.InstalledPacks ?? new List<InstalledPack>())
+                    .Where(i => !string.Equals(i.PackId, pack.Id, StringComparison.OrdinalIgnoreCase))
+                    .Append(installed)
+                    .ToList();
+                Plugin.Instance!.SaveConfiguration();
+            }
+        }
+
+        /// <summary>
+        /// Downloads an online pack and lists its images, marking those already in the library.
+        /// </summary>
+        /// <param name="pack">The pack to preview.</param>
+        /// <param name="progress">Optional progress to update while downloading and reading the images.</param>
+        /// <param name="cancellationToken">The cancellation token.</param>
+        /// <returns>The preview, including the token for <see cref="GetPreviewImageAsync"/> and <see cref="ImportPreviewAsync"/>.</returns>
+        public async Task<OnlinePackPreview> CreatePreviewAsync(OnlinePackInfo pack, PackImportProgress? progress, CancellationToken cancellationToken)
+        {
+            DeleteExpiredPendingPacks();
+            Directory.CreateDirectory(_pendingDirectory);
+
+            var token = Guid.NewGuid().ToString("N");
+            var path = GetPendingPath(token);
+
+            try
+            {
+                _logger.LogInformation("Downloading online avatar pack for preview: {PackName} ({FileName})", pack.Name, pack.FileName);
+                if (progress != null)
+                {
+                    progress.Status = PackImportProgress.Downloading;
+                }
+
+                await DownloadFileAsync(pack.DownloadUrl, path, MaxZipSizeBytes, progress, cancellationToken).ConfigureAwait(false);
+
+                var existingHashes = GetExistingAvatarHashes();
+                var preview = new OnlinePackPreview
+                {
+                    Token = token,
+                    PackId = pack.Id,
+                    PackName = pack.Name,
+                    Category = pack.Name
+                };
+
+                using var archive = ZipFile.OpenRead(path);
+                EnsureExtractedSizeAllowed(archive);
+
+                var entries = GetImageEntries(archive).ToList();
+                if (progress != null)
+                {
+                    progress.Status = PackImportProgress.Importing;
+                    progress.TotalImages = entries.Count;
+                }
+
+                foreach (var entry in entries)
+                {
+                    cancellationToken.ThrowIfCancellationRequested();
+
+                    var image = new OnlinePackPreviewImage
+                    {
+                        Path = entry.FullName,
+                        Name = Path.GetFileNameWithoutExtension(entry.Name),
+                        Size = entry.Length,
+                        IsTooLarge = entry.Length > MaxImageSizeBytes
+                    };
+
+                    if (!image.IsTooLarge)
+                    {
+                        using var stream = entry.Open();
+                        image.IsDuplicate = existingHashes.ContainsKey(ComputeHash(stream));
+                    }
+
+                    preview.Images.Add(image);
+                    if (progress != null)
+                    {
+                        progress.ProcessedImages++;
+                    }
+                }
+
+                // The import only gets the token, but must tag the avatars and record the pack as installed
+                await File.WriteAllTextAsync(GetPendingPackInfoPath(token), JsonSerializer.Serialize(pack), cancellationToken).ConfigureAwait(false);
+
+                return preview;
+            }
+            catch
+            {
+                TryDeleteFile(path);
+                TryDeleteFile(GetPendingPackInfoPath(token));
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// Reads one image of a previewed pack, for its thumbnail.
+        /// </summary>
+        /// <param name="token">The token returned by <see cref="CreatePreviewAsync"/>.</param>
+        /// <param name="path">The path of the image inside the archive.</param>
+        /// <returns>The image bytes, or null if the token, path or image is unknown or too large.</returns>
+        public async Task<byte[]?> GetPreviewImageAsync(string token, string path)
+        {
+            var zipPath = GetExistingPendingPath(token);
+            if (zipPath == null)
+            {
+                return null;
+            }
+
+            using var archive = ZipFile.OpenRead(zipPath);
+            var entry = GetImageEntries(archive).FirstOrDefault(e => e.FullName == path);
+            if (entry == null || entry.Length > MaxImageSizeBytes)
+            {
+                return null;
+            }
+
+            using var stream = entry.Open();
+            using var memoryStream = new MemoryStream();
+            await stream.CopyToAsync(memoryStream).ConfigureAwait(false);
+            return memoryStream.ToArray();
+        }
+
+        /// <summary>
+        /// Imports the chosen images of a previewed pack, then discards the download.
+        /// Images already in the library are skipped as duplicates. The pack is recorded as installed with every
+        /// image it had, so an update only offers the images added later.
+        /// </summary>
+        /// <param name="token">The token returned by <see cref="CreatePreviewAsync"/>.</param>
+        /// <param name="paths">The archive paths of the images to import.</param>
+        /// <param name="category">The category for the imported images.</param>
+        /// <returns>The import result, or null if the token is unknown or expired.</returns>
+        public async Task<ImportOnlinePacksResult?> ImportPreviewAsync(string token, IEnumerable<string> paths, string category)
+        {
+            var zipPath = GetExistingPendingPath(token);
+            if (zipPath == null)
+            {
+                return null;
+            }
 
             var result = new ImportOnlinePacksResult();
+            var selectedPaths = new HashSet<string>(paths, StringComparer.Ordinal);
+            var pack = await ReadPendingPackInfoAsync(token).ConfigureAwait(false);
+            var avatarsChanged = false;
 
-            foreach (var pack in selectedPacks)
+            try
             {
-                try
+                var existingHashes = GetExistingAvatarHashes();
+
+                using var archive = ZipFile.OpenRead(zipPath);
+                var packPaths = GetImageEntries(archive).Select(e => e.FullName).ToList();
+                foreach (var entry in GetImageEntries(archive).Where(e => selectedPaths.Contains(e.FullName)))
                 {
-                    _logger.LogInformation("Importing online avatar pack: {PackName} ({FileName})", pack.Name, pack.FileName);
-                    var details = await ImportPackAsync(pack).ConfigureAwait(false);
-                    result.ImportedCount += details.ImportedCount;
-                    result.TotalImages += details.TotalImages;
-                    result.DuplicateCount += details.DuplicateCount;
-                    result.PackResults.Add(new PackImportResult
+                    result.TotalImages++;
+
+                    try
+                    {
+                        if (entry.Length > MaxImageSizeBytes)
+                        {
+                            _logger.LogWarning("Skipping image {FileName}: exceeds {MaxSize} MB", entry.FullName, MaxImageSizeBytes / (1024 * 1024));
+                            continue;
+                        }
+
+                        byte[] imageData;
+                        using (var stream = entry.Open())
+                        using (var memoryStream = new MemoryStream())
+                        {
+                            await stream.CopyToAsync(memoryStream).ConfigureAwait(false);
+                            imageData = memoryStream.ToArray();
+                        }
+
+                        var hash = ComputeHash(imageData);
+                        if (existingHashes.TryGetValue(hash, out var existingFileName))
+                        {
+                            result.DuplicateCount++;
+
+                            // Same as a full import: an untagged copy is claimed by the pack that has it
+                            if (pack != null && _avatarService.ClaimAvatarOrigin(existingFileName, pack.Id, entry.FullName))
+                            {
+                                avatarsChanged = true;
+                            }
+
+                            continue;
+                        }
+
+                        var avatar = await _avatarService.SaveAvatarAsync(entry.Name, imageData, category, pack?.Id, pack == null ? null : entry.FullName).ConfigureAwait(false);
+
+                        existingHashes[hash] = avatar.FileName;
+                        result.ImportedCount++;
+                    }
+                    catch (Exception ex)
                     {
-                        PackId = pack.Id,
-                        PackName = pack.Name,
-                        ImportedCount = details.ImportedCount,
-                        Success = true
-                    });
+                        _logger.LogError(ex, "Failed to import image {FileName} from previewed pack", entry.FullName);
+                    }
                 }
-                catch (Exception ex)
+
+                if (pack != null)
                 {
-                    _logger.LogError(ex, "Failed to import online avatar pack: {PackName}", pack.Name);
-                    result.PackResults.Add(new PackImportResult
+                    // Keeps the paths of an earlier install, so previously imported images stay managed by updates
+                    var previousPaths = GetInstalledPack(Plugin.Config.InstalledPacks, pack.Id)?.Paths ?? new List<string>();
+                    RecordInstalledPack(pack, previousPaths.Union(packPaths, StringComparer.Ordinal));
+                    avatarsChanged = false;
+                }
+            }
+            finally
+            {
+                // RecordInstalledPack saves too; this keeps claimed origins when the import stopped early
+                if (avatarsChanged)
+                {
+                    lock (Plugin.ConfigLock)
                     {
-                        PackId = pack.Id,
-                        PackName = pack.Name,
-                        ImportedCount = 0,
-                        Success = false,
-                        ErrorMessage = ex.Message
-                    });
+                        Plugin.Instance?.SaveConfiguration();
+                    }
                 }
+
+                TryDeleteFile(zipPath);
+                TryDeleteFile(GetPendingPackInfoPath(token));
             }
 
+            _logger.LogInformation("Imported {ImportedCount} of {SelectedCount} chosen avatars into category {Category}", result.ImportedCount, result.TotalImages, category);
+            result.PackResults.Add(new PackImportResult
+            {
+                PackId = pack?.Id ?? token,
+                PackName = category,
+                ImportedCount = result.ImportedCount,
+                Success = true
+            });
             return result;
         }
 
-        private async Task<PackImportDetails> ImportPackAsync(OnlinePackInfo pack)
+        /// <summary>
+        /// Imports avatars from a local zip file. Each top-level folder in the archive becomes a category;
+        /// images at the root are imported without a category.
+        /// </summary>
+        /// <param name="zipStream">The zip file contents.</param>
+        /// <param name="fileName">The name of the uploaded zip file.</param>
+        /// <returns>The import result.</returns>
+        public async Task<ImportOnlinePacksResult> ImportLocalZipAsync(Stream zipStream, string fileName)
         {
-            var existingHashes = GetExistingAvatarHashes();
-            var tempDirectory = Path.Combine(Path.GetTempPath(), "GetAvatar", Guid.NewGuid().ToString("N"));
-            Directory.CreateDirectory(tempDirectory);
+            var result = new ImportOnlinePacksResult();
+            var packName = Path.GetFileNameWithoutExtension(fileName);
+            var tempDirectory = CreateTempDirectory();
 
             try
             {
-                var zipPath = Path.Combine(tempDirectory, pack.FileName);
-                await DownloadFileAsync(pack.DownloadUrl, zipPath, MaxZipSizeBytes).ConfigureAwait(false);
+                _logger.LogInformation("Importing local avatar pack: {FileName}", fileName);
 
-                var extractDirectory = Path.Combine(tempDirectory, "extracted");
-                Directory.CreateDirectory(extractDirectory);
-                ZipFile.ExtractToDirectory(zipPath, extractDirectory);
+                if (zipStream.CanSeek && zipStream.Length > MaxZipSizeBytes)
+                {
+                    throw new InvalidOperationException($"File size ({zipStream.Length} bytes) exceeds maximum allowed size ({MaxZipSizeBytes} bytes).");
+                }
 
-                _logger.LogInformation("Extracted pack {PackName} to {ExtractDirectory}. Looking for images...", pack.Name, extractDirectory);
+                var zipPath = Path.Combine(tempDirectory, "upload.zip");
+                using (var fileStream = new FileStream(zipPath, FileMode.Create, FileAccess.Write, FileShare.None, 81920, true))
+                {
+                    await zipStream.CopyToAsync(fileStream).ConfigureAwait(false);
+                }
 
-                var allFiles = Directory.GetFiles(extractDirectory, "*.*", SearchOption.AllDirectories).ToList();
-                _logger.LogInformation("Found {Count} total files in pack {PackName}", allFiles.Count, pack.Name);
+                var details = await ImportZipAsync(zipPath, tempDirectory, null, packName).ConfigureAwait(false);
+                result.ImportedCount = details.ImportedCount;
+                result.TotalImages = details.TotalImages;
+                result.DuplicateCount = details.DuplicateCount;
+                result.PackResults.Add(new PackImportResult
+                {
+                    PackId = packName,
+                    PackName = packName,
+                    ImportedCount = details.ImportedCount,
+                    Success = true
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to import local avatar pack: {FileName}", fileName);
+                result.PackResults.Add(new PackImportResult
+                {
+                    PackId = packName,
+                    PackName = packName,
+                    ImportedCount = 0,
+                    Success = false,
+                    ErrorMessage = ex.Message
+                });
+            }
+            finally
+            {
+                DeleteTempDirectory(tempDirectory);
+            }
 
-                var imageFiles = allFiles
-                    .Where(f => AllowedExtensions.Contains(Path.GetExtension(f).ToLowerInvariant()))
-                    .ToList();
+            return result;
+        }
+
+        /// <summary>
+        /// Extracts a pack and saves its images, skipping files that are too large and images already in the pool.
+        /// </summary>
+        /// <param name="zipPath">The zip file to import.</param>
+        /// <param name="tempDirectory">The working directory to extract into.</param>
+        /// <param name="category">The category for every image, or null to use each image's top-level folder.</param>
+        /// <param name="packName">The pack name, for logging.</param>
+        /// <param name="sourcePack">The online pack the zip was downloaded from, to skip images its installed version had
+        /// and to tag the imported avatars with their origin; null for uploaded zips.</param>
+        /// <param name="progress">Optional progress to update per image.</param>
+        /// <param name="cancellationToken">The cancellation token, checked between images.</param>
+        private async Task<PackImportDetails> ImportZipAsync(
+            string zipPath,
+            string tempDirectory,
+            string? category,
+            string packName,
+            OnlinePackInfo? sourcePack = null,
+            PackImportProgress? progress = null,
+            CancellationToken cancellationToken = default)
+        {
+            var existingHashes = GetExistingAvatarHashes();
+
+            using (var archive = ZipFile.OpenRead(zipPath))
+            {
+                EnsureExtractedSizeAllowed(archive);
+            }
 
-                _logger.LogInformation("Found {Count} image files in pack {PackName}", imageFiles.Count, pack.Name);
+            var extractDirectory = Path.Combine(tempDirectory, "extracted");
+            Directory.CreateDirectory(extractDirectory);
+            ZipFile.ExtractToDirectory(zipPath, extractDirectory);
 
-                var details = new PackImportDetails
-                {
-                    TotalImages = imageFiles.Count
-                };
+            _logger.LogInformation("Extracted pack {PackName} to {ExtractDirectory}. Looking for images...", packName, extractDirectory);
+
+            var allFiles = Directory.GetFiles(extractDirectory, "*.*", SearchOption.AllDirectories).ToList();
+            _logger.LogInformation("Found {Count} total files in pack {PackName}", allFiles.Count, packName);
+
+            var imageFiles = allFiles
+                .Where(f => AllowedExtensions.Contains(Path.GetExtension(f).ToLowerInvariant()))
+                .ToList();
+
+            _logger.LogInformation("Found {Count} image files in pack {PackName}", imageFiles.Count, packName);
+
+            var details = new PackImportDetails
+            {
+                TotalImages = imageFiles.Count
+            };
 
+            if (progress != null)
+            {
+                progress.TotalImages = imageFiles.Count;
+            }
+
+            var installedPaths = new HashSet<string>(
+                sourcePack == null ? Enumerable.Empty<string>() : GetInstalledPack(Plugin.Config.InstalledPacks, sourcePack.Id)?.Paths ?? new List<string>(),
+                StringComparer.Ordinal);
+            var avatarsChanged = false;
+
+            try
+            {
                 foreach (var imagePath in imageFiles)
                 {
+                    cancellationToken.ThrowIfCancellationRequested();
+
+                    var relativePath = Path.GetRelativePath(extractDirectory, imagePath).Replace('\\', '/');
+                    details.PackPaths.Add(relativePath);
+
                     try
                     {
+                        // Images the installed version already had were imported, or deleted on purpose, before
+                        if (installedPaths.Contains(relativePath))
+                        {
+                            details.DuplicateCount++;
+                            continue;
+                        }
+
                         var fileInfo = new FileInfo(imagePath);
                         if (fileInfo.Length > MaxImageSizeBytes)
                         {
+                            details.FailedCount++;
                             _logger.LogWarning("Skipping image {FileName}: exceeds {MaxSize} MB", imagePath, MaxImageSizeBytes / (1024 * 1024));
                             continue;
                         }
 
-                        var imageData = await File.ReadAllBytesAsync(imagePath).ConfigureAwait(false);
+                        var imageData = await File.ReadAllBytesAsync(imagePath, cancellationToken).ConfigureAwait(false);
                         var hash = ComputeHash(imageData);
 
-                        if (existingHashes.Contains(hash))
+                        if (existingHashes.TryGetValue(hash, out var existingFileName))
                         {
                             details.DuplicateCount++;
                             _logger.LogDebug("Skipping duplicate image: {FileName}", Path.GetFileName(imagePath));
+
+                            // Avatars imported before origins were recorded are claimed by the pack that has them
+                            if (sourcePack != null && _avatarService.ClaimAvatarOrigin(existingFileName, sourcePack.Id, relativePath))
+                            {
+                                avatarsChanged = true;
+                            }
+
                             continue;
                         }
 
-                        await _avatarService.SaveAvatarAsync(Path.GetFileName(imagePath), imageData, pack.Name).ConfigureAwait(false);
-                        existingHashes.Add(hash);
+                        var imageCategory = category ?? GetTopLevelFolder(extractDirectory, imagePath);
+                        var avatar = await _avatarService.SaveAvatarAsync(Path.GetFileName(imagePath), imageData, imageCategory, sourcePack?.Id, sourcePack == null ? null : relativePath).ConfigureAwait(false);
+
+                        existingHashes[hash] = avatar.FileName;
                         details.ImportedCount++;
                     }
+                    catch (OperationCanceledException)
+                    {
+                        throw;
+                    }
                     catch (Exception ex)
                     {
-                        _logger.LogError(ex, "Failed to import image {FileName} from pack {PackName}", imagePath, pack.Name);
+                        details.FailedCount++;
+                        _logger.LogError(ex, "Failed to import image {FileName} from pack {PackName}", imagePath, packName);
+                    }
+                    finally
+                    {
+                        if (progress != null)
+                        {
+                            progress.ProcessedImages++;
+                            progress.ImportedCount = details.ImportedCount;
+                            progress.DuplicateCount = details.DuplicateCount;
+                            progress.FailedCount = details.FailedCount;
+                        }
                     }
                 }
-
-                _logger.LogInformation("Imported {ImportedCount} avatars from pack {PackName} ({DuplicateCount} duplicates skipped)", details.ImportedCount, pack.Name, details.DuplicateCount);
-                return details;
             }
             finally
             {
-                try
-                {
-                    Directory.Delete(tempDirectory, true);
-                }
-                catch (Exception ex)
+                // Keep the origins claimed before a cancel or failure
+                if (avatarsChanged)
                 {
-                    _logger.LogWarning(ex, "Failed to clean up temporary directory: {Path}", tempDirectory);
+                    lock (Plugin.ConfigLock)
+                    {
+                        Plugin.Instance?.SaveConfiguration();
+                    }
                 }
             }
+
+            _logger.LogInformation("Imported {ImportedCount} avatars from pack {PackName} ({DuplicateCount} duplicates skipped)", details.ImportedCount, packName, details.DuplicateCount);
+            return details;
         }
 
-        private async Task DownloadFileAsync(string url, string destinationPath, long maxSizeBytes)
+        // Guard against archives that expand far beyond their download size
+        private static void EnsureExtractedSizeAllowed(ZipArchive archive)
+        {
+            var extractedSize = archive.Entries.Sum(e => e.Length);
+            if (extractedSize > MaxExtractedSizeBytes)
+            {
+                throw new InvalidOperationException($"Pack expands to {extractedSize} bytes, more than the allowed {MaxExtractedSizeBytes} bytes.");
+            }
+        }
+
+        private static IEnumerable<ZipArchiveEntry> GetImageEntries(ZipArchive archive)
+        {
+            return archive.Entries.Where(e => !string.IsNullOrEmpty(e.Name)
+                && AllowedExtensions.Contains(Path.GetExtension(e.Name).ToLowerInvariant()));
+        }
+
+        private static string GetTopLevelFolder(string rootDirectory, string filePath)
+        {
+            var relativePath = Path.GetRelativePath(rootDirectory, filePath);
+            var separatorIndex = relativePath.IndexOfAny(new[] { Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar });
+            return separatorIndex > 0 ? relativePath.Substring(0, separatorIndex) : string.Empty;
+        }
+
+        private static string CreateTempDirectory()
+        {
+            var tempDirectory = Path.Combine(Path.GetTempPath(), "GetAvatar", Guid.NewGuid().ToString("N"));
+            Directory.CreateDirectory(tempDirectory);
+            return tempDirectory;
+        }
+
+        private void DeleteTempDirectory(string tempDirectory)
+        {
+            try
+            {
+                Directory.Delete(tempDirectory, true);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to clean up temporary directory: {Path}", tempDirectory);
+            }
+        }
+
+        private async Task DownloadFileAsync(
+            string url,
+            string destinationPath,
+            long maxSizeBytes,
+            PackImportProgress? progress = null,
+            CancellationToken cancellationToken = default)
         {
             using var client = _httpClientFactory.CreateClient();
             client.Timeout = TimeSpan.FromMinutes(10);
 
-            using var response = await client.GetAsync(url, HttpCompletionOption.ResponseHeadersRead).ConfigureAwait(false);
+            using var response = await client.GetAsync(url, HttpCompletionOption.ResponseHeadersRead, cancellationToken).ConfigureAwait(false);
             response.EnsureSuccessStatusCode();
 
             var contentLength = response.Content.Headers.ContentLength;
@@ -256,17 +870,27 @@ namespace Jellyfin.Plugin.GetAvatar.Services
                 throw new InvalidOperationException($"File size ({contentLength.Value} bytes) exceeds maximum allowed size ({maxSizeBytes} bytes).");
             }
 
+            if (progress != null)
+            {
+                progress.TotalBytes = contentLength ?? 0;
+            }
+
             var totalBytesRead = 0L;
-            using var contentStream = await response.Content.ReadAsStreamAsync().ConfigureAwait(false);
+            using var contentStream = await response.Content.ReadAsStreamAsync(cancellationToken).ConfigureAwait(false);
             using var fileStream = new FileStream(destinationPath, FileMode.Create, FileAccess.Write, FileShare.None, 81920, true);
 
             var buffer = new byte[81920];
             int bytesRead;
-            while ((bytesRead = await contentStream.ReadAsync(buffer.AsMemory(0, buffer.Length)).ConfigureAwait(false)) > 0)
+            while ((bytesRead = await contentStream.ReadAsync(buffer.AsMemory(0, buffer.Length), cancellationToken).ConfigureAwait(false)) > 0)
             {
-                await fileStream.WriteAsync(buffer.AsMemory(0, bytesRead)).ConfigureAwait(false);
+                await fileStream.WriteAsync(buffer.AsMemory(0, bytesRead), cancellationToken).ConfigureAwait(false);
                 totalBytesRead += bytesRead;
 
+                if (progress != null)
+                {
+                    progress.DownloadedBytes = totalBytesRead;
+                }
+
                 if (totalBytesRead > maxSizeBytes)
                 {
                     throw new InvalidOperationException($"Downloaded file exceeded maximum allowed size ({maxSizeBytes} bytes).");
@@ -274,9 +898,10 @@ namespace Jellyfin.Plugin.GetAvatar.Services
             }
         }
 
-        private HashSet<string> GetExistingAvatarHashes()
+        // Maps the hash of each image in the pool to its file name
+        private Dictionary<string, string> GetExistingAvatarHashes()
         {
-            var hashes = new HashSet<string>();
+            var hashes = new Dictionary<string, string>();
             var avatarDirectory = _avatarService.AvatarDirectory;
 
             if (!Directory.Exists(avatarDirectory))
@@ -289,7 +914,7 @@ namespace Jellyfin.Plugin.GetAvatar.Services
                 try
                 {
                     var data = File.ReadAllBytes(file);
-                    hashes.Add(ComputeHash(data));
+                    hashes[ComputeHash(data)] = Path.GetFileName(file);
                 }
                 catch (Exception ex)
                 {
@@ -307,11 +932,92 @@ namespace Jellyfin.Plugin.GetAvatar.Services
             return Convert.ToHexString(hash);
         }
 
-        private static string GetDisplayName(string packId)
+        private static string ComputeHash(Stream stream)
         {
-            return PackDisplayNames.TryGetValue(packId, out var displayName)
-                ? displayName
-                : char.ToUpperInvariant(packId[0]) + packId.Substring(1);
+            using var sha256 = SHA256.Create();
+            var hash = sha256.ComputeHash(stream);
+            return Convert.ToHexString(hash);
+        }
+
+        private string GetPendingPath(string token)
+        {
+            return Path.Combine(_pendingDirectory, token + ".zip");
+        }
+
+        private string GetPendingPackInfoPath(string token)
+        {
+            return Path.Combine(_pendingDirectory, token + ".json");
+        }
+
+        private async Task<OnlinePackInfo?> ReadPendingPackInfoAsync(string token)
+        {
+            var path = GetPendingPackInfoPath(token);
+            if (!File.Exists(path))
+            {
+                return null;
+            }
+
+            try
+            {
+                return JsonSerializer.Deserialize<OnlinePackInfo>(await File.ReadAllTextAsync(path).ConfigureAwait(false));
+            }
+            catch (JsonException ex)
+            {
+                _logger.LogWarning(ex, "Failed to read the pack details of preview {Token}", token);
+                return null;
+            }
+        }
+
+        private string? GetExistingPendingPath(string token)
+        {
+            // The token becomes part of a file path
+            if (!Guid.TryParseExact(token, "N", out _))
+            {
+                return null;
+            }
+
+            var path = GetPendingPath(token);
+            return File.Exists(path) ? path : null;
+        }
+
+        private void DeleteExpiredPendingPacks()
+        {
+            if (!Directory.Exists(_pendingDirectory))
+            {
+                return;
+            }
+
+            // Downloads (.zip) and their pack details (.json)
+            foreach (var file in Directory.GetFiles(_pendingDirectory))
+            {
+                if (DateTime.UtcNow - File.GetLastWriteTimeUtc(file) > PendingPackLifetime)
+                {
+                    TryDeleteFile(file);
+                }
+            }
+        }
+
+        private void TryDeleteFile(string path)
+        {
+            try
+            {
+                File.Delete(path);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to delete pending pack: {Path}", path);
+            }
+        }
+
+        private static string GetDisplayName(PackSource source, string packId)
+        {
+            if (string.Equals(source.Url, PackSource.DefaultUrl, StringComparison.OrdinalIgnoreCase)
+                && DefaultSourceDisplayNames.TryGetValue(packId, out var displayName))
+            {
+                return displayName;
+            }
+
+            return char.ToUpperInvariant(packId[0]) + packId.Substring(1);
         }
 
         /// <summary>
@@ -355,6 +1061,10 @@ namespace Jellyfin.Plugin.GetAvatar.Services
             public int TotalImages { get; set; }
 
             public int DuplicateCount { get; set; }
+
+            public int FailedCount { get; set; }
+
+            public HashSet<string> PackPaths { get; } = new HashSet<string>(StringComparer.Ordinal);
         }
 
         /// <summary>
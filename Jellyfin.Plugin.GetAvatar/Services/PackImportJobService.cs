@@ -0,0 +1,327 @@
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.GetAvatar.Controllers;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.GetAvatar.Services
+{
+    /// <summary>
+    /// Runs online pack imports in the background so the dashboard can follow their progress,
+    /// cancel them and pick a running import up again after the page is reopened.
+    /// Only one import runs at a time. Also downloads packs for previews, which may run alongside an import.
+    /// </summary>
+    public class PackImportJobService
+    {
+        private static readonly TimeSpan FinishedJobLifetime = TimeSpan.FromHours(1);
+
+        private readonly OnlinePackService _onlinePackService;
+        private readonly ILogger<PackImportJobService> _logger;
+        private readonly ConcurrentDictionary<string, PackImportJob> _jobs = new ConcurrentDictionary<string, PackImportJob>();
+        private readonly ConcurrentDictionary<string, PackPreviewJob> _previewJobs = new ConcurrentDictionary<string, PackPreviewJob>();
+        private readonly ConcurrentDictionary<string, CancellationTokenSource> _cancellationSources = new ConcurrentDictionary<string, CancellationTokenSource>();
+        private readonly object _startLock = new object();
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="PackImportJobService"/> class.
+        /// </summary>
+        /// <param name="onlinePackService">The online pack service.</param>
+        /// <param name="logger">The logger instance.</param>
+        public PackImportJobService(
+            OnlinePackService onlinePackService,
+            ILogger<PackImportJobService> logger)
+        {
+            _onlinePackService = onlinePackService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Starts importing the specified online packs in the background.
+        /// </summary>
+        /// <param name="packIds">The pack identifiers to import.</param>
+        /// <param name="removeDropped">Whether updates delete avatars the new pack version no longer contains.</param>
+        /// <returns>The new job, or null if another import is still running.</returns>
+        public async Task<PackImportJob?> StartAsync(List<string> packIds, bool removeDropped)
+        {
+            // Answer a second click without fetching every source; the check below still settles a race
+            if (IsImportRunning())
+            {
+                return null;
+            }
+
+            var sources = await _onlinePackService.GetAvailablePacksAsync().ConfigureAwait(false);
+            var availablePacks = sources.SelectMany(s => s.Packs).ToList();
+
+            var job = new PackImportJob
+            {
+                Id = Guid.NewGuid().ToString("N"),
+                StartedAt = DateTime.UtcNow
+            };
+
+            var packs = new List<(OnlinePackInfo Pack, PackImportProgress Progress)>();
+            foreach (var packId in packIds.Distinct(StringComparer.OrdinalIgnoreCase))
+            {
+                var pack = availablePacks.FirstOrDefault(p => string.Equals(p.Id, packId, StringComparison.OrdinalIgnoreCase));
+                var progress = new PackImportProgress
+                {
+                    PackId = packId,
+                    PackName = pack?.Name ?? packId
+                };
+
+                // A pack can disappear between listing and importing, or its source can fail to load this time
+                if (pack == null)
+                {
+                    progress.Status = PackImportProgress.Failed;
+                    progress.ErrorMessage = "Pack not found in its source";
+                }
+                else
+                {
+                    packs.Add((pack, progress));
+                }
+
+                job.Packs.Add(progress);
+            }
+
+            var cancellationSource = new CancellationTokenSource();
+
+            lock (_startLock)
+            {
+                if (IsImportRunning())
+                {
+                    cancellationSource.Dispose();
+                    return null;
+                }
+
+                _jobs[job.Id] = job;
+                _cancellationSources[job.Id] = cancellationSource;
+            }
+
+            _logger.LogInformation("Starting pack import job {JobId} for {Count} packs", job.Id, packs.Count);
+            _ = Task.Run(() => RunAsync(job, packs, removeDropped, cancellationSource.Token));
+
+            return job;
+        }
+
+        /// <summary>
+        /// Starts downloading an online pack in the background to preview its images.
+        /// </summary>
+        /// <param name="packId">The pack identifier.</param>
+        /// <returns>The new job, or null if no source lists the pack.</returns>
+        public async Task<PackPreviewJob?> StartPreviewAsync(string packId)
+        {
+            var sources = await _onlinePackService.GetAvailablePacksAsync().ConfigureAwait(false);
+            var pack = sources.SelectMany(s => s.Packs).FirstOrDefault(p => string.Equals(p.Id, packId, StringComparison.OrdinalIgnoreCase));
+            if (pack == null)
+            {
+                return null;
+            }
+
+            var job = new PackPreviewJob
+            {
+                Id = Guid.NewGuid().ToString("N"),
+                StartedAt = DateTime.UtcNow,
+                Progress = new PackImportProgress
+                {
+                    PackId = pack.Id,
+                    PackName = pack.Name
+                }
+            };
+
+            var cancellationSource = new CancellationTokenSource();
+            RemoveExpired(_previewJobs, j => j.FinishedAt);
+            _previewJobs[job.Id] = job;
+            _cancellationSources[job.Id] = cancellationSource;
+
+            _logger.LogInformation("Starting pack preview job {JobId} for {PackName}", job.Id, pack.Name);
+            _ = Task.Run(() => RunPreviewAsync(job, pack, cancellationSource.Token));
+
+            return job;
+        }
+
+        /// <summary>
+        /// Gets a pack preview job by its identifier.
+        /// </summary>
+        /// <param name="jobId">The job identifier.</param>
+        /// <returns>The job, or null if it does not exist or has expired.</returns>
+        public PackPreviewJob? GetPreviewJob(string jobId)
+        {
+            return _previewJobs.TryGetValue(jobId, out var job) ? job : null;
+        }
+
+        /// <summary>
+        /// Gets the running job and jobs that finished within the last hour, newest first.
+        /// </summary>
+        /// <returns>The jobs.</returns>
+        public List<PackImportJob> GetJobs()
+        {
+            RemoveExpired(_jobs, j => j.FinishedAt);
+            return _jobs.Values.OrderByDescending(j => j.StartedAt).ToList();
+        }
+
+        /// <summary>
+        /// Gets a job by its identifier.
+        /// </summary>
+        /// <param name="jobId">The job identifier.</param>
+        /// <returns>The job, or null if it does not exist or has expired.</returns>
+        public PackImportJob? GetJob(string jobId)
+        {
+            return _jobs.TryGetValue(jobId, out var job) ? job : null;
+        }
+
+        /// <summary>
+        /// Requests cancellation of a running import or preview job. The pack being imported stops after its current image.
+        /// </summary>
+        /// <param name="jobId">The job identifier.</param>
+        /// <returns>True if the job was running and cancellation was requested.</returns>
+        public bool Cancel(string jobId)
+        {
+            if (!_cancellationSources.TryGetValue(jobId, out var cancellationSource))
+            {
+                return false;
+            }
+
+            try
+            {
+                cancellationSource.Cancel();
+                _logger.LogInformation("Cancellation requested for pack import job {JobId}", jobId);
+                return true;
+            }
+            catch (ObjectDisposedException)
+            {
+                // The job finished while the request was on its way
+                return false;
+            }
+        }
+
+        private static void RemoveExpired<TJob>(ConcurrentDictionary<string, TJob> jobs, Func<TJob, DateTime?> getFinishedAt)
+        {
+            var cutoff = DateTime.UtcNow - FinishedJobLifetime;
+            foreach (var entry in jobs.Where(e => getFinishedAt(e.Value) < cutoff).ToList())
+            {
+                jobs.TryRemove(entry.Key, out _);
+            }
+        }
+
+        private bool IsImportRunning()
+        {
+            return _jobs.Values.Any(j => j.Status == PackImportJob.Running);
+        }
+
+        private async Task RunAsync(
+            PackImportJob job,
+            List<(OnlinePackInfo Pack, PackImportProgress Progress)> packs,
+            bool removeDropped,
+            CancellationToken cancellationToken)
+        {
+            try
+            {
+                foreach (var (pack, progress) in packs)
+                {
+                    if (cancellationToken.IsCancellationRequested)
+                    {
+                        progress.Status = PackImportProgress.Cancelled;
+                        continue;
+                    }
+
+                    try
+                    {
+                        await _onlinePackService.ImportPackAsync(pack, removeDropped, progress, cancellationToken).ConfigureAwait(false);
+                        progress.Status = PackImportProgress.Done;
+                    }
+                    catch (OperationCanceledException ex)
+                    {
+                        if (cancellationToken.IsCancellationRequested)
+                        {
+                            progress.Status = PackImportProgress.Cancelled;
+                        }
+                        else
+                        {
+                            // HttpClient reports its own timeout as a cancellation
+                            _logger.LogError(ex, "Timed out importing online avatar pack: {PackName}", pack.Name);
+                            progress.Status = PackImportProgress.Failed;
+                            progress.ErrorMessage = "The download timed out";
+                        }
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError(ex, "Failed to import online avatar pack: {PackName}", pack.Name);
+                        progress.Status = PackImportProgress.Failed;
+                        progress.ErrorMessage = ex.Message;
+                    }
+                }
+
+                if (cancellationToken.IsCancellationRequested)
+                {
+                    job.Status = PackImportJob.Cancelled;
+                }
+                else if (job.Packs.All(p => p.Status == PackImportProgress.Failed))
+                {
+                    job.Status = PackImportJob.Failed;
+                }
+                else
+                {
+                    job.Status = PackImportJob.Completed;
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Pack import job {JobId} failed", job.Id);
+                job.Status = PackImportJob.Failed;
+            }
+            finally
+            {
+                job.FinishedAt = DateTime.UtcNow;
+                if (_cancellationSources.TryRemove(job.Id, out var cancellationSource))
+                {
+                    cancellationSource.Dispose();
+                }
+
+                _logger.LogInformation("Pack import job {JobId} finished: {Status}, {ImportedCount} avatars imported", job.Id, job.Status, job.ImportedCount);
+            }
+        }
+
+        private async Task RunPreviewAsync(PackPreviewJob job, OnlinePackInfo pack, CancellationToken cancellationToken)
+        {
+            try
+            {
+                job.Preview = await _onlinePackService.CreatePreviewAsync(pack, job.Progress, cancellationToken).ConfigureAwait(false);
+                job.Progress.Status = PackImportProgress.Done;
+                job.Status = PackImportJob.Completed;
+            }
+            catch (OperationCanceledException ex)
+            {
+                if (cancellationToken.IsCancellationRequested)
+                {
+                    job.Progress.Status = PackImportProgress.Cancelled;
+                    job.Status = PackImportJob.Cancelled;
+                }
+                else
+                {
+                    // HttpClient reports its own timeout as a cancellation
+                    _logger.LogError(ex, "Timed out downloading online avatar pack for preview: {PackName}", pack.Name);
+                    job.Progress.Status = PackImportProgress.Failed;
+                    job.Progress.ErrorMessage = "The download timed out";
+                    job.Status = PackImportJob.Failed;
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to preview online avatar pack: {PackName}", pack.Name);
+                job.Progress.Status = PackImportProgress.Failed;
+                job.Progress.ErrorMessage = ex.Message;
+                job.Status = PackImportJob.Failed;
+            }
+            finally
+            {
+                job.FinishedAt = DateTime.UtcNow;
+                if (_cancellationSources.TryRemove(job.Id, out var cancellationSource))
+                {
+                    cancellationSource.Dispose();
+                }
+            }
+        }
+    }
+}